@@ -0,0 +1,11 @@
+// The server shares the AI prompts, schemas and providers with the web app, which
+// are written as ES modules; sucrase compiles them (and this server's own src) on load.
+require('sucrase/register');
+
+const { loadConfig } = require('./src/config');
+const { createApp } = require('./src/app');
+
+const config = loadConfig(process.env);
+createApp(config).listen(config.port, () => {
+  console.log(`CRM server listening on http://localhost:${config.port} (AI provider: ${config.ai.provider}, mail: ${config.mail.transport}, auth: ${config.authMode})`);
+});
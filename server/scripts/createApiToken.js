@@ -0,0 +1,47 @@
+// Creates an API token from the command line, e.g. against the Firestore emulator:
+//   FIRESTORE_EMULATOR_HOST=localhost:8080 FIREBASE_PROJECT_ID=demo-crm \
+//     npm run create-api-token -- <workspaceId> <uid> [name] [user|workspace]
+// The web app creates tokens under API & Webhooks; this is for scripts and local testing.
+require('sucrase/register');
+
+const { Timestamp } = require('firebase/firestore');
+const { loadConfig } = require('../src/config');
+const { createServerBackend } = require('../src/adminBackend');
+const { generateApiToken, hashApiToken } = require('../src/apiTokens');
+
+const main = async () => {
+  const [workspaceId, uid, name = 'Command line', scope = 'user'] = process.argv.slice(2);
+  if (!workspaceId || !uid || !['user', 'workspace'].includes(scope)) {
+    console.error('Usage: npm run create-api-token -- <workspaceId> <uid> [name] [user|workspace]');
+    process.exit(1);
+  }
+  const config = loadConfig(process.env);
+  const backend = createServerBackend(config);
+  if (!backend) {
+    console.error('Set FIREBASE_PROJECT_ID (and FIRESTORE_EMULATOR_HOST for the emulator) first.');
+    process.exit(1);
+  }
+  const root = `artifacts/${config.firebaseProjectId}`;
+  const member = await backend.get(`${root}/workspaces/${workspaceId}/members`, uid);
+  if (!member || (scope === 'workspace' && member.role !== 'admin')) {
+    console.error(scope === 'workspace' ? `${uid} is not an admin of ${workspaceId}.` : `${uid} is not a member of ${workspaceId}.`);
+    process.exit(1);
+  }
+  const token = generateApiToken();
+  await backend.set(`${root}/apiTokens`, hashApiToken(token), {
+    workspaceId,
+    uid,
+    ownerName: member.displayName || '',
+    name,
+    scope,
+    prefix: token.slice(0, 10),
+    lastUsedAt: null,
+    createdAt: Timestamp.now(),
+  });
+  console.log(token);
+};
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
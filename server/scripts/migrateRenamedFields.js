@@ -0,0 +1,41 @@
+// Moves account values stored under a renamed field's old key (e.g. lostReason) to its new
+// one and deletes the old key, e.g. against the Firestore emulator:
+//   FIRESTORE_EMULATOR_HOST=localhost:8080 FIREBASE_PROJECT_ID=demo-crm \
+//     npm run migrate-renamed-fields -- [workspaceId]
+// Without a workspace id every workspace is migrated. Running it again is harmless.
+require('sucrase/register');
+
+const { FieldValue } = require('firebase-admin/firestore');
+const { loadConfig } = require('../src/config');
+const { createServerBackend } = require('../src/adminBackend');
+const { RENAMED_FIELDS } = require('../../src/importExport/accountFields');
+
+const main = async () => {
+  const [workspaceId] = process.argv.slice(2);
+  const config = loadConfig(process.env);
+  const backend = createServerBackend(config);
+  if (!backend) {
+    console.error('Set FIREBASE_PROJECT_ID (and FIRESTORE_EMULATOR_HOST for the emulator) first.');
+    process.exit(1);
+  }
+  const root = `artifacts/${config.firebaseProjectId}`;
+  const workspaceIds = workspaceId ? [workspaceId] : (await backend.list(`${root}/workspaces`)).map(workspace => workspace.id);
+  let migrated = 0;
+  for (const id of workspaceIds) {
+    const path = `${root}/workspaces/${id}/accounts`;
+    for (const [oldKey, newKey] of Object.entries(RENAMED_FIELDS)) {
+      // Every string sorts at or after '', so this finds each account that still has the old key
+      const accounts = await backend.list(path, { filters: [[oldKey, '>=', '']] });
+      for (const account of accounts) {
+        await backend.update(path, account.id, { [newKey]: account[newKey] || account[oldKey], [oldKey]: FieldValue.delete() });
+      }
+      migrated += accounts.length;
+    }
+  }
+  console.log(`Migrated ${migrated} account field${migrated === 1 ? '' : 's'} in ${workspaceIds.length} workspace${workspaceIds.length === 1 ? '' : 's'}.`);
+};
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
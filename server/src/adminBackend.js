@@ -0,0 +1,74 @@
+import { Timestamp as AdminTimestamp, getFirestore } from 'firebase-admin/firestore';
+import { Timestamp } from 'firebase/firestore';
+import { getAdminApp } from './firebaseAdmin';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+// The shared repositories stamp documents with the web SDK's Timestamp, which the Admin SDK
+// can't store, so timestamps are swapped on the way in and out
+const toAdmin = (value) => {
+  if (value instanceof Timestamp) return new AdminTimestamp(value.seconds, value.nanoseconds);
+  if (Array.isArray(value)) return value.map(toAdmin);
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toAdmin(v)]));
+  return value;
+};
+
+const fromAdmin = (value) => {
+  if (value instanceof AdminTimestamp) return new Timestamp(value.seconds, value.nanoseconds);
+  if (Array.isArray(value)) return value.map(fromAdmin);
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, fromAdmin(v)]));
+  return value;
+};
+
+const buildQuery = (collection, { filters = [], sortBy, direction = 'asc', pageSize, after } = {}) => {
+  let query = filters.reduce((q, [field, op, value]) => q.where(field, op, toAdmin(value)), collection);
+  if (sortBy) query = query.orderBy(sortBy, direction);
+  if (sortBy && after !== undefined && after !== null) query = query.startAfter(toAdmin(after));
+  if (pageSize) query = query.limit(pageSize);
+  return query;
+};
+
+const toDoc = (snapshot) => ({ ...fromAdmin(snapshot.data()), id: snapshot.id });
+
+// The same backend interface as firestoreBackend.js, over the Admin SDK, so the server runs
+// the repositories in src/data with their permission checks, audit log and stage history.
+// There are no live listeners on the server.
+export const createAdminBackend = (db) => ({
+  kind: 'admin',
+
+  subscribe: () => {
+    throw new Error("The server backend has no live listeners.");
+  },
+
+  list: async (path, options) => {
+    const snapshot = await buildQuery(db.collection(path), options).get();
+    return snapshot.docs.map(toDoc);
+  },
+
+  get: async (path, id) => {
+    const snapshot = await db.collection(path).doc(id).get();
+    return snapshot.exists ? toDoc(snapshot) : null;
+  },
+
+  add: async (path, data) => {
+    const docRef = await db.collection(path).add(toAdmin(data));
+    return docRef.id;
+  },
+
+  set: async (path, id, data, { merge = false } = {}) => {
+    await db.collection(path).doc(id).set(toAdmin(data), { merge });
+  },
+
+  update: async (path, id, changes) => {
+    await db.collection(path).doc(id).update(toAdmin(changes));
+  },
+
+  remove: async (path, id) => {
+    await db.collection(path).doc(id).delete();
+  },
+});
+
+// Null without a Firebase project; the offline mode keeps its data in the browser
+export const createServerBackend = (config) => (
+  config.authMode === 'none' || !config.firebaseProjectId ? null : createAdminBackend(getFirestore(getAdminApp(config)))
+);
@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+import { Timestamp } from 'firebase/firestore';
+
+// Same format and hash as src/data/apiTokensRepository.js, which creates tokens in the web app
+const TOKEN_PATTERN = /^crm_[a-f0-9]{48}$/;
+const HOUR = 60 * 60 * 1000;
+
+export const generateApiToken = () => `crm_${crypto.randomBytes(24).toString('hex')}`;
+
+export const hashApiToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// What a token may do: 'user' tokens act as their owner with the owner's current role;
+// 'workspace' tokens act as a manager, attributed to the token's name
+const getTokenAccess = (record, member) => (record.scope === 'workspace'
+  ? { uid: record.uid, displayName: `${record.name} (API)`, role: 'manager' }
+  : { uid: record.uid, displayName: member.displayName || record.ownerName, role: member.role });
+
+// Checks `Authorization: Bearer crm_...` against the stored token hashes. A token stops
+// working when it is revoked or its owner leaves the workspace, and a workspace token
+// when its creator is no longer an admin.
+export const createApiTokenAuth = ({ backend, root, rateLimiter }) => async (req, res, next) => {
+  if (!backend) {
+    res.status(503).json({ error: "The REST API needs a Firebase project." });
+    return;
+  }
+  const token = (req.headers.authorization || '').match(/^Bearer (.+)$/)?.[1];
+  if (!token || !TOKEN_PATTERN.test(token)) {
+    res.status(401).json({ error: "Missing or malformed API token." });
+    return;
+  }
+  const tokenId = hashApiToken(token);
+  const limit = rateLimiter.check(`api:${tokenId}`);
+  if (!limit.allowed) {
+    res.set('Retry-After', String(Math.ceil(limit.retryAfterMs / 1000)));
+    res.status(429).json({ error: "API rate limit reached. Try again later." });
+    return;
+  }
+  try {
+    const record = await backend.get(`${root}/apiTokens`, tokenId);
+    const member = record && await backend.get(`${root}/workspaces/${record.workspaceId}/members`, record.uid);
+    if (!member || (record.scope === 'workspace' && member.role !== 'admin')) {
+      res.status(401).json({ error: "Invalid or revoked API token." });
+      return;
+    }
+    // Recording every call would double the writes; the settings screen only shows roughly when
+    if (!record.lastUsedAt || Date.now() - record.lastUsedAt.toMillis() > HOUR) {
+      backend.update(`${root}/apiTokens`, tokenId, { lastUsedAt: Timestamp.now() }).catch(() => {});
+    }
+    req.api = { workspaceId: record.workspaceId, tokenId, scope: record.scope, access: getTokenAccess(record, member) };
+    next();
+  } catch (err) {
+    res.status(500).json({ error: "Failed to check the API token." });
+  }
+};
@@ -0,0 +1,76 @@
+import express from 'express';
+import { createAIClient } from '../../src/ai/client';
+import { createServerBackend } from './adminBackend';
+import { createServerAutomation } from './automation';
+import { createAuthMiddleware } from './auth';
+import { createCalendarFeedRouter, createFeedStore } from './calendarFeed';
+import { createLeadFormRouter, createLeadFormStore, createLoadTokens } from './leadForms';
+import { createMailTransport } from './mail';
+import { createMailRouter } from './mailRoutes';
+import { createOutboundWebhookRouter, createWebhookDispatcher } from './outboundWebhooks';
+import { createRateLimiter } from './rateLimit';
+import { createRestApiRouter } from './restApi';
+import { createAIRouter } from './routes';
+import { createUsageLog } from './usage';
+import { createWebhookRouter } from './webhookRoutes';
+
+const cors = (allowedOrigins) => (req, res, next) => {
+  const origin = req.headers.origin;
+  if (origin && allowedOrigins.includes(origin)) {
+    res.set('Access-Control-Allow-Origin', origin);
+    res.set('Vary', 'Origin');
+    res.set('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+    res.set('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+  }
+  if (req.method === 'OPTIONS') {
+    res.sendStatus(204);
+    return;
+  }
+  next();
+};
+
+// Dependencies can be swapped out (e.g. the mock AI provider, a fake auth check, mail transport,
+// feed or form store, or an in-memory backend for the REST API and webhooks) for tests
+export const createApp = (config, {
+  aiClient = createAIClient(config.ai),
+  authenticate = createAuthMiddleware(config),
+  rateLimiter = createRateLimiter(config.rateLimits),
+  usageLog = createUsageLog(config.usageLogPath),
+  mailTransport = createMailTransport(config.mail),
+  feedStore = createFeedStore(config),
+  backend = createServerBackend(config),
+  webhookDispatcher = createWebhookDispatcher({ ...config.webhooks, backend, root: `artifacts/${config.firebaseProjectId}` }),
+  automation = createServerAutomation({ backend, webhooks: config.webhooks, mailTransport, mailFrom: config.mail.from }),
+  leadFormStore = createLeadFormStore(config, { backend, webhookDispatcher, automation }),
+  formRateLimiter = createRateLimiter(config.leadForms.rateLimits),
+  perFormRateLimiter = createRateLimiter(config.leadForms.formRateLimits),
+  loadTokens = createLoadTokens(config.leadForms.tokenSecret || undefined),
+  apiRateLimiter = createRateLimiter(config.api.rateLimits),
+  mailRateLimiter = createRateLimiter(config.mail.rateLimits),
+  automationRateLimiter = createRateLimiter(config.webhooks.rateLimits),
+  webhookEventRateLimiter = createRateLimiter(config.webhooks.eventRateLimits),
+} = {}) => {
+  const root = `artifacts/${config.firebaseProjectId}`;
+  const app = express();
+  app.use(cors(config.allowedOrigins));
+  // Business card photos arrive base64 encoded
+  app.use(express.json({ limit: '8mb' }));
+
+  app.get('/api/health', (req, res) => {
+    res.json({ ok: true, aiProvider: aiClient.provider, aiConfigured: aiClient.isConfigured, mailTransport: mailTransport.name, mailConfigured: mailTransport.isConfigured });
+  });
+
+  app.use('/api', createCalendarFeedRouter({ feedStore }));
+  app.use('/api', createLeadFormRouter({ leadFormStore, rateLimiter: formRateLimiter, formRateLimiter: perFormRateLimiter, loadTokens }));
+  app.use('/api/v1', createRestApiRouter({ backend, root, rateLimiter: apiRateLimiter, webhookDispatcher, automation }));
+  // Every saved account change is reported here, so these don't count towards the AI limits
+  app.use('/api/webhooks', authenticate, createOutboundWebhookRouter({ dispatcher: webhookDispatcher, backend, root, rateLimiter: webhookEventRateLimiter }));
+
+  // Mail and automation webhooks have their own limits, so they don't use up a user's AI quota
+  app.use('/api/email', authenticate, mailRateLimiter.middleware, createMailRouter({ transport: mailTransport, from: config.mail.from }));
+  app.use('/api/automation', authenticate, automationRateLimiter.middleware, createWebhookRouter(config.webhooks));
+
+  app.use('/api', authenticate, rateLimiter.middleware, createAIRouter({ aiClient, usageLog }));
+
+  return app;
+};
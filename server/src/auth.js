@@ -0,0 +1,32 @@
+import { getAuth } from 'firebase-admin/auth';
+import { getAdminApp } from './firebaseAdmin';
+
+export const LOCAL_USER = { uid: 'local-user', email: 'local@offline', name: 'Local User' };
+
+// Verifies the Firebase ID token the web app sends as `Authorization: Bearer <token>`.
+// With FIREBASE_AUTH_EMULATOR_HOST set, the Admin SDK accepts emulator tokens.
+export const createAuthMiddleware = (config) => {
+  if (config.authMode === 'none') {
+    return (req, res, next) => {
+      req.user = LOCAL_USER;
+      next();
+    };
+  }
+
+  const auth = getAuth(getAdminApp(config));
+
+  return async (req, res, next) => {
+    const token = (req.headers.authorization || '').match(/^Bearer (.+)$/)?.[1];
+    if (!token) {
+      res.status(401).json({ error: "Missing Firebase ID token." });
+      return;
+    }
+    try {
+      const decoded = await auth.verifyIdToken(token);
+      req.user = { uid: decoded.uid, email: decoded.email || null, name: decoded.name || null };
+      next();
+    } catch (err) {
+      res.status(401).json({ error: "Invalid or expired Firebase ID token." });
+    }
+  };
+};
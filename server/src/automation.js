@@ -0,0 +1,77 @@
+import { runRule } from '../../src/automation/actions';
+import { getTriggeredRules } from '../../src/automation/rules';
+import { createActivitiesRepository } from '../../src/data/activitiesRepository';
+import { createNotificationsRepository } from '../../src/data/notificationsRepository';
+import { createTasksRepository } from '../../src/data/tasksRepository';
+import { formatEmail } from '../../src/email/mergeFields';
+import { callRuleWebhook } from './webhookRoutes';
+
+// Runs automation rules for account changes saved on the server, i.e. REST API writes and web
+// form leads, which no open CRM hears about. The actions are the same ones the CRM runs, done
+// with the writer's access. Overdue follow-up rules stay with the owner's CRM, which checks them
+// for every deal. `forWorkspace` is called per request with the workspace's rules, and its
+// `handleAccountChange(change, accountsRepo)` goes in the accounts repository's onChange.
+export const createServerAutomation = ({ backend, webhooks, mailTransport, mailFrom }) => ({
+  forWorkspace: ({ basePath, access, rules, stages, customFields }) => {
+    // Changes made by a rule's own actions don't trigger more rules, so rules can't loop
+    const inProgress = new Set();
+    let loaded = null;
+
+    // Templates and members are only read once a rule actually runs
+    const loadDeps = (accountsRepo) => {
+      loaded = loaded || Promise.all([
+        backend.list(`${basePath}/emailTemplates`),
+        backend.list(`${basePath}/members`),
+      ]).then(([templates, members]) => {
+        const activitiesRepo = createActivitiesRepository(backend, basePath, access);
+        const canSend = mailTransport.isConfigured && !!mailFrom;
+        return {
+          customFields,
+          templates,
+          members,
+          sender: access,
+          accountsRepo,
+          tasksRepo: createTasksRepository(backend, basePath, access),
+          notificationsRepo: createNotificationsRepository(backend, basePath, access),
+          webhookClient: {
+            send: (url, payload) => callRuleWebhook(webhooks, url, { ...payload, triggeredBy: { uid: access.uid, name: access.displayName || null } }),
+          },
+          // Without a mail transport, email actions leave the owner a draft
+          onSendEmail: canSend ? async (account, email, metadata) => {
+            const from = account.ownerName ? `"${account.ownerName.replace(/"/g, '')}" <${mailFrom}>` : mailFrom;
+            const sent = await mailTransport.send({ from, to: account.contactEmail, subject: email.subject, text: email.body });
+            await activitiesRepo.add(account.id, {
+              type: 'email',
+              text: formatEmail(email),
+              sentiment: null,
+              metadata: { ...metadata, subject: email.subject, to: account.contactEmail, sentVia: 'crm', messageId: sent.messageId || null, transport: mailTransport.name },
+            });
+          } : null,
+          onError: (message) => console.error(message),
+        };
+      });
+      return loaded;
+    };
+
+    return {
+      // The change is already saved, so a failing rule is logged rather than failing the request
+      handleAccountChange: async ({ before, after }, accountsRepo) => {
+        if (inProgress.has(after.id)) return;
+        const triggered = getTriggeredRules(rules, { before, after }, stages);
+        if (triggered.length === 0) return;
+        inProgress.add(after.id);
+        try {
+          const deps = await loadDeps(accountsRepo);
+          let current = after;
+          for (const rule of triggered) {
+            current = await runRule(deps, rule, current);
+          }
+        } catch (err) {
+          console.error(`Failed to run automation rules: ${err.message}`);
+        } finally {
+          inProgress.delete(after.id);
+        }
+      },
+    };
+  },
+});
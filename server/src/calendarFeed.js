@@ -0,0 +1,75 @@
+import express from 'express';
+import { getFirestore } from 'firebase-admin/firestore';
+import { buildCalendarItems } from '../../src/calendar/calendarItems';
+import { buildICS } from '../../src/calendar/ics';
+import { getAdminApp } from './firebaseAdmin';
+
+const TOKEN_PATTERN = /^[a-f0-9]{48}$/;
+
+const withIds = (snapshot) => snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+// Reads a feed owner's follow-ups, expected closes and meetings with the Admin SDK.
+// Feeds only exist for Firestore workspaces; the offline mode keeps its data in the browser.
+export const createFeedStore = (config) => {
+  if (config.authMode === 'none' || !config.firebaseProjectId) {
+    return { isConfigured: false, load: async () => null };
+  }
+  const db = getFirestore(getAdminApp(config));
+  const root = `artifacts/${config.firebaseProjectId}`;
+
+  return {
+    isConfigured: true,
+    load: async (token) => {
+      const feed = await db.doc(`${root}/calendarFeeds/${token}`).get();
+      if (!feed.exists) return null;
+      const { uid, workspaceId } = feed.data();
+      const workspacePath = `${root}/workspaces/${workspaceId}`;
+      const [member, workspace, accounts, meetings, stages] = await Promise.all([
+        db.doc(`${workspacePath}/members/${uid}`).get(),
+        db.doc(workspacePath).get(),
+        db.collection(`${workspacePath}/accounts`).where('ownerId', '==', uid).get(),
+        db.collection(`${workspacePath}/meetings`).where('ownerId', '==', uid).get(),
+        db.collection(`${workspacePath}/stages`).get(),
+      ]);
+      // A feed stops working once its owner leaves the workspace
+      if (!member.exists) return null;
+      return {
+        calendarName: `${workspace.get('name') || 'CRM'} · ${member.get('displayName') || 'Follow-ups'}`,
+        accounts: withIds(accounts).filter(account => !account.deletedAt),
+        meetings: withIds(meetings),
+        stages: withIds(stages),
+      };
+    },
+  };
+};
+
+// Calendar apps cannot send a Firebase ID token, so the feed URL's token is the credential
+// and this router is mounted ahead of the auth middleware.
+export const createCalendarFeedRouter = ({ feedStore }) => {
+  const router = express.Router();
+
+  router.get('/calendar/feeds/:token.ics', async (req, res) => {
+    if (!feedStore.isConfigured) {
+      res.status(503).json({ error: "Calendar feeds need a Firebase project." });
+      return;
+    }
+    if (!TOKEN_PATTERN.test(req.params.token)) {
+      res.status(404).json({ error: "Calendar feed not found." });
+      return;
+    }
+    try {
+      const data = await feedStore.load(req.params.token);
+      if (!data) {
+        res.status(404).json({ error: "Calendar feed not found." });
+        return;
+      }
+      const items = buildCalendarItems(data);
+      res.set('Cache-Control', 'private, max-age=300');
+      res.type('text/calendar').send(buildICS(items, { calendarName: data.calendarName }));
+    } catch (err) {
+      res.status(500).json({ error: "Failed to build calendar feed." });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,91 @@
+import { AI_PROVIDERS } from '../../src/ai/providers';
+
+const number = (value, fallback) => (value !== undefined && value !== '' ? Number(value) : fallback);
+
+// All secrets come from the server environment; nothing here is sent to the browser
+export const loadConfig = (env) => {
+  const provider = env.AI_PROVIDER || 'gemini';
+  const defaults = AI_PROVIDERS[provider] || {};
+  return {
+    port: number(env.PORT, 8787),
+    allowedOrigins: (env.ALLOWED_ORIGINS || 'http://localhost:3000').split(',').map(origin => origin.trim()).filter(Boolean),
+    // 'firebase' verifies ID tokens; 'none' trusts every caller and is only for the offline local mode
+    authMode: env.AUTH_MODE || 'firebase',
+    firebaseProjectId: env.FIREBASE_PROJECT_ID || env.GCLOUD_PROJECT || '',
+    ai: {
+      provider,
+      model: env.AI_MODEL || defaults.model,
+      baseUrl: (env.AI_BASE_URL || defaults.baseUrl || '').replace(/\/$/, ''),
+      apiKey: env.AI_API_KEY || '',
+      timeoutMs: number(env.AI_TIMEOUT_MS, 30000),
+      maxRetries: number(env.AI_MAX_RETRIES, 2),
+    },
+    rateLimits: {
+      perMinute: number(env.RATE_LIMIT_PER_MINUTE, 20),
+      perDay: number(env.RATE_LIMIT_PER_DAY, 500),
+    },
+    usageLogPath: env.USAGE_LOG_PATH || 'usage.log',
+    // 'smtp' | 'http' | 'none'; MailHog listens for SMTP on localhost:1025 with no auth
+    mail: {
+      transport: env.MAIL_TRANSPORT || 'none',
+      rateLimits: {
+        perMinute: number(env.MAIL_RATE_LIMIT_PER_MINUTE, 10),
+        perDay: number(env.MAIL_RATE_LIMIT_PER_DAY, 200),
+        message: "Email sending limit reached. Try again later.",
+      },
+      from: env.MAIL_FROM || '',
+      smtp: {
+        host: env.SMTP_HOST || 'localhost',
+        port: number(env.SMTP_PORT, 1025),
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER || '',
+        pass: env.SMTP_PASS || '',
+      },
+      http: {
+        url: env.MAIL_API_URL || 'https://api.resend.com/emails',
+        apiKey: env.MAIL_API_KEY || '',
+      },
+    },
+    // Public web lead forms, limited per visitor IP address and, against spam from many
+    // addresses, per form
+    leadForms: {
+      rateLimits: {
+        perMinute: number(env.LEAD_FORM_RATE_LIMIT_PER_MINUTE, 5),
+        perDay: number(env.LEAD_FORM_RATE_LIMIT_PER_DAY, 50),
+      },
+      formRateLimits: {
+        perMinute: number(env.LEAD_FORM_RATE_LIMIT_PER_FORM_PER_MINUTE, 30),
+        perDay: number(env.LEAD_FORM_RATE_LIMIT_PER_FORM_PER_DAY, 1000),
+      },
+      // Signs the load tokens that forms must send back; set it when running several instances
+      tokenSecret: env.LEAD_FORM_TOKEN_SECRET || '',
+    },
+    // Outbound calls made by automation rules' webhook actions and webhook subscriptions
+    webhooks: {
+      timeoutMs: number(env.WEBHOOK_TIMEOUT_MS, 10000),
+      allowPrivateHosts: env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true',
+      // Failed deliveries wait retryBaseMs, then 4x longer before each further attempt
+      maxAttempts: number(env.WEBHOOK_MAX_ATTEMPTS, 5),
+      retryBaseMs: number(env.WEBHOOK_RETRY_BASE_MS, 30000),
+      // Automation rules' webhook calls per user
+      rateLimits: {
+        perMinute: number(env.AUTOMATION_WEBHOOK_RATE_LIMIT_PER_MINUTE, 30),
+        perDay: number(env.AUTOMATION_WEBHOOK_RATE_LIMIT_PER_DAY, 1000),
+        message: "Automation webhook limit reached. Try again later.",
+      },
+      // Saved account changes each user can report; bulk edits report one per account
+      eventRateLimits: {
+        perMinute: number(env.WEBHOOK_EVENT_RATE_LIMIT_PER_MINUTE, 300),
+        perDay: number(env.WEBHOOK_EVENT_RATE_LIMIT_PER_DAY, 10000),
+        message: "Too many account changes reported. Try again later.",
+      },
+    },
+    // The REST API at /api/v1, limited per API token
+    api: {
+      rateLimits: {
+        perMinute: number(env.API_RATE_LIMIT_PER_MINUTE, 60),
+        perDay: number(env.API_RATE_LIMIT_PER_DAY, 10000),
+      },
+    },
+  };
+};
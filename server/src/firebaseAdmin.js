@@ -0,0 +1,16 @@
+import { initializeApp, applicationDefault } from 'firebase-admin/app';
+
+let adminApp = null;
+
+// One Admin SDK app for the whole server. With FIREBASE_AUTH_EMULATOR_HOST or
+// FIRESTORE_EMULATOR_HOST set, no credentials are needed.
+export const getAdminApp = (config) => {
+  if (!adminApp) {
+    const usesEmulator = process.env.FIREBASE_AUTH_EMULATOR_HOST || process.env.FIRESTORE_EMULATOR_HOST;
+    adminApp = initializeApp({
+      ...(usesEmulator ? {} : { credential: applicationDefault() }),
+      projectId: config.firebaseProjectId || undefined,
+    });
+  }
+  return adminApp;
+};
@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import express from 'express';
+import { FieldValue } from 'firebase-admin/firestore';
+import { Timestamp } from 'firebase/firestore';
+import { upgradeRuleFields } from '../../src/automation/rules';
+import { createAccountsRepository } from '../../src/data/accountsRepository';
+import { createActivitiesRepository } from '../../src/data/activitiesRepository';
+import { createNotificationsRepository } from '../../src/data/notificationsRepository';
+import { findDuplicate, getDuplicateKeys } from '../../src/importExport/accountFields';
+import { LOAD_TOKEN_FIELD, getLeadFormStage, isLikelySpam, parseSubmission, renderErrors, renderLeadFormHtml, renderLeadFormPage, renderMessage } from '../../src/leadForms/leadForms';
+import { DEFAULT_STAGES } from '../../src/pipeline/stages';
+import { getAccountEvents } from '../../src/webhooks/events';
+
+const FORM_ID_PATTERN = /^[a-f0-9]{24}$/;
+
+// Saves web form submissions through the shared repositories over the Admin SDK backend, so
+// they get the same stage history, audit log, webhooks and automation rules as accounts added
+// in the CRM. A
+// submission from someone already in the CRM is added to their account as a note instead of
+// creating a second account.
+export const createLeadFormStore = (config, { backend, webhookDispatcher, automation } = {}) => {
+  if (!backend) {
+    return { isConfigured: false, load: async () => null, submit: async () => null };
+  }
+  const root = `artifacts/${config.firebaseProjectId}`;
+
+  // Equality queries on the stored duplicate keys, so a submission never reads the whole
+  // pipeline. Accounts saved before the keys existed are still found by their exact name or email.
+  const findExisting = async (accountsPath, account) => {
+    const keys = getDuplicateKeys(account);
+    const lookups = [
+      ['companyNameKey', keys.companyNameKey],
+      ['contactEmailKey', keys.contactEmailKey],
+      ['companyName', account.companyName],
+      ['contactEmail', account.contactEmail],
+    ].filter(([, value]) => value);
+    const matches = await Promise.all(lookups.map(([field, value]) => backend.list(accountsPath, { filters: [[field, '==', value]], pageSize: 5 })));
+    const candidates = matches.flat().filter(existing => !existing.deletedAt);
+    return findDuplicate(account, candidates);
+  };
+
+  return {
+    isConfigured: true,
+
+    load: (formId) => backend.get(`${root}/leadForms`, formId),
+
+    submit: async (form, { account, message, utm, page }) => {
+      const workspacePath = `${root}/workspaces/${form.workspaceId}`;
+      const [duplicate, stageList, customFields, rules] = await Promise.all([
+        findExisting(`${workspacePath}/accounts`, account),
+        backend.list(`${workspacePath}/stages`, { sortBy: 'order' }),
+        backend.list(`${workspacePath}/customFields`),
+        backend.list(`${workspacePath}/automationRules`),
+      ]);
+      const stages = stageList.length > 0 ? stageList : DEFAULT_STAGES;
+      // The form writes as itself, with a manager's reach so it can file leads under their owner
+      const access = { uid: null, displayName: form.name, role: 'manager' };
+      const rulesRunner = automation?.forWorkspace({ basePath: workspacePath, access, rules: rules.map(upgradeRuleFields), stages, customFields });
+      const accountsRepo = createAccountsRepository(backend, workspacePath, access, {
+        onChange: async (change) => {
+          if (webhookDispatcher) {
+            await webhookDispatcher.dispatch(form.workspaceId, getAccountEvents(change, stages), change.after)
+              .catch(err => console.error(`Failed to queue webhooks: ${err.message}`));
+          }
+          if (rulesRunner) await rulesRunner.handleAccountChange(change, accountsRepo);
+        },
+      });
+      const activitiesRepo = createActivitiesRepository(backend, workspacePath, access);
+      const notificationsRepo = createNotificationsRepository(backend, workspacePath, access);
+      const metadata = { leadFormId: form.id, utm, page };
+      const note = { text: message ? `Web form message:\n\n${message}` : 'Submitted the web form.', metadata };
+      await backend.update(`${root}/leadForms`, form.id, { submissionCount: FieldValue.increment(1), lastSubmittedAt: Timestamp.now() });
+
+      if (duplicate) {
+        await activitiesRepo.add(duplicate.id, { ...note, metadata: { ...metadata, duplicateSubmission: true } });
+        await notificationsRepo.create({ recipientId: duplicate.ownerId, title: `${duplicate.companyName} submitted ${form.name} again`, body: form.name, accountId: duplicate.id, source: 'web_form' });
+        return { accountId: duplicate.id, duplicate: true };
+      }
+
+      const ownerId = form.ownerId || form.createdBy;
+      const stage = getLeadFormStage(stages, form.stageId).name;
+      const accountId = await accountsRepo.create({ ...account, utm, leadFormId: form.id, ownerId, ownerName: form.ownerName || '' }, stage, { source: 'web_form' });
+      await activitiesRepo.add(accountId, note);
+      await notificationsRepo.create({ recipientId: ownerId, title: `New web lead: ${account.companyName}`, body: form.name, accountId, source: 'web_form' });
+      return { accountId, duplicate: false };
+    },
+  };
+};
+
+// Load tokens older than this are rejected, so harvested tokens can't be replayed for long
+const LOAD_TOKEN_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Signs when a form was loaded, so submissions prove they came from a loaded form and the
+// fill time can't be forged. Without a configured secret tokens last until the server restarts.
+export const createLoadTokens = (secret = crypto.randomBytes(32).toString('hex'), now = () => Date.now()) => {
+  const sign = (formId, issuedAt) => crypto.createHmac('sha256', secret).update(`${formId}.${issuedAt}`).digest('hex');
+  return {
+    issue: (formId) => {
+      const issuedAt = now();
+      return `${issuedAt}.${sign(formId, issuedAt)}`;
+    },
+    // Returns when the token was issued, or null when it is missing, forged or expired
+    verify: (formId, token) => {
+      const [issuedAt, signature] = String(token ?? '').split('.');
+      const expected = sign(formId, issuedAt);
+      if (!/^\d+$/.test(issuedAt) || !signature || signature.length !== expected.length) return null;
+      if (!crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) return null;
+      const loadedAt = Number(issuedAt);
+      return now() - loadedAt <= LOAD_TOKEN_MAX_AGE_MS ? loadedAt : null;
+    },
+  };
+};
+
+const sendPage = (res, status, title, body) => res.status(status).type('html').send(renderLeadFormPage(title, body));
+
+// Visitors' browsers post the form straight here without a Firebase ID token, so this
+// router is mounted ahead of the auth middleware and limited per IP address and per form instead.
+export const createLeadFormRouter = ({ leadFormStore, rateLimiter, formRateLimiter, loadTokens }) => {
+  const router = express.Router();
+
+  const loadForm = async (req, res) => {
+    if (!leadFormStore.isConfigured) {
+      sendPage(res, 503, 'Form unavailable', renderMessage("Web forms need a Firebase project."));
+      return null;
+    }
+    const form = FORM_ID_PATTERN.test(req.params.formId) ? await leadFormStore.load(req.params.formId) : null;
+    if (!form || !form.enabled) {
+      sendPage(res, 404, 'Form not found', renderMessage("This form doesn't exist or is no longer accepting responses."));
+      return null;
+    }
+    return form;
+  };
+
+  router.get('/forms/:formId', async (req, res) => {
+    try {
+      const form = await loadForm(req, res);
+      if (form) sendPage(res, 200, form.name, renderLeadFormHtml(form, req.originalUrl.split('?')[0]));
+    } catch (err) {
+      sendPage(res, 500, 'Something went wrong', renderMessage("Failed to load the form."));
+    }
+  });
+
+  // Embedded forms fetch their load token from whatever site they are on
+  router.get('/forms/:formId/token', (req, res) => {
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Cache-Control', 'no-store');
+    if (!FORM_ID_PATTERN.test(req.params.formId)) {
+      res.status(404).json({ error: "Form not found" });
+      return;
+    }
+    res.json({ token: loadTokens.issue(req.params.formId) });
+  });
+
+  router.post('/forms/:formId', express.urlencoded({ extended: false, limit: '64kb' }), async (req, res) => {
+    const ipLimit = rateLimiter.check(`form:${req.ip}`);
+    const limit = ipLimit.allowed ? formRateLimiter.check(`form:${req.params.formId}`) : ipLimit;
+    if (!limit.allowed) {
+      res.set('Retry-After', String(Math.ceil(limit.retryAfterMs / 1000)));
+      sendPage(res, 429, 'Too many submissions', renderMessage("Please wait a moment and try again."));
+      return;
+    }
+    try {
+      const form = await loadForm(req, res);
+      if (!form) return;
+      const thanks = () => (form.redirectUrl
+        ? res.redirect(303, form.redirectUrl)
+        : sendPage(res, 200, form.name, renderMessage(form.successMessage || "Thanks! We'll be in touch shortly.")));
+      // Bots get the same thank-you as people so they can't tell they were filtered
+      const body = req.body || {};
+      if (isLikelySpam(body, loadTokens.verify(form.id, body[LOAD_TOKEN_FIELD]))) {
+        thanks();
+        return;
+      }
+      const submission = parseSubmission(form, body);
+      if (submission.errors.length > 0) {
+        sendPage(res, 422, form.name, renderErrors(submission.errors));
+        return;
+      }
+      await leadFormStore.submit(form, submission);
+      thanks();
+    } catch (err) {
+      sendPage(res, 500, 'Something went wrong', renderMessage("Failed to send the form. Please try again later."));
+    }
+  });
+
+  return router;
+};
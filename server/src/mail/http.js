@@ -0,0 +1,16 @@
+// JSON mail APIs in the shape Resend uses: POST { from, to, reply_to, subject, text }
+// with a bearer key, answering { id }. Point MAIL_API_URL at a compatible endpoint.
+export const createHttpTransport = ({ url, apiKey, fetchImpl = fetch }) => ({
+  name: 'http',
+  isConfigured: !!(url && apiKey),
+  send: async ({ from, to, replyTo, subject, text }) => {
+    const response = await fetchImpl(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${apiKey}` },
+      body: JSON.stringify({ from, to: [to], ...(replyTo ? { reply_to: replyTo } : {}), subject, text }),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.message || data.error || `Mail API responded with ${response.status}`);
+    return { messageId: data.id || data.messageId || null };
+  },
+});
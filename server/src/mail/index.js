@@ -0,0 +1,21 @@
+import { createHttpTransport } from './http';
+import { createSmtpTransport } from './smtp';
+
+const disabledTransport = {
+  name: 'none',
+  isConfigured: false,
+  send: async () => {
+    throw new Error("Email sending is not configured on the server. Set MAIL_TRANSPORT.");
+  },
+};
+
+export const createMailTransport = (config) => {
+  switch (config.transport) {
+    case 'smtp':
+      return createSmtpTransport(config.smtp);
+    case 'http':
+      return createHttpTransport(config.http);
+    default:
+      return disabledTransport;
+  }
+};
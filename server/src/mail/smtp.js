@@ -0,0 +1,20 @@
+import nodemailer from 'nodemailer';
+
+// Any SMTP server works; MailHog or Mailpit on localhost:1025 catch mail during development
+export const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user ? { auth: { user, pass } } : {}),
+  });
+
+  return {
+    name: 'smtp',
+    isConfigured: !!host,
+    send: async ({ from, to, replyTo, subject, text }) => {
+      const info = await transporter.sendMail({ from, to, replyTo, subject, text });
+      return { messageId: info.messageId };
+    },
+  };
+};
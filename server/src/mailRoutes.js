@@ -0,0 +1,44 @@
+import express from 'express';
+import { validateSchema } from '../../src/ai/schema';
+
+const EMAIL_PATTERN = /^[^\s@<>,]+@[^\s@<>,]+\.[^\s@<>,]+$/;
+
+const sendSchema = {
+  type: 'object',
+  required: ['to', 'subject', 'body'],
+  properties: {
+    to: { type: 'string', maxLength: 320 },
+    subject: { type: 'string', maxLength: 300 },
+    body: { type: 'string', maxLength: 50000 },
+  },
+};
+
+// Mail goes out from the configured sender address; replies go to the signed-in user
+export const createMailRouter = ({ transport, from }) => {
+  const router = express.Router();
+
+  router.post('/send', async (req, res) => {
+    const errors = validateSchema(req.body, sendSchema, 'body');
+    if (errors.length === 0 && !EMAIL_PATTERN.test(req.body.to)) errors.push('body.to is not an email address');
+    if (errors.length === 0 && !req.body.subject.trim()) errors.push('body.subject is empty');
+    if (errors.length > 0) {
+      res.status(400).json({ error: `Invalid request: ${errors.join('; ')}` });
+      return;
+    }
+    if (!transport.isConfigured || !from) {
+      res.status(503).json({ error: "Email sending is not configured on the server." });
+      return;
+    }
+
+    const { to, subject, body } = req.body;
+    const sender = req.user.name ? `"${req.user.name.replace(/"/g, '')}" <${from}>` : from;
+    try {
+      const { messageId } = await transport.send({ from: sender, to, replyTo: req.user.email || undefined, subject, text: body });
+      res.json({ messageId, transport: transport.name, sentAt: new Date().toISOString() });
+    } catch (err) {
+      res.status(502).json({ error: `The mail server rejected the message: ${err.message}` });
+    }
+  });
+
+  return router;
+};
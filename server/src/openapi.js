@@ -0,0 +1,125 @@
+import { ACCOUNT_FIELDS } from '../../src/importExport/accountFields';
+import { WEBHOOK_EVENTS } from '../../src/webhooks/events';
+
+const TYPES = { number: { type: 'number' }, date: { type: 'string', format: 'date' }, email: { type: 'string', format: 'email' }, tags: { type: 'array', items: { type: 'string' } } };
+
+const accountInput = {
+  type: 'object',
+  properties: {
+    ...Object.fromEntries(ACCOUNT_FIELDS.filter(field => field.type !== 'notes').map(field => [
+      field.key,
+      { ...(TYPES[field.type] || { type: 'string' }), ...(field.options ? { enum: field.options } : {}), description: field.type === 'stage' ? 'Stage name, e.g. "Qualified"' : field.label },
+    ])),
+    ownerId: { type: 'string', description: 'Member uid; only manager-level tokens may assign accounts to someone else' },
+    customFields: { type: 'object', additionalProperties: true, description: 'Custom field values keyed by field id' },
+  },
+};
+
+const account = {
+  allOf: [accountInput, {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      ownerName: { type: 'string' },
+      dealScore: { type: 'number' },
+      stageEnteredAt: { type: 'string', format: 'date-time' },
+      createdAt: { type: 'string', format: 'date-time' },
+      lastActivityAt: { type: 'string', format: 'date-time', nullable: true },
+    },
+  }],
+};
+
+const error = { type: 'object', properties: { error: { type: 'string' } } };
+const json = (schema) => ({ content: { 'application/json': { schema } } });
+const errors = {
+  400: { description: 'Invalid request', ...json(error) },
+  401: { description: 'Missing, invalid or revoked API token', ...json(error) },
+  403: { description: "The token's role may not do this", ...json(error) },
+  404: { description: 'Not found, or in the trash', ...json(error) },
+  429: { description: 'Rate limit reached; see Retry-After', ...json(error) },
+};
+const accountId = { name: 'accountId', in: 'path', required: true, schema: { type: 'string' } };
+const missingFields = {
+  description: "The target stage's automation rules require fields the account doesn't have",
+  ...json({ type: 'object', properties: { error: { type: 'string' }, missingFields: { type: 'array', items: { type: 'string' } } } }),
+};
+
+// Served at /api/v1/openapi.json; the authoritative list of what the REST API accepts
+export const openApiSpec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'VitalPulse CRM API',
+    version: '1.0.0',
+    description: 'Create API tokens under API & Webhooks in the CRM and send them as `Authorization: Bearer crm_...`. '
+      + "Account writes run the workspace's automation rules like changes made in the CRM; overdue follow-up rules run from the owner's CRM. "
+      + 'Outbound webhooks POST JSON events signed with `X-CRM-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the webhook secret>`. '
+      + `Events: ${WEBHOOK_EVENTS.map(event => event.value).join(', ')}.`,
+  },
+  servers: [{ url: '/api/v1' }],
+  security: [{ apiToken: [] }],
+  components: {
+    securitySchemes: { apiToken: { type: 'http', scheme: 'bearer' } },
+    schemas: { AccountInput: accountInput, Account: account, Error: error },
+  },
+  paths: {
+    '/accounts': {
+      get: {
+        summary: 'List accounts, newest first',
+        parameters: [
+          { name: 'stage', in: 'query', schema: { type: 'string' } },
+          { name: 'ownerId', in: 'query', schema: { type: 'string' } },
+          { name: 'limit', in: 'query', schema: { type: 'integer', default: 100, maximum: 500 } },
+          { name: 'offset', in: 'query', schema: { type: 'integer', default: 0 } },
+        ],
+        responses: {
+          200: { description: 'A page of accounts', ...json({ type: 'object', properties: { data: { type: 'array', items: { $ref: '#/components/schemas/Account' } }, total: { type: 'integer' }, limit: { type: 'integer' }, offset: { type: 'integer' } } }) },
+          401: errors[401],
+          429: errors[429],
+        },
+      },
+      post: {
+        summary: 'Create an account; it starts in the first stage unless `stage` is given',
+        requestBody: { required: true, ...json({ allOf: [{ $ref: '#/components/schemas/AccountInput' }, { required: ['companyName'] }] }) },
+        responses: { 201: { description: 'Created', ...json({ $ref: '#/components/schemas/Account' }) }, 400: errors[400], 401: errors[401], 403: errors[403], 422: missingFields, 429: errors[429] },
+      },
+    },
+    '/accounts/{accountId}': {
+      parameters: [accountId],
+      get: {
+        summary: 'Get an account',
+        responses: { 200: { description: 'The account', ...json({ $ref: '#/components/schemas/Account' }) }, 401: errors[401], 404: errors[404], 429: errors[429] },
+      },
+      patch: {
+        summary: 'Change some of an account\'s fields',
+        requestBody: { required: true, ...json({ $ref: '#/components/schemas/AccountInput' }) },
+        responses: { 200: { description: 'The updated account', ...json({ $ref: '#/components/schemas/Account' }) }, 400: errors[400], 401: errors[401], 403: errors[403], 404: errors[404], 422: missingFields, 429: errors[429] },
+      },
+      delete: {
+        summary: 'Move an account to the trash',
+        responses: { 204: { description: 'Moved to the trash' }, 401: errors[401], 403: errors[403], 404: errors[404], 429: errors[429] },
+      },
+    },
+    '/accounts/{accountId}/notes': {
+      parameters: [accountId],
+      post: {
+        summary: 'Add a note to the account\'s timeline',
+        requestBody: { required: true, ...json({ type: 'object', required: ['text'], properties: { text: { type: 'string' }, sentiment: { type: 'string', enum: ['Positive', 'Neutral', 'Negative'] } } }) },
+        responses: { 201: { description: 'The note', ...json({ type: 'object' }) }, 400: errors[400], 401: errors[401], 403: errors[403], 404: errors[404], 429: errors[429] },
+      },
+    },
+    '/accounts/{accountId}/stage': {
+      parameters: [accountId],
+      post: {
+        summary: 'Move an account to another stage, by stage name or id',
+        requestBody: { required: true, ...json({ type: 'object', required: ['stage'], properties: { stage: { type: 'string' } } }) },
+        responses: { 200: { description: 'The moved account', ...json({ $ref: '#/components/schemas/Account' }) }, 400: errors[400], 401: errors[401], 403: errors[403], 404: errors[404], 422: missingFields, 429: errors[429] },
+      },
+    },
+    '/stages': {
+      get: {
+        summary: 'List the pipeline stages',
+        responses: { 200: { description: 'Stages in board order', ...json({ type: 'object' }) }, 401: errors[401], 429: errors[429] },
+      },
+    },
+  },
+};
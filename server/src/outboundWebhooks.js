@@ -0,0 +1,262 @@
+import crypto from 'crypto';
+import express from 'express';
+import { Timestamp } from 'firebase/firestore';
+import { fetch } from 'undici';
+import { validateSchema } from '../../src/ai/schema';
+import { buildEventPayload, getAuditEntryEvents, isEventConsistent } from '../../src/webhooks/events';
+import { checkWebhookUrl } from './webhookRoutes';
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+// Receivers check `X-CRM-Signature: t=<unix seconds>,v1=<hex>` by computing the same
+// HMAC over "<t>.<raw body>" with the webhook's secret, and rejecting old timestamps
+export const signPayload = (secret, timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// Timeouts, rate limiting and server errors are worth retrying; other 4xx answers are not
+const isRetryableStatus = (status) => status === 408 || status === 429 || status >= 500;
+
+// Sends account events to the workspace's webhook subscriptions and logs every delivery.
+// Failed deliveries are retried with exponential backoff. Retries wait in memory, like the
+// rate limiter's counters, so a restart drops them; the log shows them and admins can
+// redeliver from there.
+export const createWebhookDispatcher = ({ backend, root, timeoutMs, allowPrivateHosts, maxAttempts, retryBaseMs, fetchImpl = fetch, schedule = setTimeout }) => {
+  if (!backend) {
+    return { isConfigured: false, dispatch: async () => [], sendTest: async () => null, redeliver: async () => null };
+  }
+  const workspacePath = (workspaceId) => `${root}/workspaces/${workspaceId}`;
+  const deliveriesPath = (workspaceId) => `${workspacePath(workspaceId)}/webhookDeliveries`;
+
+  const send = async (webhook, delivery) => {
+    const { url, errors, dispatcher } = await checkWebhookUrl(webhook.url, allowPrivateHosts);
+    if (!url) return { ok: false, retryable: false, error: errors.join('; ') };
+    const timestamp = Math.floor(Date.now() / 1000);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await fetchImpl(url.toString(), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'VitalPulseCRM-Webhooks/1.0',
+          'X-CRM-Event': delivery.event,
+          'X-CRM-Delivery': delivery.id,
+          'X-CRM-Signature': `t=${timestamp},v1=${signPayload(webhook.secret, timestamp, delivery.body)}`,
+        },
+        body: delivery.body,
+        redirect: 'manual',
+        signal: controller.signal,
+        dispatcher,
+      });
+      if (response.ok) return { ok: true, status: response.status };
+      return { ok: false, status: response.status, retryable: isRetryableStatus(response.status), error: `The webhook responded with ${response.status}.` };
+    } catch (err) {
+      const timedOut = err.name === 'AbortError';
+      return { ok: false, retryable: true, error: timedOut ? "The webhook did not respond in time." : `Could not reach the webhook: ${err.message}` };
+    } finally {
+      clearTimeout(timer);
+      dispatcher?.destroy();
+    }
+  };
+
+  // Each attempt uses the webhook's current URL and secret, so a rotated secret applies to retries.
+  // A retry only goes ahead if nothing (e.g. a manual redelivery) attempted it in the meantime.
+  const attempt = async (workspaceId, deliveryId, afterAttemptAt) => {
+    const path = deliveriesPath(workspaceId);
+    const delivery = await backend.get(path, deliveryId);
+    if (!delivery || (afterAttemptAt !== undefined && delivery.lastAttemptAt?.toMillis() !== afterAttemptAt)) return;
+    const webhook = await backend.get(`${workspacePath(workspaceId)}/webhooks`, delivery.webhookId);
+    const attempts = (delivery.attempts || 0) + 1;
+    const result = webhook && webhook.enabled
+      ? await send(webhook, delivery)
+      : { ok: false, retryable: false, error: "The webhook was deleted or paused." };
+    const retry = !result.ok && result.retryable && attempts < maxAttempts;
+    const delayMs = retryBaseMs * 4 ** (attempts - 1);
+    const now = Timestamp.now();
+    await backend.update(path, deliveryId, {
+      status: result.ok ? 'delivered' : (retry ? 'retrying' : 'failed'),
+      attempts,
+      responseStatus: result.status ?? null,
+      error: result.error || null,
+      lastAttemptAt: now,
+      nextAttemptAt: retry ? Timestamp.fromMillis(now.toMillis() + delayMs) : null,
+      deliveredAt: result.ok ? now : null,
+    });
+    if (retry) schedule(() => run(workspaceId, deliveryId, now.toMillis()), delayMs);
+  };
+
+  const run = (workspaceId, deliveryId, afterAttemptAt) => attempt(workspaceId, deliveryId, afterAttemptAt).catch((err) => {
+    console.error(`Webhook delivery ${deliveryId} failed: ${err.message}`);
+  });
+
+  const queue = async (workspaceId, webhook, payload, accountId = null) => {
+    const deliveryId = await backend.add(deliveriesPath(workspaceId), {
+      webhookId: webhook.id,
+      url: webhook.url,
+      event: payload.type,
+      eventId: payload.id,
+      accountId,
+      body: JSON.stringify(payload),
+      status: 'pending',
+      attempts: 0,
+      createdAt: Timestamp.now(),
+    });
+    schedule(() => run(workspaceId, deliveryId), 0);
+    return deliveryId;
+  };
+
+  return {
+    isConfigured: true,
+
+    // Resolves once the deliveries are logged; sending happens in the background
+    dispatch: async (workspaceId, types, account, { previousStage } = {}) => {
+      if (types.length === 0) return [];
+      const webhooks = await backend.list(`${workspacePath(workspaceId)}/webhooks`, { filters: [['enabled', '==', true]] });
+      const queued = [];
+      for (const type of types) {
+        const subscribed = webhooks.filter(webhook => (webhook.events || []).includes(type));
+        if (subscribed.length === 0) continue;
+        const payload = buildEventPayload({ id: randomId('evt'), type, workspaceId, account, previousStage });
+        for (const webhook of subscribed) {
+          queued.push(await queue(workspaceId, webhook, payload, account.id));
+        }
+      }
+      return queued;
+    },
+
+    // A `ping` event, so admins can check the receiving end and its signature check
+    sendTest: async (workspaceId, webhookId) => {
+      const webhook = await backend.get(`${workspacePath(workspaceId)}/webhooks`, webhookId);
+      if (!webhook) return null;
+      const payload = { id: randomId('evt'), type: 'ping', createdAt: new Date().toISOString(), workspaceId, data: { webhookId } };
+      const deliveryId = await backend.add(deliveriesPath(workspaceId), {
+        webhookId, url: webhook.url, event: 'ping', eventId: payload.id, accountId: null, body: JSON.stringify(payload), status: 'pending', attempts: 0, createdAt: Timestamp.now(),
+      });
+      await attempt(workspaceId, deliveryId);
+      return backend.get(deliveriesPath(workspaceId), deliveryId);
+    },
+
+    // Sends the same body again with a fresh signature and a new round of retries
+    redeliver: async (workspaceId, deliveryId) => {
+      const path = deliveriesPath(workspaceId);
+      if (!await backend.get(path, deliveryId)) return null;
+      await backend.update(path, deliveryId, { status: 'pending', attempts: 0, nextAttemptAt: null });
+      await attempt(workspaceId, deliveryId);
+      return backend.get(path, deliveryId);
+    },
+  };
+};
+
+const eventsSchema = {
+  type: 'object',
+  required: ['workspaceId', 'accountId'],
+  properties: {
+    workspaceId: { type: 'string', maxLength: 200 },
+    accountId: { type: 'string', maxLength: 200 },
+  },
+};
+
+// The REST API and web forms send the events for their own writes
+const SERVER_SOURCES = ['api', 'web_form'];
+
+// Change log entries looked at per report; more than one browser write between two reports is rare
+const AUDIT_ENTRIES_CHECKED = 20;
+
+const workspaceSchema = {
+  type: 'object',
+  required: ['workspaceId'],
+  properties: { workspaceId: { type: 'string', maxLength: 200 } },
+};
+
+const toDeliveryJson = ({ id, event, status, attempts, responseStatus, error }) => ({ id, event, status, attempts, responseStatus, error });
+
+// The web app reports which account it saved a change to. The server builds the events from
+// that member's new entries in the account's change log, and remembers per member and account
+// which entries it has sent, so reporting the same change again sends nothing.
+export const createOutboundWebhookRouter = ({ dispatcher, backend, root, rateLimiter }) => {
+  const router = express.Router();
+
+  const getMember = (workspaceId, uid) => backend.get(`${root}/workspaces/${workspaceId}/members`, uid);
+
+  const checkRequest = async (req, res, schema, roles) => {
+    const errors = validateSchema(req.body, schema, 'body');
+    if (errors.length > 0) {
+      res.status(400).json({ error: `Invalid request: ${errors.join('; ')}` });
+      return false;
+    }
+    if (!dispatcher.isConfigured) {
+      res.status(503).json({ error: "Outbound webhooks need a Firebase project." });
+      return false;
+    }
+    const member = await getMember(req.body.workspaceId, req.user.uid);
+    if (!member || (roles && !roles.includes(member.role))) {
+      res.status(403).json({ error: roles ? "Only admins can manage webhooks." : "You are not a member of this workspace." });
+      return false;
+    }
+    return true;
+  };
+
+  router.post('/events', rateLimiter.middleware, async (req, res) => {
+    try {
+      if (!await checkRequest(req, res, eventsSchema)) return;
+      const { workspaceId, accountId } = req.body;
+      const basePath = `${root}/workspaces/${workspaceId}`;
+      const statePath = `${basePath}/webhookEventState`;
+      const stateId = `${accountId}_${req.user.uid}`;
+      const [account, stages, state, entries] = await Promise.all([
+        backend.get(`${basePath}/accounts`, accountId),
+        backend.list(`${basePath}/stages`),
+        backend.get(statePath, stateId),
+        backend.list(`${basePath}/accounts/${accountId}/auditLog`, { sortBy: 'createdAt', direction: 'desc', pageSize: AUDIT_ENTRIES_CHECKED }),
+      ]);
+      const own = entries.filter(entry => entry.changedBy === req.user.uid && !SERVER_SOURCES.includes(entry.source));
+      if (!account || own.length === 0) {
+        res.status(202).json({ queued: 0 });
+        return;
+      }
+      // A member's first report for an account only covers their latest change, not their whole history
+      const sent = new Set(state?.sentEntryIds || []);
+      const fresh = (state ? own.filter(entry => !sent.has(entry.id)) : own.slice(0, 1)).reverse();
+      await backend.set(statePath, stateId, { sentEntryIds: own.map(entry => entry.id), updatedAt: Timestamp.now() });
+
+      let queued = 0;
+      for (const entry of fresh) {
+        const { types, previousStage } = getAuditEntryEvents(entry, account, stages);
+        const consistent = types.filter(type => isEventConsistent(type, account, stages));
+        if (consistent.length > 0) queued += (await dispatcher.dispatch(workspaceId, consistent, account, { previousStage })).length;
+      }
+      res.status(202).json({ queued });
+    } catch (err) {
+      res.status(500).json({ error: "Failed to queue webhook events." });
+    }
+  });
+
+  router.post('/:webhookId/test', async (req, res) => {
+    try {
+      if (!await checkRequest(req, res, workspaceSchema, ['admin'])) return;
+      const delivery = await dispatcher.sendTest(req.body.workspaceId, req.params.webhookId);
+      if (!delivery) {
+        res.status(404).json({ error: "Webhook not found." });
+        return;
+      }
+      res.json(toDeliveryJson(delivery));
+    } catch (err) {
+      res.status(500).json({ error: "Failed to send the test event." });
+    }
+  });
+
+  router.post('/deliveries/:deliveryId/redeliver', async (req, res) => {
+    try {
+      if (!await checkRequest(req, res, workspaceSchema, ['admin'])) return;
+      const delivery = await dispatcher.redeliver(req.body.workspaceId, req.params.deliveryId);
+      if (!delivery) {
+        res.status(404).json({ error: "Delivery not found." });
+        return;
+      }
+      res.json(toDeliveryJson(delivery));
+    } catch (err) {
+      res.status(500).json({ error: "Failed to redeliver the event." });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,36 @@
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Fixed-window counters per user, kept in memory. One server instance is enough
+// for this app; a shared store would be needed to run several.
+export const createRateLimiter = ({ perMinute, perDay, message = "AI usage limit reached. Try again later." }, now = () => Date.now()) => {
+  const windows = new Map();
+
+  const check = (uid) => {
+    const time = now();
+    const entry = windows.get(uid) || { minuteStart: time, minuteCount: 0, dayStart: time, dayCount: 0 };
+    if (time - entry.minuteStart >= MINUTE) Object.assign(entry, { minuteStart: time, minuteCount: 0 });
+    if (time - entry.dayStart >= DAY) Object.assign(entry, { dayStart: time, dayCount: 0 });
+
+    if (entry.minuteCount >= perMinute) return { allowed: false, retryAfterMs: entry.minuteStart + MINUTE - time };
+    if (entry.dayCount >= perDay) return { allowed: false, retryAfterMs: entry.dayStart + DAY - time };
+
+    entry.minuteCount += 1;
+    entry.dayCount += 1;
+    windows.set(uid, entry);
+    return { allowed: true, remainingToday: perDay - entry.dayCount };
+  };
+
+  const middleware = (req, res, next) => {
+    const result = check(req.user.uid);
+    if (!result.allowed) {
+      res.set('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+      res.status(429).json({ error: message });
+      return;
+    }
+    res.set('X-RateLimit-Remaining-Day', String(result.remainingToday));
+    next();
+  };
+
+  return { check, middleware };
+};
@@ -0,0 +1,258 @@
+import express from 'express';
+import { validateSchema } from '../../src/ai/schema';
+import { createMissingFieldsError, getMissingRequirements, isMissingFieldsError, upgradeRuleFields } from '../../src/automation/rules';
+import { createAccountsRepository } from '../../src/data/accountsRepository';
+import { createActivitiesRepository } from '../../src/data/activitiesRepository';
+import { coerceRecord, getImportFields } from '../../src/importExport/accountFields';
+import { DEFAULT_STAGES, getInitialStage, getVisibleStages } from '../../src/pipeline/stages';
+import { getAccountEvents, serializeAccount } from '../../src/webhooks/events';
+import { canEditAccount, canReassignAccounts } from '../../src/workspace/roles';
+import { createApiTokenAuth } from './apiTokens';
+import { openApiSpec } from './openapi';
+
+const MAX_PAGE_SIZE = 500;
+
+const noteSchema = {
+  type: 'object',
+  required: ['text'],
+  properties: {
+    text: { type: 'string', maxLength: 20000 },
+    sentiment: { type: 'string', enum: ['Positive', 'Neutral', 'Negative'] },
+  },
+};
+
+const stageSchema = {
+  type: 'object',
+  required: ['stage'],
+  properties: { stage: { type: 'string', maxLength: 200 } },
+};
+
+const byNewest = (a, b) => (b.createdAt?.toMillis() || 0) - (a.createdAt?.toMillis() || 0);
+
+// Accepts the import's field keys, so values are checked and converted exactly like an
+// imported row. Custom fields go in `customFields: { <fieldId>: value }`.
+const parseAccountBody = (body, { stages, customFields }) => {
+  const fields = getImportFields(customFields).filter(field => field.type !== 'notes');
+  const { customFields: customValues = {}, ownerId, ...rest } = body;
+  const record = { ...rest, ...Object.fromEntries(Object.entries(customValues || {}).map(([id, value]) => [`custom.${id}`, value])) };
+  const unknown = Object.keys(record).filter(key => !fields.some(field => field.key === key));
+  const { account, errors } = coerceRecord(record, Object.fromEntries(Object.keys(record).map(key => [key, key])), stages, fields);
+  if (ownerId !== undefined) account.ownerId = ownerId;
+  if (account.stage === '') delete account.stage;
+  return { account, errors: [...unknown.map(key => `Unknown field "${key}"`), ...errors] };
+};
+
+// The REST API for scripts and integrations. Requests authenticate with an API token instead
+// of a Firebase ID token, so this router is mounted ahead of the auth middleware, and writes
+// go through the same repositories, permission checks, stage requirements and automation rule
+// actions as the web app.
+export const createRestApiRouter = ({ backend, root, rateLimiter, webhookDispatcher, automation }) => {
+  const router = express.Router();
+
+  router.get('/openapi.json', (req, res) => res.json(openApiSpec));
+
+  router.use(createApiTokenAuth({ backend, root, rateLimiter }));
+
+  // Loads what each request needs to validate and save accounts in the token's workspace
+  router.use(async (req, res, next) => {
+    const { workspaceId, access } = req.api;
+    const basePath = `${root}/workspaces/${workspaceId}`;
+    try {
+      const [stages, customFields, storedRules] = await Promise.all([
+        backend.list(`${basePath}/stages`, { sortBy: 'order' }),
+        backend.list(`${basePath}/customFields`),
+        backend.list(`${basePath}/automationRules`),
+      ]);
+      const rules = storedRules.map(upgradeRuleFields);
+      const context = { stages: stages.length > 0 ? stages : DEFAULT_STAGES, customFields, basePath };
+      const rulesRunner = automation.forWorkspace({ basePath, access, rules, stages: context.stages, customFields });
+      context.accountsRepo = createAccountsRepository(backend, basePath, access, {
+        beforeStageChange: (account, toStage) => {
+          const missing = getMissingRequirements(rules, context.stages, account, toStage, customFields);
+          if (missing.length > 0) throw createMissingFieldsError(toStage, missing);
+        },
+        // The change is already saved, so a webhook problem must not fail the request
+        onChange: async (change) => {
+          await webhookDispatcher.dispatch(workspaceId, getAccountEvents(change, context.stages), change.after, { previousStage: change.before?.stage })
+            .catch(err => console.error(`Failed to queue webhooks: ${err.message}`));
+          await rulesRunner.handleAccountChange(change, context.accountsRepo);
+        },
+      });
+      context.activitiesRepo = createActivitiesRepository(backend, basePath, access);
+      req.crm = context;
+      next();
+    } catch (err) {
+      res.status(500).json({ error: "Failed to load the workspace." });
+    }
+  });
+
+  const sendError = (res, err, fallback) => {
+    if (isMissingFieldsError(err)) {
+      res.status(422).json({ error: err.message, missingFields: err.fields.map(field => field.key) });
+      return;
+    }
+    res.status(500).json({ error: fallback });
+  };
+
+  const sendInvalid = (res, errors) => res.status(400).json({ error: `Invalid request: ${errors.join('; ')}` });
+
+  // Trashed accounts are invisible to the API, as they are on the board
+  const loadAccount = async (req, res, { forEdit = false } = {}) => {
+    const account = await req.crm.accountsRepo.get(req.params.accountId);
+    if (!account || account.deletedAt) {
+      res.status(404).json({ error: "Account not found." });
+      return null;
+    }
+    if (forEdit && !canEditAccount(req.api.access, account)) {
+      res.status(403).json({ error: "This token can only change accounts its owner owns." });
+      return null;
+    }
+    return account;
+  };
+
+  // Assigning to someone else needs a manager and a member to assign to
+  const resolveOwner = async (req, res, account, existing = null) => {
+    if (account.ownerId === undefined || account.ownerId === (existing ? existing.ownerId : req.api.access.uid)) return true;
+    if (!canReassignAccounts(req.api.access.role)) {
+      res.status(403).json({ error: "Only managers and admins can reassign accounts." });
+      return false;
+    }
+    const owner = typeof account.ownerId === 'string' && account.ownerId
+      ? await backend.get(`${req.crm.basePath}/members`, account.ownerId)
+      : null;
+    if (!owner) {
+      sendInvalid(res, ['ownerId is not a member of this workspace']);
+      return false;
+    }
+    account.ownerName = owner.displayName || '';
+    return true;
+  };
+
+  router.get('/accounts', async (req, res) => {
+    const limit = Math.min(Number(req.query.limit) || 100, MAX_PAGE_SIZE);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    const filters = [['stage', req.query.stage], ['ownerId', req.query.ownerId]]
+      .filter(([, value]) => typeof value === 'string' && value)
+      .map(([field, value]) => [field, '==', value]);
+    try {
+      const accounts = (await backend.list(`${req.crm.basePath}/accounts`, { filters }))
+        .filter(account => !account.deletedAt)
+        .sort(byNewest);
+      res.json({ data: accounts.slice(offset, offset + limit).map(serializeAccount), total: accounts.length, limit, offset });
+    } catch (err) {
+      res.status(500).json({ error: "Failed to list accounts." });
+    }
+  });
+
+  router.get('/accounts/:accountId', async (req, res) => {
+    try {
+      const account = await loadAccount(req, res);
+      if (account) res.json(serializeAccount(account));
+    } catch (err) {
+      res.status(500).json({ error: "Failed to load the account." });
+    }
+  });
+
+  router.post('/accounts', async (req, res) => {
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      sendInvalid(res, ['body should be object']);
+      return;
+    }
+    const { account, errors } = parseAccountBody(req.body, req.crm);
+    if (errors.length > 0) {
+      sendInvalid(res, errors);
+      return;
+    }
+    try {
+      if (!await resolveOwner(req, res, account)) return;
+      const { stage = getInitialStage(req.crm.stages), ...fields } = account;
+      const accountId = await req.crm.accountsRepo.create(fields, stage, { source: 'api' });
+      res.status(201).json(serializeAccount(await req.crm.accountsRepo.get(accountId)));
+    } catch (err) {
+      sendError(res, err, "Failed to create the account.");
+    }
+  });
+
+  router.patch('/accounts/:accountId', async (req, res) => {
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      sendInvalid(res, ['body should be object']);
+      return;
+    }
+    try {
+      const existing = await loadAccount(req, res, { forEdit: true });
+      if (!existing) return;
+      const { account, errors } = parseAccountBody({ companyName: existing.companyName, ...req.body }, req.crm);
+      if (errors.length > 0) {
+        sendInvalid(res, errors);
+        return;
+      }
+      if (!await resolveOwner(req, res, account, existing)) return;
+      // Custom fields not named in the request keep their values
+      if (account.customFields) account.customFields = { ...existing.customFields, ...account.customFields };
+      await req.crm.accountsRepo.update(existing.id, account, { source: 'api' });
+      res.json(serializeAccount(await req.crm.accountsRepo.get(existing.id)));
+    } catch (err) {
+      sendError(res, err, "Failed to update the account.");
+    }
+  });
+
+  // Moves the account to the trash, where it can be restored from the web app
+  router.delete('/accounts/:accountId', async (req, res) => {
+    try {
+      const existing = await loadAccount(req, res, { forEdit: true });
+      if (!existing) return;
+      await req.crm.accountsRepo.remove(existing.id, { source: 'api' });
+      res.status(204).end();
+    } catch (err) {
+      sendError(res, err, "Failed to delete the account.");
+    }
+  });
+
+  router.post('/accounts/:accountId/notes', async (req, res) => {
+    const errors = validateSchema(req.body, noteSchema, 'body');
+    if (errors.length === 0 && !req.body.text.trim()) errors.push('body.text is empty');
+    if (errors.length > 0) {
+      sendInvalid(res, errors);
+      return;
+    }
+    try {
+      const account = await loadAccount(req, res, { forEdit: true });
+      if (!account) return;
+      const text = req.body.text.trim();
+      const sentiment = req.body.sentiment || 'Neutral';
+      const noteId = await req.crm.activitiesRepo.add(account.id, { type: 'note', text, sentiment, metadata: { source: 'api' } });
+      res.status(201).json({ id: noteId, accountId: account.id, type: 'note', text, sentiment });
+    } catch (err) {
+      sendError(res, err, "Failed to add the note.");
+    }
+  });
+
+  router.post('/accounts/:accountId/stage', async (req, res) => {
+    const errors = validateSchema(req.body, stageSchema, 'body');
+    const stage = errors.length === 0
+      ? getVisibleStages(req.crm.stages).find(s => s.name.toLowerCase() === req.body.stage.trim().toLowerCase() || s.id === req.body.stage)
+      : null;
+    if (errors.length === 0 && !stage) errors.push(`Stage "${req.body.stage}" does not exist`);
+    if (errors.length > 0) {
+      sendInvalid(res, errors);
+      return;
+    }
+    try {
+      const account = await loadAccount(req, res, { forEdit: true });
+      if (!account) return;
+      await req.crm.accountsRepo.moveStage(account.id, stage.name, { source: 'api' });
+      res.json(serializeAccount(await req.crm.accountsRepo.get(account.id)));
+    } catch (err) {
+      sendError(res, err, "Failed to move the account.");
+    }
+  });
+
+  router.get('/stages', (req, res) => {
+    res.json({ data: getVisibleStages(req.crm.stages).map(({ id, name, category, probability = null, order }) => ({ id, name, category, probability, order })) });
+  });
+
+  // Unknown paths under the API answer here instead of falling through to the web app's auth
+  router.use((req, res) => res.status(404).json({ error: "Not found." }));
+
+  return router;
+};
@@ -0,0 +1,205 @@
+import express from 'express';
+import { AI_ERROR_CODES } from '../../src/ai/errors';
+import { validateSchema } from '../../src/ai/schema';
+
+const MAX_TEXT = 20000;
+
+const notesSchema = {
+  type: 'array',
+  maxItems: 50,
+  items: {
+    type: 'object',
+    required: ['text'],
+    properties: {
+      type: { type: 'string', nullable: true },
+      text: { type: 'string', maxLength: MAX_TEXT },
+      sentiment: { type: 'string', nullable: true },
+    },
+  },
+};
+
+const accountSchema = {
+  type: 'object',
+  required: ['companyName', 'stage'],
+  properties: {
+    companyName: { type: 'string', maxLength: 500 },
+    stage: { type: 'string', maxLength: 200 },
+    servicesNeeded: { type: 'string', maxLength: 2000, nullable: true },
+    contactName: { type: 'string', maxLength: 500, nullable: true },
+  },
+};
+
+const dealInputSchema = {
+  type: 'object',
+  required: ['account', 'notes'],
+  properties: { account: accountSchema, notes: notesSchema },
+};
+
+// The browser measures the signals; the prompt turns them into a baseline score
+const scoreInputSchema = {
+  type: 'object',
+  required: ['account', 'notes', 'signals'],
+  properties: {
+    account: accountSchema,
+    notes: notesSchema,
+    signals: {
+      type: 'object',
+      // Every signal feeds a factor, so all are required; the nullable ones are sent as null when unknown
+      required: ['stage', 'stageCategory', 'stageProbability', 'sentimentTrend', 'ratedNotes', 'daysSinceContact', 'bookings', 'averageBookings', 'expectedCloseDate', 'daysOverdue', 'daysPushed'],
+      properties: {
+        stage: { type: 'string', maxLength: 200 },
+        stageCategory: { type: 'string', enum: ['pre', 'open', 'won', 'lost'] },
+        stageProbability: { type: 'number', minimum: 0, maximum: 100 },
+        sentimentTrend: { type: 'number', nullable: true, minimum: -1, maximum: 1 },
+        ratedNotes: { type: 'number', minimum: 0 },
+        daysSinceContact: { type: 'number', nullable: true, minimum: 0 },
+        bookings: { type: 'number' },
+        averageBookings: { type: 'number', nullable: true },
+        expectedCloseDate: { type: 'string', nullable: true, maxLength: 10 },
+        daysOverdue: { type: 'number', minimum: 0 },
+        daysPushed: { type: 'number', minimum: 0 },
+      },
+    },
+  },
+};
+
+const rewriteSchema = {
+  type: 'object',
+  required: ['email', 'account'],
+  properties: {
+    email: {
+      type: 'object',
+      required: ['subject', 'body'],
+      properties: {
+        subject: { type: 'string', maxLength: 300 },
+        body: { type: 'string', maxLength: MAX_TEXT },
+      },
+    },
+    instructions: { type: 'string', maxLength: 1000, nullable: true },
+    account: accountSchema,
+  },
+};
+
+const proposalSchema = {
+  type: 'object',
+  required: ['account', 'notes'],
+  properties: {
+    account: accountSchema,
+    notes: notesSchema,
+    lineItems: {
+      type: 'array',
+      maxItems: 50,
+      items: {
+        type: 'object',
+        required: ['name', 'quantity', 'unitPrice', 'billing'],
+        properties: {
+          name: { type: 'string', maxLength: 300 },
+          quantity: { type: 'number', minimum: 0 },
+          unitPrice: { type: 'number', minimum: 0 },
+          billing: { type: 'string', enum: ['one_time', 'monthly'] },
+          discountPercent: { type: 'number', minimum: 0, maximum: 100, nullable: true },
+        },
+      },
+    },
+  },
+};
+
+const transcriptSchema = {
+  type: 'object',
+  required: ['transcript'],
+  properties: { transcript: { type: 'string', maxLength: MAX_TEXT } },
+};
+
+// Roughly 5 MB of image once base64 encoded
+const cardScanSchema = {
+  type: 'object',
+  required: ['image'],
+  properties: {
+    image: {
+      type: 'object',
+      required: ['mimeType', 'data'],
+      properties: {
+        mimeType: { type: 'string', enum: ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'] },
+        data: { type: 'string', maxLength: 7 * 1024 * 1024 },
+      },
+    },
+  },
+};
+
+const lostDealsSchema = {
+  type: 'object',
+  required: ['deals'],
+  properties: {
+    deals: {
+      type: 'array',
+      maxItems: 100,
+      items: {
+        type: 'object',
+        required: ['companyName', 'notes'],
+        properties: {
+          companyName: { type: 'string', maxLength: 500 },
+          industry: { type: 'string', maxLength: 200, nullable: true },
+          service: { type: 'string', maxLength: 2000, nullable: true },
+          reason: { type: 'string', maxLength: 200, nullable: true },
+          competitor: { type: 'string', maxLength: 200, nullable: true },
+          details: { type: 'string', maxLength: 5000, nullable: true },
+          notes: { ...notesSchema, maxItems: 5 },
+        },
+      },
+    },
+  },
+};
+
+// Each endpoint accepts one feature's structured input; prompts are built here, never by the browser
+export const AI_ROUTES = [
+  { path: '/ai/score', feature: 'dealScore', schema: scoreInputSchema },
+  { path: '/ai/draft-email', feature: 'emailDraft', schema: dealInputSchema },
+  { path: '/ai/rewrite-email', feature: 'emailRewrite', schema: rewriteSchema },
+  { path: '/ai/agenda', feature: 'meetingAgenda', schema: dealInputSchema },
+  { path: '/ai/proposal', feature: 'proposalDraft', schema: proposalSchema },
+  { path: '/ai/card-scan', feature: 'businessCard', schema: cardScanSchema },
+  { path: '/ai/transcript/account', feature: 'accountFromTranscript', schema: transcriptSchema },
+  { path: '/ai/transcript/note', feature: 'noteFromTranscript', schema: transcriptSchema },
+  { path: '/ai/win-loss-themes', feature: 'winLossThemes', schema: lostDealsSchema },
+];
+
+const STATUS_BY_CODE = {
+  [AI_ERROR_CODES.config]: 503,
+  [AI_ERROR_CODES.timeout]: 504,
+  [AI_ERROR_CODES.network]: 502,
+  [AI_ERROR_CODES.http]: 502,
+  [AI_ERROR_CODES.invalidResponse]: 502,
+};
+
+export const createAIRouter = ({ aiClient, usageLog }) => {
+  const router = express.Router();
+
+  AI_ROUTES.forEach(({ path, feature, schema }) => {
+    router.post(path, async (req, res) => {
+      const errors = validateSchema(req.body, schema, 'body');
+      if (errors.length > 0) {
+        res.status(400).json({ error: `Invalid request: ${errors.join('; ')}` });
+        return;
+      }
+
+      const started = Date.now();
+      const usage = {
+        uid: req.user.uid,
+        feature,
+        provider: aiClient.provider,
+        model: aiClient.model,
+        inputChars: JSON.stringify(req.body).length,
+      };
+      try {
+        const result = await aiClient.run(feature, req.body);
+        usageLog.record({ ...usage, ok: true, ms: Date.now() - started, outputChars: JSON.stringify(result).length });
+        res.json({ result });
+      } catch (err) {
+        usageLog.record({ ...usage, ok: false, ms: Date.now() - started, errorCode: err.code || 'unknown' });
+        res.status(STATUS_BY_CODE[err.code] || 500).json({ error: err.message, code: err.code });
+      }
+    });
+  });
+
+  return router;
+};
@@ -0,0 +1,12 @@
+import fs from 'fs';
+
+// One JSON line per AI request, so usage can be summed per user, feature or day
+export const createUsageLog = (path) => {
+  const stream = fs.createWriteStream(path, { flags: 'a' });
+
+  return {
+    record: (entry) => {
+      stream.write(`${JSON.stringify({ at: new Date().toISOString(), ...entry })}\n`);
+    },
+  };
+};
@@ -0,0 +1,119 @@
+import dns from 'dns';
+import express from 'express';
+import net from 'net';
+import { Agent, fetch } from 'undici';
+import { validateSchema } from '../../src/ai/schema';
+
+const webhookSchema = {
+  type: 'object',
+  required: ['url', 'payload'],
+  properties: {
+    url: { type: 'string', maxLength: 2000 },
+    payload: { type: 'object' },
+  },
+};
+
+// Loopback, private, shared, link-local, benchmarking, multicast and broadcast addresses,
+// so webhooks can't be used to probe the server's network
+const PRIVATE_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['255.255.255.255', 32]]
+  .forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// BlockList also matches IPv4-mapped IPv6 addresses against the IPv4 ranges
+const isPrivateAddress = (address) => PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// Connects only to the addresses that were checked, so the hostname can't be resolved again
+// to a private address between the check and the request
+const createPinnedAgent = (addresses) => new Agent({
+  connect: {
+    lookup: (hostname, options, callback) => {
+      if (options.all) callback(null, addresses);
+      else callback(null, addresses[0].address, addresses[0].family);
+    },
+  },
+});
+
+// Returns the parsed URL, or null with the reasons it can't be called. The hostname is resolved
+// and every address it points at is checked, so a public name for a private address is refused too.
+// Requests must go through the returned `dispatcher`, which is pinned to those addresses, and
+// must not follow redirects, which could lead anywhere. Callers close the dispatcher when done.
+export const checkWebhookUrl = async (value, allowPrivateHosts, name = 'url', lookup = dns.promises.lookup) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    return { url: null, errors: [`${name} is not a URL`] };
+  }
+  const errors = [];
+  let addresses = null;
+  if (!['http:', 'https:'].includes(url.protocol)) errors.push(`${name} must use http or https`);
+  if (errors.length === 0 && !allowPrivateHosts) {
+    try {
+      addresses = await lookup(url.hostname.replace(/^\[|\]$/g, ''), { all: true, verbatim: true });
+      if (addresses.length === 0) errors.push(`${name} host could not be resolved`);
+      if (addresses.some(({ address }) => isPrivateAddress(address))) errors.push(`${name} points at a private address`);
+    } catch (err) {
+      errors.push(`${name} host could not be resolved`);
+    }
+  }
+  if (errors.length > 0) return { url: null, errors };
+  return { url, errors, dispatcher: addresses ? createPinnedAgent(addresses) : undefined };
+};
+
+const webhookError = (message, status) => Object.assign(new Error(message), { status });
+
+// Calls an automation rule's webhook and resolves with the response status. Rejects with an
+// error whose `status` is what to report: 400 for a URL that can't be called, 502 for a failed
+// call and 504 for a timeout.
+export const callRuleWebhook = async ({ timeoutMs, allowPrivateHosts, fetchImpl = fetch }, value, payload, name = 'url') => {
+  const { url, errors, dispatcher } = await checkWebhookUrl(value, allowPrivateHosts, name);
+  if (!url) throw webhookError(`Invalid request: ${errors.join('; ')}`, 400);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  let response;
+  try {
+    response = await fetchImpl(url.toString(), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'User-Agent': 'VitalPulseCRM-Webhooks/1.0' },
+      body: JSON.stringify(payload),
+      redirect: 'manual',
+      signal: controller.signal,
+      dispatcher,
+    });
+  } catch (err) {
+    throw err.name === 'AbortError'
+      ? webhookError("The webhook did not respond in time.", 504)
+      : webhookError(`Could not reach the webhook: ${err.message}`, 502);
+  } finally {
+    clearTimeout(timer);
+    dispatcher?.destroy();
+  }
+  if (!response.ok) throw webhookError(`The webhook responded with ${response.status}.`, 502);
+  return response.status;
+};
+
+// Automation rules call webhooks through the server: browsers would hit CORS, and the
+// receiving end sees one stable sender
+export const createWebhookRouter = (options) => {
+  const router = express.Router();
+
+  router.post('/webhook', async (req, res) => {
+    const errors = validateSchema(req.body, webhookSchema, 'body');
+    if (errors.length > 0) {
+      res.status(400).json({ error: `Invalid request: ${errors.join('; ')}` });
+      return;
+    }
+    try {
+      const payload = { ...req.body.payload, triggeredBy: { uid: req.user.uid, name: req.user.name || null } };
+      const status = await callRuleWebhook(options, req.body.url, payload, 'body.url');
+      res.json({ status, deliveredAt: new Date().toISOString() });
+    } catch (err) {
+      res.status(err.status || 502).json({ error: err.message });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,16 @@
+export const ACTIVITY_TYPES = [
+  { value: 'note', label: 'Note', icon: '📝' },
+  { value: 'call', label: 'Call', icon: '📞' },
+  { value: 'email', label: 'Email', icon: '✉️' },
+  { value: 'meeting', label: 'Meeting', icon: '📅' },
+  { value: 'stage_change', label: 'Stage Change', icon: '➡️' },
+  { value: 'ai_output', label: 'AI Output', icon: '✨', markdown: true },
+  { value: 'proposal', label: 'Proposal', icon: '📄', markdown: true },
+];
+
+// Only text the app generated is rendered as Markdown; what people type is shown as written
+
+// Types a user can log by hand; the rest are written by the app itself
+export const LOGGABLE_ACTIVITY_TYPES = ACTIVITY_TYPES.filter(type => ['note', 'call', 'email', 'meeting'].includes(type.value));
+
+export const getActivityType = (value) => ACTIVITY_TYPES.find(type => type.value === value) || ACTIVITY_TYPES[0];
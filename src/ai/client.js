@@ -0,0 +1,73 @@
+import { AI_ERROR_CODES, createAIError, isAIError } from './errors';
+import { AI_FEATURES } from './prompts';
+import { parseStructured } from './schema';
+import { createProvider } from './providers';
+
+const defaultSleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Exponential backoff with jitter: ~0.5s, ~1s, ~2s...
+const backoffDelay = (attempt) => 500 * 2 ** attempt + Math.floor(Math.random() * 250);
+
+const withTimeout = async (timeoutMs, task) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await task(controller.signal);
+  } catch (err) {
+    if (controller.signal.aborted) {
+      throw createAIError(`The AI request timed out after ${timeoutMs / 1000}s.`, { code: AI_ERROR_CODES.timeout, retryable: true });
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// `run(feature, input)` resolves to the validated answer: a string for free-text
+// features, or a value matching the feature's schema. It rejects with an AIError.
+export const createAIClient = (config, { sleep = defaultSleep, getIdToken } = {}) => {
+  let provider = null;
+  let providerError = null;
+  try {
+    provider = createProvider({ ...config, getIdToken });
+  } catch (err) {
+    providerError = err;
+  }
+
+  const generateOnce = async (featureId, feature, input) => {
+    const text = await withTimeout(config.timeoutMs, signal => provider.generate({
+      featureId,
+      feature,
+      input,
+      prompt: feature.buildPrompt(input),
+      schema: feature.schema,
+      image: input.image,
+      signal,
+    }));
+    if (feature.schema) return parseStructured(text, feature.schema);
+    if (!text.trim()) throw createAIError("The AI response was empty.", { code: AI_ERROR_CODES.invalidResponse, retryable: true });
+    return text.trim();
+  };
+
+  return {
+    provider: config.provider,
+    model: config.model,
+    isConfigured: !providerError,
+
+    run: async (featureId, input = {}) => {
+      if (providerError) throw providerError;
+      const feature = AI_FEATURES[featureId];
+      if (!feature) throw createAIError(`Unknown AI feature "${featureId}".`, { code: AI_ERROR_CODES.config });
+
+      for (let attempt = 0; ; attempt += 1) {
+        try {
+          return await generateOnce(featureId, feature, input);
+        } catch (err) {
+          const error = isAIError(err) ? err : createAIError(err.message, { code: AI_ERROR_CODES.network, retryable: true });
+          if (!error.retryable || attempt >= config.maxRetries) throw error;
+          await sleep(backoffDelay(attempt));
+        }
+      }
+    },
+  };
+};
@@ -0,0 +1,20 @@
+import { isLocalMode } from '../data';
+import { AI_PROVIDERS } from './providers';
+
+// Provider keys live on the server (see server/), so the browser only talks to
+// the proxy, to a keyless local model, or to the mock. Offline (local data) mode
+// defaults to the mock so the whole app runs without network access.
+const BROWSER_PROVIDERS = ['proxy', 'local', 'mock'];
+
+export const getAIConfig = (env) => {
+  const requested = env.REACT_APP_AI_PROVIDER || (isLocalMode(env) ? 'mock' : 'proxy');
+  const provider = BROWSER_PROVIDERS.includes(requested) ? requested : 'proxy';
+  const defaults = AI_PROVIDERS[provider];
+  return {
+    provider,
+    model: env.REACT_APP_AI_MODEL || defaults.model,
+    baseUrl: ((provider === 'proxy' ? env.REACT_APP_API_URL : env.REACT_APP_AI_BASE_URL) || defaults.baseUrl).replace(/\/$/, ''),
+    timeoutMs: Number(env.REACT_APP_AI_TIMEOUT_MS) || 30000,
+    maxRetries: env.REACT_APP_AI_MAX_RETRIES !== undefined ? Number(env.REACT_APP_AI_MAX_RETRIES) : 2,
+  };
+};
@@ -0,0 +1,21 @@
+// AI failures carry a `code` so callers can tell configuration problems from
+// transient ones; `retryable` drives the client's backoff loop.
+export const AI_ERROR_CODES = {
+  config: 'config',
+  network: 'network',
+  timeout: 'timeout',
+  http: 'http',
+  invalidResponse: 'invalid_response',
+};
+
+export const createAIError = (message, { code, retryable = false, status = null, details = null } = {}) => {
+  const error = new Error(message);
+  error.name = 'AIError';
+  error.code = code;
+  error.retryable = retryable;
+  error.status = status;
+  error.details = details;
+  return error;
+};
+
+export const isAIError = (error) => error?.name === 'AIError';
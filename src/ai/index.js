@@ -0,0 +1,4 @@
+export { createAIClient } from './client';
+export { getAIConfig } from './config';
+export { AI_PROVIDERS } from './providers';
+export { AI_ERROR_CODES, isAIError } from './errors';
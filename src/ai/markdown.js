@@ -0,0 +1,21 @@
+import { marked } from 'marked';
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const SAFE_URL = /^(https?:|mailto:|#)/i;
+
+// AI output and proposals can repeat text other people typed (notes, web form messages), so
+// raw HTML is shown as text and links or images may only use web and mail URLs
+const renderer = new marked.Renderer();
+const renderLink = renderer.link.bind(renderer);
+const renderImage = renderer.image.bind(renderer);
+renderer.html = (html) => escapeHtml(html);
+renderer.link = (href, title, text) => (href && SAFE_URL.test(href.trim()) ? renderLink(href, title, text) : text);
+renderer.image = (href, title, text) => (href && SAFE_URL.test(href.trim()) ? renderImage(href, title, text) : escapeHtml(text || ''));
+
+export const renderMarkdown = (markdown) => marked.parse(markdown || '', { renderer });
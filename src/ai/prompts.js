@@ -0,0 +1,329 @@
+import { MAX_AI_ADJUSTMENT, SCORE_FACTORS, scoreFromSignals } from '../pipeline/dealScoring';
+
+// One entry per AI feature: how to build its prompt, the shape of the answer
+// (null for free text) and a deterministic answer for the mock provider.
+
+const formatNotes = (notes, emptyText) => (notes.length > 0 ? notes.map(note => note.text).join('\n') : emptyText);
+
+const sentences = (text) => text.split(/(?<=[.!?])\s+/).map(s => s.trim()).filter(Boolean);
+
+const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+const dealScore = {
+  schema: {
+    type: 'object',
+    required: ['score', 'factors', 'rationale'],
+    properties: {
+      score: { type: 'number', minimum: 0, maximum: 100 },
+      factors: {
+        type: 'array',
+        maxItems: SCORE_FACTORS.length,
+        items: {
+          type: 'object',
+          required: ['key', 'impact', 'detail'],
+          properties: {
+            key: { type: 'string', enum: SCORE_FACTORS.map(factor => factor.key) },
+            impact: { type: 'number', minimum: -50, maximum: 50 },
+            detail: { type: 'string', maxLength: 200 },
+          },
+        },
+      },
+      rationale: { type: 'string', maxLength: 500 },
+    },
+  },
+  buildPrompt: ({ account, notes, signals }) => {
+    const baseline = scoreFromSignals(signals);
+    return `You are scoring how likely a sales deal is to close, from 0 to 100. A rule-based model has already scored it ${baseline.score} from the measured signals below. Read the notes and adjust that score by at most ${MAX_AI_ADJUSTMENT} points where they reveal something the signals miss.
+
+    Explain the score with exactly these factors, giving each an impact in points (positive helps, negative hurts) and a one-line detail:
+    ${SCORE_FACTORS.map(factor => `- ${factor.key}: ${factor.label}`).join('\n    ')}
+
+    Account Details:
+    Company Name: ${account.companyName}
+    Current Stage: ${account.stage}
+    Deal Value: $${account.value}
+    Monthly Value: $${account.monthlyValue}
+
+    Measured Signals:
+    ${JSON.stringify(signals, null, 2)}
+
+    Rule-based Factors:
+    ${JSON.stringify(baseline.factors, null, 2)}
+
+    Chronological History (Notes):
+    ${JSON.stringify(notes.map(note => ({ type: note.type, text: note.text, sentiment: note.sentiment })), null, 2)}
+
+    Return a JSON object with keys 'score' (integer), 'factors' (array of { key, impact, detail }) and 'rationale' (two sentences at most).`;
+  },
+  mock: ({ signals }) => scoreFromSignals(signals),
+};
+
+const emailDraft = {
+  schema: null,
+  buildPrompt: ({ account, notes }) => `You are a professional sales representative. Draft a concise and personalized follow-up email for a client. The email should be polite, reference the previous interactions, and suggest a clear next step.
+
+    Account Details:
+    Company Name: ${account.companyName}
+    Services Needed: ${account.servicesNeeded}
+    Current Stage: ${account.stage}
+    Primary Contact: ${account.contactName}
+    Notes from previous interactions:
+    ${formatNotes(notes, `No notes available. The last interaction was for ${account.stage}`)}
+
+    Draft the email, starting with a subject line. Do not include a signature.`,
+  mock: ({ account }) => `Subject: Next steps for ${account.companyName}
+
+Hi ${account.contactName || 'there'},
+
+Thank you for your time so far. Following up on ${account.servicesNeeded || 'our conversation'}, I'd like to schedule a short call this week to agree on next steps.
+
+Would Thursday or Friday work for you?`,
+};
+
+const emailRewrite = {
+  schema: {
+    type: 'object',
+    required: ['subject', 'body'],
+    properties: {
+      subject: { type: 'string', maxLength: 300 },
+      body: { type: 'string', maxLength: 10000 },
+    },
+  },
+  buildPrompt: ({ email, instructions, account }) => `You are a professional sales representative. Rewrite the following email to ${account.contactName || 'the client'} at ${account.companyName}. Keep every fact, name, date and price exactly as written and keep it concise.
+
+    ${instructions ? `Instructions: ${instructions}` : 'Make it warmer and more personal without making it longer.'}
+
+    Subject: ${email.subject}
+
+    ${email.body}
+
+    Return a JSON object with keys 'subject' and 'body'. Do not include a signature unless the original has one.`,
+  mock: ({ email }) => ({ subject: email.subject, body: email.body.replace(/^Hi\b/, 'Hello') }),
+};
+
+const formatLineItems = (lineItems) => lineItems
+  .map(item => `- ${item.quantity} x ${item.name} at $${item.unitPrice}${item.billing === 'monthly' ? ' per month' : ' one-time'}${item.discountPercent ? ` less ${item.discountPercent}%` : ''}`)
+  .join('\n');
+
+// Prices are never left to the model: the pricing table is built from the line items
+// and the model only writes the notes that go under it
+const proposalDraft = {
+  schema: {
+    type: 'object',
+    required: ['summary', 'scope', 'timeline', 'pricingNotes'],
+    properties: {
+      summary: { type: 'string', maxLength: 3000 },
+      scope: { type: 'string', maxLength: 8000 },
+      timeline: { type: 'string', maxLength: 4000 },
+      pricingNotes: { type: 'string', maxLength: 3000 },
+    },
+  },
+  buildPrompt: ({ account, notes, lineItems = [] }) => `You are writing a sales proposal for an AI services agency. Draft four sections in Markdown, grounded in the account details, the products being quoted and the history of the conversation. Do not invent prices, discounts or totals.
+
+    - summary: two or three sentences on the client's situation and what we propose.
+    - scope: bullet points of deliverables, grouped under ### subheadings per product or workstream.
+    - timeline: a short phased plan (e.g. "Week 1-2: ...") as bullet points.
+    - pricingNotes: billing terms, what recurring fees cover and any assumptions. Refer to the pricing table rather than repeating amounts.
+
+    Account Details:
+    Company Name: ${account.companyName}
+    Services Needed: ${account.servicesNeeded}
+    Industry: ${account.industry || 'Unknown'}
+    Primary Contact: ${account.contactName || 'Unknown'}
+    Current Stage: ${account.stage}
+
+    Products Quoted:
+    ${lineItems.length > 0 ? formatLineItems(lineItems) : `No line items; the deal is valued at $${account.value || 0} one-time and $${account.monthlyValue || 0} per month.`}
+
+    Notes from previous interactions:
+    ${formatNotes(notes, 'No notes available.')}
+
+    Return a JSON object with keys 'summary', 'scope', 'timeline' and 'pricingNotes', each a Markdown string without a top-level heading.`,
+  mock: ({ account, notes, lineItems = [] }) => ({
+    summary: `${account.companyName} is looking for help with ${account.servicesNeeded || 'AI services'}. We propose a phased engagement that delivers value early and scales with adoption.`,
+    scope: (lineItems.length > 0 ? lineItems.map(item => `### ${item.name}\n- Discovery and configuration\n- Rollout and handover`) : ['### Delivery\n- Discovery workshop\n- Build and rollout']).join('\n\n')
+      + (notes.length > 0 ? `\n\n### Requirements from our conversations\n${notes.slice(-3).map(note => `- ${note.text.split('\n')[0]}`).join('\n')}` : ''),
+    timeline: '- Week 1: Kick-off and discovery\n- Weeks 2-4: Build and test\n- Week 5: Launch and training',
+    pricingNotes: 'One-time fees are invoiced at kick-off. Monthly fees start at launch and are billed in advance.',
+  }),
+};
+
+const meetingAgenda = {
+  schema: null,
+  buildPrompt: ({ account, notes }) => `You are a professional sales manager. Generate a concise and scannable meeting agenda for the next sales call. The agenda should be based on the account details and historical notes.
+
+    Format the response with markdown. Use a single heading, followed by bullet points for each section. Keep each section to a maximum of 3-4 bullet points.
+
+    ## Meeting Agenda: ${account.companyName} - ${account.servicesNeeded || 'AI services'}
+
+    **Objective**
+    - [Briefly state the goal of the meeting based on the current stage.]
+
+    **Key Discussion Points**
+    - [Key topics pulled from notes or next steps in the sales funnel.]
+    - [Address any customer concerns mentioned in the notes.]
+    - [Review of the last interaction.]
+
+    **Next Steps**
+    - [Actionable tasks or commitments to close the deal.]
+
+    Account Details:
+    Current Stage: ${account.stage}
+    Notes from previous interactions:
+    ${formatNotes(notes, 'No notes available.')}
+
+    Draft the agenda using the structure and content above. Do not include any other text.`,
+  mock: ({ account, notes }) => `## Meeting Agenda: ${account.companyName} - ${account.servicesNeeded || 'AI services'}
+
+**Objective**
+- Move the deal forward from ${account.stage}.
+
+**Key Discussion Points**
+${(notes.slice(-3).map(note => `- ${note.text.split('\n')[0]}`).join('\n')) || '- Review requirements and timeline.'}
+
+**Next Steps**
+- Agree on a follow-up date and owner.`,
+};
+
+const contactProperties = {
+  companyName: { type: 'string', nullable: true },
+  contactName: { type: 'string', nullable: true },
+  contactTitle: { type: 'string', nullable: true },
+  contactEmail: { type: 'string', nullable: true },
+  contactPhone: { type: 'string', nullable: true },
+};
+
+const businessCard = {
+  schema: { type: 'object', properties: contactProperties },
+  buildPrompt: () => "Extract the following information from this business card and return it as a JSON object with keys: companyName, contactName, contactTitle, contactEmail, contactPhone. If a value is not on the card, use null. Only return the JSON object, nothing else.",
+  mock: () => ({
+    companyName: 'Example Labs',
+    contactName: 'Sam Example',
+    contactTitle: 'Head of Operations',
+    contactEmail: 'sam@example.com',
+    contactPhone: '+1 555 0100',
+  }),
+};
+
+const accountFromTranscript = {
+  schema: {
+    type: 'object',
+    properties: {
+      ...contactProperties,
+      servicesNeeded: { type: 'string', nullable: true },
+      value: { type: 'number', nullable: true },
+      monthlyValue: { type: 'number', nullable: true },
+    },
+  },
+  buildPrompt: ({ transcript }) => `Based on the following transcript, extract key information and return a JSON object with keys for companyName, servicesNeeded, value (as a number), monthlyValue (as a number), contactName, contactTitle, contactEmail, and contactPhone. If a value is not found, use a null. Do not include any other text besides the JSON. Transcript: "${transcript}"`,
+  mock: ({ transcript }) => {
+    const amounts = (transcript.match(/\$\s?[\d,]+/g) || []).map(amount => Number(amount.replace(/[$,\s]/g, '')));
+    return {
+      companyName: transcript.match(/\b(?:from|at) ([A-Z][\w&]*(?: [A-Z][\w&]*)*)/)?.[1] || null,
+      servicesNeeded: null,
+      value: amounts[0] ?? null,
+      monthlyValue: amounts[1] ?? null,
+      contactName: transcript.match(/\b(?:with|to) ([A-Z]\w+(?: [A-Z]\w+)?)/)?.[1] || null,
+      contactTitle: null,
+      contactEmail: transcript.match(/[^\s@]+@[^\s@]+\.[^\s@.,]+/)?.[0] || null,
+      contactPhone: null,
+    };
+  },
+};
+
+const noteFromTranscript = {
+  schema: {
+    type: 'object',
+    required: ['summary', 'actions', 'concerns', 'sentiment'],
+    properties: {
+      summary: { type: 'array', items: { type: 'string' } },
+      actions: { type: 'array', items: { type: 'string' } },
+      concerns: { type: 'array', items: { type: 'string' } },
+      sentiment: { type: 'string', enum: ['Positive', 'Negative', 'Neutral'] },
+    },
+  },
+  buildPrompt: ({ transcript }) => `Analyze the following transcript of a sales call or meeting. Extract and structure the information into three categories: 'summary' (as bullet points), 'actions' (as a list of tasks that need to be done), and 'concerns' (customer issues or questions). Also, classify the overall sentiment of the conversation as 'Positive', 'Negative', or 'Neutral'. Return the result as a JSON object with the keys 'summary', 'actions', 'concerns', and 'sentiment'. If a category has no information, use an empty array. Do not include any text outside of the JSON object.
+          Transcript: "${transcript}"`,
+  mock: ({ transcript }) => {
+    const parts = sentences(transcript);
+    const score = countMatches(transcript, /\b(great|happy|interested|love|yes|excited)\b/gi)
+      - countMatches(transcript, /\b(expensive|worried|concern|no|problem|delay)\b/gi);
+    return {
+      summary: parts.slice(0, 3),
+      actions: parts.filter(s => /\b(will|need to|follow up|send|schedule)\b/i.test(s)),
+      concerns: parts.filter(s => s.endsWith('?') || /\b(concern|worried|expensive|risk)\b/i.test(s)),
+      sentiment: score > 0 ? 'Positive' : score < 0 ? 'Negative' : 'Neutral',
+    };
+  },
+};
+
+const MAX_THEMES = 8;
+
+const formatLostDeal = (deal) => [
+  `- ${deal.companyName}${deal.industry ? ` (${deal.industry})` : ''}`,
+  deal.service && `  Service: ${deal.service}`,
+  `  Reason: ${deal.reason || 'Not recorded'}${deal.competitor ? `; lost to ${deal.competitor}` : ''}`,
+  deal.details && `  In their words: ${deal.details}`,
+  deal.notes.length > 0 && `  Final notes:\n${deal.notes.map(note => `    ${note.text}`).join('\n')}`,
+].filter(Boolean).join('\n');
+
+// Themes come from the reasons and final notes of lost deals; the reason picklist only counts
+// what reps chose, so this looks for what they said
+const winLossThemes = {
+  schema: {
+    type: 'object',
+    required: ['themes'],
+    properties: {
+      themes: {
+        type: 'array',
+        maxItems: MAX_THEMES,
+        items: {
+          type: 'object',
+          required: ['title', 'summary', 'deals', 'suggestion'],
+          properties: {
+            title: { type: 'string', maxLength: 100 },
+            summary: { type: 'string', maxLength: 500 },
+            deals: { type: 'array', items: { type: 'string' } },
+            suggestion: { type: 'string', maxLength: 500 },
+          },
+        },
+      },
+    },
+  },
+  buildPrompt: ({ deals }) => `You are a sales coach reviewing deals a team has lost. Group the reasons below into at most ${MAX_THEMES} recurring themes, most common first. A theme should describe what actually went wrong in the buyer's eyes, even when reps picked different reasons for it. Ignore one-off reasons unless they are severe.
+
+    Lost deals:
+    ${deals.map(formatLostDeal).join('\n')}
+
+    Return a JSON object with key 'themes': an array of { title (a few words), summary (one or two sentences), deals (the company names that show this theme, exactly as written above), suggestion (one concrete change to the pitch or process) }.`,
+  mock: ({ deals }) => {
+    const groups = {};
+    deals.forEach(deal => {
+      const title = deal.reason || 'Other';
+      (groups[title] || (groups[title] = [])).push(deal);
+    });
+    return {
+      themes: Object.entries(groups)
+        .sort((a, b) => b[1].length - a[1].length)
+        .slice(0, MAX_THEMES)
+        .map(([title, grouped]) => ({
+          title,
+          summary: grouped.map(deal => deal.details).find(Boolean) || `${grouped.length} deal${grouped.length === 1 ? '' : 's'} lost on ${title.toLowerCase()}.`,
+          deals: grouped.map(deal => deal.companyName),
+          suggestion: `Raise ${title.toLowerCase()} early in discovery and show how we handle it.`,
+        })),
+    };
+  },
+};
+
+export const AI_FEATURES = {
+  dealScore,
+  emailDraft,
+  emailRewrite,
+  meetingAgenda,
+  proposalDraft,
+  businessCard,
+  accountFromTranscript,
+  noteFromTranscript,
+  winLossThemes,
+};
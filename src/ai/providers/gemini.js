@@ -0,0 +1,36 @@
+import { AI_ERROR_CODES, createAIError } from '../errors';
+import { postJson } from './http';
+
+// Gemini's responseSchema uses OpenAPI-style upper-case type names
+const toGeminiSchema = (schema) => ({
+  type: schema.type.toUpperCase(),
+  ...(schema.nullable ? { nullable: true } : {}),
+  ...(schema.enum ? { enum: schema.enum } : {}),
+  ...(schema.items ? { items: toGeminiSchema(schema.items) } : {}),
+  ...(schema.required ? { required: schema.required } : {}),
+  ...(schema.properties ? {
+    properties: Object.fromEntries(Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])),
+  } : {}),
+});
+
+export const createGeminiProvider = ({ apiKey, model, baseUrl }) => ({
+  name: 'gemini',
+
+  generate: async ({ prompt, schema, image, signal }) => {
+    const parts = [{ text: prompt }];
+    if (image) parts.push({ inlineData: { mimeType: image.mimeType, data: image.data } });
+    const body = { contents: [{ parts }] };
+    if (schema) body.generationConfig = { responseMimeType: 'application/json', responseSchema: toGeminiSchema(schema) };
+
+    // The key goes in a header so it never shows up in URLs or request logs
+    const data = await postJson(`${baseUrl}/models/${model}:generateContent`, { headers: { 'x-goog-api-key': apiKey }, body, signal });
+    const text = data.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('');
+    if (!text) {
+      throw createAIError(`Gemini returned no text (finish reason: ${data.candidates?.[0]?.finishReason || 'unknown'}).`, {
+        code: AI_ERROR_CODES.invalidResponse,
+        retryable: true,
+      });
+    }
+    return text;
+  },
+});
@@ -0,0 +1,29 @@
+import { AI_ERROR_CODES, createAIError } from '../errors';
+
+// Rate limits and server errors are worth retrying; other 4xx responses are not
+const isRetryableStatus = (status) => status === 408 || status === 429 || status >= 500;
+
+export const postJson = async (url, { headers = {}, body, signal }) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal,
+    });
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    throw createAIError(`Could not reach the AI provider: ${err.message}`, { code: AI_ERROR_CODES.network, retryable: true });
+  }
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw createAIError(`The AI provider returned HTTP ${response.status}.`, {
+      code: AI_ERROR_CODES.http,
+      status: response.status,
+      retryable: isRetryableStatus(response.status),
+      details: detail.slice(0, 500),
+    });
+  }
+  return response.json();
+};
@@ -0,0 +1,32 @@
+import { AI_ERROR_CODES, createAIError } from '../errors';
+import { createGeminiProvider } from './gemini';
+import { createMockProvider } from './mock';
+import { createOpenAICompatibleProvider } from './openaiCompatible';
+import { createProxyProvider } from './proxy';
+
+export const AI_PROVIDERS = {
+  gemini: { model: 'gemini-2.5-flash', baseUrl: 'https://generativelanguage.googleapis.com/v1beta' },
+  openai: { model: 'gpt-4o-mini', baseUrl: 'https://api.openai.com/v1' },
+  local: { model: 'llama3.1', baseUrl: 'http://localhost:11434/v1' },
+  proxy: { model: 'server', baseUrl: '/api' },
+  mock: { model: 'mock', baseUrl: '' },
+};
+
+export const createProvider = (config) => {
+  switch (config.provider) {
+    case 'gemini':
+      if (!config.apiKey) throw createAIError("Set AI_API_KEY to use Gemini.", { code: AI_ERROR_CODES.config });
+      return createGeminiProvider(config);
+    case 'openai':
+      if (!config.apiKey) throw createAIError("Set AI_API_KEY to use OpenAI.", { code: AI_ERROR_CODES.config });
+      return createOpenAICompatibleProvider({ ...config, name: 'openai' });
+    case 'local':
+      return createOpenAICompatibleProvider({ ...config, name: 'local' });
+    case 'proxy':
+      return createProxyProvider(config);
+    case 'mock':
+      return createMockProvider();
+    default:
+      throw createAIError(`Unknown AI provider "${config.provider}".`, { code: AI_ERROR_CODES.config });
+  }
+};
@@ -0,0 +1,9 @@
+// Answers from each feature's `mock`, so AI features work offline and in tests
+export const createMockProvider = () => ({
+  name: 'mock',
+
+  generate: async ({ feature, input }) => {
+    const answer = feature.mock(input);
+    return typeof answer === 'string' ? answer : JSON.stringify(answer);
+  },
+});
@@ -0,0 +1,30 @@
+import { AI_ERROR_CODES, createAIError } from '../errors';
+import { postJson } from './http';
+
+// Works with OpenAI and with local servers that expose the same API (Ollama, LM Studio, vLLM)
+export const createOpenAICompatibleProvider = ({ name = 'openai', apiKey, model, baseUrl }) => ({
+  name,
+
+  generate: async ({ prompt, schema, image, signal }) => {
+    // JSON mode only accepts object answers, so other shapes rely on the instructions alone
+    const text = schema
+      ? `${prompt}\n\nRespond with JSON only, matching this JSON Schema:\n${JSON.stringify(schema)}`
+      : prompt;
+    const content = image
+      ? [{ type: 'text', text }, { type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } }]
+      : text;
+    const body = { model, messages: [{ role: 'user', content }] };
+    if (schema?.type === 'object') body.response_format = { type: 'json_object' };
+
+    const data = await postJson(`${baseUrl}/chat/completions`, {
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      body,
+      signal,
+    });
+    const answer = data.choices?.[0]?.message?.content;
+    if (!answer) {
+      throw createAIError(`${name} returned no text.`, { code: AI_ERROR_CODES.invalidResponse, retryable: true });
+    }
+    return answer;
+  },
+});
@@ -0,0 +1,38 @@
+import { AI_ERROR_CODES, createAIError, isAIError } from '../errors';
+import { postJson } from './http';
+
+// Server routes for each feature; see server/src/routes.js
+export const PROXY_ENDPOINTS = {
+  dealScore: 'ai/score',
+  emailDraft: 'ai/draft-email',
+  emailRewrite: 'ai/rewrite-email',
+  meetingAgenda: 'ai/agenda',
+  proposalDraft: 'ai/proposal',
+  businessCard: 'ai/card-scan',
+  accountFromTranscript: 'ai/transcript/account',
+  noteFromTranscript: 'ai/transcript/note',
+  winLossThemes: 'ai/win-loss-themes',
+};
+
+// Sends the feature's input (not a prompt) to our server, which holds the provider keys
+export const createProxyProvider = ({ baseUrl, getIdToken }) => ({
+  name: 'proxy',
+
+  generate: async ({ featureId, input, signal }) => {
+    const token = getIdToken ? await getIdToken() : null;
+    try {
+      const { result } = await postJson(`${baseUrl}/${PROXY_ENDPOINTS[featureId]}`, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        body: input,
+        signal,
+      });
+      return typeof result === 'string' ? result : JSON.stringify(result);
+    } catch (err) {
+      // The per-user limit will not reset within a retry window, so do not hammer it
+      if (isAIError(err) && err.status === 429) {
+        throw createAIError("You have reached your AI usage limit. Try again later.", { code: AI_ERROR_CODES.http, status: 429 });
+      }
+      throw err;
+    }
+  },
+});
@@ -0,0 +1,73 @@
+import { AI_ERROR_CODES, createAIError } from './errors';
+
+// Schemas use a small JSON Schema subset: type, properties, required, items, enum,
+// minimum, maximum, maxLength, maxItems and nullable. Providers translate them to
+// their own dialect.
+const checkType = (value, type) => {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    default: return true;
+  }
+};
+
+export const validateSchema = (value, schema, path = '$') => {
+  if (value === null || value === undefined) {
+    return schema.nullable ? [] : [`${path} is missing`];
+  }
+  if (!checkType(value, schema.type)) return [`${path} should be ${schema.type}`];
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+  if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} should be at least ${schema.minimum}`);
+  if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} should be at most ${schema.maximum}`);
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} should be at most ${schema.maxLength} characters`);
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} should have at most ${schema.maxItems} items`);
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+  }
+  if (schema.type === 'object' && schema.properties) {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    });
+    Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+      if (key in value) errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+    });
+  }
+  return errors;
+};
+
+// Models sometimes wrap JSON in markdown fences or add a sentence around it
+export const extractJson = (text) => {
+  const trimmed = (text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    return JSON.parse(trimmed);
+  } catch (err) {
+    const match = trimmed.match(/[[{][\s\S]*[\]}]/);
+    if (match) {
+      try {
+        return JSON.parse(match[0]);
+      } catch (innerErr) {
+        // fall through to the error below
+      }
+    }
+    throw createAIError("The AI response was not valid JSON.", { code: AI_ERROR_CODES.invalidResponse, retryable: true, details: text });
+  }
+};
+
+export const parseStructured = (text, schema) => {
+  const value = extractJson(text);
+  const errors = validateSchema(value, schema);
+  if (errors.length > 0) {
+    throw createAIError(`The AI response did not match the expected shape: ${errors.join('; ')}`, {
+      code: AI_ERROR_CODES.invalidResponse,
+      retryable: true,
+      details: errors,
+    });
+  }
+  return value;
+};
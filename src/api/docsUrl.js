@@ -0,0 +1,4 @@
+// The REST API and its OpenAPI reference are served by the server in server/
+export const getApiDocsUrl = (env, origin) => (
+  new URL(`${(env.REACT_APP_API_URL || '/api').replace(/\/$/, '')}/v1/openapi.json`, origin).href
+);
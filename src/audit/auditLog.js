@@ -0,0 +1,65 @@
+import { ACCOUNT_FIELDS, currentFieldKey } from '../importExport/accountFields';
+import { formatCustomValue } from '../customFields/customFields';
+
+export const AUDIT_ACTIONS = {
+  create: 'created the account',
+  update: 'changed',
+  delete: 'moved the account to the trash',
+  restore: 'restored the account from the trash',
+};
+
+const EXTRA_FIELDS = [
+  { key: 'ownerName', label: 'Owner' },
+  { key: 'forecastCategory', label: 'Forecast Category' },
+  { key: 'lineItems', label: 'Products' },
+];
+
+const TRACKED_FIELDS = [...ACCOUNT_FIELDS.filter(field => field.key !== 'notes'), ...EXTRA_FIELDS];
+
+const CUSTOM_PREFIX = 'customFields.';
+
+// Values are stored as plain strings, numbers and lists so old entries stay readable
+// after the account's shape changes
+const serialize = (key, value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value.toDate === 'function') return value.toDate().toISOString().split('T')[0];
+  if (key === 'lineItems') return value.length > 0 ? value.map(item => `${item.quantity} x ${item.name}`).join('; ') : null;
+  if (Array.isArray(value)) return value.length > 0 ? [...value] : null;
+  return value;
+};
+
+const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// One entry per field whose value actually changed; keys not in `changes` are left alone
+export const diffAccount = (existing, changes) => {
+  const diff = [];
+  TRACKED_FIELDS.forEach(({ key }) => {
+    if (!(key in changes)) return;
+    const from = serialize(key, existing?.[key]);
+    const to = serialize(key, changes[key]);
+    if (!isSame(from, to)) diff.push({ field: key, from, to });
+  });
+  if (changes.customFields) {
+    const before = existing?.customFields || {};
+    Object.keys({ ...before, ...changes.customFields }).forEach(fieldId => {
+      // Unchecked checkboxes are stored as false; treat them like an empty value
+      const from = serialize(fieldId, before[fieldId] === false ? null : before[fieldId]);
+      const to = serialize(fieldId, changes.customFields[fieldId] === false ? null : changes.customFields[fieldId]);
+      if (!isSame(from, to)) diff.push({ field: `${CUSTOM_PREFIX}${fieldId}`, from, to });
+    });
+  }
+  return diff;
+};
+
+export const describeChange = (change, customFields = []) => {
+  if (change.field.startsWith(CUSTOM_PREFIX)) {
+    const field = customFields.find(f => f.id === change.field.slice(CUSTOM_PREFIX.length));
+    if (!field) return { label: 'Deleted custom field', from: String(change.from ?? ''), to: String(change.to ?? '') };
+    const format = (value) => (value === null ? '' : formatCustomValue(field, value));
+    return { label: field.label, from: format(change.from), to: format(change.to) };
+  }
+  // Entries from before a field was renamed use its old key
+  const label = TRACKED_FIELDS.find(field => field.key === currentFieldKey(change.field))?.label || change.field;
+  const format = (value) => (value === null ? '' : Array.isArray(value) ? value.join('; ') : typeof value === 'number' ? value.toLocaleString() : String(value));
+  return { label, from: format(change.from), to: format(change.to) };
+};
@@ -0,0 +1,7 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_TRASH_SETTINGS = { retentionDays: 30 };
+
+export const getPurgeDate = (account, retentionDays) => new Date(account.deletedAt.toMillis() + retentionDays * DAY_MS);
+
+export const isPastRetention = (account, retentionDays, now = Date.now()) => getPurgeDate(account, retentionDays).getTime() <= now;
@@ -0,0 +1,100 @@
+import { buildMergeContext, renderEmail, renderTemplate } from '../email/mergeFields';
+import { canManageStages } from '../workspace/roles';
+import { daysFromNow, getSetFieldChanges } from './rules';
+
+// Rule actions, shared by the signed-in user's CRM and the server, which runs them for changes
+// made through the REST API and web forms. `deps` supplies the repositories and senders:
+// { customFields, templates, members, sender, accountsRepo, tasksRepo, notificationsRepo,
+// webhookClient, onSendEmail, onError }.
+
+const toISODate = (timestamp) => (timestamp ? timestamp.toDate().toISOString() : null);
+
+// Due at 9am, like the one-click tasks
+const dueAt = (days) => new Date(`${daysFromNow(days)}T09:00`);
+
+// What a webhook receives about the deal; notes and score details stay in the CRM
+const toWebhookPayload = (rule, account) => ({
+  event: rule.trigger.type,
+  rule: { id: rule.id, name: rule.name },
+  account: {
+    id: account.id,
+    companyName: account.companyName,
+    stage: account.stage,
+    value: account.value,
+    monthlyValue: account.monthlyValue,
+    dealScore: account.dealScore,
+    ownerId: account.ownerId,
+    ownerName: account.ownerName,
+    contactName: account.contactName || '',
+    contactEmail: account.contactEmail || '',
+    industry: account.industry || '',
+    leadSource: account.leadSource || '',
+    tags: account.tags || [],
+    expectedCloseDate: toISODate(account.expectedCloseDate),
+    nextFollowUpDate: toISODate(account.nextFollowUpDate),
+    customFields: account.customFields || {},
+  },
+  occurredAt: new Date().toISOString(),
+});
+
+// Runs one action and returns the account as the next action should see it
+const runAction = async (deps, rule, action, account) => {
+  const context = buildMergeContext({ account, sender: deps.sender });
+  const task = { priority: action.priority || 'medium', assigneeId: account.ownerId, assigneeName: account.ownerName, source: 'automation' };
+  switch (action.type) {
+    case 'create_task':
+      await deps.tasksRepo.create(account, { ...task, title: renderTemplate(action.title, context) || rule.name, type: action.taskType || 'todo', dueDate: dueAt(action.dueInDays) });
+      return account;
+    case 'set_field': {
+      const changes = getSetFieldChanges(action, account, deps.customFields);
+      await deps.accountsRepo.update(account.id, changes, { source: 'automation' });
+      return { ...account, ...changes };
+    }
+    case 'email': {
+      const template = deps.templates.find(t => t.id === action.templateId);
+      if (!template) throw new Error("its email template no longer exists");
+      const email = renderEmail(template, context);
+      // Without a contact email there is no one to send to, and without onSendEmail nothing to
+      // send with, so the owner gets a draft instead
+      if (action.mode === 'send' && account.contactEmail && deps.onSendEmail) {
+        await deps.onSendEmail(account, email, { templateId: template.id, ruleId: rule.id });
+      } else {
+        await deps.tasksRepo.create(account, { ...task, title: `Send "${email.subject}"`, type: 'email', dueDate: new Date(), draft: email });
+      }
+      return account;
+    }
+    case 'notify': {
+      const recipients = {
+        owner: [account.ownerId],
+        managers: deps.members.filter(member => canManageStages(member.role)).map(member => member.id),
+      }[action.recipient] || [action.recipient];
+      const title = renderTemplate(action.message, context) || rule.name;
+      await Promise.all(recipients.filter(Boolean).map(recipientId => deps.notificationsRepo.create({
+        recipientId,
+        title,
+        body: `${account.companyName} · ${rule.name}`,
+        accountId: account.id,
+      })));
+      return account;
+    }
+    case 'webhook':
+      await deps.webhookClient.send(action.url, toWebhookPayload(rule, account));
+      return account;
+    default:
+      // require_field is checked before the change is saved
+      return account;
+  }
+};
+
+// One failing action is reported and the rest still run
+export const runRule = async (deps, rule, account) => {
+  let current = account;
+  for (const action of rule.actions) {
+    try {
+      current = await runAction(deps, rule, action, current);
+    } catch (err) {
+      deps.onError(`Failed to run automation rule "${rule.name}": ${err.message}`);
+    }
+  }
+  return current;
+};
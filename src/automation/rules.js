@@ -0,0 +1,237 @@
+import { diffAccount } from '../audit/auditLog';
+import { coerceCustomValue, isEmptyValue, normalizeCustomValue } from '../customFields/customFields';
+import { currentFieldKey, getImportFields } from '../importExport/accountFields';
+import { getStageCategory } from '../pipeline/stages';
+import { normalizeTags } from '../pipeline/tags';
+
+export const RULE_TRIGGERS = [
+  { value: 'stage_changed', label: 'Deal enters a stage' },
+  { value: 'field_updated', label: 'A field changes' },
+  { value: 'follow_up_overdue', label: 'Follow-up is overdue' },
+  { value: 'score_below', label: 'Deal score drops below' },
+];
+
+// `require_field` runs before the change and blocks it; every other action runs after it
+export const RULE_ACTIONS = [
+  { value: 'require_field', label: 'Require a field', triggers: ['stage_changed'] },
+  { value: 'create_task', label: 'Create a task' },
+  { value: 'set_field', label: 'Set a field' },
+  { value: 'email', label: 'Send or draft an email' },
+  { value: 'notify', label: 'Notify someone' },
+  { value: 'webhook', label: 'Call a webhook' },
+];
+
+export const CONDITION_OPERATORS = [
+  { value: 'equals', label: 'is' },
+  { value: 'not_equals', label: 'is not' },
+  { value: 'contains', label: 'contains' },
+  { value: 'greater_than', label: 'is greater than' },
+  { value: 'less_than', label: 'is less than' },
+  { value: 'is_empty', label: 'is empty', noValue: true },
+  { value: 'is_not_empty', label: 'is not empty', noValue: true },
+];
+
+export const NOTIFY_RECIPIENTS = [
+  { value: 'owner', label: 'Deal owner' },
+  { value: 'managers', label: 'Managers and admins' },
+];
+
+const CUSTOM_PREFIX = 'custom.';
+
+// Fields rules can test, watch, require and set: the importable fields plus the score.
+// Stage moves happen by dragging or from the table, never through a rule.
+export const getRuleFields = (customFields = []) => [
+  ...getImportFields(customFields).filter(field => field.key !== 'notes'),
+  { key: 'dealScore', label: 'Deal Score', type: 'number' },
+];
+
+export const getSettableFields = (customFields = []) => getRuleFields(customFields)
+  .filter(field => !['stage', 'dealScore', 'lineItems'].includes(field.key));
+
+const toDateKey = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Stored dates are midnight UTC of the day picked, as the form writes them
+const toStoredDateKey = (timestamp) => timestamp.toDate().toISOString().split('T')[0];
+
+const shiftDateKey = (key, days) => {
+  const date = new Date(`${key}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+export const getFieldValue = (account, key) => {
+  const raw = key.startsWith(CUSTOM_PREFIX) ? account.customFields?.[key.slice(CUSTOM_PREFIX.length)] : account[key];
+  if (raw && typeof raw.toDate === 'function') return toStoredDateKey(raw);
+  return raw;
+};
+
+const isNumeric = (value) => value !== '' && value !== null && !Number.isNaN(Number(value));
+
+const compare = (left, right) => (isNumeric(left) && isNumeric(right)
+  ? Number(left) - Number(right)
+  : String(left ?? '').localeCompare(String(right ?? '')));
+
+const matchesCondition = (account, { field, operator, value }) => {
+  const actual = getFieldValue(account, field);
+  const text = (Array.isArray(actual) ? actual.join(', ') : String(actual ?? '')).toLowerCase();
+  const expected = String(value ?? '').trim().toLowerCase();
+  switch (operator) {
+    case 'is_empty': return isEmptyValue(actual);
+    case 'is_not_empty': return !isEmptyValue(actual);
+    case 'equals': return Array.isArray(actual) ? actual.some(item => String(item).toLowerCase() === expected) : text === expected;
+    case 'not_equals': return Array.isArray(actual) ? !actual.some(item => String(item).toLowerCase() === expected) : text !== expected;
+    case 'contains': return text.includes(expected);
+    case 'greater_than': return !isEmptyValue(actual) && compare(actual, value) > 0;
+    case 'less_than': return !isEmptyValue(actual) && compare(actual, value) < 0;
+    default: return false;
+  }
+};
+
+// Rules saved before a field was renamed point at its old key
+export const upgradeRuleFields = (rule) => ({
+  ...rule,
+  trigger: rule.trigger?.field ? { ...rule.trigger, field: currentFieldKey(rule.trigger.field) } : rule.trigger,
+  conditions: (rule.conditions || []).map(condition => ({ ...condition, field: currentFieldKey(condition.field) })),
+  actions: (rule.actions || []).map(action => (action.field ? { ...action, field: currentFieldKey(action.field) } : action)),
+});
+
+export const matchesConditions = (conditions, account) => (conditions || []).every(condition => matchesCondition(account, condition));
+
+const stageName = (stages, stageId) => stages.find(stage => stage.id === stageId)?.name;
+
+// Diff keys use `customFields.<id>`; rules use the import-style `custom.<id>`
+export const getChangedFields = (before, after) => diffAccount(before, after)
+  .map(change => change.field.replace(/^customFields\./, CUSTOM_PREFIX));
+
+const triggerMatches = (trigger, { before, after, changedFields }, stages) => {
+  switch (trigger.type) {
+    // New accounts count as entering their first stage, so imports behave like drags
+    case 'stage_changed':
+      return (!before || before.stage !== after.stage) && (!trigger.stageId || stageName(stages, trigger.stageId) === after.stage);
+    case 'field_updated':
+      return !!before && changedFields.includes(trigger.field);
+    case 'score_below': {
+      const threshold = Number(trigger.threshold);
+      return !!before && (after.dealScore ?? 0) < threshold && !((before.dealScore ?? 0) < threshold);
+    }
+    default:
+      return false;
+  }
+};
+
+// The rules whose trigger and conditions match an account change
+export const getTriggeredRules = (rules, { before, after }, stages) => {
+  const event = { before, after, changedFields: before ? getChangedFields(before, after) : [] };
+  return rules.filter(rule => rule.enabled
+    && triggerMatches(rule.trigger, event, stages)
+    && matchesConditions(rule.conditions, after));
+};
+
+// Fields that must be filled before `account` can enter `toStage`
+export const getMissingRequirements = (rules, stages, account, toStage, customFields = []) => {
+  const target = { ...account, stage: toStage };
+  const fields = getRuleFields(customFields);
+  const keys = new Set();
+  rules
+    .filter(rule => rule.enabled && rule.trigger.type === 'stage_changed' && stageName(stages, rule.trigger.stageId) === toStage)
+    .filter(rule => matchesConditions(rule.conditions, target))
+    .forEach(rule => rule.actions.filter(action => action.type === 'require_field').forEach(action => keys.add(action.field)));
+  return Array.from(keys)
+    .filter(key => isEmptyValue(getFieldValue(target, key)))
+    .map(key => fields.find(field => field.key === key))
+    .filter(Boolean);
+};
+
+// Thrown by the accounts repository so every screen can ask for the missing values
+export const createMissingFieldsError = (stage, fields) => {
+  const error = new Error(`${fields.map(field => field.label).join(', ')} ${fields.length === 1 ? 'is' : 'are'} required to move a deal to ${stage}.`);
+  error.name = 'MissingFieldsError';
+  error.stage = stage;
+  error.fields = fields;
+  return error;
+};
+
+export const isMissingFieldsError = (error) => error?.name === 'MissingFieldsError';
+
+// Turns the values entered for missing fields (keyed like the rule fields) into account changes.
+// Fields the account already has are left alone, since a bulk move asks once for every deal.
+export const getRequirementChanges = (fields, values, account) => {
+  const changes = {};
+  fields.filter(field => isEmptyValue(getFieldValue(account, field.key))).forEach(field => {
+    const value = values[field.key];
+    if (field.type === 'custom') {
+      changes.customFields = { ...(changes.customFields || account.customFields), [field.field.id]: normalizeCustomValue(field.field, value) };
+    } else {
+      changes[field.key] = typeof value === 'string' ? value.trim() : value;
+    }
+  });
+  return changes;
+};
+
+// Overdue follow-ups are checked on a timer; `runId` makes each one fire once per follow-up date
+export const getOverdueRuns = (rules, accounts, stages, now = new Date()) => {
+  const today = toDateKey(now);
+  const runs = [];
+  rules.filter(rule => rule.enabled && rule.trigger.type === 'follow_up_overdue').forEach(rule => {
+    const graceDays = Number(rule.trigger.days) || 0;
+    accounts.forEach(account => {
+      if (!account.nextFollowUpDate || ['won', 'lost'].includes(getStageCategory(stages, account.stage))) return;
+      const followUp = toStoredDateKey(account.nextFollowUpDate);
+      if (shiftDateKey(followUp, graceDays) >= today || !matchesConditions(rule.conditions, account)) return;
+      runs.push({ rule, account, runId: `${rule.id}_${account.id}_${followUp}` });
+    });
+  });
+  return runs;
+};
+
+export const daysFromNow = (days, now = new Date()) => toDateKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() + (Number(days) || 0)));
+
+// The account changes a `set_field` action makes. Dates are given as days from today,
+// and tags are added to the ones the deal already has.
+export const getSetFieldChanges = (action, account, customFields = []) => {
+  const field = getSettableFields(customFields).find(f => f.key === action.field);
+  if (!field) throw new Error(`The field "${action.field}" no longer exists.`);
+  const isDate = field.type === 'date' || field.field?.type === 'date';
+  const raw = isDate ? daysFromNow(action.value) : action.value;
+  if (field.type === 'custom') {
+    const { value, error } = coerceCustomValue(field.field, raw);
+    if (error) throw new Error(error);
+    return { customFields: { ...account.customFields, [field.field.id]: value } };
+  }
+  if (field.type === 'tags') return { tags: normalizeTags([...(account.tags || []), ...normalizeTags(raw)]) };
+  if (field.type === 'choice' && !field.options.includes(raw)) throw new Error(`"${raw}" is not a ${field.label} option.`);
+  return { [field.key]: raw };
+};
+
+// Rules most pipelines want, tied to whichever stages play those roles
+export const getStarterRules = (stages) => {
+  const won = stages.find(stage => stage.category === 'won');
+  const lost = stages.find(stage => stage.category === 'lost');
+  const proposal = stages.find(stage => stage.id === 'proposal-sent') || stages.find(stage => /proposal/i.test(stage.name));
+  return [
+    won && {
+      name: 'Ask why deals are won',
+      trigger: { type: 'stage_changed', stageId: won.id },
+      conditions: [],
+      actions: [{ type: 'require_field', field: 'winLossReason' }],
+    },
+    lost && {
+      name: 'Ask why deals are lost',
+      trigger: { type: 'stage_changed', stageId: lost.id },
+      conditions: [],
+      actions: [{ type: 'require_field', field: 'winLossReason' }, { type: 'require_field', field: 'winLossDetails' }],
+    },
+    proposal && {
+      name: 'Follow up on sent proposals',
+      trigger: { type: 'stage_changed', stageId: proposal.id },
+      conditions: [],
+      actions: [
+        { type: 'set_field', field: 'nextFollowUpDate', value: 3 },
+        { type: 'create_task', title: 'Check in on the proposal for {{companyName}}', taskType: 'call', priority: 'medium', dueInDays: 3 },
+      ],
+    },
+  ].filter(Boolean).map(rule => ({ ...rule, enabled: true }));
+};
@@ -0,0 +1,70 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { runRule } from './actions';
+import { createMissingFieldsError, getMissingRequirements, getOverdueRuns, getTriggeredRules } from './rules';
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// Runs the workspace's automation rules from the signed-in user's CRM. Account changes are
+// passed in by the accounts repository; overdue follow-ups are checked on a timer for the
+// user's own deals, and each one is claimed first so only one open CRM acts on it.
+export const useAutomationRules = ({ rules, stages, customFields, accounts, templates, members, sender, accountsRepo, tasksRepo, notificationsRepo, rulesRepo, webhookClient, onSendEmail, onError }) => {
+  const deps = useRef({});
+  deps.current = { rules, stages, customFields, templates, members, sender, accountsRepo, tasksRepo, notificationsRepo, webhookClient, onSendEmail, onError };
+  // Changes made by a rule's own actions don't trigger more rules, so rules can't loop
+  const inProgress = useRef(new Set());
+  const claimed = useRef(new Set());
+  const running = useRef(false);
+
+  const runRules = useCallback(async (triggered, account) => {
+    inProgress.current.add(account.id);
+    try {
+      let current = account;
+      for (const rule of triggered) {
+        current = await runRule(deps.current, rule, current);
+      }
+    } finally {
+      inProgress.current.delete(account.id);
+    }
+  }, []);
+
+  const checkStageChange = useCallback((account, toStage) => {
+    const { rules: current, stages: currentStages, customFields: fields } = deps.current;
+    const missing = getMissingRequirements(current, currentStages, account, toStage, fields);
+    if (missing.length > 0) throw createMissingFieldsError(toStage, missing);
+  }, []);
+
+  const handleAccountChange = useCallback(async ({ before, after }) => {
+    if (inProgress.current.has(after.id)) return;
+    const triggered = getTriggeredRules(deps.current.rules, { before, after }, deps.current.stages);
+    if (triggered.length > 0) await runRules(triggered, after);
+  }, [runRules]);
+
+  useEffect(() => {
+    if (!rulesRepo || !sender) return;
+
+    const runOverdue = async () => {
+      if (running.current) return;
+      running.current = true;
+      try {
+        const own = accounts.filter(account => account.ownerId === sender.uid);
+        for (const { rule, account, runId } of getOverdueRuns(rules, own, stages)) {
+          if (claimed.current.has(runId) || inProgress.current.has(account.id)) continue;
+          claimed.current.add(runId);
+          if (await rulesRepo.claimRun(runId, { ruleId: rule.id, accountId: account.id })) {
+            await runRules([rule], account);
+          }
+        }
+      } catch (err) {
+        onError("Failed to run automation rules.");
+      } finally {
+        running.current = false;
+      }
+    };
+
+    runOverdue();
+    const interval = setInterval(runOverdue, CHECK_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [rulesRepo, accounts, rules, stages, sender, runRules, onError]);
+
+  return { checkStageChange, handleAccountChange };
+};
@@ -0,0 +1,35 @@
+// Webhook actions and outbound webhook events are posted by the server in server/, which
+// forwards them to the receiving URLs
+export const getWebhookConfig = (env) => ({
+  baseUrl: (env.REACT_APP_API_URL || '/api').replace(/\/$/, ''),
+});
+
+export const createWebhookClient = ({ baseUrl }, { getIdToken, fetchImpl = (...args) => fetch(...args) } = {}) => {
+  const post = async (path, body) => {
+    const token = getIdToken ? await getIdToken() : null;
+    let response;
+    try {
+      response = await fetchImpl(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+        body: JSON.stringify(body),
+      });
+    } catch (err) {
+      throw new Error("Could not reach the server to call the webhook.");
+    }
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `The server responded with ${response.status}.`);
+    return data;
+  };
+
+  return {
+    send: (url, payload) => post('/automation/webhook', { url, payload }),
+
+    // The server builds the events from the account's change log and sends them to the workspace's subscriptions
+    publishEvents: (workspaceId, accountId) => post('/webhooks/events', { workspaceId, accountId }),
+
+    sendTest: (workspaceId, webhookId) => post(`/webhooks/${webhookId}/test`, { workspaceId }),
+
+    redeliver: (workspaceId, deliveryId) => post(`/webhooks/deliveries/${deliveryId}/redeliver`, { workspaceId }),
+  };
+};
@@ -0,0 +1,104 @@
+import { isOpenStage } from '../pipeline/stages';
+
+export const CALENDAR_ITEM_TYPES = {
+  followUp: { label: 'Follow-up', icon: '🔔', className: 'bg-blue-100 text-blue-800 border-blue-200' },
+  close: { label: 'Expected close', icon: '🏁', className: 'bg-green-100 text-green-800 border-green-200' },
+  meeting: { label: 'Meeting', icon: '📅', className: 'bg-purple-100 text-purple-800 border-purple-200' },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Calendar cells are keyed by local 'YYYY-MM-DD'
+export const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export const fromDateKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// Follow-up and close dates are saved from date inputs as UTC midnight, so they are read back in UTC
+const dateOnlyKey = (timestamp) => timestamp.toDate().toISOString().slice(0, 10);
+
+export const buildCalendarItems = ({ accounts, meetings, stages }) => {
+  const items = [];
+  accounts.forEach(account => {
+    if (account.nextFollowUpDate) {
+      items.push({
+        id: `followUp-${account.id}`,
+        type: 'followUp',
+        dateKey: dateOnlyKey(account.nextFollowUpDate),
+        allDay: true,
+        title: `Follow up: ${account.companyName}`,
+        account,
+      });
+    }
+    if (account.expectedCloseDate && isOpenStage(stages, account.stage)) {
+      items.push({
+        id: `close-${account.id}`,
+        type: 'close',
+        dateKey: dateOnlyKey(account.expectedCloseDate),
+        allDay: true,
+        title: `Close: ${account.companyName}`,
+        account,
+      });
+    }
+  });
+  meetings.forEach(meeting => {
+    if (!meeting.start) return;
+    const start = meeting.start.toDate();
+    items.push({
+      id: `meeting-${meeting.id}`,
+      type: 'meeting',
+      dateKey: toDateKey(start),
+      allDay: !!meeting.allDay,
+      start,
+      end: meeting.end ? meeting.end.toDate() : null,
+      title: meeting.title,
+      account: accounts.find(acc => acc.id === meeting.accountId) || null,
+      meeting,
+    });
+  });
+  // All-day items first, then meetings by start time
+  return items.sort((a, b) => (a.allDay === b.allDay ? (a.start?.getTime() || 0) - (b.start?.getTime() || 0) : (a.allDay ? -1 : 1)));
+};
+
+export const groupByDay = (items) => items.reduce((groups, item) => {
+  (groups[item.dateKey] = groups[item.dateKey] || []).push(item);
+  return groups;
+}, {});
+
+// Weeks start on Monday
+const startOfWeek = (date) => {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+};
+
+const daysFrom = (start, count) => Array.from({ length: count }, (_, i) => new Date(start.getFullYear(), start.getMonth(), start.getDate() + i));
+
+export const getWeekDays = (anchor) => daysFrom(startOfWeek(anchor), 7);
+
+// Whole weeks covering the anchor's month
+export const getMonthDays = (anchor) => {
+  const first = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+  const last = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0);
+  const start = startOfWeek(first);
+  const weeks = Math.ceil((Math.round((last - start) / DAY_MS) + 1) / 7);
+  return daysFrom(start, weeks * 7);
+};
+
+export const shiftAnchor = (anchor, mode, direction) => (mode === 'month'
+  ? new Date(anchor.getFullYear(), anchor.getMonth() + direction, 1)
+  : new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate() + 7 * direction));
+
+// What to write when an item is dropped on another day. Meetings keep their time of day and length.
+export const getRescheduleChanges = (item, dateKey) => {
+  if (item.type === 'followUp') return { nextFollowUpDate: dateKey };
+  if (item.type === 'close') return { expectedCloseDate: dateKey };
+  const day = fromDateKey(dateKey);
+  const start = new Date(day.getFullYear(), day.getMonth(), day.getDate(), item.start.getHours(), item.start.getMinutes());
+  const end = item.end ? new Date(start.getTime() + (item.end - item.start)) : null;
+  return { start, end };
+};
@@ -0,0 +1,4 @@
+// Calendar apps need an absolute URL; the feed is served by the server in server/
+export const getCalendarFeedUrl = (env, token, origin) => (
+  new URL(`${(env.REACT_APP_API_URL || '/api').replace(/\/$/, '')}/calendar/feeds/${token}.ics`, origin).href
+);
@@ -0,0 +1,178 @@
+import { CALENDAR_ITEM_TYPES } from './calendarItems';
+
+const PRODUCT_ID = '-//my-crm-app//Calendar//EN';
+const DEFAULT_MEETING_MINUTES = 30;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const escapeText = (text) => String(text || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const unescapeText = (text) => text.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+
+const MAX_LINE_OCTETS = 75;
+
+const utf8Length = (char) => {
+  const code = char.codePointAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  return code < 0x10000 ? 3 : 4;
+};
+
+// RFC 5545 caps lines at 75 octets of UTF-8, counting the space that starts each continuation
+// line. Lines break between code points, so emoji and accents stay whole.
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  Array.from(line).forEach(char => {
+    const length = utf8Length(char);
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + length > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += length;
+  });
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const formatUTC = (date) => (
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`
+);
+
+const formatDateKey = (dateKey) => dateKey.replace(/-/g, '');
+
+const nextDateKey = (dateKey) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+};
+
+const describeItem = (item) => {
+  const account = item.account;
+  const lines = [];
+  if (account) {
+    lines.push(`${CALENDAR_ITEM_TYPES[item.type].label} for ${account.companyName} (${account.stage})`);
+    if (account.contactName || account.contactEmail) lines.push(`Contact: ${[account.contactName, account.contactEmail].filter(Boolean).join(' · ')}`);
+    if (account.nextSteps) lines.push(`Next steps: ${account.nextSteps}`);
+  }
+  if (item.meeting?.agenda) lines.push('', 'Agenda:', item.meeting.agenda);
+  return lines.join('\n');
+};
+
+// Turns calendar items (see calendarItems.js) into an iCalendar file. UIDs are stable so
+// a subscribed calendar updates events in place when a date moves.
+export const buildICS = (items, { calendarName = 'CRM', now = new Date() } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+  ];
+  items.forEach(item => {
+    lines.push('BEGIN:VEVENT', `UID:${item.id}@my-crm-app`, `DTSTAMP:${formatUTC(now)}`);
+    if (item.allDay) {
+      lines.push(`DTSTART;VALUE=DATE:${formatDateKey(item.dateKey)}`, `DTEND;VALUE=DATE:${formatDateKey(nextDateKey(item.dateKey))}`);
+    } else {
+      const end = item.end || new Date(item.start.getTime() + DEFAULT_MEETING_MINUTES * 60 * 1000);
+      lines.push(`DTSTART:${formatUTC(item.start)}`, `DTEND:${formatUTC(end)}`);
+    }
+    lines.push(`SUMMARY:${escapeText(item.title)}`);
+    const description = describeItem(item);
+    if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+    if (item.meeting?.location) lines.push(`LOCATION:${escapeText(item.meeting.location)}`);
+    (item.meeting?.attendees || []).forEach(email => lines.push(`ATTENDEE:mailto:${email}`));
+    lines.push('END:VEVENT');
+  });
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+// Local times with a TZID are read in the browser's timezone; there is no timezone database here
+const parseDate = (value, params) => {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return null;
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  if (params.VALUE === 'DATE' || hours === undefined) {
+    return { date: new Date(Number(year), Number(month) - 1, Number(day)), allDay: true };
+  }
+  const parts = [Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)];
+  return { date: utc ? new Date(Date.UTC(...parts)) : new Date(...parts), allDay: false };
+};
+
+// The value starts at the first colon outside a quoted parameter, e.g. ATTENDEE;CN="Doe: Jane":mailto:...
+const findValueStart = (line) => {
+  let quoted = false;
+  for (let i = 0; i < line.length; i += 1) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ':' && !quoted) return i;
+  }
+  return -1;
+};
+
+const parseProperty = (line) => {
+  const colon = findValueStart(line);
+  if (colon === -1) return null;
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = {};
+  paramParts.forEach(part => {
+    const [key, value = ''] = part.split('=');
+    params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+  });
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+const toEmail = (value) => value.replace(/^mailto:/i, '').trim().toLowerCase();
+
+// Reads the VEVENTs out of an .ics file. Recurring events come in as their first occurrence
+// and cancelled events are dropped.
+export const parseICS = (text) => {
+  const lines = text.replace(/\r\n[ \t]/g, '').replace(/\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let event = null;
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      event = { uid: '', title: '', description: '', location: '', start: null, end: null, allDay: false, attendees: [], organizer: null, cancelled: false };
+      return;
+    }
+    if (line === 'END:VEVENT') {
+      if (event && event.start && !event.cancelled) {
+        const { cancelled, ...rest } = event;
+        events.push(rest);
+      }
+      event = null;
+      return;
+    }
+    if (!event) return;
+    const property = parseProperty(line);
+    if (!property) return;
+    const { name, params, value } = property;
+    if (name === 'UID') event.uid = value;
+    else if (name === 'SUMMARY') event.title = unescapeText(value);
+    else if (name === 'DESCRIPTION') event.description = unescapeText(value);
+    else if (name === 'LOCATION') event.location = unescapeText(value);
+    else if (name === 'STATUS') event.cancelled = value.toUpperCase() === 'CANCELLED';
+    else if (name === 'ORGANIZER') event.organizer = toEmail(value);
+    else if (name === 'ATTENDEE') event.attendees.push(toEmail(value));
+    else if (name === 'DTSTART' || name === 'DTEND') {
+      const parsed = parseDate(value, params);
+      if (!parsed) return;
+      if (name === 'DTSTART') {
+        event.start = parsed.date;
+        event.allDay = parsed.allDay;
+      } else {
+        event.end = parsed.date;
+      }
+    }
+  });
+  return events;
+};
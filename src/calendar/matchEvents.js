@@ -0,0 +1,23 @@
+import { isOpenStage } from '../pipeline/stages';
+
+const accountsForEmail = (email, { accounts, contacts }) => {
+  const direct = accounts.filter(acc => (acc.contactEmail || '').toLowerCase() === email);
+  if (direct.length > 0) return direct;
+  const contact = contacts.find(c => c.email === email);
+  if (!contact) return [];
+  const linked = accounts.filter(acc => (acc.contactIds || []).includes(contact.id));
+  return linked.length > 0 ? linked : accounts.filter(acc => contact.companyId && acc.companyId === contact.companyId);
+};
+
+// Finds the deal an imported meeting belongs to by its attendees' emails, checking the deal's
+// own contact email first and then the contacts directory. Open deals win over closed ones.
+export const findAccountForEvent = (event, { accounts, contacts, stages, ownEmail }) => {
+  const emails = [event.organizer, ...event.attendees].filter(email => email && email !== (ownEmail || '').toLowerCase());
+  for (const email of emails) {
+    const matches = accountsForEmail(email, { accounts, contacts });
+    if (matches.length > 0) {
+      return { account: matches.find(acc => isOpenStage(stages, acc.stage)) || matches[0], email };
+    }
+  }
+  return null;
+};
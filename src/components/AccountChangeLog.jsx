@@ -0,0 +1,54 @@
+import React, { useEffect, useState } from 'react';
+import { AUDIT_ACTIONS, describeChange } from '../audit/auditLog';
+
+const SOURCE_LABELS = { drag: 'board', import: 'import', calendar: 'calendar', email: 'email rule', contacts: 'contact sync', proposal: 'proposal', table: 'table view', automation: 'automation rule', web_form: 'web form', api: 'API' };
+
+const AccountChangeLog = ({ account, auditLogRepo, customFields, onError }) => {
+  const [entries, setEntries] = useState([]);
+  const [expanded, setExpanded] = useState(false);
+
+  useEffect(() => {
+    if (!expanded) return undefined;
+    const unsubscribe = auditLogRepo.subscribe(account.id, setEntries, () => onError("Failed to load change history."));
+    return () => unsubscribe();
+  }, [auditLogRepo, account.id, expanded, onError]);
+
+  return (
+    <div>
+      <button type="button" onClick={() => setExpanded(prev => !prev)} className="text-sm font-medium text-gray-700 hover:underline">
+        {expanded ? '▾' : '▸'} Change history
+      </button>
+      {expanded && (
+        entries.length === 0 ? (
+          <p className="mt-2 text-xs text-gray-500">No changes recorded yet. Changes are tracked from now on.</p>
+        ) : (
+          <ul className="mt-2 space-y-2 max-h-64 overflow-y-auto text-xs">
+            {entries.map(entry => (
+              <li key={entry.id} className="border-l-2 border-gray-200 pl-2">
+                <p className="text-gray-500">
+                  <span className="font-semibold text-gray-700">{entry.changedByName || 'Unknown'}</span> {AUDIT_ACTIONS[entry.action] || entry.action}
+                  {' · '}{entry.createdAt.toDate().toLocaleString()}
+                  {SOURCE_LABELS[entry.source] && ` · via ${SOURCE_LABELS[entry.source]}`}
+                </p>
+                {entry.changes?.length > 0 && (
+                  <ul className="mt-1 space-y-0.5">
+                    {entry.changes.map(change => {
+                      const { label, from, to } = describeChange(change, customFields);
+                      return (
+                        <li key={change.field} className="text-gray-700">
+                          {label}: <span className="line-through text-gray-400">{from || 'empty'}</span> → <span className="font-medium">{to || 'empty'}</span>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ul>
+        )
+      )}
+    </div>
+  );
+};
+
+export default AccountChangeLog;
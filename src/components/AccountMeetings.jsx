@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { toDateTimeInputValue, tomorrowMorning } from '../tasks/taskTypes';
+
+const DURATIONS = [15, 30, 45, 60, 90];
+
+const formatMeetingTime = (meeting) => {
+  const start = meeting.start.toDate();
+  if (meeting.allDay) return start.toLocaleDateString();
+  return `${start.toLocaleDateString()} ${start.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`;
+};
+
+const AccountMeetings = ({ account, meetings, agenda, canEdit, canChangeMeeting, onSchedule, onAttachAgenda, onDelete }) => {
+  const [draft, setDraft] = useState(null);
+  const now = Date.now();
+  const sorted = [...meetings].sort((a, b) => a.start.toMillis() - b.start.toMillis());
+  const upcoming = sorted.filter(meeting => meeting.start.toMillis() >= now);
+  const past = sorted.filter(meeting => meeting.start.toMillis() < now).slice(-3).reverse();
+
+  const handleSchedule = async () => {
+    const start = new Date(draft.start);
+    const end = new Date(start.getTime() + Number(draft.minutes) * 60 * 1000);
+    if (await onSchedule(account, { title: draft.title.trim() || `Meeting with ${account.companyName}`, start, end, location: draft.location })) {
+      setDraft(null);
+    }
+  };
+
+  const renderMeeting = (meeting, isPast) => (
+    <li key={meeting.id} className={`flex items-center justify-between text-xs ${isPast ? 'text-gray-400' : 'text-gray-700'}`}>
+      <span>
+        📅 <span className="font-semibold">{formatMeetingTime(meeting)}</span> · {meeting.title}
+        {meeting.agenda && <span className="ml-1 px-1.5 py-0.5 rounded-full bg-teal-100 text-teal-800">agenda</span>}
+      </span>
+      {canChangeMeeting(meeting) && (
+        <span className="flex gap-2">
+          {agenda && !isPast && (
+            <button type="button" onClick={() => onAttachAgenda(meeting, agenda)} className="text-teal-700 hover:underline">
+              {meeting.agenda ? 'Replace agenda' : 'Attach agenda'}
+            </button>
+          )}
+          <button type="button" onClick={() => onDelete(meeting.id)} className="text-red-600 hover:underline">Delete</button>
+        </span>
+      )}
+    </li>
+  );
+
+  return (
+    <div>
+      <div className="flex items-center justify-between">
+        <label className="block text-sm font-medium text-gray-700">Meetings</label>
+        {canEdit && !draft && (
+          <button
+            type="button"
+            onClick={() => setDraft({ title: '', start: toDateTimeInputValue(tomorrowMorning()), minutes: 30, location: '' })}
+            className="text-xs text-blue-600 hover:underline"
+          >
+            + Schedule meeting
+          </button>
+        )}
+      </div>
+      {draft && (
+        <div className="mt-2 p-3 bg-gray-50 rounded-lg border border-gray-200 space-y-2 text-sm">
+          <input
+            type="text"
+            value={draft.title}
+            onChange={(e) => setDraft(prev => ({ ...prev, title: e.target.value }))}
+            placeholder={`Meeting with ${account.companyName}`}
+            className="w-full rounded-md border-gray-300 p-2 border"
+          />
+          <div className="flex gap-2">
+            <input
+              type="datetime-local"
+              value={draft.start}
+              onChange={(e) => setDraft(prev => ({ ...prev, start: e.target.value }))}
+              className="flex-grow rounded-md border-gray-300 p-2 border"
+            />
+            <select value={draft.minutes} onChange={(e) => setDraft(prev => ({ ...prev, minutes: e.target.value }))} className="rounded-md border-gray-300 p-2 border">
+              {DURATIONS.map(minutes => <option key={minutes} value={minutes}>{minutes} min</option>)}
+            </select>
+          </div>
+          <input
+            type="text"
+            value={draft.location}
+            onChange={(e) => setDraft(prev => ({ ...prev, location: e.target.value }))}
+            placeholder="Location or video link (optional)"
+            className="w-full rounded-md border-gray-300 p-2 border"
+          />
+          <div className="flex justify-end gap-2">
+            <button type="button" onClick={() => setDraft(null)} className="bg-gray-300 text-gray-800 px-4 py-2 rounded-full text-sm hover:bg-gray-400">Cancel</button>
+            <button
+              type="button"
+              onClick={handleSchedule}
+              disabled={!draft.start}
+              className="bg-blue-600 text-white px-4 py-2 rounded-full text-sm hover:bg-blue-700 disabled:opacity-50"
+            >
+              Schedule
+            </button>
+          </div>
+        </div>
+      )}
+      {upcoming.length === 0 && past.length === 0 ? (
+        <p className="mt-2 text-xs text-gray-500">No meetings yet. Schedule one here or import an .ics file from the calendar.</p>
+      ) : (
+        <ul className="mt-2 space-y-1">
+          {upcoming.map(meeting => renderMeeting(meeting, false))}
+          {past.map(meeting => renderMeeting(meeting, true))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AccountMeetings;
@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react';
+import { STEP_STATUSES, describeStep } from '../email/sequences';
+
+const ENROLLMENT_STATUSES = {
+  active: 'bg-blue-200 text-blue-800',
+  completed: 'bg-green-200 text-green-800',
+  stopped: 'bg-gray-200 text-gray-700',
+};
+
+const SequenceStep = ({ step, templates, canAct, canDeliver, onSend, onSkip }) => {
+  const [email, setEmail] = useState({ subject: step.subject, body: step.body });
+  const status = STEP_STATUSES[step.status] || STEP_STATUSES.pending;
+
+  return (
+    <li className="text-xs">
+      <div className="flex items-center justify-between">
+        <span className="text-gray-700">
+          <span className="font-semibold">Day {step.day}</span> · {describeStep(step, templates)} · {step.dueAt.toDate().toLocaleDateString()}
+        </span>
+        <span className={`px-2 py-0.5 rounded-full ${status.className}`}>{status.label}</span>
+      </div>
+      {step.status === 'ready' && canAct && (
+        <div className="mt-1 space-y-1">
+          <input
+            type="text"
+            value={email.subject}
+            onChange={(e) => setEmail(prev => ({ ...prev, subject: e.target.value }))}
+            className="w-full rounded-md border-gray-300 p-1 border text-xs font-semibold"
+          />
+          <textarea
+            value={email.body}
+            onChange={(e) => setEmail(prev => ({ ...prev, body: e.target.value }))}
+            className="w-full rounded-md border-gray-300 p-1 border text-xs"
+            rows="5"
+          ></textarea>
+          <div className="flex gap-3">
+            {canDeliver && (
+              <button type="button" onClick={() => onSend(email, { deliver: true })} className="text-blue-600 font-semibold hover:underline">Send</button>
+            )}
+            <button type="button" onClick={() => onSend(email)} className="text-blue-600 hover:underline">Mark as Sent</button>
+            <button type="button" onClick={onSkip} className="text-gray-500 hover:underline">Skip</button>
+          </div>
+        </div>
+      )}
+      {step.status === 'pending' && canAct && (
+        <button type="button" onClick={onSkip} className="text-gray-500 hover:underline">Skip</button>
+      )}
+    </li>
+  );
+};
+
+const AccountSequences = ({ account, sequencesRepo, sequences, templates, canEdit, onEnroll, onStop, onSendStep, onSkipStep, onError }) => {
+  const [enrollments, setEnrollments] = useState([]);
+  const [sequenceId, setSequenceId] = useState('');
+
+  useEffect(() => {
+    const unsubscribe = sequencesRepo.subscribeEnrollmentsForAccount(account.id, setEnrollments, () => onError("Failed to load sequences."));
+    return () => unsubscribe();
+  }, [sequencesRepo, account.id, onError]);
+
+  const handleEnroll = async () => {
+    const sequence = sequences.find(s => s.id === sequenceId);
+    if (sequence && await onEnroll(account.id, sequence)) setSequenceId('');
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700">Follow-up Sequences</label>
+      {canEdit && (
+        <div className="flex items-center gap-2 mt-2">
+          <select value={sequenceId} onChange={(e) => setSequenceId(e.target.value)} className="flex-grow rounded-md border-gray-300 p-2 border text-sm">
+            <option value="">{sequences.length > 0 ? 'Choose a sequence...' : 'No sequences yet'}</option>
+            {sequences.map(sequence => <option key={sequence.id} value={sequence.id}>{sequence.name} ({sequence.steps.length} steps)</option>)}
+          </select>
+          <button
+            type="button"
+            onClick={handleEnroll}
+            disabled={!sequenceId}
+            className="bg-blue-600 text-white px-4 py-2 rounded-full text-sm hover:bg-blue-700 disabled:opacity-50"
+          >
+            Enroll
+          </button>
+        </div>
+      )}
+
+      <div className="mt-2 space-y-2">
+        {enrollments.map(enrollment => (
+          <div key={enrollment.id} className="p-3 bg-gray-50 rounded-lg border border-gray-200">
+            <div className="flex items-center justify-between mb-2">
+              <div>
+                <span className="text-sm font-semibold text-gray-800">{enrollment.sequenceName}</span>
+                <span className={`ml-2 px-2 py-0.5 text-xs rounded-full ${ENROLLMENT_STATUSES[enrollment.status]}`}>{enrollment.status}</span>
+                <p className="text-xs text-gray-500">
+                  Enrolled by {enrollment.ownerName} on {enrollment.enrolledAt.toDate().toLocaleDateString()}
+                  {enrollment.stopReason && ` · Stopped: ${enrollment.stopReason}`}
+                </p>
+              </div>
+              {enrollment.status === 'active' && canEdit && (
+                <button type="button" onClick={() => onStop(enrollment)} className="text-xs text-red-600 hover:underline">Stop</button>
+              )}
+            </div>
+            <ul className="space-y-2">
+              {enrollment.steps.map((step, index) => (
+                <SequenceStep
+                  key={`${index}-${step.status}`}
+                  step={step}
+                  templates={templates}
+                  canAct={canEdit && enrollment.status === 'active'}
+                  canDeliver={Boolean(account.contactEmail)}
+                  onSend={(email, options) => onSendStep(enrollment, index, email, options)}
+                  onSkip={() => onSkipStep(enrollment, index)}
+                />
+              ))}
+            </ul>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default AccountSequences;
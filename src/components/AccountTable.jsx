@@ -0,0 +1,319 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { DEFAULT_TABLE_COLUMNS, getEditValue, getTableColumns, sortTableRows } from '../pipeline/accountTable';
+import { getAllTags } from '../pipeline/tags';
+
+const TABLE_COLUMNS_KEY = 'crm.tableColumns';
+
+const BULK_ACTIONS = [
+  { value: 'stage', label: 'Move to stage' },
+  { value: 'followUp', label: 'Set follow-up date' },
+  { value: 'owner', label: 'Reassign', managersOnly: true },
+  { value: 'addTag', label: 'Add tag' },
+  { value: 'removeTag', label: 'Remove tag' },
+  { value: 'delete', label: 'Delete' },
+  { value: 'export', label: 'Export' },
+];
+
+const cellInputClass = 'w-full rounded-md border-gray-300 p-1 border text-sm';
+
+const formatCell = (column, account) => (column.format ? column.format(account) : String(account[column.key] ?? ''));
+
+// Saves on Enter or blur, Escape cancels; selects save as soon as they change
+const CellEditor = ({ column, account, stages, members, onSave, onCancel }) => {
+  const [value, setValue] = useState(getEditValue(column, account));
+  // The blur that follows Enter or Escape must not save a second time
+  const done = useRef(false);
+  const finish = (callback) => (...args) => {
+    if (done.current) return;
+    done.current = true;
+    callback(...args);
+  };
+  const save = finish(onSave);
+  const cancel = finish(onCancel);
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') save(value);
+    if (e.key === 'Escape') cancel();
+  };
+
+  if (column.edit === 'stage' || column.edit === 'owner') {
+    const options = column.edit === 'stage'
+      ? stages.map(stage => [stage.name, stage.name])
+      : members.map(member => [member.id, member.displayName]);
+    return (
+      <select value={value} onChange={(e) => save(e.target.value)} onBlur={cancel} onKeyDown={handleKeyDown} className={cellInputClass} autoFocus>
+        {options.map(([optionValue, label]) => <option key={optionValue} value={optionValue}>{label}</option>)}
+      </select>
+    );
+  }
+  return (
+    <input
+      type={column.edit === 'date' ? 'date' : 'number'}
+      min={column.edit === 'number' ? '0' : undefined}
+      value={value}
+      onChange={(e) => setValue(e.target.value)}
+      onBlur={() => save(value)}
+      onKeyDown={handleKeyDown}
+      className={cellInputClass}
+      autoFocus
+    />
+  );
+};
+
+const BulkActionBar = ({ selected, stages, members, tags, canReassign, onBulkAction, onExport, onClear }) => {
+  const [action, setAction] = useState('stage');
+  const [value, setValue] = useState('');
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const actions = BULK_ACTIONS.filter(option => !option.managersOnly || canReassign);
+  const needsValue = action !== 'delete';
+
+  const handleActionChange = (next) => {
+    setAction(next);
+    setValue(next === 'export' ? 'csv' : '');
+    setConfirmDelete(false);
+    setResult(null);
+  };
+
+  const handleApply = async () => {
+    if (action === 'delete' && !confirmDelete) {
+      setConfirmDelete(true);
+      return;
+    }
+    setBusy(true);
+    setResult(null);
+    if (action === 'export') {
+      await onExport(selected, value);
+    } else {
+      const summary = await onBulkAction(selected, action, value);
+      setResult(summary);
+      if (summary.failed === 0) onClear();
+    }
+    setBusy(false);
+    setConfirmDelete(false);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 p-3 mb-3 bg-blue-50 border border-blue-200 rounded-lg text-sm">
+      <span className="font-semibold text-blue-900">{selected.length} selected</span>
+      <select value={action} onChange={(e) => handleActionChange(e.target.value)} className="rounded-md border-gray-300 p-1 border">
+        {actions.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+      </select>
+      {action === 'stage' && (
+        <select value={value} onChange={(e) => setValue(e.target.value)} className="rounded-md border-gray-300 p-1 border">
+          <option value="">Choose a stage...</option>
+          {stages.map(stage => <option key={stage.id} value={stage.name}>{stage.name}</option>)}
+        </select>
+      )}
+      {action === 'followUp' && (
+        <input type="date" value={value} onChange={(e) => setValue(e.target.value)} className="rounded-md border-gray-300 p-1 border" />
+      )}
+      {action === 'owner' && (
+        <select value={value} onChange={(e) => setValue(e.target.value)} className="rounded-md border-gray-300 p-1 border">
+          <option value="">Choose an owner...</option>
+          {members.map(member => <option key={member.id} value={member.id}>{member.displayName}</option>)}
+        </select>
+      )}
+      {(action === 'addTag' || action === 'removeTag') && (
+        <>
+          <input type="text" list="bulk-tags" value={value} onChange={(e) => setValue(e.target.value)} placeholder="Tag" className="rounded-md border-gray-300 p-1 border" />
+          <datalist id="bulk-tags">
+            {tags.map(tag => <option key={tag} value={tag} />)}
+          </datalist>
+        </>
+      )}
+      {action === 'export' && (
+        <select value={value} onChange={(e) => setValue(e.target.value)} className="rounded-md border-gray-300 p-1 border">
+          <option value="csv">CSV</option>
+          <option value="json">JSON</option>
+        </select>
+      )}
+      <button
+        type="button"
+        onClick={handleApply}
+        disabled={busy || (needsValue && !value.trim())}
+        className={`px-4 py-1 rounded-full text-white disabled:opacity-50 ${confirmDelete ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'}`}
+      >
+        {busy ? 'Working...' : confirmDelete ? `Delete ${selected.length} accounts` : 'Apply'}
+      </button>
+      {confirmDelete && <button type="button" onClick={() => setConfirmDelete(false)} className="text-gray-500 hover:underline">Cancel</button>}
+      <button type="button" onClick={onClear} className="ml-auto text-blue-700 hover:underline">Clear selection</button>
+      {result && (
+        <p className="w-full text-xs text-gray-600">
+          Updated {result.updated}.{result.skipped > 0 && ` Skipped ${result.skipped} you can't edit.`}{result.failed > 0 && ` ${result.failed} failed.`}
+        </p>
+      )}
+    </div>
+  );
+};
+
+const AccountTable = ({ accounts, stages, customFields, members, canEdit, canReassign, onOpen, onInlineEdit, onBulkAction, onExport }) => {
+  const allColumns = useMemo(() => getTableColumns(customFields), [customFields]);
+  const [visibleKeys, setVisibleKeys] = useState(() => JSON.parse(localStorage.getItem(TABLE_COLUMNS_KEY) || 'null') || DEFAULT_TABLE_COLUMNS);
+  const [showColumns, setShowColumns] = useState(false);
+  const [sort, setSort] = useState(null);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [editing, setEditing] = useState(null);
+
+  useEffect(() => {
+    localStorage.setItem(TABLE_COLUMNS_KEY, JSON.stringify(visibleKeys));
+  }, [visibleKeys]);
+
+  // Saved keys of archived custom fields are skipped
+  const columns = visibleKeys.map(key => allColumns.find(column => column.key === key)).filter(Boolean);
+  const hiddenColumns = allColumns.filter(column => !visibleKeys.includes(column.key));
+
+  // Without a column sort the rows keep the order chosen in the board's sort menu
+  const rows = useMemo(() => (
+    sort ? sortTableRows(accounts, allColumns.find(column => column.key === sort.key), sort.direction, stages) : accounts
+  ), [accounts, allColumns, sort, stages]);
+
+  const selected = accounts.filter(account => selectedIds.has(account.id));
+  const allSelected = rows.length > 0 && selected.length === rows.length;
+  const tags = useMemo(() => getAllTags(accounts), [accounts]);
+
+  const toggleSort = (key) => setSort(prev => {
+    if (prev?.key !== key) return { key, direction: 'asc' };
+    return prev.direction === 'asc' ? { key, direction: 'desc' } : null;
+  });
+
+  const toggleRow = (accountId) => setSelectedIds(prev => {
+    const next = new Set(prev);
+    if (next.has(accountId)) next.delete(accountId);
+    else next.add(accountId);
+    return next;
+  });
+
+  const toggleAll = () => setSelectedIds(allSelected ? new Set() : new Set(rows.map(account => account.id)));
+
+  const moveColumn = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= columns.length) return;
+    const keys = columns.map(column => column.key);
+    [keys[index], keys[target]] = [keys[target], keys[index]];
+    setVisibleKeys(keys);
+  };
+
+  const isEditable = (column, account) => {
+    if (!column.edit || !canEdit(account)) return false;
+    if (column.edit === 'owner') return canReassign;
+    // Line items decide the value of deals that have them
+    if (column.key === 'value') return !(account.lineItems?.length > 0);
+    return true;
+  };
+
+  const handleSaveCell = async (column, account, value) => {
+    setEditing(null);
+    if (String(value) === String(getEditValue(column, account))) return;
+    await onInlineEdit(account, { [column.key]: value });
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-4">
+      <div className="flex items-center justify-between mb-3">
+        <p className="text-sm text-gray-600">{rows.length} deals · click a highlighted cell to edit it</p>
+        <div className="relative">
+          <button type="button" onClick={() => setShowColumns(prev => !prev)} className="px-4 py-2 rounded-full text-sm bg-gray-200 text-gray-700 hover:bg-gray-300">
+            Columns
+          </button>
+          {showColumns && (
+            <div className="absolute right-0 mt-2 w-64 max-h-96 overflow-y-auto bg-white border border-gray-200 rounded-lg shadow-lg p-3 z-20 text-sm space-y-1">
+              {columns.map((column, index) => (
+                <div key={column.key} className="flex items-center gap-2">
+                  <input type="checkbox" checked disabled={columns.length === 1} onChange={() => setVisibleKeys(visibleKeys.filter(key => key !== column.key))} />
+                  <span className="flex-grow">{column.label}</span>
+                  <button type="button" onClick={() => moveColumn(index, -1)} disabled={index === 0} className="text-gray-500 hover:text-gray-800 px-1">↑</button>
+                  <button type="button" onClick={() => moveColumn(index, 1)} disabled={index === columns.length - 1} className="text-gray-500 hover:text-gray-800 px-1">↓</button>
+                </div>
+              ))}
+              {hiddenColumns.length > 0 && <p className="pt-2 text-xs text-gray-500 border-t border-gray-100">Hidden</p>}
+              {hiddenColumns.map(column => (
+                <label key={column.key} className="flex items-center gap-2 text-gray-600">
+                  <input type="checkbox" checked={false} onChange={() => setVisibleKeys([...visibleKeys, column.key])} />
+                  {column.label}
+                </label>
+              ))}
+              <button type="button" onClick={() => setVisibleKeys(DEFAULT_TABLE_COLUMNS)} className="pt-2 text-xs text-blue-600 hover:underline">Reset to default</button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {selected.length > 0 && (
+        <BulkActionBar
+          selected={selected}
+          stages={stages}
+          members={members}
+          tags={tags}
+          canReassign={canReassign}
+          onBulkAction={onBulkAction}
+          onExport={onExport}
+          onClear={() => setSelectedIds(new Set())}
+        />
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="p-2 w-8">
+                <input type="checkbox" checked={allSelected} onChange={toggleAll} aria-label="Select all" />
+              </th>
+              {columns.map(column => (
+                <th key={column.key} className={`p-2 whitespace-nowrap font-medium text-gray-600 ${column.align === 'right' ? 'text-right' : 'text-left'}`}>
+                  <button type="button" onClick={() => toggleSort(column.key)} className="hover:text-gray-900">
+                    {column.label}
+                    {sort?.key === column.key && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(account => (
+              <tr key={account.id} className={`border-t border-gray-100 ${selectedIds.has(account.id) ? 'bg-blue-50' : 'hover:bg-gray-50'}`}>
+                <td className="p-2">
+                  <input type="checkbox" checked={selectedIds.has(account.id)} onChange={() => toggleRow(account.id)} aria-label={`Select ${account.companyName}`} />
+                </td>
+                {columns.map(column => {
+                  const isEditing = editing?.accountId === account.id && editing.key === column.key;
+                  const editable = isEditable(column, account);
+                  return (
+                    <td key={column.key} className={`p-2 whitespace-nowrap max-w-xs truncate ${column.align === 'right' ? 'text-right' : ''}`}>
+                      {isEditing ? (
+                        <CellEditor
+                          column={column}
+                          account={account}
+                          stages={stages}
+                          members={members}
+                          onSave={(value) => handleSaveCell(column, account, value)}
+                          onCancel={() => setEditing(null)}
+                        />
+                      ) : column.key === 'companyName' ? (
+                        <button type="button" onClick={() => onOpen(account)} className="font-semibold text-blue-700 hover:underline">{account.companyName}</button>
+                      ) : editable ? (
+                        <button
+                          type="button"
+                          onClick={() => setEditing({ accountId: account.id, key: column.key })}
+                          className="w-full text-left rounded px-1 -mx-1 hover:bg-yellow-50 hover:ring-1 hover:ring-yellow-300"
+                        >
+                          {formatCell(column, account) || <span className="text-gray-300">—</span>}
+                        </button>
+                      ) : (
+                        formatCell(column, account)
+                      )}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {rows.length === 0 && <p className="p-4 text-sm text-gray-500">No deals match the current filters.</p>}
+      </div>
+    </div>
+  );
+};
+
+export default AccountTable;
@@ -0,0 +1,130 @@
+import React, { useState, useEffect } from 'react';
+import { TASK_PRIORITIES, TASK_TYPES, toDateTimeInputValue, tomorrowMorning } from '../tasks/taskTypes';
+import TaskItem from './TaskItem';
+
+const emptyTask = () => ({ title: '', type: 'call', priority: 'medium', dueDate: toDateTimeInputValue(tomorrowMorning()), assigneeId: '' });
+
+const AccountTasks = ({ tasksRepo, account, members, currentUserId, canEdit, suggestedActions, onSuggestionUsed, onError }) => {
+  const [tasks, setTasks] = useState([]);
+  const [draft, setDraft] = useState(emptyTask);
+  const [showCompleted, setShowCompleted] = useState(false);
+
+  useEffect(() => {
+    const unsubscribe = tasksRepo.subscribeForAccount(account.id, setTasks, () => onError("Failed to load tasks."));
+    return () => unsubscribe();
+  }, [tasksRepo, account.id, onError]);
+
+  const createTask = async (task) => {
+    const assignee = members.find(member => member.id === (task.assigneeId || currentUserId));
+    try {
+      await tasksRepo.create(account, { ...task, assigneeId: assignee?.id, assigneeName: assignee?.displayName });
+      return true;
+    } catch (err) {
+      onError("Failed to add task.");
+      return false;
+    }
+  };
+
+  const handleAddTask = async () => {
+    if (!draft.title.trim()) return;
+    if (await createTask(draft)) setDraft(emptyTask());
+  };
+
+  const handleCreateFromSuggestion = async (action) => {
+    if (await createTask({ ...emptyTask(), title: action, type: 'todo', source: 'ai' })) onSuggestionUsed(action);
+  };
+
+  const handleToggle = async (task) => {
+    try {
+      await tasksRepo.setCompleted(task.id, !task.completed);
+    } catch (err) {
+      onError("Failed to update task.");
+    }
+  };
+
+  const handleDelete = async (task) => {
+    try {
+      await tasksRepo.remove(task.id);
+    } catch (err) {
+      onError("Failed to delete task.");
+    }
+  };
+
+  const visibleTasks = tasks
+    .filter(task => showCompleted || !task.completed)
+    .sort((a, b) => (a.dueDate?.toMillis() ?? Infinity) - (b.dueDate?.toMillis() ?? Infinity));
+
+  return (
+    <div>
+      <div className="flex items-center justify-between">
+        <label className="block text-sm font-medium text-gray-700">Tasks</label>
+        <label className="text-xs text-gray-600">
+          <input type="checkbox" checked={showCompleted} onChange={(e) => setShowCompleted(e.target.checked)} className="mr-1" />
+          Show completed
+        </label>
+      </div>
+
+      {suggestedActions.length > 0 && canEdit && (
+        <div className="mt-2 p-2 bg-indigo-50 rounded-md">
+          <p className="text-xs font-semibold text-indigo-800 mb-1">✨ Action items from your last dictation</p>
+          <div className="flex flex-wrap gap-1">
+            {suggestedActions.map(action => (
+              <button
+                key={action}
+                type="button"
+                onClick={() => handleCreateFromSuggestion(action)}
+                className="px-2 py-1 text-xs rounded-full bg-white border border-indigo-200 text-indigo-700 hover:bg-indigo-100"
+              >
+                + {action}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="space-y-2 mt-2 max-h-48 overflow-y-auto">
+        {visibleTasks.length === 0 && <p className="text-sm text-gray-400">No open tasks.</p>}
+        {visibleTasks.map(task => (
+          <TaskItem key={task.id} task={task} onToggle={handleToggle} onDelete={canEdit ? handleDelete : null} />
+        ))}
+      </div>
+
+      {canEdit && (
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-2 mt-2">
+          <input
+            type="text"
+            value={draft.title}
+            onChange={(e) => setDraft(prev => ({ ...prev, title: e.target.value }))}
+            placeholder="New task..."
+            className="col-span-2 rounded-md border-gray-300 shadow-sm p-2 border text-sm"
+          />
+          <select value={draft.type} onChange={(e) => setDraft(prev => ({ ...prev, type: e.target.value }))} className="rounded-md border-gray-300 p-2 border text-sm">
+            {TASK_TYPES.map(type => <option key={type.value} value={type.value}>{type.icon} {type.label}</option>)}
+          </select>
+          <select value={draft.priority} onChange={(e) => setDraft(prev => ({ ...prev, priority: e.target.value }))} className="rounded-md border-gray-300 p-2 border text-sm">
+            {TASK_PRIORITIES.map(priority => <option key={priority.value} value={priority.value}>{priority.label}</option>)}
+          </select>
+          <select value={draft.assigneeId || currentUserId} onChange={(e) => setDraft(prev => ({ ...prev, assigneeId: e.target.value }))} className="rounded-md border-gray-300 p-2 border text-sm">
+            {members.map(member => <option key={member.id} value={member.id}>{member.displayName}</option>)}
+          </select>
+          <input
+            type="datetime-local"
+            value={draft.dueDate}
+            onChange={(e) => setDraft(prev => ({ ...prev, dueDate: e.target.value }))}
+            className="col-span-2 md:col-span-3 rounded-md border-gray-300 p-2 border text-sm"
+          />
+          <button
+            type="button"
+            onClick={handleAddTask}
+            disabled={!draft.title.trim()}
+            className="col-span-2 bg-blue-600 text-white px-4 py-2 rounded-full shadow-md hover:bg-blue-700 transition duration-300 ease-in-out"
+          >
+            Add Task
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AccountTasks;
@@ -0,0 +1,123 @@
+import React, { useState, useEffect } from 'react';
+import { ACTIVITY_TYPES, getActivityType } from '../activities/activityTypes';
+import { renderMarkdown } from '../ai/markdown';
+import { ACTIVITY_PAGE_SIZE } from '../data';
+
+const sentimentClass = (sentiment) => (
+  sentiment === 'Positive' ? 'text-green-600' : sentiment === 'Negative' ? 'text-red-600' : 'text-gray-600'
+);
+
+const ActivityTimeline = ({ activitiesRepo, account, currentUserId, canModerate, onError }) => {
+  const [activities, setActivities] = useState([]);
+  const [typeFilter, setTypeFilter] = useState('');
+  const [pageCount, setPageCount] = useState(1);
+  const [editingId, setEditingId] = useState(null);
+  const [editText, setEditText] = useState('');
+
+  useEffect(() => {
+    const unsubscribe = activitiesRepo.subscribe(account.id, setActivities, () => onError("Failed to load activity."), {
+      type: typeFilter || undefined,
+      pageCount,
+    });
+    return () => unsubscribe();
+  }, [activitiesRepo, account.id, typeFilter, pageCount, onError]);
+
+  // Notes still sitting on the account document are shown read-only until they are migrated
+  const legacyNotes = (account.notes || []).map((note, index) => ({
+    id: `legacy-${index}`,
+    type: 'note',
+    text: note.text,
+    sentiment: note.sentiment,
+    createdAt: { toDate: () => new Date(note.timestamp) },
+    legacy: true,
+  })).filter(note => !activities.some(activity => activity.id === note.id));
+  const entries = legacyNotes.length > 0 && (!typeFilter || typeFilter === 'note') ? [...activities, ...legacyNotes] : activities;
+
+  const startEditing = (activity) => {
+    setEditingId(activity.id);
+    setEditText(activity.text);
+  };
+
+  const handleSaveEdit = async (activity) => {
+    try {
+      await activitiesRepo.update(account.id, activity.id, { text: editText });
+      setEditingId(null);
+    } catch (err) {
+      onError("Failed to update activity.");
+    }
+  };
+
+  const handleDelete = async (activity) => {
+    try {
+      await activitiesRepo.remove(account.id, activity.id);
+    } catch (err) {
+      onError("Failed to delete activity.");
+    }
+  };
+
+  const canChange = (activity) => !activity.legacy && activity.type !== 'stage_change' && (activity.authorId === currentUserId || canModerate);
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-1 mt-1 mb-2">
+        {[{ value: '', label: 'All', icon: '' }, ...ACTIVITY_TYPES].map(type => (
+          <button
+            key={type.value}
+            type="button"
+            onClick={() => { setTypeFilter(type.value); setPageCount(1); }}
+            className={`px-2 py-1 text-xs rounded-full ${typeFilter === type.value ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+          >
+            {type.icon} {type.label}
+          </button>
+        ))}
+      </div>
+      <div className="border border-gray-300 rounded-md p-3 max-h-64 overflow-y-auto">
+        {entries.length === 0 && <p className="text-sm text-gray-400">No activity yet.</p>}
+        {entries.map(activity => (
+          <div key={activity.id} className="text-sm text-gray-700 mb-2 p-2 bg-gray-50 rounded-md group relative">
+            {editingId === activity.id ? (
+              <div>
+                <textarea
+                  value={editText}
+                  onChange={(e) => setEditText(e.target.value)}
+                  className="w-full rounded-md border-gray-300 p-2 border text-sm"
+                  rows="3"
+                />
+                <div className="flex justify-end space-x-2 mt-1">
+                  <button type="button" onClick={() => setEditingId(null)} className="text-xs text-gray-600 hover:underline">Cancel</button>
+                  <button type="button" onClick={() => handleSaveEdit(activity)} className="text-xs text-blue-600 hover:underline">Save</button>
+                </div>
+              </div>
+            ) : getActivityType(activity.type).markdown ? (
+              <div
+                className="prose prose-sm max-w-none"
+                dangerouslySetInnerHTML={{ __html: renderMarkdown(activity.text) }}
+              ></div>
+            ) : (
+              <p className="text-sm text-gray-800 whitespace-pre-wrap">{activity.text}</p>
+            )}
+            <p className="text-xs text-gray-400 mt-1">
+              {getActivityType(activity.type).icon} {getActivityType(activity.type).label} | {activity.createdAt?.toDate().toLocaleString()}
+              {activity.authorName && ` | ${activity.authorName}`}
+              {activity.sentiment && <> | <span className={`font-semibold ${sentimentClass(activity.sentiment)}`}>{activity.sentiment}</span></>}
+              {activity.updatedAt && ' | edited'}
+            </p>
+            {canChange(activity) && editingId !== activity.id && (
+              <div className="absolute top-2 right-2 hidden group-hover:flex space-x-2">
+                <button type="button" onClick={() => startEditing(activity)} className="text-xs text-blue-600 hover:underline">Edit</button>
+                <button type="button" onClick={() => handleDelete(activity)} className="text-xs text-red-600 hover:underline">Delete</button>
+              </div>
+            )}
+          </div>
+        ))}
+        {activities.length === pageCount * ACTIVITY_PAGE_SIZE && (
+          <button type="button" onClick={() => setPageCount(prev => prev + 1)} className="w-full text-xs text-blue-600 hover:underline mt-1">
+            Load older activity
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ActivityTimeline;
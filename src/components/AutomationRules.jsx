@@ -0,0 +1,305 @@
+import React, { useState } from 'react';
+import { CONDITION_OPERATORS, NOTIFY_RECIPIENTS, RULE_ACTIONS, RULE_TRIGGERS, getRuleFields, getSettableFields } from '../automation/rules';
+import { MERGE_FIELDS } from '../email/mergeFields';
+import { getVisibleStages } from '../pipeline/stages';
+import { TASK_PRIORITIES, TASK_TYPES } from '../tasks/taskTypes';
+
+const emptyRule = (stages) => ({
+  name: '',
+  enabled: true,
+  trigger: { type: 'stage_changed', stageId: getVisibleStages(stages)[0]?.id || '' },
+  conditions: [],
+  actions: [],
+});
+
+const emptyAction = (type) => ({
+  require_field: { type, field: 'winLossReason' },
+  create_task: { type, title: '', taskType: 'todo', priority: 'medium', dueInDays: 1 },
+  set_field: { type, field: 'nextFollowUpDate', value: '' },
+  email: { type, templateId: '', mode: 'draft' },
+  notify: { type, recipient: 'owner', message: '' },
+  webhook: { type, url: '' },
+}[type]);
+
+const inputClass = 'rounded-md border-gray-300 p-2 border text-sm';
+
+const isDateField = (field) => field?.type === 'date' || field?.field?.type === 'date';
+
+const describeTrigger = (trigger, stages, fields) => {
+  switch (trigger.type) {
+    case 'stage_changed': return `When a deal enters ${stages.find(stage => stage.id === trigger.stageId)?.name || 'any stage'}`;
+    case 'field_updated': return `When ${fields.find(field => field.key === trigger.field)?.label || trigger.field} changes`;
+    case 'follow_up_overdue': return `When a follow-up is ${Number(trigger.days) || 0} or more days overdue`;
+    case 'score_below': return `When the deal score drops below ${trigger.threshold}`;
+    default: return '';
+  }
+};
+
+const ActionEditor = ({ action, fields, settableFields, templates, members, onChange, onRemove }) => {
+  const update = (key, value) => onChange({ ...action, [key]: value });
+  const setField = settableFields.find(field => field.key === action.field);
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 p-2 bg-white rounded-md border border-gray-200">
+      <span className="text-xs font-semibold text-gray-600 w-full">{RULE_ACTIONS.find(a => a.value === action.type)?.label}</span>
+      {action.type === 'require_field' && (
+        <select value={action.field} onChange={(e) => update('field', e.target.value)} className={inputClass}>
+          {fields.filter(field => field.key !== 'stage').map(field => <option key={field.key} value={field.key}>{field.label}</option>)}
+        </select>
+      )}
+      {action.type === 'create_task' && (
+        <>
+          <input type="text" value={action.title} onChange={(e) => update('title', e.target.value)} placeholder="Task title, e.g. Call {{contactName}}" className={`${inputClass} flex-grow`} />
+          <select value={action.taskType} onChange={(e) => update('taskType', e.target.value)} className={inputClass}>
+            {TASK_TYPES.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
+          </select>
+          <select value={action.priority} onChange={(e) => update('priority', e.target.value)} className={inputClass}>
+            {TASK_PRIORITIES.map(priority => <option key={priority.value} value={priority.value}>{priority.label}</option>)}
+          </select>
+          <label className="text-xs text-gray-600 flex items-center gap-1">
+            Due in
+            <input type="number" min="0" value={action.dueInDays} onChange={(e) => update('dueInDays', e.target.value)} className={`${inputClass} w-16`} />
+            days
+          </label>
+        </>
+      )}
+      {action.type === 'set_field' && (
+        <>
+          <select value={action.field} onChange={(e) => onChange({ ...action, field: e.target.value, value: '' })} className={inputClass}>
+            {settableFields.map(field => <option key={field.key} value={field.key}>{field.label}</option>)}
+          </select>
+          {isDateField(setField) ? (
+            <label className="text-xs text-gray-600 flex items-center gap-1">
+              to
+              <input type="number" min="0" value={action.value} onChange={(e) => update('value', e.target.value)} className={`${inputClass} w-16`} />
+              days from today
+            </label>
+          ) : setField?.type === 'choice' ? (
+            <select value={action.value} onChange={(e) => update('value', e.target.value)} className={inputClass}>
+              <option value="">Choose a value</option>
+              {setField.options.map(option => <option key={option} value={option}>{option}</option>)}
+            </select>
+          ) : (
+            <input type="text" value={action.value} onChange={(e) => update('value', e.target.value)} placeholder={setField?.type === 'tags' ? 'Tags to add' : 'New value'} className={`${inputClass} flex-grow`} />
+          )}
+        </>
+      )}
+      {action.type === 'email' && (
+        <>
+          <select value={action.templateId} onChange={(e) => update('templateId', e.target.value)} className={inputClass}>
+            <option value="">Choose a template</option>
+            {templates.map(template => <option key={template.id} value={template.id}>{template.name}</option>)}
+          </select>
+          <select value={action.mode} onChange={(e) => update('mode', e.target.value)} className={inputClass}>
+            <option value="draft">Draft it as a task for the owner</option>
+            <option value="send">Send it to the contact</option>
+          </select>
+        </>
+      )}
+      {action.type === 'notify' && (
+        <>
+          <select value={action.recipient} onChange={(e) => update('recipient', e.target.value)} className={inputClass}>
+            {NOTIFY_RECIPIENTS.map(recipient => <option key={recipient.value} value={recipient.value}>{recipient.label}</option>)}
+            {members.map(member => <option key={member.id} value={member.id}>{member.displayName}</option>)}
+          </select>
+          <input type="text" value={action.message} onChange={(e) => update('message', e.target.value)} placeholder="Message, e.g. {{companyName}} needs attention" className={`${inputClass} flex-grow`} />
+        </>
+      )}
+      {action.type === 'webhook' && (
+        <input type="url" value={action.url} onChange={(e) => update('url', e.target.value)} placeholder="https://hooks.example.com/crm" className={`${inputClass} flex-grow`} />
+      )}
+      <button type="button" onClick={onRemove} className="text-xs text-red-600 hover:underline ml-auto">Remove</button>
+    </div>
+  );
+};
+
+// An action is ready to save once everything it needs to run is filled in
+const isActionComplete = (action) => ({
+  create_task: !!action.title?.trim(),
+  set_field: String(action.value ?? '').trim() !== '',
+  email: !!action.templateId,
+  notify: !!action.recipient,
+  webhook: /^https?:\/\//i.test(action.url || ''),
+}[action.type] ?? true);
+
+const RuleEditor = ({ rule, stages, customFields, templates, members, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(rule);
+  const fields = getRuleFields(customFields);
+  const settableFields = getSettableFields(customFields);
+  const availableActions = RULE_ACTIONS.filter(action => !action.triggers || action.triggers.includes(draft.trigger.type));
+
+  const updateTrigger = (changes) => setDraft(prev => ({ ...prev, trigger: { ...prev.trigger, ...changes } }));
+  const changeTriggerType = (type) => setDraft(prev => ({
+    ...prev,
+    trigger: { type, stageId: type === 'stage_changed' ? getVisibleStages(stages)[0]?.id || '' : undefined, field: type === 'field_updated' ? 'value' : undefined, days: type === 'follow_up_overdue' ? 0 : undefined, threshold: type === 'score_below' ? 50 : undefined },
+    // Requirements only make sense before a stage move
+    actions: prev.actions.filter(action => RULE_ACTIONS.find(a => a.value === action.type)?.triggers?.includes(type) ?? true),
+  }));
+
+  const updateList = (key, index, value) => setDraft(prev => ({ ...prev, [key]: prev[key].map((item, i) => (i === index ? value : item)) }));
+  const removeFromList = (key, index) => setDraft(prev => ({ ...prev, [key]: prev[key].filter((item, i) => i !== index) }));
+
+  const handleSave = () => {
+    const trigger = Object.fromEntries(Object.entries(draft.trigger).filter(([, value]) => value !== undefined));
+    onSave({ ...draft, name: draft.name.trim(), trigger });
+  };
+
+  const canSave = draft.name.trim() && draft.actions.length > 0 && draft.actions.every(isActionComplete);
+
+  return (
+    <div className="space-y-3 p-3 bg-gray-50 rounded-lg border border-gray-200 text-sm">
+      <input type="text" value={draft.name} onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))} placeholder="Rule name, e.g. Chase stalled proposals" className={`${inputClass} w-full`} />
+
+      <div>
+        <p className="text-xs font-semibold text-gray-600 mb-1">When</p>
+        <div className="flex flex-wrap gap-2">
+          <select value={draft.trigger.type} onChange={(e) => changeTriggerType(e.target.value)} className={inputClass}>
+            {RULE_TRIGGERS.map(trigger => <option key={trigger.value} value={trigger.value}>{trigger.label}</option>)}
+          </select>
+          {draft.trigger.type === 'stage_changed' && (
+            <select value={draft.trigger.stageId} onChange={(e) => updateTrigger({ stageId: e.target.value })} className={inputClass}>
+              {getVisibleStages(stages).map(stage => <option key={stage.id} value={stage.id}>{stage.name}</option>)}
+            </select>
+          )}
+          {draft.trigger.type === 'field_updated' && (
+            <select value={draft.trigger.field} onChange={(e) => updateTrigger({ field: e.target.value })} className={inputClass}>
+              {fields.map(field => <option key={field.key} value={field.key}>{field.label}</option>)}
+            </select>
+          )}
+          {draft.trigger.type === 'follow_up_overdue' && (
+            <label className="text-xs text-gray-600 flex items-center gap-1">
+              by at least
+              <input type="number" min="0" value={draft.trigger.days} onChange={(e) => updateTrigger({ days: e.target.value })} className={`${inputClass} w-16`} />
+              days
+            </label>
+          )}
+          {draft.trigger.type === 'score_below' && (
+            <input type="number" min="0" max="100" value={draft.trigger.threshold} onChange={(e) => updateTrigger({ threshold: e.target.value })} className={`${inputClass} w-20`} />
+          )}
+        </div>
+      </div>
+
+      <div>
+        <p className="text-xs font-semibold text-gray-600 mb-1">Only if {draft.conditions.length === 0 && <span className="font-normal text-gray-400">(every deal)</span>}</p>
+        <div className="space-y-2">
+          {draft.conditions.map((condition, index) => {
+            const operator = CONDITION_OPERATORS.find(op => op.value === condition.operator);
+            return (
+              <div key={index} className="flex flex-wrap gap-2 items-center">
+                <select value={condition.field} onChange={(e) => updateList('conditions', index, { ...condition, field: e.target.value })} className={inputClass}>
+                  {fields.map(field => <option key={field.key} value={field.key}>{field.label}</option>)}
+                </select>
+                <select value={condition.operator} onChange={(e) => updateList('conditions', index, { ...condition, operator: e.target.value })} className={inputClass}>
+                  {CONDITION_OPERATORS.map(op => <option key={op.value} value={op.value}>{op.label}</option>)}
+                </select>
+                {!operator?.noValue && (
+                  <input type="text" value={condition.value} onChange={(e) => updateList('conditions', index, { ...condition, value: e.target.value })} placeholder="Value" className={`${inputClass} flex-grow`} />
+                )}
+                <button type="button" onClick={() => removeFromList('conditions', index)} className="text-xs text-red-600 hover:underline">Remove</button>
+              </div>
+            );
+          })}
+        </div>
+        <button
+          type="button"
+          onClick={() => setDraft(prev => ({ ...prev, conditions: [...prev.conditions, { field: 'value', operator: 'greater_than', value: '' }] }))}
+          className="mt-1 text-xs text-blue-600 hover:underline"
+        >
+          + Add condition
+        </button>
+      </div>
+
+      <div>
+        <p className="text-xs font-semibold text-gray-600 mb-1">Then</p>
+        <div className="space-y-2">
+          {draft.actions.map((action, index) => (
+            <ActionEditor
+              key={index}
+              action={action}
+              fields={fields}
+              settableFields={settableFields}
+              templates={templates}
+              members={members}
+              onChange={(value) => updateList('actions', index, value)}
+              onRemove={() => removeFromList('actions', index)}
+            />
+          ))}
+        </div>
+        <select
+          value=""
+          onChange={(e) => e.target.value && setDraft(prev => ({ ...prev, actions: [...prev.actions, emptyAction(e.target.value)] }))}
+          className={`${inputClass} mt-2`}
+        >
+          <option value="">+ Add action</option>
+          {availableActions.map(action => <option key={action.value} value={action.value}>{action.label}</option>)}
+        </select>
+        <p className="text-xs text-gray-500 mt-1">Task titles, messages and emails can use {MERGE_FIELDS.slice(0, 3).map(field => `{{${field.key}}}`).join(', ')} and other merge fields.</p>
+      </div>
+
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="bg-gray-300 text-gray-800 px-4 py-2 rounded-full text-sm hover:bg-gray-400">Cancel</button>
+        <button type="button" onClick={handleSave} disabled={!canSave} className="bg-blue-600 text-white px-4 py-2 rounded-full text-sm hover:bg-blue-700 disabled:opacity-50">
+          Save Rule
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const AutomationRules = ({ rules, stages, customFields, templates, members, onSave, onRemove, onAddStarterRules, onClose }) => {
+  const [editing, setEditing] = useState(null);
+  const fields = getRuleFields(customFields);
+
+  const handleSave = async (rule) => {
+    if (await onSave(rule)) setEditing(null);
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">Rules run on their own when deals change: require a field before a stage, create tasks, set fields, send or draft emails, notify people or call a webhook. Changes a rule makes never trigger other rules.</p>
+
+      {rules.length === 0 && !editing && (
+        <div className="text-sm text-gray-500">
+          No rules yet.{' '}
+          <button type="button" onClick={onAddStarterRules} className="text-blue-600 hover:underline">Add the starter rules</button>
+        </div>
+      )}
+      <div className="space-y-2">
+        {rules.map(rule => (
+          editing?.id === rule.id ? (
+            <RuleEditor key={rule.id} rule={editing} stages={stages} customFields={customFields} templates={templates} members={members} onSave={handleSave} onCancel={() => setEditing(null)} />
+          ) : (
+            <div key={rule.id} className={`flex items-center gap-2 p-2 rounded-md border border-gray-200 text-sm ${rule.enabled ? 'bg-white' : 'bg-gray-100 opacity-60'}`}>
+              <div className="flex-grow">
+                <p className="font-semibold text-gray-800">{rule.name}</p>
+                <p className="text-xs text-gray-500">
+                  {describeTrigger(rule.trigger, stages, fields)}
+                  {rule.conditions.length > 0 && ` · ${rule.conditions.length} condition${rule.conditions.length === 1 ? '' : 's'}`}
+                  {' · '}{rule.actions.map(action => RULE_ACTIONS.find(a => a.value === action.type)?.label).join(', ')}
+                </p>
+              </div>
+              <button type="button" onClick={() => setEditing(rule)} disabled={!!editing} className="text-xs text-blue-600 hover:underline">Edit</button>
+              <button type="button" onClick={() => onSave({ ...rule, enabled: !rule.enabled })} className="text-xs text-blue-600 hover:underline w-12">
+                {rule.enabled ? 'Pause' : 'Resume'}
+              </button>
+              <button type="button" onClick={() => onRemove(rule)} className="text-xs text-red-600 hover:underline">Delete</button>
+            </div>
+          )
+        ))}
+      </div>
+
+      {editing && !editing.id && <RuleEditor key="new" rule={editing} stages={stages} customFields={customFields} templates={templates} members={members} onSave={handleSave} onCancel={() => setEditing(null)} />}
+
+      <div className="flex justify-between">
+        <button type="button" onClick={() => setEditing(emptyRule(stages))} disabled={!!editing} className="bg-blue-600 text-white px-4 py-2 rounded-full shadow-md hover:bg-blue-700 disabled:opacity-50">
+          + Add Rule
+        </button>
+        <button type="button" onClick={onClose} className="bg-gray-300 text-gray-800 px-6 py-3 rounded-full shadow-md hover:bg-gray-400 transition duration-300 ease-in-out">
+          Done
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AutomationRules;
@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+import { DEFAULT_SORT, EMPTY_FILTERS, SCORE_BANDS, SORT_OPTIONS, countActiveFilters, getFieldOptions } from '../pipeline/boardFilters';
+import { getActiveFields } from '../customFields/customFields';
+import { getAllTags } from '../pipeline/tags';
+
+const FIELD_FILTERS = [
+  { key: 'industry', label: 'Industry' },
+  { key: 'leadSource', label: 'Lead Source' },
+  { key: 'companySize', label: 'Company Size' },
+];
+
+const CustomFieldFilter = ({ field, value, onChange }) => {
+  const inputClass = 'w-full rounded-md border-gray-300 p-2 border text-sm';
+  if (field.type === 'number' || field.type === 'date') {
+    const [from, to] = Array.isArray(value) ? value : ['', ''];
+    const type = field.type === 'number' ? 'number' : 'date';
+    return (
+      <div className="mt-1 flex items-center gap-1">
+        <input type={type} value={from} onChange={(e) => onChange([e.target.value, to])} placeholder="Min" className={inputClass} />
+        <span className="text-gray-400">–</span>
+        <input type={type} value={to} onChange={(e) => onChange([from, e.target.value])} placeholder="Max" className={inputClass} />
+      </div>
+    );
+  }
+  if (field.type === 'select' || field.type === 'multiselect' || field.type === 'checkbox') {
+    const options = field.type === 'checkbox' ? [['yes', 'Yes'], ['no', 'No']] : (field.options || []).map(option => [option, option]);
+    return (
+      <select value={value || ''} onChange={(e) => onChange(e.target.value)} className={`mt-1 ${inputClass}`}>
+        <option value="">Any</option>
+        {options.map(([optionValue, label]) => <option key={optionValue} value={optionValue}>{label}</option>)}
+      </select>
+    );
+  }
+  return <input type="text" value={value || ''} onChange={(e) => onChange(e.target.value)} placeholder="Contains..." className={`mt-1 ${inputClass}`} />;
+};
+
+const BoardFilters = ({ filters, sortBy, accounts, members, customFields, savedViews, activeViewId, resultCount, totalCount, onChange, onSortChange, onApplyView, onSaveView, onUpdateView, onDeleteView }) => {
+  const [showPanel, setShowPanel] = useState(false);
+  const [viewName, setViewName] = useState(null);
+
+  const activeCount = countActiveFilters(filters);
+  const isFiltered = activeCount > 0 || filters.query.trim() !== '';
+  const setFilter = (key, value) => onChange({ ...filters, [key]: value });
+  const setCustomFilter = (fieldId, value) => onChange({ ...filters, custom: { ...filters.custom, [fieldId]: value } });
+
+  const handleSaveView = async () => {
+    if (!viewName.trim()) return;
+    if (await onSaveView(viewName)) setViewName(null);
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow-sm mb-6 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="search"
+          value={filters.query}
+          onChange={(e) => setFilter('query', e.target.value)}
+          placeholder="Search companies, contacts, services and notes..."
+          className="flex-grow min-w-64 rounded-full border-gray-300 px-4 py-2 border text-sm"
+        />
+        <button
+          type="button"
+          onClick={() => setShowPanel(prev => !prev)}
+          className={`px-4 py-2 rounded-full text-sm ${activeCount > 0 ? 'bg-blue-100 text-blue-800' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+        >
+          Filters{activeCount > 0 ? ` (${activeCount})` : ''}
+        </button>
+        <select value={sortBy} onChange={(e) => onSortChange(e.target.value)} className="rounded-full border-gray-300 px-3 py-2 border text-sm">
+          {SORT_OPTIONS.map(option => <option key={option.value} value={option.value}>Sort: {option.label}</option>)}
+        </select>
+        <select
+          value={activeViewId || ''}
+          onChange={(e) => onApplyView(savedViews.find(view => view.id === e.target.value) || null)}
+          className="rounded-full border-gray-300 px-3 py-2 border text-sm"
+        >
+          <option value="">{savedViews.length > 0 ? 'Saved views...' : 'No saved views'}</option>
+          {savedViews.map(view => <option key={view.id} value={view.id}>{view.name}</option>)}
+        </select>
+        {activeViewId && (
+          <>
+            <button type="button" onClick={onUpdateView} className="text-sm text-blue-600 hover:underline">Update view</button>
+            <button type="button" onClick={() => onDeleteView(activeViewId)} className="text-sm text-red-600 hover:underline">Delete view</button>
+          </>
+        )}
+        {viewName === null ? (
+          <button type="button" onClick={() => setViewName('')} disabled={!isFiltered && sortBy === DEFAULT_SORT} className="text-sm text-blue-600 hover:underline disabled:opacity-50 disabled:no-underline">
+            Save as view
+          </button>
+        ) : (
+          <span className="flex items-center gap-1">
+            <input
+              type="text"
+              value={viewName}
+              onChange={(e) => setViewName(e.target.value)}
+              placeholder="View name"
+              className="rounded-md border-gray-300 p-1 border text-sm"
+              autoFocus
+            />
+            <button type="button" onClick={handleSaveView} className="text-sm text-blue-600 hover:underline">Save</button>
+            <button type="button" onClick={() => setViewName(null)} className="text-sm text-gray-500 hover:underline">Cancel</button>
+          </span>
+        )}
+      </div>
+
+      {showPanel && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          {FIELD_FILTERS.map(field => (
+            <div key={field.key}>
+              <label className="block text-xs font-medium text-gray-600">{field.label}</label>
+              <select value={filters[field.key]} onChange={(e) => setFilter(field.key, e.target.value)} className="mt-1 w-full rounded-md border-gray-300 p-2 border text-sm">
+                <option value="">Any</option>
+                {getFieldOptions(accounts, field.key).map(value => <option key={value} value={value}>{value}</option>)}
+              </select>
+            </div>
+          ))}
+          <div>
+            <label className="block text-xs font-medium text-gray-600">Owner</label>
+            <select value={filters.ownerId} onChange={(e) => setFilter('ownerId', e.target.value)} className="mt-1 w-full rounded-md border-gray-300 p-2 border text-sm">
+              <option value="">Anyone</option>
+              {members.map(member => <option key={member.id} value={member.id}>{member.displayName}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600">Tag</label>
+            <select value={filters.tag} onChange={(e) => setFilter('tag', e.target.value)} className="mt-1 w-full rounded-md border-gray-300 p-2 border text-sm">
+              <option value="">Any</option>
+              {getAllTags(accounts).map(tag => <option key={tag} value={tag}>{tag}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600">Deal Value</label>
+            <div className="mt-1 flex items-center gap-1">
+              <input type="number" min="0" value={filters.minValue} onChange={(e) => setFilter('minValue', e.target.value)} placeholder="Min" className="w-full rounded-md border-gray-300 p-2 border text-sm" />
+              <span className="text-gray-400">–</span>
+              <input type="number" min="0" value={filters.maxValue} onChange={(e) => setFilter('maxValue', e.target.value)} placeholder="Max" className="w-full rounded-md border-gray-300 p-2 border text-sm" />
+            </div>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600">Deal Score</label>
+            <select value={filters.scoreBand} onChange={(e) => setFilter('scoreBand', e.target.value)} className="mt-1 w-full rounded-md border-gray-300 p-2 border text-sm">
+              <option value="">Any</option>
+              {SCORE_BANDS.map(band => <option key={band.value} value={band.value}>{band.label}</option>)}
+            </select>
+          </div>
+          <div className="col-span-2">
+            <label className="block text-xs font-medium text-gray-600">Expected Close Date</label>
+            <div className="mt-1 flex items-center gap-1">
+              <input type="date" value={filters.closeFrom} onChange={(e) => setFilter('closeFrom', e.target.value)} className="w-full rounded-md border-gray-300 p-2 border text-sm" />
+              <span className="text-gray-400">–</span>
+              <input type="date" value={filters.closeTo} onChange={(e) => setFilter('closeTo', e.target.value)} className="w-full rounded-md border-gray-300 p-2 border text-sm" />
+            </div>
+          </div>
+          {getActiveFields(customFields).map(field => (
+            <div key={field.id} className={field.type === 'number' || field.type === 'date' ? 'col-span-2' : ''}>
+              <label className="block text-xs font-medium text-gray-600">{field.label}</label>
+              <CustomFieldFilter field={field} value={filters.custom?.[field.id]} onChange={(value) => setCustomFilter(field.id, value)} />
+            </div>
+          ))}
+        </div>
+      )}
+
+      {isFiltered && (
+        <div className="flex items-center justify-between text-sm text-gray-600">
+          <span>Showing {resultCount} of {totalCount} deals</span>
+          <button type="button" onClick={() => onChange(EMPTY_FILTERS)} className="text-blue-600 hover:underline">Clear filters</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BoardFilters;
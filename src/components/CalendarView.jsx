@@ -0,0 +1,215 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { renderMarkdown } from '../ai/markdown';
+import { CALENDAR_ITEM_TYPES, getMonthDays, getWeekDays, groupByDay, shiftAnchor, toDateKey } from '../calendar/calendarItems';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const formatTime = (date) => date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+const getTitle = (anchor, days, mode) => {
+  if (mode === 'month') return anchor.toLocaleDateString([], { month: 'long', year: 'numeric' });
+  const first = days[0];
+  const last = days[days.length - 1];
+  return `${first.toLocaleDateString([], { month: 'short', day: 'numeric' })} – ${last.toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' })}`;
+};
+
+const CalendarItem = ({ item, draggable, expanded, onDragStart, onClick }) => {
+  const type = CALENDAR_ITEM_TYPES[item.type];
+  return (
+    <button
+      type="button"
+      draggable={draggable}
+      onDragStart={(e) => onDragStart(e, item)}
+      onClick={() => onClick(item)}
+      title={item.title}
+      className={`w-full text-left text-xs px-1.5 py-0.5 rounded border truncate ${type.className} ${draggable ? 'cursor-move' : 'cursor-pointer'}`}
+    >
+      {type.icon} {!item.allDay && item.start && <span className="font-semibold">{formatTime(item.start)} </span>}
+      {item.type === 'meeting' && item.account ? `${item.title} · ${item.account.companyName}` : item.title}
+      {expanded && item.meeting?.agenda && <span className="block text-purple-600">Agenda attached</span>}
+    </button>
+  );
+};
+
+const MeetingDetails = ({ item, canChange, onOpenAccount, onDelete, onClose }) => {
+  const { meeting } = item;
+  return (
+    <div className="mt-4 p-4 bg-gray-50 rounded-lg border border-gray-200 text-sm space-y-2">
+      <div className="flex items-start justify-between">
+        <div>
+          <p className="font-semibold text-gray-800">{meeting.title}</p>
+          <p className="text-xs text-gray-500">
+            {item.start.toLocaleDateString()} {!item.allDay && `${formatTime(item.start)}${item.end ? ` – ${formatTime(item.end)}` : ''}`}
+            {meeting.location && ` · ${meeting.location}`}
+            {meeting.source === 'ics' && ' · Imported'}
+          </p>
+          {meeting.attendees?.length > 0 && <p className="text-xs text-gray-500">With {meeting.attendees.join(', ')}</p>}
+        </div>
+        <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600 font-bold">&times;</button>
+      </div>
+      {meeting.agenda ? (
+        <div className="prose prose-sm max-w-none text-gray-800" dangerouslySetInnerHTML={{ __html: renderMarkdown(meeting.agenda) }}></div>
+      ) : (
+        <p className="text-xs text-gray-500">No agenda yet. Generate one from the account and attach it to this meeting.</p>
+      )}
+      <div className="flex gap-3 text-xs">
+        {item.account && <button type="button" onClick={() => onOpenAccount(item.account)} className="text-blue-600 hover:underline">Open {item.account.companyName}</button>}
+        {canChange && <button type="button" onClick={() => onDelete(meeting.id)} className="text-red-600 hover:underline">Delete meeting</button>}
+      </div>
+    </div>
+  );
+};
+
+const FeedSettings = ({ feedUrl, feedAvailable, onCreateFeed, onRevokeFeed }) => {
+  if (!feedAvailable) {
+    return <p className="text-xs text-gray-500">Calendar subscriptions need the Firebase backend and the server in server/. Use Export .ics to copy your follow-ups into another calendar.</p>;
+  }
+  if (!feedUrl) {
+    return (
+      <p className="text-xs text-gray-600">
+        Subscribe from Google Calendar or Outlook to see your follow-ups, expected closes and meetings there.{' '}
+        <button type="button" onClick={onCreateFeed} className="text-blue-600 hover:underline">Create subscription link</button>
+      </p>
+    );
+  }
+  return (
+    <div className="text-xs text-gray-600 space-y-1">
+      <p>Add this URL in Google Calendar ("From URL") or Outlook ("Subscribe from web"). Anyone with the link can see your calendar.</p>
+      <div className="flex items-center gap-2">
+        <input type="text" readOnly value={feedUrl} onFocus={(e) => e.target.select()} className="flex-grow rounded-md border-gray-300 p-1 border font-mono" />
+        <button type="button" onClick={() => navigator.clipboard.writeText(feedUrl)} className="text-blue-600 hover:underline">Copy</button>
+        <button type="button" onClick={onRevokeFeed} className="text-red-600 hover:underline">Revoke</button>
+      </div>
+    </div>
+  );
+};
+
+const CalendarView = ({
+  items, canReschedule, canChangeMeeting, onReschedule, onOpenAccount, onDeleteMeeting,
+  onExport, onImport, feedUrl, feedAvailable, onCreateFeed, onRevokeFeed, onClose,
+}) => {
+  const [mode, setMode] = useState('month');
+  const [anchor, setAnchor] = useState(() => new Date());
+  const [selectedMeetingId, setSelectedMeetingId] = useState(null);
+  const [importSummary, setImportSummary] = useState(null);
+  const dragItem = useRef(null);
+  const fileInput = useRef(null);
+
+  const days = mode === 'month' ? getMonthDays(anchor) : getWeekDays(anchor);
+  const itemsByDay = useMemo(() => groupByDay(items), [items]);
+  const todayKey = toDateKey(new Date());
+  const selectedMeeting = items.find(item => item.meeting?.id === selectedMeetingId);
+
+  const handleDrop = (e, dateKey) => {
+    e.preventDefault();
+    const item = dragItem.current;
+    dragItem.current = null;
+    if (item && item.dateKey !== dateKey) onReschedule(item, dateKey);
+  };
+
+  const handleItemClick = (item) => {
+    if (item.type === 'meeting') setSelectedMeetingId(item.meeting.id);
+    else if (item.account) onOpenAccount(item.account);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) setImportSummary(await onImport(file));
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <div className="flex items-center gap-2">
+          <button type="button" onClick={() => setAnchor(prev => shiftAnchor(prev, mode, -1))} className="px-3 py-1 rounded-full bg-gray-200 hover:bg-gray-300">‹</button>
+          <button type="button" onClick={() => setAnchor(new Date())} className="px-3 py-1 rounded-full bg-gray-200 hover:bg-gray-300 text-sm">Today</button>
+          <button type="button" onClick={() => setAnchor(prev => shiftAnchor(prev, mode, 1))} className="px-3 py-1 rounded-full bg-gray-200 hover:bg-gray-300">›</button>
+          <h4 className="text-lg font-semibold text-gray-800 ml-2">{getTitle(anchor, days, mode)}</h4>
+        </div>
+        <div className="flex items-center gap-2">
+          <div className="flex rounded-full bg-gray-200 p-1 text-sm">
+            {[['month', 'Month'], ['week', 'Week']].map(([value, label]) => (
+              <button
+                key={value}
+                type="button"
+                onClick={() => setMode(value)}
+                className={`px-3 py-1 rounded-full transition-colors ${mode === value ? 'bg-white shadow text-gray-900' : 'text-gray-600'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <button type="button" onClick={onExport} className="px-3 py-1 rounded-full bg-gray-200 hover:bg-gray-300 text-sm">Export .ics</button>
+          <button type="button" onClick={() => fileInput.current?.click()} className="px-3 py-1 rounded-full bg-gray-200 hover:bg-gray-300 text-sm">Import .ics</button>
+          <input ref={fileInput} type="file" accept=".ics,text/calendar" onChange={handleImport} className="hidden" />
+        </div>
+      </div>
+
+      {importSummary && (
+        <div className="mb-3 p-2 text-xs rounded bg-blue-50 text-blue-800 flex justify-between">
+          <span>
+            Imported {importSummary.created} new and updated {importSummary.updated} meetings.
+            {importSummary.unmatched.length > 0 && ` ${importSummary.unmatched.length} had no attendee matching an account: ${importSummary.unmatched.slice(0, 5).join(', ')}${importSummary.unmatched.length > 5 ? '...' : ''}`}
+          </span>
+          <button type="button" onClick={() => setImportSummary(null)} className="font-bold">&times;</button>
+        </div>
+      )}
+
+      <div className="grid grid-cols-7 gap-px bg-gray-200 border border-gray-200 rounded-lg overflow-hidden">
+        {WEEKDAYS.map(day => <div key={day} className="bg-gray-50 text-xs font-semibold text-gray-500 text-center py-1">{day}</div>)}
+        {days.map(day => {
+          const dateKey = toDateKey(day);
+          const dayItems = itemsByDay[dateKey] || [];
+          const outsideMonth = mode === 'month' && day.getMonth() !== anchor.getMonth();
+          return (
+            <div
+              key={dateKey}
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={(e) => handleDrop(e, dateKey)}
+              className={`bg-white p-1 space-y-1 ${mode === 'month' ? 'min-h-[6rem]' : 'min-h-[20rem]'} ${outsideMonth ? 'bg-gray-50 text-gray-400' : ''}`}
+            >
+              <div className={`text-xs font-semibold ${dateKey === todayKey ? 'text-white bg-blue-600 rounded-full w-6 h-6 flex items-center justify-center' : ''}`}>
+                {day.getDate()}
+              </div>
+              {dayItems.map(item => (
+                <CalendarItem
+                  key={item.id}
+                  item={item}
+                  draggable={canReschedule(item)}
+                  expanded={mode === 'week'}
+                  onDragStart={(e, dragged) => { dragItem.current = dragged; }}
+                  onClick={handleItemClick}
+                />
+              ))}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex flex-wrap gap-3 mt-2 text-xs text-gray-500">
+        {Object.entries(CALENDAR_ITEM_TYPES).map(([key, type]) => <span key={key}>{type.icon} {type.label}</span>)}
+        <span>· Drag an item to another day to reschedule it</span>
+      </div>
+
+      {selectedMeeting && (
+        <MeetingDetails
+          item={selectedMeeting}
+          canChange={canChangeMeeting(selectedMeeting.meeting)}
+          onOpenAccount={onOpenAccount}
+          onDelete={async (meetingId) => { await onDeleteMeeting(meetingId); setSelectedMeetingId(null); }}
+          onClose={() => setSelectedMeetingId(null)}
+        />
+      )}
+
+      <div className="mt-4 pt-4 border-t border-gray-200 flex items-end justify-between gap-4">
+        <FeedSettings feedUrl={feedUrl} feedAvailable={feedAvailable} onCreateFeed={onCreateFeed} onRevokeFeed={onRevokeFeed} />
+        <button type="button" onClick={onClose} className="bg-gray-300 text-gray-800 px-6 py-3 rounded-full shadow-md hover:bg-gray-400 transition duration-300 ease-in-out">
+          Done
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CalendarView;
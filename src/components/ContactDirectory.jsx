@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import { getContactRoleLabel } from '../contacts/stakeholders';
+
+const CONTACT_FIELDS = [
+  { key: 'name', label: 'Name', type: 'text' },
+  { key: 'title', label: 'Title', type: 'text' },
+  { key: 'email', label: 'Email', type: 'email' },
+  { key: 'phone', label: 'Phone', type: 'tel' },
+];
+
+const emptyContact = { companyName: '', name: '', title: '', email: '', phone: '' };
+
+const ContactDirectory = ({ contacts, companies, accounts, canDelete, onCreate, onUpdate, onDelete, onOpenAccount, onClose }) => {
+  const [search, setSearch] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [draft, setDraft] = useState(null);
+
+  const companyName = (companyId) => companies.find(company => company.id === companyId)?.name || 'No company';
+  const dealsFor = (contactId) => accounts
+    .filter(account => (account.contactIds || []).includes(contactId))
+    .map(account => ({ account, role: account.contactRoles.find(link => link.contactId === contactId)?.role }));
+
+  const query = search.trim().toLowerCase();
+  const visibleContacts = contacts.filter(contact => !query || [contact.name, contact.title, contact.email, companyName(contact.companyId)]
+    .some(value => (value || '').toLowerCase().includes(query)));
+
+  const grouped = visibleContacts.reduce((groups, contact) => {
+    const name = companyName(contact.companyId);
+    return { ...groups, [name]: [...(groups[name] || []), contact] };
+  }, {});
+
+  const handleSaveEdit = async () => {
+    if (!editing.name.trim()) return;
+    const { id, name, title, email, phone } = editing;
+    if (await onUpdate(id, { name: name.trim(), title, email: email.toLowerCase(), phone })) setEditing(null);
+  };
+
+  const handleCreate = async () => {
+    if (!draft.companyName.trim() || !draft.name.trim()) return;
+    const { companyName: company, ...contact } = draft;
+    if (await onCreate(company.trim(), contact)) setDraft(null);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center space-x-2">
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search by name, title, email or company..."
+          className="flex-grow rounded-md border-gray-300 p-2 border text-sm"
+        />
+        {!draft && (
+          <button type="button" onClick={() => setDraft(emptyContact)} className="bg-blue-600 text-white px-4 py-2 rounded-full text-sm hover:bg-blue-700">
+            + New Contact
+          </button>
+        )}
+      </div>
+
+      {draft && (
+        <div className="grid grid-cols-2 gap-2 p-3 bg-gray-50 rounded-md">
+          <input
+            type="text"
+            list="contact-directory-companies"
+            value={draft.companyName}
+            onChange={(e) => setDraft(prev => ({ ...prev, companyName: e.target.value }))}
+            placeholder="Company"
+            className="col-span-2 rounded-md border-gray-300 p-2 border text-sm"
+          />
+          <datalist id="contact-directory-companies">
+            {companies.map(company => <option key={company.id} value={company.name} />)}
+          </datalist>
+          {CONTACT_FIELDS.map(field => (
+            <input
+              key={field.key}
+              type={field.type}
+              value={draft[field.key]}
+              onChange={(e) => setDraft(prev => ({ ...prev, [field.key]: e.target.value }))}
+              placeholder={field.label}
+              className="rounded-md border-gray-300 p-2 border text-sm"
+            />
+          ))}
+          <div className="col-span-2 flex justify-end space-x-2">
+            <button type="button" onClick={() => setDraft(null)} className="text-sm text-gray-600 hover:underline">Cancel</button>
+            <button type="button" onClick={handleCreate} className="bg-blue-600 text-white px-4 py-1 rounded-full text-sm hover:bg-blue-700">Add Contact</button>
+          </div>
+        </div>
+      )}
+
+      <div className="space-y-4 max-h-[60vh] overflow-y-auto">
+        {visibleContacts.length === 0 && <p className="text-sm text-gray-400">No contacts found.</p>}
+        {Object.keys(grouped).sort().map(name => (
+          <div key={name}>
+            <h4 className="text-sm font-semibold text-gray-800 mb-1">{name}</h4>
+            <div className="space-y-2">
+              {grouped[name].map(contact => (
+                <div key={contact.id} className="p-3 rounded-md border border-gray-200 bg-white">
+                  {editing?.id === contact.id ? (
+                    <div className="grid grid-cols-2 gap-2">
+                      {CONTACT_FIELDS.map(field => (
+                        <input
+                          key={field.key}
+                          type={field.type}
+                          value={editing[field.key] || ''}
+                          onChange={(e) => setEditing(prev => ({ ...prev, [field.key]: e.target.value }))}
+                          placeholder={field.label}
+                          className="rounded-md border-gray-300 p-2 border text-sm"
+                        />
+                      ))}
+                      <div className="col-span-2 flex justify-end space-x-2">
+                        <button type="button" onClick={() => setEditing(null)} className="text-sm text-gray-600 hover:underline">Cancel</button>
+                        <button type="button" onClick={handleSaveEdit} className="bg-blue-600 text-white px-4 py-1 rounded-full text-sm hover:bg-blue-700">Save</button>
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="flex justify-between">
+                      <div>
+                        <p className="text-sm font-medium text-gray-900">{contact.name}</p>
+                        <p className="text-xs text-gray-500">{[contact.title, contact.email, contact.phone].filter(Boolean).join(' · ')}</p>
+                        <div className="flex flex-wrap gap-1 mt-1">
+                          {dealsFor(contact.id).map(({ account, role }) => (
+                            <button
+                              key={account.id}
+                              type="button"
+                              onClick={() => onOpenAccount(account)}
+                              className="px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-700 hover:bg-gray-200"
+                            >
+                              {account.companyName} · {getContactRoleLabel(role)}
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+                      <div className="flex items-start space-x-2">
+                        <button type="button" onClick={() => setEditing(contact)} className="text-xs text-blue-600 hover:underline">Edit</button>
+                        {canDelete(contact) && dealsFor(contact.id).length === 0 && (
+                          <button type="button" onClick={() => onDelete(contact.id)} className="text-xs text-red-600 hover:underline">Delete</button>
+                        )}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex justify-end">
+        <button type="button" onClick={onClose} className="bg-gray-300 text-gray-800 px-6 py-3 rounded-full shadow-md hover:bg-gray-400 transition duration-300 ease-in-out">
+          Done
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ContactDirectory;
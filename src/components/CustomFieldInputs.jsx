@@ -0,0 +1,61 @@
+import React from 'react';
+
+const inputClass = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 p-2 border';
+
+export const CustomFieldInput = ({ field, value, disabled, onChange }) => {
+  switch (field.type) {
+    case 'checkbox':
+      return (
+        <label className="mt-2 flex items-center gap-2 text-sm text-gray-700">
+          <input type="checkbox" checked={value === true} onChange={(e) => onChange(e.target.checked)} disabled={disabled} />
+          Yes
+        </label>
+      );
+    case 'select':
+      return (
+        <select value={value || ''} onChange={(e) => onChange(e.target.value)} required={field.required} disabled={disabled} className={inputClass}>
+          <option value="">Select...</option>
+          {(field.options || []).map(option => <option key={option} value={option}>{option}</option>)}
+          {value && !(field.options || []).includes(value) && <option value={value}>{value} (removed)</option>}
+        </select>
+      );
+    case 'multiselect': {
+      const selected = Array.isArray(value) ? value : [];
+      const toggle = (option) => onChange(selected.includes(option) ? selected.filter(o => o !== option) : [...selected, option]);
+      return (
+        <div className="mt-1 flex flex-wrap gap-2">
+          {(field.options || []).map(option => (
+            <label key={option} className={`px-2 py-1 rounded-full border text-xs cursor-pointer ${selected.includes(option) ? 'bg-blue-100 border-blue-300 text-blue-800' : 'bg-white border-gray-300 text-gray-600'}`}>
+              <input type="checkbox" checked={selected.includes(option)} onChange={() => toggle(option)} disabled={disabled} className="hidden" />
+              {option}
+            </label>
+          ))}
+        </div>
+      );
+    }
+    case 'number':
+      return <input type="number" step="any" value={value ?? ''} onChange={(e) => onChange(e.target.value)} required={field.required} disabled={disabled} className={inputClass} />;
+    case 'date':
+      return <input type="date" value={value || ''} onChange={(e) => onChange(e.target.value)} required={field.required} disabled={disabled} className={inputClass} />;
+    case 'url':
+      return <input type="text" inputMode="url" value={value || ''} onChange={(e) => onChange(e.target.value)} placeholder="example.com" required={field.required} disabled={disabled} className={inputClass} />;
+    default:
+      return <input type="text" value={value || ''} onChange={(e) => onChange(e.target.value)} required={field.required} disabled={disabled} className={inputClass} />;
+  }
+};
+
+// Renders the fields shown in the deal's current stage; values of hidden fields are kept
+const CustomFieldInputs = ({ fields, values, disabled, onChange }) => (
+  <>
+    {fields.map(field => (
+      <div key={field.id} className={field.type === 'multiselect' ? 'md:col-span-2' : ''}>
+        <label className="block text-sm font-medium text-gray-700">
+          {field.label}{field.required && <span className="text-red-600"> *</span>}
+        </label>
+        <CustomFieldInput field={field} value={values[field.id]} disabled={disabled} onChange={(value) => onChange(field.id, value)} />
+      </div>
+    ))}
+  </>
+);
+
+export default CustomFieldInputs;
@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+import { CUSTOM_FIELD_TYPES, OPTION_TYPES } from '../customFields/customFields';
+import { ACCOUNT_FIELDS } from '../importExport/accountFields';
+import { getVisibleStages } from '../pipeline/stages';
+
+// Custom fields are exported and imported by label, so a label can't shadow a built-in column
+const RESERVED_LABELS = ['id', 'owner', 'ownername', 'dealscore', 'createdat', 'lineitems', ...ACCOUNT_FIELDS.flatMap(field => [field.key.toLowerCase(), field.label.toLowerCase()])];
+
+const emptyField = () => ({ label: '', type: 'text', options: [], required: false, showOnCard: false, stageIds: [] });
+
+const FieldEditor = ({ field, stages, onSave, onCancel }) => {
+  const [draft, setDraft] = useState({ ...field, optionsText: (field.options || []).join('\n') });
+  const update = (key, value) => setDraft(prev => ({ ...prev, [key]: value }));
+  const hasOptions = OPTION_TYPES.includes(draft.type);
+
+  const toggleStage = (stageId) => update('stageIds', draft.stageIds.includes(stageId) ? draft.stageIds.filter(id => id !== stageId) : [...draft.stageIds, stageId]);
+
+  const handleSave = () => {
+    const { optionsText, ...rest } = draft;
+    const options = hasOptions ? Array.from(new Set(optionsText.split('\n').map(option => option.trim()).filter(Boolean))) : [];
+    onSave({ ...rest, label: draft.label.trim(), options });
+  };
+
+  return (
+    <div className="space-y-2 p-3 bg-gray-50 rounded-lg border border-gray-200 text-sm">
+      <div className="grid grid-cols-2 gap-2">
+        <input type="text" value={draft.label} onChange={(e) => update('label', e.target.value)} placeholder="Field label, e.g. Budget" className="rounded-md border-gray-300 p-2 border" />
+        <select
+          value={draft.type}
+          onChange={(e) => update('type', e.target.value)}
+          disabled={!!field.id}
+          title={field.id ? "A field's type can't change once deals may have values for it" : ''}
+          className="rounded-md border-gray-300 p-2 border disabled:bg-gray-100"
+        >
+          {CUSTOM_FIELD_TYPES.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
+        </select>
+      </div>
+      {hasOptions && (
+        <label className="block text-xs text-gray-600">
+          Options, one per line
+          <textarea value={draft.optionsText} onChange={(e) => update('optionsText', e.target.value)} rows="4" className="mt-1 w-full rounded-md border-gray-300 p-2 border text-sm"></textarea>
+        </label>
+      )}
+      <div className="flex flex-wrap gap-4 text-xs text-gray-700">
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={draft.required} onChange={(e) => update('required', e.target.checked)} />
+          Required
+        </label>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={draft.showOnCard} onChange={(e) => update('showOnCard', e.target.checked)} />
+          Show on pipeline cards
+        </label>
+      </div>
+      <div>
+        <p className="text-xs text-gray-600">Show in stages {draft.stageIds.length === 0 && <span className="text-gray-400">(all stages)</span>}</p>
+        <div className="mt-1 flex flex-wrap gap-2">
+          {getVisibleStages(stages).map(stage => (
+            <label key={stage.id} className="flex items-center gap-1 text-xs text-gray-700">
+              <input type="checkbox" checked={draft.stageIds.includes(stage.id)} onChange={() => toggleStage(stage.id)} />
+              {stage.name}
+            </label>
+          ))}
+        </div>
+      </div>
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="bg-gray-300 text-gray-800 px-4 py-2 rounded-full text-sm hover:bg-gray-400">Cancel</button>
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={!draft.label.trim() || (hasOptions && !draft.optionsText.trim())}
+          className="bg-blue-600 text-white px-4 py-2 rounded-full text-sm hover:bg-blue-700 disabled:opacity-50"
+        >
+          Save Field
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const CustomFieldSettings = ({ fields, stages, onSave, onReorder, onClose }) => {
+  const [editing, setEditing] = useState(null);
+  const [settingsError, setSettingsError] = useState(null);
+
+  const handleSave = async (field) => {
+    const label = field.label.toLowerCase();
+    if (RESERVED_LABELS.includes(label) || fields.some(other => other.id !== field.id && other.label.toLowerCase() === label)) {
+      setSettingsError(`A field named "${field.label}" already exists.`);
+      return;
+    }
+    setSettingsError(null);
+    if (await onSave(field.id ? field : { ...field, order: fields.length })) setEditing(null);
+  };
+
+  const handleMove = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= fields.length) return;
+    const orderedIds = fields.map(field => field.id);
+    [orderedIds[index], orderedIds[target]] = [orderedIds[target], orderedIds[index]];
+    onReorder(orderedIds);
+  };
+
+  const stageNames = (field) => (field.stageIds?.length > 0
+    ? stages.filter(stage => field.stageIds.includes(stage.id)).map(stage => stage.name).join(', ')
+    : 'All stages');
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">Track qualification details like budget, authority or tech stack as fields instead of in notes. They can be searched, filtered, imported, exported and reported on.</p>
+      {settingsError && <div className="bg-red-100 text-red-700 text-sm p-3 rounded-lg">{settingsError}</div>}
+
+      {fields.length === 0 && !editing && <p className="text-sm text-gray-500">No custom fields yet.</p>}
+      <div className="space-y-2">
+        {fields.map((field, index) => (
+          editing?.id === field.id ? (
+            <FieldEditor key={field.id} field={field} stages={stages} onSave={handleSave} onCancel={() => setEditing(null)} />
+          ) : (
+            <div key={field.id} className={`flex items-center gap-2 p-2 rounded-md border border-gray-200 text-sm ${field.archived ? 'bg-gray-100 opacity-60' : 'bg-white'}`}>
+              <div className="flex-grow">
+                <p className="font-semibold text-gray-800">
+                  {field.label}{field.required && <span className="text-red-600"> *</span>}
+                  <span className="ml-2 text-xs font-normal text-gray-500">{CUSTOM_FIELD_TYPES.find(type => type.value === field.type)?.label}</span>
+                  {field.showOnCard && <span className="ml-2 text-xs font-normal text-blue-600">on cards</span>}
+                </p>
+                <p className="text-xs text-gray-500">{stageNames(field)}{field.options?.length > 0 && ` · ${field.options.join(', ')}`}</p>
+              </div>
+              <button type="button" onClick={() => handleMove(index, -1)} className="text-gray-500 hover:text-gray-800 px-1" disabled={index === 0}>↑</button>
+              <button type="button" onClick={() => handleMove(index, 1)} className="text-gray-500 hover:text-gray-800 px-1" disabled={index === fields.length - 1}>↓</button>
+              <button type="button" onClick={() => setEditing(field)} className="text-xs text-blue-600 hover:underline">Edit</button>
+              <button type="button" onClick={() => onSave({ ...field, archived: !field.archived })} className="text-xs text-blue-600 hover:underline w-14">
+                {field.archived ? 'Restore' : 'Archive'}
+              </button>
+            </div>
+          )
+        ))}
+      </div>
+
+      {editing && !editing.id && <FieldEditor key="new" field={editing} stages={stages} onSave={handleSave} onCancel={() => setEditing(null)} />}
+
+      <div className="flex justify-between">
+        <button type="button" onClick={() => setEditing(emptyField())} disabled={!!editing} className="bg-blue-600 text-white px-4 py-2 rounded-full shadow-md hover:bg-blue-700 disabled:opacity-50">
+          + Add Field
+        </button>
+        <button type="button" onClick={onClose} className="bg-gray-300 text-gray-800 px-6 py-3 rounded-full shadow-md hover:bg-gray-400 transition duration-300 ease-in-out">
+          Done
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CustomFieldSettings;
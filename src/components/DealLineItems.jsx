@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { formatPrice, getDealTotals, getLineTotal, newLineItem, normalizeLineItem } from '../products/lineItems';
+
+const DealLineItems = ({ lineItems, products, canEdit, onChange }) => {
+  const [productId, setProductId] = useState('');
+  const activeProducts = products.filter(product => !product.archived);
+  const totals = getDealTotals(lineItems.map(normalizeLineItem));
+
+  const updateItem = (index, changes) => onChange(lineItems.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+
+  const handleAdd = () => {
+    const product = activeProducts.find(p => p.id === productId);
+    if (!product) return;
+    onChange([...lineItems, newLineItem(product)]);
+    setProductId('');
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700">Products</label>
+      {lineItems.length > 0 && (
+        <table className="w-full mt-2 text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 border-b">
+              <th className="py-1">Item</th>
+              <th className="py-1 w-16">Qty</th>
+              <th className="py-1 w-24">Unit price</th>
+              <th className="py-1 w-16">Disc. %</th>
+              <th className="py-1 text-right">Total</th>
+              {canEdit && <th className="py-1 w-4"></th>}
+            </tr>
+          </thead>
+          <tbody>
+            {lineItems.map((item, index) => (
+              <tr key={`${item.productId}-${index}`} className="border-b">
+                <td className="py-1 pr-2">
+                  {item.name}
+                  {item.unit && <span className="text-xs text-gray-500"> · per {item.unit}</span>}
+                </td>
+                <td className="py-1 pr-1">
+                  <input type="number" min="0" step="any" value={item.quantity} disabled={!canEdit} onChange={(e) => updateItem(index, { quantity: e.target.value })} className="w-full rounded-md border-gray-300 p-1 border" />
+                </td>
+                <td className="py-1 pr-1">
+                  <input type="number" min="0" step="0.01" value={item.unitPrice} disabled={!canEdit} onChange={(e) => updateItem(index, { unitPrice: e.target.value })} className="w-full rounded-md border-gray-300 p-1 border" />
+                </td>
+                <td className="py-1 pr-1">
+                  <input type="number" min="0" max="100" value={item.discountPercent} disabled={!canEdit} onChange={(e) => updateItem(index, { discountPercent: e.target.value })} className="w-full rounded-md border-gray-300 p-1 border" />
+                </td>
+                <td className="py-1 text-right whitespace-nowrap">{formatPrice(getLineTotal(normalizeLineItem(item)), item.billing)}</td>
+                {canEdit && (
+                  <td className="py-1 text-right">
+                    <button type="button" onClick={() => onChange(lineItems.filter((_, i) => i !== index))} className="text-red-500 hover:text-red-700 font-bold">&times;</button>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {lineItems.length > 0 && (
+        <p className="mt-1 text-xs text-gray-600 text-right">
+          One-time: <span className="font-semibold">{formatPrice(totals.value, 'one_time')}</span> · Recurring: <span className="font-semibold">{formatPrice(totals.monthlyValue, 'monthly')}</span>
+        </p>
+      )}
+      {canEdit && (
+        <div className="flex items-center gap-2 mt-2">
+          <select value={productId} onChange={(e) => setProductId(e.target.value)} className="flex-grow rounded-md border-gray-300 p-2 border text-sm">
+            <option value="">{activeProducts.length > 0 ? 'Add a product...' : 'No products in the catalog yet'}</option>
+            {activeProducts.map(product => (
+              <option key={product.id} value={product.id}>{product.name} — {formatPrice(product.unitPrice, product.billing)}{product.unit ? ` per ${product.unit}` : ''}</option>
+            ))}
+          </select>
+          <button type="button" onClick={handleAdd} disabled={!productId} className="bg-blue-600 text-white px-4 py-2 rounded-full text-sm hover:bg-blue-700 disabled:opacity-50">
+            Add
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DealLineItems;
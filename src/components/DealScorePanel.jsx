@@ -0,0 +1,154 @@
+import React, { useState, useEffect } from 'react';
+import { SCORE_METHODS, getFactorLabel } from '../pipeline/dealScoring';
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 80;
+
+const scoreColor = (score) => (score > 80 ? 'bg-green-200 text-green-800' : score > 50 ? 'bg-yellow-200 text-yellow-800' : 'bg-red-200 text-red-800');
+
+const formatDate = (timestamp) => (timestamp ? timestamp.toDate().toLocaleDateString() : '');
+
+const ScoreHistoryChart = ({ history }) => {
+  if (history.length < 2) return <p className="text-xs text-gray-500">The chart appears once the score has changed.</p>;
+  const step = CHART_WIDTH / (history.length - 1);
+  const points = history.map((entry, index) => [index * step, CHART_HEIGHT - (entry.score / 100) * CHART_HEIGHT]);
+  return (
+    <svg viewBox={`-4 -4 ${CHART_WIDTH + 8} ${CHART_HEIGHT + 8}`} className="w-full h-24">
+      <line x1="0" y1={CHART_HEIGHT / 2} x2={CHART_WIDTH} y2={CHART_HEIGHT / 2} stroke="#e5e7eb" strokeDasharray="4 4" />
+      <polyline points={points.map(point => point.join(',')).join(' ')} fill="none" stroke="#2563eb" strokeWidth="2" />
+      {history.map((entry, index) => (
+        <circle key={entry.id} cx={points[index][0]} cy={points[index][1]} r="3" fill={entry.method === 'override' ? '#f97316' : '#2563eb'}>
+          <title>{`${entry.score} · ${SCORE_METHODS[entry.method] || entry.method} · ${formatDate(entry.createdAt)}`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+const DealScorePanel = ({ account, scoreHistoryRepo, canEdit, onOverride, onClearOverride, onError }) => {
+  const [history, setHistory] = useState([]);
+  const [showOverride, setShowOverride] = useState(false);
+  const [override, setOverride] = useState({ score: account.dealScore ?? 50, reason: '' });
+
+  useEffect(() => {
+    const unsubscribe = scoreHistoryRepo.subscribe(account.id, setHistory, () => onError("Failed to load score history."));
+    return () => unsubscribe();
+  }, [scoreHistoryRepo, account.id, onError]);
+
+  const details = account.scoreDetails;
+  const manual = account.scoreOverride;
+
+  const handleOverride = async () => {
+    const score = Math.max(0, Math.min(100, Math.round(Number(override.score))));
+    if (!override.reason.trim() || Number.isNaN(score)) return;
+    if (await onOverride(account.id, { score, reason: override.reason })) {
+      setShowOverride(false);
+      setOverride({ score, reason: '' });
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between">
+        <label className="block text-sm font-medium text-gray-700">Deal Score</label>
+        {canEdit && !manual && (
+          <button type="button" onClick={() => setShowOverride(prev => !prev)} className="text-xs text-blue-600 hover:underline">
+            Override
+          </button>
+        )}
+        {canEdit && manual && (
+          <button type="button" onClick={() => onClearOverride(account.id)} className="text-xs text-blue-600 hover:underline">
+            Clear override
+          </button>
+        )}
+      </div>
+
+      <div className="mt-2 p-3 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+        <div className="flex items-start space-x-3">
+          <span className={`px-3 py-1 text-lg font-bold rounded-full ${scoreColor(account.dealScore)}`}>{account.dealScore}</span>
+          <div className="text-sm text-gray-700">
+            {manual ? (
+              <>
+                <p className="font-semibold">Manual override by {manual.setByName} on {formatDate(manual.setAt)}</p>
+                <p className="text-gray-600">{manual.reason}</p>
+                {details && <p className="text-xs text-gray-500 mt-1">Calculated score: {details.score}</p>}
+              </>
+            ) : details ? (
+              <>
+                <p className="text-gray-600">{details.rationale}</p>
+                <p className="text-xs text-gray-500 mt-1">
+                  {SCORE_METHODS[details.method]}{details.model ? ` (${details.model})` : ''} · {formatDate(details.computedAt)}
+                </p>
+              </>
+            ) : (
+              <p className="text-gray-600">Save the account to see what drives this score.</p>
+            )}
+          </div>
+        </div>
+
+        {showOverride && !manual && (
+          <div className="flex flex-wrap items-center gap-2">
+            <input
+              type="number"
+              min="0"
+              max="100"
+              value={override.score}
+              onChange={(e) => setOverride(prev => ({ ...prev, score: e.target.value }))}
+              className="w-20 rounded-md border-gray-300 p-2 border text-sm"
+            />
+            <input
+              type="text"
+              value={override.reason}
+              onChange={(e) => setOverride(prev => ({ ...prev, reason: e.target.value }))}
+              placeholder="Why does this score need overriding?"
+              className="flex-grow rounded-md border-gray-300 p-2 border text-sm"
+            />
+            <button
+              type="button"
+              onClick={handleOverride}
+              disabled={!override.reason.trim()}
+              className="bg-blue-600 text-white px-4 py-2 rounded-full text-sm hover:bg-blue-700 disabled:opacity-50"
+            >
+              Save
+            </button>
+          </div>
+        )}
+
+        {details && (
+          <ul className="space-y-1">
+            {details.factors.map(factor => (
+              <li key={factor.key} className="grid grid-cols-12 gap-2 items-center text-xs">
+                <span className="col-span-3 font-semibold text-gray-700">{getFactorLabel(factor.key)}</span>
+                <span className="col-span-6 text-gray-600 truncate" title={factor.detail}>{factor.detail}</span>
+                <span className="col-span-2 h-2 bg-gray-200 rounded-full overflow-hidden">
+                  <span
+                    className={`block h-full ${factor.impact >= 0 ? 'bg-green-500' : 'bg-red-500'}`}
+                    style={{ width: `${Math.min(100, (Math.abs(factor.impact) / 50) * 100)}%` }}
+                  ></span>
+                </span>
+                <span className={`col-span-1 text-right font-semibold ${factor.impact >= 0 ? 'text-green-700' : 'text-red-700'}`}>
+                  {factor.impact > 0 ? '+' : ''}{factor.impact}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div>
+          <p className="text-xs font-semibold text-gray-700 mb-1">History</p>
+          <ScoreHistoryChart history={history} />
+          <ul className="mt-1 space-y-1 max-h-32 overflow-y-auto">
+            {[...history].reverse().map(entry => (
+              <li key={entry.id} className="text-xs text-gray-600">
+                <span className="font-semibold text-gray-800">{entry.score}</span> · {SCORE_METHODS[entry.method] || entry.method} · {entry.changedByName} · {formatDate(entry.createdAt)}
+                {entry.reason && <span className="block text-gray-500">“{entry.reason}”</span>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DealScorePanel;
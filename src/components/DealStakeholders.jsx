@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { CONTACT_ROLES, getContactRoleLabel, linkContact, setContactRole, setPrimaryContact, unlinkContact } from '../contacts/stakeholders';
+
+const emptyContact = { name: '', title: '', email: '', phone: '' };
+
+const DealStakeholders = ({ account, contacts, canEdit, onChange, onCreateContact }) => {
+  const [selectedContactId, setSelectedContactId] = useState('');
+  const [newContact, setNewContact] = useState(null);
+  const [newRole, setNewRole] = useState('other');
+
+  const contactRoles = account.contactRoles || [];
+  const linkedIds = new Set(contactRoles.map(link => link.contactId));
+  const companyContacts = contacts.filter(contact => contact.companyId === account.companyId && !linkedIds.has(contact.id));
+  const findContact = (contactId) => contacts.find(contact => contact.id === contactId);
+
+  const handleLinkExisting = () => {
+    if (!selectedContactId) return;
+    onChange(linkContact(contactRoles, selectedContactId, newRole));
+    setSelectedContactId('');
+  };
+
+  const handleCreate = async () => {
+    if (!newContact.name.trim()) return;
+    const contactId = await onCreateContact(newContact);
+    if (contactId) {
+      onChange(linkContact(contactRoles, contactId, newRole));
+      setNewContact(null);
+    }
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700">Stakeholders</label>
+      <div className="space-y-2 mt-1">
+        {contactRoles.length === 0 && <p className="text-sm text-gray-400">No stakeholders linked yet.</p>}
+        {contactRoles.map(link => {
+          const contact = findContact(link.contactId);
+          return (
+            <div key={link.contactId} className="flex items-center p-2 rounded-md border border-gray-200 bg-white">
+              <div className="flex-grow">
+                <p className="text-sm font-medium text-gray-900">
+                  {contact?.name || 'Unknown contact'}
+                  {link.isPrimary && <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-blue-100 text-blue-800">Primary</span>}
+                </p>
+                <p className="text-xs text-gray-500">{[contact?.title, contact?.email, contact?.phone].filter(Boolean).join(' · ')}</p>
+              </div>
+              {canEdit ? (
+                <>
+                  <select
+                    value={link.role}
+                    onChange={(e) => onChange(setContactRole(contactRoles, link.contactId, e.target.value))}
+                    className="rounded-md border-gray-300 p-1 border text-xs mr-2"
+                  >
+                    {CONTACT_ROLES.map(role => <option key={role.value} value={role.value}>{role.label}</option>)}
+                  </select>
+                  {!link.isPrimary && (
+                    <button type="button" onClick={() => onChange(setPrimaryContact(contactRoles, link.contactId))} className="text-xs text-blue-600 hover:underline mr-2">
+                      Make primary
+                    </button>
+                  )}
+                  <button type="button" onClick={() => onChange(unlinkContact(contactRoles, link.contactId))} className="text-xs text-red-600 hover:underline">
+                    Remove
+                  </button>
+                </>
+              ) : (
+                <span className="text-xs font-semibold text-gray-600">{getContactRoleLabel(link.role)}</span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {canEdit && !newContact && (
+        <div className="flex items-center space-x-2 mt-2">
+          <select value={selectedContactId} onChange={(e) => setSelectedContactId(e.target.value)} className="flex-grow rounded-md border-gray-300 p-2 border text-sm">
+            <option value="">{companyContacts.length > 0 ? 'Add someone from this company...' : 'No other contacts at this company'}</option>
+            {companyContacts.map(contact => <option key={contact.id} value={contact.id}>{contact.name}{contact.title ? ` — ${contact.title}` : ''}</option>)}
+          </select>
+          <select value={newRole} onChange={(e) => setNewRole(e.target.value)} className="rounded-md border-gray-300 p-2 border text-sm">
+            {CONTACT_ROLES.map(role => <option key={role.value} value={role.value}>{role.label}</option>)}
+          </select>
+          <button type="button" onClick={handleLinkExisting} disabled={!selectedContactId} className="bg-blue-600 text-white px-3 py-2 rounded-full text-sm hover:bg-blue-700 disabled:opacity-50">
+            Link
+          </button>
+          <button type="button" onClick={() => setNewContact(emptyContact)} className="text-sm text-blue-600 hover:underline whitespace-nowrap">
+            + New contact
+          </button>
+        </div>
+      )}
+
+      {canEdit && newContact && (
+        <div className="grid grid-cols-2 gap-2 mt-2 p-2 bg-gray-50 rounded-md">
+          {Object.keys(emptyContact).map(field => (
+            <input
+              key={field}
+              type={field === 'email' ? 'email' : 'text'}
+              value={newContact[field]}
+              onChange={(e) => setNewContact(prev => ({ ...prev, [field]: e.target.value }))}
+              placeholder={field.charAt(0).toUpperCase() + field.slice(1)}
+              className="rounded-md border-gray-300 p-2 border text-sm"
+            />
+          ))}
+          <div className="col-span-2 flex justify-end space-x-2">
+            <button type="button" onClick={() => setNewContact(null)} className="text-sm text-gray-600 hover:underline">Cancel</button>
+            <button type="button" onClick={handleCreate} className="bg-blue-600 text-white px-3 py-1 rounded-full text-sm hover:bg-blue-700">
+              Add as {getContactRoleLabel(newRole)}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DealStakeholders;
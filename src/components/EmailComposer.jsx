@@ -0,0 +1,191 @@
+import React, { useState } from 'react';
+import { buildMergeContext, findMissingFields, formatEmail, renderEmail, toTemplateText } from '../email/mergeFields';
+
+const copyToClipboard = (text) => {
+  try {
+    navigator.clipboard.writeText(text);
+  } catch (e) {
+    const tempInput = document.createElement('textarea');
+    tempInput.value = text;
+    document.body.appendChild(tempInput);
+    tempInput.select();
+    document.execCommand('copy');
+    document.body.removeChild(tempInput);
+  }
+};
+
+const EmailComposer = ({ account, templates, sender, canEdit, recipient, loadingAI, onAIDraft, onAIRewrite, onSend, onLogSent, onSaveTemplate }) => {
+  const [email, setEmail] = useState(null);
+  const [templateId, setTemplateId] = useState('');
+  const [missingFields, setMissingFields] = useState([]);
+  const [instructions, setInstructions] = useState('');
+  const [templateName, setTemplateName] = useState('');
+  const [showSaveTemplate, setShowSaveTemplate] = useState(false);
+  const [sending, setSending] = useState(false);
+
+  const handleUseTemplate = (id) => {
+    setTemplateId(id);
+    const template = templates.find(t => t.id === id);
+    if (!template) return;
+    const context = buildMergeContext({ account, sender });
+    setEmail(renderEmail(template, context));
+    setMissingFields(findMissingFields([template.subject, template.body], context));
+  };
+
+  const handleAIDraft = async () => {
+    const draft = await onAIDraft();
+    if (draft) {
+      setEmail(draft);
+      setTemplateId('');
+      setMissingFields([]);
+    }
+  };
+
+  const handleRewrite = async () => {
+    const rewritten = await onAIRewrite(email, instructions.trim());
+    if (rewritten) setEmail(rewritten);
+  };
+
+  const finish = (done) => {
+    if (done) {
+      setEmail(null);
+      setTemplateId('');
+    }
+  };
+
+  const handleSend = async () => {
+    setSending(true);
+    try {
+      finish(await onSend({ ...email, templateId: templateId || null }));
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleLogSent = async () => finish(await onLogSent({ ...email, templateId: templateId || null }));
+
+  const handleSaveTemplate = async () => {
+    if (!templateName.trim()) return;
+    const context = buildMergeContext({ account, sender });
+    const template = { name: templateName, subject: toTemplateText(email.subject, context), body: toTemplateText(email.body, context) };
+    if (await onSaveTemplate(template)) {
+      setTemplateName('');
+      setShowSaveTemplate(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          type="button"
+          onClick={handleAIDraft}
+          className="flex-grow flex items-center justify-center bg-indigo-600 text-white px-4 py-2 rounded-full shadow-md hover:bg-indigo-700 transition duration-300 ease-in-out"
+          disabled={loadingAI}
+        >
+          ✨ AI Draft Email
+        </button>
+        <select
+          value={templateId}
+          onChange={(e) => handleUseTemplate(e.target.value)}
+          className="rounded-md border-gray-300 p-2 border text-sm"
+        >
+          <option value="">{templates.length > 0 ? 'Start from a template...' : 'No templates yet'}</option>
+          {templates.map(template => <option key={template.id} value={template.id}>{template.name}</option>)}
+        </select>
+      </div>
+
+      {email && (
+        <div className="mt-4 p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-2">
+          <h4 className="text-sm font-semibold">Email Draft:</h4>
+          {missingFields.length > 0 && (
+            <p className="text-xs text-yellow-800 bg-yellow-50 p-2 rounded">
+              This account has no value for: {missingFields.join(', ')}. Check the draft before sending.
+            </p>
+          )}
+          <input
+            type="text"
+            value={email.subject}
+            onChange={(e) => setEmail(prev => ({ ...prev, subject: e.target.value }))}
+            placeholder="Subject"
+            className="w-full rounded-md border-gray-300 p-2 border text-sm font-semibold"
+          />
+          <textarea
+            value={email.body}
+            onChange={(e) => setEmail(prev => ({ ...prev, body: e.target.value }))}
+            className="w-full rounded-md border-gray-300 p-2 border text-sm text-gray-800"
+            rows="10"
+          ></textarea>
+          <div className="flex items-center gap-2">
+            <input
+              type="text"
+              value={instructions}
+              onChange={(e) => setInstructions(e.target.value)}
+              placeholder="Rewrite instructions (optional), e.g. shorter and more formal"
+              className="flex-grow rounded-md border-gray-300 p-2 border text-xs"
+            />
+            <button
+              type="button"
+              onClick={handleRewrite}
+              disabled={loadingAI}
+              className="px-3 py-2 text-xs rounded-full bg-indigo-100 text-indigo-700 hover:bg-indigo-200 disabled:opacity-50"
+            >
+              ✨ Rewrite with AI
+            </button>
+          </div>
+          <div className="flex flex-wrap items-center gap-3">
+            <button type="button" onClick={() => copyToClipboard(formatEmail(email))} className="text-xs text-blue-600 hover:underline">
+              Copy to Clipboard
+            </button>
+            {canEdit && (
+              <button
+                type="button"
+                onClick={handleSend}
+                disabled={!recipient || sending || !email.subject.trim() || !email.body.trim()}
+                title={recipient ? `Send to ${recipient}` : 'Add a contact email to send from the CRM'}
+                className="px-3 py-1 text-xs rounded-full bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+              >
+                {sending ? 'Sending...' : 'Send'}
+              </button>
+            )}
+            {canEdit && (
+              <button type="button" onClick={handleLogSent} className="text-xs text-blue-600 hover:underline">
+                Log as Sent
+              </button>
+            )}
+            <button type="button" onClick={() => setShowSaveTemplate(prev => !prev)} className="text-xs text-blue-600 hover:underline">
+              Save as Template
+            </button>
+            <button type="button" onClick={() => setEmail(null)} className="text-xs text-gray-500 hover:underline">
+              Discard
+            </button>
+          </div>
+          {canEdit && !recipient && (
+            <p className="text-xs text-gray-500">Save a contact email on this account to send from the CRM.</p>
+          )}
+          {showSaveTemplate && (
+            <div className="flex items-center gap-2">
+              <input
+                type="text"
+                value={templateName}
+                onChange={(e) => setTemplateName(e.target.value)}
+                placeholder="Template name"
+                className="flex-grow rounded-md border-gray-300 p-2 border text-xs"
+              />
+              <button
+                type="button"
+                onClick={handleSaveTemplate}
+                disabled={!templateName.trim()}
+                className="px-3 py-2 text-xs rounded-full bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+              >
+                Save
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EmailComposer;
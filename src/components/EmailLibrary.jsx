@@ -0,0 +1,296 @@
+import React, { useState, useRef } from 'react';
+import { FOLLOW_UP_RULES } from '../email/followUpRule';
+import { MERGE_FIELDS } from '../email/mergeFields';
+import { STEP_ACTIONS, describeStep, newSequenceStep } from '../email/sequences';
+
+const emptyTemplate = () => ({ name: '', subject: '', body: '' });
+
+const emptySequence = () => ({ name: '', steps: [newSequenceStep(null)] });
+
+const TemplateEditor = ({ template, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(template);
+  const bodyRef = useRef(null);
+
+  // Inserts at the cursor so fields can be dropped mid-sentence
+  const insertField = (key) => {
+    const textarea = bodyRef.current;
+    const placeholder = `{{${key}}}`;
+    const start = textarea ? textarea.selectionStart : draft.body.length;
+    const end = textarea ? textarea.selectionEnd : draft.body.length;
+    setDraft(prev => ({ ...prev, body: prev.body.slice(0, start) + placeholder + prev.body.slice(end) }));
+  };
+
+  return (
+    <div className="space-y-2 p-3 bg-gray-50 rounded-lg border border-gray-200">
+      <input
+        type="text"
+        value={draft.name}
+        onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+        placeholder="Template name"
+        className="w-full rounded-md border-gray-300 p-2 border text-sm"
+      />
+      <input
+        type="text"
+        value={draft.subject}
+        onChange={(e) => setDraft(prev => ({ ...prev, subject: e.target.value }))}
+        placeholder="Subject"
+        className="w-full rounded-md border-gray-300 p-2 border text-sm font-semibold"
+      />
+      <textarea
+        ref={bodyRef}
+        value={draft.body}
+        onChange={(e) => setDraft(prev => ({ ...prev, body: e.target.value }))}
+        placeholder="Hi {{firstName}}, ..."
+        className="w-full rounded-md border-gray-300 p-2 border text-sm"
+        rows="8"
+      ></textarea>
+      <div className="flex flex-wrap gap-1">
+        {MERGE_FIELDS.map(field => (
+          <button
+            key={field.key}
+            type="button"
+            onClick={() => insertField(field.key)}
+            title={field.label}
+            className="px-2 py-1 text-xs rounded-full bg-white border border-gray-300 text-gray-700 hover:bg-gray-100"
+          >
+            {`{{${field.key}}}`}
+          </button>
+        ))}
+      </div>
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="bg-gray-300 text-gray-800 px-4 py-2 rounded-full text-sm hover:bg-gray-400">Cancel</button>
+        <button
+          type="button"
+          onClick={() => onSave(draft)}
+          disabled={!draft.name.trim() || !draft.body.trim()}
+          className="bg-blue-600 text-white px-4 py-2 rounded-full text-sm hover:bg-blue-700 disabled:opacity-50"
+        >
+          Save Template
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const SequenceEditor = ({ sequence, templates, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(sequence);
+
+  const updateStep = (index, changes) => setDraft(prev => ({
+    ...prev,
+    steps: prev.steps.map((step, i) => (i === index ? { ...step, ...changes } : step)),
+  }));
+
+  const isValid = draft.name.trim() && draft.steps.length > 0
+    && draft.steps.every(step => (step.action === 'email' ? step.templateId : step.title.trim()));
+
+  return (
+    <div className="space-y-2 p-3 bg-gray-50 rounded-lg border border-gray-200">
+      <input
+        type="text"
+        value={draft.name}
+        onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+        placeholder="Sequence name"
+        className="w-full rounded-md border-gray-300 p-2 border text-sm"
+      />
+      {draft.steps.map((step, index) => (
+        <div key={index} className="flex items-center gap-2 text-sm">
+          <span className="text-gray-600">Day</span>
+          <input
+            type="number"
+            min="0"
+            value={step.day}
+            onChange={(e) => updateStep(index, { day: e.target.value })}
+            className="w-16 rounded-md border-gray-300 p-2 border"
+          />
+          <select value={step.action} onChange={(e) => updateStep(index, { action: e.target.value })} className="rounded-md border-gray-300 p-2 border">
+            {STEP_ACTIONS.map(action => <option key={action.value} value={action.value}>{action.label}</option>)}
+          </select>
+          {step.action === 'email' ? (
+            <select value={step.templateId} onChange={(e) => updateStep(index, { templateId: e.target.value })} className="flex-grow rounded-md border-gray-300 p-2 border">
+              <option value="">Choose a template...</option>
+              {templates.map(template => <option key={template.id} value={template.id}>{template.name}</option>)}
+            </select>
+          ) : (
+            <input
+              type="text"
+              value={step.title}
+              onChange={(e) => updateStep(index, { title: e.target.value })}
+              placeholder="Call {{firstName}} about the proposal"
+              className="flex-grow rounded-md border-gray-300 p-2 border"
+            />
+          )}
+          <button
+            type="button"
+            onClick={() => setDraft(prev => ({ ...prev, steps: prev.steps.filter((_, i) => i !== index) }))}
+            className="text-red-500 hover:text-red-700 font-bold"
+          >
+            &times;
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => setDraft(prev => ({ ...prev, steps: [...prev.steps, newSequenceStep(prev.steps[prev.steps.length - 1])] }))}
+        className="text-xs text-blue-600 hover:underline"
+      >
+        + Add step
+      </button>
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="bg-gray-300 text-gray-800 px-4 py-2 rounded-full text-sm hover:bg-gray-400">Cancel</button>
+        <button
+          type="button"
+          onClick={() => onSave(draft)}
+          disabled={!isValid}
+          className="bg-blue-600 text-white px-4 py-2 rounded-full text-sm hover:bg-blue-700 disabled:opacity-50"
+        >
+          Save Sequence
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const SendingSettings = ({ settings, canEdit, onSave }) => {
+  const [draft, setDraft] = useState(settings);
+  const changed = draft.followUpRule !== settings.followUpRule || Number(draft.followUpDays) !== Number(settings.followUpDays);
+
+  return (
+    <div className="space-y-3 text-sm">
+      <p className="text-gray-600">
+        Emails sent from the CRM go out through the server's mail transport, from the workspace address with your email as reply-to.
+        Every sent or logged email is added to the account's activity.
+      </p>
+      <div>
+        <label className="block font-medium text-gray-700">After an email is sent</label>
+        <select
+          value={draft.followUpRule}
+          onChange={(e) => setDraft(prev => ({ ...prev, followUpRule: e.target.value }))}
+          disabled={!canEdit}
+          className="mt-1 w-full rounded-md border-gray-300 p-2 border"
+        >
+          {FOLLOW_UP_RULES.map(rule => <option key={rule.value} value={rule.value}>{rule.label}</option>)}
+        </select>
+      </div>
+      {draft.followUpRule !== 'off' && (
+        <div className="flex items-center gap-2">
+          <span className="text-gray-700">Follow up after</span>
+          <input
+            type="number"
+            min="1"
+            max="60"
+            value={draft.followUpDays}
+            onChange={(e) => setDraft(prev => ({ ...prev, followUpDays: e.target.value }))}
+            disabled={!canEdit}
+            className="w-20 rounded-md border-gray-300 p-2 border"
+          />
+          <span className="text-gray-700">days</span>
+        </div>
+      )}
+      {canEdit ? (
+        <div className="flex justify-end">
+          <button
+            type="button"
+            onClick={() => onSave({ followUpRule: draft.followUpRule, followUpDays: Math.max(1, Number(draft.followUpDays) || 1) })}
+            disabled={!changed}
+            className="bg-blue-600 text-white px-4 py-2 rounded-full text-sm hover:bg-blue-700 disabled:opacity-50"
+          >
+            Save Settings
+          </button>
+        </div>
+      ) : (
+        <p className="text-xs text-gray-500">Only admins and managers can change these settings.</p>
+      )}
+    </div>
+  );
+};
+
+const EmailLibrary = ({ templates, sequences, emailSettings, canEditSettings, onSaveEmailSettings, canChange, onSaveTemplate, onDeleteTemplate, onSaveSequence, onDeleteSequence, onAddStarterLibrary, onClose }) => {
+  const [tab, setTab] = useState('templates');
+  const [editing, setEditing] = useState(null);
+
+  const handleSave = async (item) => {
+    const saved = tab === 'templates' ? await onSaveTemplate(item) : await onSaveSequence(item);
+    if (saved) setEditing(null);
+  };
+
+  const items = tab === 'templates' ? templates : sequences;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex rounded-full bg-gray-200 p-1 text-sm">
+          {[['templates', 'Templates'], ['sequences', 'Sequences'], ['sending', 'Sending']].map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => { setTab(value); setEditing(null); }}
+              className={`px-3 py-1 rounded-full transition-colors ${tab === value ? 'bg-white shadow text-gray-900' : 'text-gray-600'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        {!editing && tab !== 'sending' && (
+          <button
+            type="button"
+            onClick={() => setEditing(tab === 'templates' ? emptyTemplate() : emptySequence())}
+            className="bg-blue-600 text-white px-4 py-2 rounded-full text-sm hover:bg-blue-700"
+          >
+            + New {tab === 'templates' ? 'Template' : 'Sequence'}
+          </button>
+        )}
+      </div>
+
+      {editing && tab === 'templates' && <TemplateEditor key={editing.id || 'new'} template={editing} onSave={handleSave} onCancel={() => setEditing(null)} />}
+      {editing && tab === 'sequences' && <SequenceEditor key={editing.id || 'new'} sequence={editing} templates={templates} onSave={handleSave} onCancel={() => setEditing(null)} />}
+
+      {tab === 'sending' && (
+        <SendingSettings key={`${emailSettings.followUpRule}-${emailSettings.followUpDays}`} settings={emailSettings} canEdit={canEditSettings} onSave={onSaveEmailSettings} />
+      )}
+
+      {tab !== 'sending' && templates.length === 0 && sequences.length === 0 && (
+        <div className="text-sm text-gray-600">
+          Nothing here yet.{' '}
+          <button type="button" onClick={onAddStarterLibrary} className="text-blue-600 hover:underline">
+            Add starter templates and a 3-step follow-up sequence
+          </button>
+        </div>
+      )}
+
+      <ul className="divide-y divide-gray-200">
+        {tab !== 'sending' && items.map(item => (
+          <li key={item.id} className="py-2 flex items-start justify-between">
+            <div>
+              <p className="text-sm font-semibold text-gray-800">{item.name}</p>
+              <p className="text-xs text-gray-500">
+                {tab === 'templates'
+                  ? item.subject
+                  : item.steps.map(step => `Day ${step.day}: ${describeStep(step, templates)}`).join(' → ')}
+              </p>
+            </div>
+            {canChange(item) && (
+              <div className="flex gap-2 text-xs">
+                <button type="button" onClick={() => setEditing(item)} className="text-blue-600 hover:underline">Edit</button>
+                <button
+                  type="button"
+                  onClick={() => (tab === 'templates' ? onDeleteTemplate(item.id) : onDeleteSequence(item.id))}
+                  className="text-red-600 hover:underline"
+                >
+                  Delete
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex justify-end">
+        <button type="button" onClick={onClose} className="bg-gray-300 text-gray-800 px-6 py-3 rounded-full shadow-md hover:bg-gray-400 transition duration-300 ease-in-out">
+          Done
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default EmailLibrary;
@@ -0,0 +1,60 @@
+import React, { useState } from 'react';
+
+const ExportDialog = ({ viewCount, totalCount, onExport, onClose }) => {
+  const [scope, setScope] = useState('view');
+  const [format, setFormat] = useState('csv');
+  const [includeNotes, setIncludeNotes] = useState(true);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      await onExport({ scope, format, includeNotes });
+      onClose();
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Accounts</label>
+        <label className="block text-sm text-gray-700">
+          <input type="radio" checked={scope === 'view'} onChange={() => setScope('view')} className="mr-2" />
+          Current view ({viewCount})
+        </label>
+        <label className="block text-sm text-gray-700">
+          <input type="radio" checked={scope === 'all'} onChange={() => setScope('all')} className="mr-2" />
+          Whole pipeline ({totalCount})
+        </label>
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Format</label>
+        <select value={format} onChange={(e) => setFormat(e.target.value)} className="rounded-md border-gray-300 p-2 border text-sm">
+          <option value="csv">CSV (spreadsheets)</option>
+          <option value="json">JSON (full fidelity)</option>
+        </select>
+      </div>
+      <label className="block text-sm text-gray-700">
+        <input type="checkbox" checked={includeNotes} onChange={(e) => setIncludeNotes(e.target.checked)} className="mr-2" />
+        Include notes and activity
+      </label>
+      <div className="flex justify-end space-x-2">
+        <button type="button" onClick={onClose} className="bg-gray-300 text-gray-800 px-6 py-3 rounded-full shadow-md hover:bg-gray-400 transition duration-300 ease-in-out">
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={handleExport}
+          disabled={isExporting}
+          className="bg-blue-600 text-white px-6 py-3 rounded-full shadow-md hover:bg-blue-700 transition duration-300 ease-in-out"
+        >
+          {isExporting ? 'Exporting...' : 'Export'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ExportDialog;
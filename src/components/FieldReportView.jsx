@@ -0,0 +1,53 @@
+import React, { useState } from 'react';
+import { getGroupByOptions, getPipelineByField } from '../customFields/fieldReport';
+
+const formatMoney = (amount) => `$${Math.round(amount).toLocaleString()}`;
+
+const FieldReportView = ({ accounts, stages, customFields }) => {
+  const options = getGroupByOptions(customFields);
+  const [groupKey, setGroupKey] = useState(options[0].key);
+  const groupBy = options.find(option => option.key === groupKey) || options[0];
+  const rows = getPipelineByField(accounts, stages, groupBy);
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-sm">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-bold text-gray-800">Pipeline by Field</h3>
+        <select value={groupBy.key} onChange={(e) => setGroupKey(e.target.value)} className="rounded-md border-gray-300 p-2 border text-sm">
+          {options.map(option => <option key={option.key} value={option.key}>{option.label}</option>)}
+        </select>
+      </div>
+      {rows.length === 0 ? (
+        <p className="text-sm text-gray-500">No deals yet.</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 border-b">
+              <th className="p-2">{groupBy.label}</th>
+              <th className="p-2 text-right">Open deals</th>
+              <th className="p-2 text-right">Pipeline</th>
+              <th className="p-2 text-right">Weighted</th>
+              <th className="p-2 text-right">Won / Lost</th>
+              <th className="p-2 text-right">Win rate</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.key} className="border-b">
+                <td className={`p-2 ${row.key === 'none' ? 'text-gray-500 italic' : 'text-gray-800 font-semibold'}`}>{row.name}</td>
+                <td className="p-2 text-right">{row.openCount}</td>
+                <td className="p-2 text-right">{formatMoney(row.openValue)}</td>
+                <td className="p-2 text-right">{formatMoney(row.weightedValue)}</td>
+                <td className="p-2 text-right">{row.won} / {row.lost}</td>
+                <td className="p-2 text-right">{row.winRate === null ? '—' : `${row.winRate}%`}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <p className="text-xs text-gray-500 mt-2">Pipeline is first-year bookings (one-time value plus twelve months of monthly value). Deals with several options count under each.</p>
+    </div>
+  );
+};
+
+export default FieldReportView;
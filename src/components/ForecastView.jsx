@@ -0,0 +1,244 @@
+import React, { useState, useEffect } from 'react';
+import { FORECAST_CATEGORIES, WEIGHTING_MODES, buildForecast, getBookings, getQuotaFor } from '../pipeline/forecast';
+import { toCsv } from '../importExport/csv';
+import { downloadFile } from '../importExport/download';
+
+const FORECAST_SETTINGS_KEY = 'crm.forecastSettings';
+
+const BAR_SEGMENTS = [['won', 'bg-green-500'], ...FORECAST_CATEGORIES.filter(c => c.value !== 'omitted').map(c => [c.value, c.color])];
+
+const formatMoney = (amount) => `$${Math.round(amount).toLocaleString()}`;
+
+const QuotaEditor = ({ member, quota, canEdit, onSave }) => {
+  const [monthly, setMonthly] = useState(quota?.monthly ?? '');
+  const [quarterly, setQuarterly] = useState(quota?.quarterly ?? '');
+
+  useEffect(() => {
+    setMonthly(quota?.monthly ?? '');
+    setQuarterly(quota?.quarterly ?? '');
+  }, [quota]);
+
+  const isDirty = String(monthly) !== String(quota?.monthly ?? '') || String(quarterly) !== String(quota?.quarterly ?? '');
+
+  return (
+    <div className="grid grid-cols-4 gap-2 items-center text-sm">
+      <span className="text-gray-700 truncate">{member.displayName}</span>
+      <input type="number" min="0" value={monthly} onChange={(e) => setMonthly(e.target.value)} disabled={!canEdit} placeholder="Monthly" className="rounded-md border-gray-300 p-1 border" />
+      <input type="number" min="0" value={quarterly} onChange={(e) => setQuarterly(e.target.value)} disabled={!canEdit} placeholder="Quarterly" className="rounded-md border-gray-300 p-1 border" />
+      {canEdit && (
+        <button type="button" onClick={() => onSave(member.id, { monthly, quarterly })} disabled={!isDirty} className="text-blue-600 hover:underline disabled:opacity-40 disabled:no-underline text-left">
+          Save
+        </button>
+      )}
+    </div>
+  );
+};
+
+const ForecastView = ({ accounts, stages, members, quotas, currentUserId, dealScope, canSetOthersQuota, onSetQuota, onSelectAccount, onClose }) => {
+  const [settings, setSettings] = useState(() => ({
+    period: 'quarter',
+    weighting: 'stage',
+    ...JSON.parse(localStorage.getItem(FORECAST_SETTINGS_KEY) || '{}'),
+  }));
+  const [expandedKey, setExpandedKey] = useState(null);
+  const [showQuotas, setShowQuotas] = useState(false);
+
+  useEffect(() => {
+    localStorage.setItem(FORECAST_SETTINGS_KEY, JSON.stringify(settings));
+  }, [settings]);
+
+  const { period, weighting } = settings;
+  const { periods, undated } = buildForecast(accounts, stages, { period, weighting, count: period === 'quarter' ? 4 : 6 });
+  const quotaUserIds = dealScope === 'mine' ? [currentUserId] : members.map(member => member.id);
+  const quota = getQuotaFor(quotas, quotaUserIds, period);
+  const current = periods[0];
+  const wonBookings = getBookings(current.won);
+  const commitBookings = wonBookings + getBookings(current.commit);
+  const bestCaseBookings = commitBookings + getBookings(current.best_case);
+  const maxBookings = Math.max(quota, ...periods.map(p => getBookings(p.won) + getBookings(p.commit) + getBookings(p.best_case) + getBookings(p.pipeline)));
+
+  const handleExport = () => {
+    const columns = [
+      { key: 'period', label: 'Period' },
+      { key: 'won', label: 'Closed Won' },
+      { key: 'commit', label: 'Commit' },
+      { key: 'bestCase', label: 'Best Case' },
+      { key: 'pipeline', label: 'Pipeline' },
+      { key: 'weighted', label: 'Weighted Bookings' },
+      { key: 'weightedMrr', label: 'Weighted MRR' },
+      { key: 'weightedArr', label: 'Weighted ARR' },
+      { key: 'quota', label: 'Quota' },
+    ];
+    const rows = periods.map(p => ({
+      period: p.label,
+      won: getBookings(p.won),
+      commit: getBookings(p.commit),
+      bestCase: getBookings(p.best_case),
+      pipeline: getBookings(p.pipeline),
+      weighted: Math.round(getBookings(p.weighted)),
+      weightedMrr: Math.round(p.weighted.mrr),
+      weightedArr: Math.round(p.weighted.mrr * 12),
+      quota,
+    }));
+    downloadFile(`forecast-${new Date().toISOString().split('T')[0]}.csv`, toCsv(columns, rows), 'text/csv');
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-2">
+        <select value={period} onChange={(e) => setSettings(prev => ({ ...prev, period: e.target.value }))} className="rounded-full border-gray-300 px-3 py-2 border text-sm">
+          <option value="quarter">By quarter</option>
+          <option value="month">By month</option>
+        </select>
+        <select value={weighting} onChange={(e) => setSettings(prev => ({ ...prev, weighting: e.target.value }))} className="rounded-full border-gray-300 px-3 py-2 border text-sm">
+          {WEIGHTING_MODES.map(mode => <option key={mode.value} value={mode.value}>Weight by {mode.label.toLowerCase()}</option>)}
+        </select>
+        <button type="button" onClick={() => setShowQuotas(prev => !prev)} className="bg-gray-200 text-gray-700 px-4 py-2 rounded-full text-sm hover:bg-gray-300">
+          {showQuotas ? 'Hide quotas' : 'Set quotas'}
+        </button>
+        <button type="button" onClick={handleExport} className="bg-gray-200 text-gray-700 px-4 py-2 rounded-full text-sm hover:bg-gray-300">
+          Export CSV
+        </button>
+      </div>
+
+      {showQuotas && (
+        <div className="p-3 bg-gray-50 rounded-md space-y-2">
+          <div className="grid grid-cols-4 gap-2 text-xs font-semibold text-gray-500">
+            <span>Member</span><span>Monthly quota</span><span>Quarterly quota</span><span></span>
+          </div>
+          {members.filter(member => canSetOthersQuota || member.id === currentUserId).map(member => (
+            <QuotaEditor
+              key={member.id}
+              member={member}
+              quota={quotas.find(q => q.id === member.id)}
+              canEdit={canSetOthersQuota || member.id === currentUserId}
+              onSave={onSetQuota}
+            />
+          ))}
+          <p className="text-xs text-gray-500">Quotas are first-year bookings: one-time value plus twelve months of recurring revenue.</p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+        {[
+          ['Closed Won', wonBookings],
+          ['Won + Commit', commitBookings],
+          ['Won + Best Case', bestCaseBookings],
+          ['Weighted Forecast', getBookings(current.weighted)],
+          ['Quota', quota],
+        ].map(([label, amount]) => (
+          <div key={label} className="bg-gray-50 p-4 rounded-lg">
+            <p className="text-xs font-medium text-gray-500">{label} · {current.label}</p>
+            <p className="text-xl font-bold text-gray-900 mt-1">{formatMoney(amount)}</p>
+          </div>
+        ))}
+      </div>
+      {quota > 0 && (
+        <div>
+          <div className="flex justify-between text-sm text-gray-600 mb-1">
+            <span>{Math.round((wonBookings / quota) * 100)}% of quota closed</span>
+            <span>{commitBookings >= quota ? 'Commit covers quota' : `Gap to quota after commit: ${formatMoney(quota - commitBookings)}`}</span>
+          </div>
+          <div className="relative w-full bg-gray-200 rounded-full h-3">
+            <div className="absolute bg-blue-200 h-3 rounded-full" style={{ width: `${Math.min(100, (bestCaseBookings / quota) * 100)}%` }}></div>
+            <div className="absolute bg-blue-500 h-3 rounded-full" style={{ width: `${Math.min(100, (commitBookings / quota) * 100)}%` }}></div>
+            <div className="absolute bg-green-500 h-3 rounded-full" style={{ width: `${Math.min(100, (wonBookings / quota) * 100)}%` }}></div>
+          </div>
+        </div>
+      )}
+
+      <div className="flex w-full gap-2">
+        {periods.map(p => (
+          <div key={p.key} className="flex flex-col items-center flex-grow">
+            <div className="relative w-full h-40 flex flex-col-reverse">
+              {BAR_SEGMENTS.map(([key, color]) => (
+                <div
+                  key={key}
+                  className={`w-full ${color}`}
+                  style={{ height: `${maxBookings > 0 ? (getBookings(p[key]) / maxBookings) * 100 : 0}%` }}
+                  title={`${formatMoney(getBookings(p[key]))}`}
+                ></div>
+              ))}
+              {quota > 0 && (
+                <div className="absolute w-full border-t-2 border-dashed border-red-400" style={{ bottom: `${(quota / maxBookings) * 100}%` }}></div>
+              )}
+            </div>
+            <div className="mt-2 text-xs text-gray-600 text-center">{p.label}</div>
+          </div>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-3 text-xs text-gray-600">
+        <span><span className="inline-block w-3 h-3 bg-green-500 mr-1 align-middle"></span>Closed Won</span>
+        {FORECAST_CATEGORIES.filter(c => c.value !== 'omitted').map(c => (
+          <span key={c.value}><span className={`inline-block w-3 h-3 ${c.color} mr-1 align-middle`}></span>{c.label}</span>
+        ))}
+        {quota > 0 && <span><span className="inline-block w-3 border-t-2 border-dashed border-red-400 mr-1 align-middle"></span>Quota</span>}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 text-xs text-gray-500">
+            <tr>
+              <th className="p-2 text-left">Period</th>
+              <th className="p-2 text-right">Won</th>
+              <th className="p-2 text-right">Commit</th>
+              <th className="p-2 text-right">Best Case</th>
+              <th className="p-2 text-right">Pipeline</th>
+              <th className="p-2 text-right">Weighted</th>
+              <th className="p-2 text-right">Weighted MRR</th>
+              <th className="p-2 text-right">Weighted ARR</th>
+              <th className="p-2 text-right">Quota</th>
+            </tr>
+          </thead>
+          <tbody>
+            {periods.map(p => (
+              <React.Fragment key={p.key}>
+                <tr className="border-t border-gray-100 cursor-pointer hover:bg-gray-50" onClick={() => setExpandedKey(expandedKey === p.key ? null : p.key)}>
+                  <td className="p-2 font-medium text-gray-800">
+                    {expandedKey === p.key ? '▾' : '▸'} {p.label}
+                    {p.slipped > 0 && <span className="ml-2 text-xs text-red-600">{p.slipped} past due</span>}
+                  </td>
+                  <td className="p-2 text-right">{formatMoney(getBookings(p.won))}</td>
+                  <td className="p-2 text-right">{formatMoney(getBookings(p.commit))}</td>
+                  <td className="p-2 text-right">{formatMoney(getBookings(p.best_case))}</td>
+                  <td className="p-2 text-right">{formatMoney(getBookings(p.pipeline))}</td>
+                  <td className="p-2 text-right font-semibold">{formatMoney(getBookings(p.weighted))}</td>
+                  <td className="p-2 text-right">{formatMoney(p.weighted.mrr)}</td>
+                  <td className="p-2 text-right">{formatMoney(p.weighted.mrr * 12)}</td>
+                  <td className="p-2 text-right">{quota > 0 ? formatMoney(quota) : '—'}</td>
+                </tr>
+                {expandedKey === p.key && p.deals.map(({ account, category, probability }) => (
+                  <tr key={account.id} className="text-xs text-gray-600 bg-gray-50">
+                    <td className="p-2 pl-6">
+                      <button type="button" onClick={() => onSelectAccount(account)} className="text-blue-600 hover:underline">{account.companyName}</button>
+                      <span className="ml-2">{account.stage}</span>
+                    </td>
+                    <td className="p-2 text-right" colSpan="4">
+                      {category === 'won' ? 'Closed Won' : FORECAST_CATEGORIES.find(c => c.value === category)?.label} · {probability}%
+                    </td>
+                    <td className="p-2 text-right">{formatMoney((getBookings({ value: account.value || 0, mrr: account.monthlyValue || 0 }) * probability) / 100)}</td>
+                    <td className="p-2 text-right" colSpan="3">{account.monthlyValue ? `${formatMoney(account.monthlyValue)}/mo` : ''}</td>
+                  </tr>
+                ))}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {undated.deals.length > 0 && (
+        <p className="text-sm text-yellow-800 bg-yellow-50 p-3 rounded-md">
+          {undated.deals.length} open deal(s) worth {formatMoney(getBookings(undated.amounts))} have no expected close date and are left out of the forecast.
+        </p>
+      )}
+
+      <div className="flex justify-end">
+        <button type="button" onClick={onClose} className="bg-gray-300 text-gray-800 px-6 py-3 rounded-full shadow-md hover:bg-gray-400 transition duration-300 ease-in-out">
+          Done
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ForecastView;
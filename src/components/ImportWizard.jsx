@@ -0,0 +1,207 @@
+import React, { useState, useMemo } from 'react';
+import { autoMapColumns, coerceRecord, findDuplicate, getImportFields } from '../importExport/accountFields';
+import { formatCustomValue } from '../customFields/customFields';
+import { parseCsv } from '../importExport/csv';
+import { readFileAsText } from '../importExport/download';
+
+const DUPLICATE_ACTIONS = [
+  { value: 'skip', label: 'Skip duplicates' },
+  { value: 'update', label: 'Update existing accounts' },
+  { value: 'create', label: 'Import as new accounts' },
+];
+
+// JSON files may be a bare array or our own export shape ({ accounts: [...] })
+const parseJson = (text) => {
+  const data = JSON.parse(text);
+  const records = Array.isArray(data) ? data : data.accounts;
+  if (!Array.isArray(records)) throw new Error("Expected an array of accounts.");
+  const headers = Array.from(new Set(records.flatMap(record => Object.keys(record))));
+  return { headers, records };
+};
+
+const ImportWizard = ({ stages, customFields, existingAccounts, validateAccount, onImport, onClose }) => {
+  const [step, setStep] = useState('upload');
+  const [fileName, setFileName] = useState('');
+  const [source, setSource] = useState({ headers: [], records: [] });
+  const [mapping, setMapping] = useState({});
+  const [duplicateAction, setDuplicateAction] = useState('skip');
+  const [parseError, setParseError] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const importFields = useMemo(() => getImportFields(customFields), [customFields]);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setParseError(null);
+    try {
+      const text = await readFileAsText(file);
+      const parsed = file.name.toLowerCase().endsWith('.json') ? parseJson(text) : parseCsv(text);
+      if (parsed.records.length === 0) throw new Error("The file has no rows.");
+      setFileName(file.name);
+      setSource(parsed);
+      setMapping(autoMapColumns(parsed.headers, importFields));
+      setStep('map');
+    } catch (err) {
+      setParseError(`Could not read ${file.name}: ${err.message}`);
+    }
+  };
+
+  const rows = useMemo(() => source.records.map((record, index) => {
+    const { account, errors } = coerceRecord(record, mapping, stages, importFields);
+    const { notes = [], ...fields } = account;
+    const duplicateOf = errors.length === 0 ? findDuplicate(fields, existingAccounts) : null;
+    // New rows can be checked against the workspace's rules up front; updates are checked when saved
+    if (errors.length === 0 && !duplicateOf && validateAccount) errors.push(...validateAccount(fields));
+    return { index, account: fields, notes, errors, duplicateOf };
+  }), [source, mapping, stages, importFields, existingAccounts, validateAccount]);
+
+  const validRows = rows.filter(row => row.errors.length === 0);
+  const duplicateCount = validRows.filter(row => row.duplicateOf).length;
+  const mappedFields = importFields.filter(field => Object.values(mapping).includes(field.key));
+
+  const handleImport = async () => {
+    setStep('importing');
+    const result = await onImport(
+      validRows.map(row => ({ ...row, action: row.duplicateOf ? duplicateAction : 'create' })),
+      (done) => setProgress({ done, total: validRows.length })
+    );
+    setSummary({ ...result, invalid: rows.length - validRows.length });
+    setStep('done');
+  };
+
+  return (
+    <div className="space-y-4">
+      {step === 'upload' && (
+        <div>
+          <p className="text-sm text-gray-600 mb-4">Choose a CSV or JSON file exported from a spreadsheet or another CRM. The first CSV row must contain column headers.</p>
+          <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} className="block w-full text-sm" />
+          {parseError && <div className="bg-red-100 text-red-700 text-sm p-3 rounded-lg mt-4">{parseError}</div>}
+        </div>
+      )}
+
+      {step === 'map' && (
+        <div>
+          <p className="text-sm text-gray-600 mb-2">Match the columns in <span className="font-semibold">{fileName}</span> to CRM fields. Unmatched columns are ignored.</p>
+          <div className="space-y-2 max-h-96 overflow-y-auto">
+            {source.headers.map(header => (
+              <div key={header} className="grid grid-cols-2 gap-2 items-center">
+                <div className="text-sm text-gray-800 truncate">
+                  {header}
+                  <span className="block text-xs text-gray-400 truncate">e.g. {String(source.records[0][header] ?? '').slice(0, 40)}</span>
+                </div>
+                <select
+                  value={mapping[header]}
+                  onChange={(e) => setMapping(prev => ({ ...prev, [header]: e.target.value }))}
+                  className="rounded-md border-gray-300 p-2 border text-sm"
+                >
+                  <option value="">— Ignore —</option>
+                  {importFields.map(field => (
+                    <option
+                      key={field.key}
+                      value={field.key}
+                      disabled={mapping[header] !== field.key && Object.values(mapping).includes(field.key)}
+                    >
+                      {field.label}{field.required ? ' *' : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+          <div className="flex justify-between mt-4">
+            <button type="button" onClick={() => setStep('upload')} className="bg-gray-300 text-gray-800 px-6 py-2 rounded-full hover:bg-gray-400">Back</button>
+            <button
+              type="button"
+              onClick={() => setStep('preview')}
+              disabled={!Object.values(mapping).includes('companyName')}
+              className="bg-blue-600 text-white px-6 py-2 rounded-full hover:bg-blue-700 disabled:opacity-50"
+            >
+              Preview
+            </button>
+          </div>
+        </div>
+      )}
+
+      {step === 'preview' && (
+        <div>
+          <p className="text-sm text-gray-600 mb-2">
+            {validRows.length} of {rows.length} rows are ready to import. {duplicateCount > 0 && `${duplicateCount} match existing accounts.`}
+          </p>
+          <div className="overflow-x-auto max-h-80 border border-gray-200 rounded-md">
+            <table className="min-w-full text-xs">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr>
+                  <th className="p-2 text-left">Row</th>
+                  {mappedFields.map(field => <th key={field.key} className="p-2 text-left whitespace-nowrap">{field.label}</th>)}
+                  <th className="p-2 text-left">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr key={row.index} className={row.errors.length > 0 ? 'bg-red-50' : row.duplicateOf ? 'bg-yellow-50' : ''}>
+                    <td className="p-2 text-gray-500">{row.index + 1}</td>
+                    {mappedFields.map(field => (
+                      <td key={field.key} className="p-2 whitespace-nowrap max-w-xs truncate">
+                        {field.key === 'notes' && `${row.notes.length} note(s)`}
+                        {field.type === 'custom' && formatCustomValue(field.field, row.account.customFields?.[field.field.id])}
+                        {field.key !== 'notes' && field.type !== 'custom' && String(row.account[field.key] ?? '')}
+                      </td>
+                    ))}
+                    <td className="p-2 whitespace-nowrap">
+                      {row.errors.length > 0 && <span className="text-red-700">{row.errors.join('; ')}</span>}
+                      {row.errors.length === 0 && row.duplicateOf && <span className="text-yellow-800">Duplicate of {row.duplicateOf.companyName}</span>}
+                      {row.errors.length === 0 && !row.duplicateOf && <span className="text-green-700">New</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {duplicateCount > 0 && (
+            <div className="mt-4">
+              <label className="block text-sm font-medium text-gray-700">Duplicates</label>
+              <select value={duplicateAction} onChange={(e) => setDuplicateAction(e.target.value)} className="mt-1 rounded-md border-gray-300 p-2 border text-sm">
+                {DUPLICATE_ACTIONS.map(action => <option key={action.value} value={action.value}>{action.label}</option>)}
+              </select>
+            </div>
+          )}
+          <div className="flex justify-between mt-4">
+            <button type="button" onClick={() => setStep('map')} className="bg-gray-300 text-gray-800 px-6 py-2 rounded-full hover:bg-gray-400">Back</button>
+            <button
+              type="button"
+              onClick={handleImport}
+              disabled={validRows.length === 0}
+              className="bg-green-600 text-white px-6 py-2 rounded-full hover:bg-green-700 disabled:opacity-50"
+            >
+              Import {validRows.length} Accounts
+            </button>
+          </div>
+        </div>
+      )}
+
+      {step === 'importing' && (
+        <p className="text-sm text-blue-600 font-semibold">Importing... {progress ? `${progress.done} / ${progress.total}` : ''}</p>
+      )}
+
+      {step === 'done' && summary && (
+        <div>
+          <ul className="text-sm text-gray-700 space-y-1">
+            <li>Created: {summary.created}</li>
+            <li>Updated: {summary.updated}</li>
+            <li>Skipped duplicates: {summary.skipped}</li>
+            <li>Rows with errors: {summary.invalid}</li>
+            {summary.failed > 0 && <li className="text-red-700">Failed to save: {summary.failed}</li>}
+          </ul>
+          <div className="flex justify-end mt-4">
+            <button type="button" onClick={onClose} className="bg-gray-300 text-gray-800 px-6 py-3 rounded-full shadow-md hover:bg-gray-400 transition duration-300 ease-in-out">
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportWizard;
@@ -0,0 +1,234 @@
+import React, { useState } from 'react';
+import { canManageMembers } from '../workspace/roles';
+import { WEBHOOK_EVENTS } from '../webhooks/events';
+
+const inputClass = 'rounded-md border-gray-300 p-2 border text-sm';
+
+const STATUS_STYLES = {
+  delivered: 'bg-green-100 text-green-800',
+  retrying: 'bg-yellow-100 text-yellow-800',
+  pending: 'bg-gray-100 text-gray-700',
+  failed: 'bg-red-100 text-red-800',
+};
+
+const formatTime = (timestamp) => (timestamp ? timestamp.toDate().toLocaleString() : '');
+
+const ApiTokens = ({ tokens, user, isAdmin, docsUrl, onCreate, onRevoke }) => {
+  const [name, setName] = useState('');
+  const [scope, setScope] = useState('user');
+  const [created, setCreated] = useState(null);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    const token = await onCreate(name.trim(), scope);
+    if (token) {
+      setCreated(token);
+      setName('');
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-600">
+        Scripts and other tools use the REST API with a token: <code className="text-xs">Authorization: Bearer crm_...</code>.
+        Your own tokens can do what you can; workspace tokens act as a manager. See the <a href={docsUrl} target="_blank" rel="noreferrer" className="text-blue-600 hover:underline">API reference</a>.
+      </p>
+
+      {created && (
+        <div className="p-3 bg-green-50 border border-green-200 rounded-lg text-xs space-y-1">
+          <p className="font-semibold text-green-800">Copy the token now; it won't be shown again.</p>
+          <div className="flex items-center gap-2">
+            <input type="text" readOnly value={created} onFocus={(e) => e.target.select()} className="flex-grow rounded-md border-gray-300 p-1 border font-mono" />
+            <button type="button" onClick={() => navigator.clipboard.writeText(created)} className="text-blue-600 hover:underline">Copy</button>
+            <button type="button" onClick={() => setCreated(null)} className="text-gray-500 hover:underline">Done</button>
+          </div>
+        </div>
+      )}
+
+      {tokens.length === 0 ? <p className="text-sm text-gray-500">No API tokens yet.</p> : (
+        <div className="space-y-2">
+          {tokens.map(token => (
+            <div key={token.id} className="flex items-center gap-2 p-2 rounded-md border border-gray-200 text-sm">
+              <div className="flex-grow">
+                <p className="font-semibold text-gray-800">
+                  {token.name} <span className="font-mono text-xs text-gray-500">{token.prefix}…</span>
+                </p>
+                <p className="text-xs text-gray-500">
+                  {token.scope === 'workspace' ? 'Workspace' : (token.uid === user.uid ? 'You' : token.ownerName)}
+                  {` · created ${formatTime(token.createdAt)}`}
+                  {token.lastUsedAt ? ` · last used ${formatTime(token.lastUsedAt)}` : ' · never used'}
+                </p>
+              </div>
+              <button type="button" onClick={() => onRevoke(token)} className="text-xs text-red-600 hover:underline">Revoke</button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="flex items-center gap-2">
+        <input type="text" value={name} onChange={(e) => setName(e.target.value)} placeholder="What is it for? e.g. Billing sync" className={`${inputClass} flex-grow`} />
+        {isAdmin && (
+          <select value={scope} onChange={(e) => setScope(e.target.value)} className={inputClass}>
+            <option value="user">Acts as me</option>
+            <option value="workspace">Whole workspace</option>
+          </select>
+        )}
+        <button type="submit" disabled={!name.trim()} className="bg-blue-600 text-white px-4 py-2 rounded-full text-sm hover:bg-blue-700 disabled:opacity-50">
+          Create Token
+        </button>
+      </form>
+    </div>
+  );
+};
+
+const WebhookEditor = ({ webhook, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(webhook);
+  const urlValid = /^https?:\/\/\S+$/i.test(draft.url.trim());
+
+  const toggleEvent = (value) => setDraft(prev => ({
+    ...prev,
+    events: prev.events.includes(value) ? prev.events.filter(event => event !== value) : [...prev.events, value],
+  }));
+
+  return (
+    <div className="space-y-3 p-3 bg-gray-50 rounded-lg border border-gray-200 text-sm">
+      <input type="url" value={draft.url} onChange={(e) => setDraft(prev => ({ ...prev, url: e.target.value }))} placeholder="https://example.com/crm-webhook" className={`${inputClass} w-full`} />
+      <input type="text" value={draft.description} onChange={(e) => setDraft(prev => ({ ...prev, description: e.target.value }))} placeholder="Description (optional)" className={`${inputClass} w-full`} />
+      <div className="flex flex-wrap gap-2">
+        {WEBHOOK_EVENTS.map(event => (
+          <label key={event.value} className={`px-2 py-1 rounded-full border text-xs cursor-pointer ${draft.events.includes(event.value) ? 'bg-blue-100 border-blue-300 text-blue-800' : 'bg-white border-gray-300 text-gray-600'}`}>
+            <input type="checkbox" checked={draft.events.includes(event.value)} onChange={() => toggleEvent(event.value)} className="hidden" />
+            {event.value}
+          </label>
+        ))}
+      </div>
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="bg-gray-300 text-gray-800 px-4 py-2 rounded-full text-sm hover:bg-gray-400">Cancel</button>
+        <button type="button" onClick={() => onSave({ ...draft, url: draft.url.trim(), description: draft.description.trim() })} disabled={!urlValid || draft.events.length === 0} className="bg-blue-600 text-white px-4 py-2 rounded-full text-sm hover:bg-blue-700 disabled:opacity-50">
+          Save Webhook
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const Webhooks = ({ webhooks, deliveries, onSave, onRemove, onRotateSecret, onSendTest, onRedeliver }) => {
+  const [editing, setEditing] = useState(null);
+  const [shownSecret, setShownSecret] = useState(null);
+
+  const handleSave = async (webhook) => {
+    if (await onSave(webhook)) setEditing(null);
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-600">
+        Account events are POSTed as JSON to each URL, signed with its secret in the <code className="text-xs">X-CRM-Signature</code> header
+        (<code className="text-xs">t=&lt;time&gt;,v1=&lt;HMAC-SHA256 of "t.body"&gt;</code>). Failed deliveries are retried with increasing delays.
+      </p>
+
+      {webhooks.length === 0 && !editing && <p className="text-sm text-gray-500">No webhooks yet.</p>}
+      <div className="space-y-2">
+        {webhooks.map(webhook => (
+          editing?.id === webhook.id ? (
+            <WebhookEditor key={webhook.id} webhook={editing} onSave={handleSave} onCancel={() => setEditing(null)} />
+          ) : (
+            <div key={webhook.id} className={`p-2 rounded-md border border-gray-200 text-sm space-y-1 ${webhook.enabled ? 'bg-white' : 'bg-gray-100 opacity-60'}`}>
+              <div className="flex items-center gap-2">
+                <p className="flex-grow font-mono text-xs text-gray-800 break-all">{webhook.url}</p>
+                <button type="button" onClick={() => onSendTest(webhook)} disabled={!webhook.enabled} className="text-xs text-blue-600 hover:underline">Send test</button>
+                <button type="button" onClick={() => setEditing(webhook)} disabled={!!editing} className="text-xs text-blue-600 hover:underline">Edit</button>
+                <button type="button" onClick={() => onSave({ ...webhook, enabled: !webhook.enabled })} className="text-xs text-blue-600 hover:underline w-12">
+                  {webhook.enabled ? 'Pause' : 'Resume'}
+                </button>
+                <button type="button" onClick={() => onRemove(webhook)} className="text-xs text-red-600 hover:underline">Delete</button>
+              </div>
+              {webhook.description && <p className="text-xs text-gray-600">{webhook.description}</p>}
+              <p className="text-xs text-gray-500">{webhook.events.join(', ')}</p>
+              <div className="flex items-center gap-2 text-xs">
+                <span className="text-gray-600">Secret</span>
+                <span className="font-mono text-gray-800">{shownSecret === webhook.id ? webhook.secret : '••••••••••••'}</span>
+                <button type="button" onClick={() => setShownSecret(shownSecret === webhook.id ? null : webhook.id)} className="text-blue-600 hover:underline">
+                  {shownSecret === webhook.id ? 'Hide' : 'Show'}
+                </button>
+                <button type="button" onClick={() => onRotateSecret(webhook)} className="text-blue-600 hover:underline">Rotate</button>
+              </div>
+            </div>
+          )
+        ))}
+      </div>
+
+      {editing && !editing.id && <WebhookEditor key="new" webhook={editing} onSave={handleSave} onCancel={() => setEditing(null)} />}
+      <button type="button" onClick={() => setEditing({ url: '', description: '', events: ['account.created', 'stage.changed', 'deal.won'] })} disabled={!!editing} className="bg-blue-600 text-white px-4 py-2 rounded-full shadow-md hover:bg-blue-700 disabled:opacity-50 text-sm">
+        + Add Webhook
+      </button>
+
+      <div>
+        <h5 className="text-xs font-semibold text-gray-600 mb-1">Recent deliveries</h5>
+        {deliveries.length === 0 ? <p className="text-xs text-gray-500">Nothing sent yet.</p> : (
+          <div className="border border-gray-200 rounded-md divide-y divide-gray-100 max-h-64 overflow-y-auto">
+            {deliveries.map(delivery => (
+              <div key={delivery.id} className="flex items-center gap-2 p-2 text-xs">
+                <span className={`px-2 py-0.5 rounded-full ${STATUS_STYLES[delivery.status] || STATUS_STYLES.pending}`}>{delivery.status}</span>
+                <div className="flex-grow min-w-0">
+                  <p className="text-gray-800">
+                    <span className="font-semibold">{delivery.event}</span>
+                    <span className="text-gray-500">{` · ${formatTime(delivery.createdAt)} · ${delivery.attempts} attempt${delivery.attempts === 1 ? '' : 's'}`}</span>
+                  </p>
+                  <p className="text-gray-500 truncate" title={delivery.url}>
+                    {delivery.error || (delivery.responseStatus ? `Responded ${delivery.responseStatus}` : delivery.url)}
+                    {delivery.status === 'retrying' && delivery.nextAttemptAt && ` · next try ${formatTime(delivery.nextAttemptAt)}`}
+                  </p>
+                </div>
+                {['failed', 'delivered'].includes(delivery.status) && (
+                  <button type="button" onClick={() => onRedeliver(delivery)} className="text-blue-600 hover:underline">Redeliver</button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const IntegrationSettings = ({ user, role, available, docsUrl, tokens, webhooks, deliveries, onCreateToken, onRevokeToken, onSaveWebhook, onRemoveWebhook, onRotateSecret, onSendTest, onRedeliver, onClose }) => {
+  const isAdmin = canManageMembers(role);
+
+  return (
+    <div className="space-y-6">
+      {!available ? (
+        <p className="text-sm text-gray-500">The REST API and webhooks need the Firebase backend and the server in server/.</p>
+      ) : (
+        <>
+          <div>
+            <h4 className="text-sm font-semibold text-gray-700 mb-2">API tokens</h4>
+            <ApiTokens tokens={tokens} user={user} isAdmin={isAdmin} docsUrl={docsUrl} onCreate={onCreateToken} onRevoke={onRevokeToken} />
+          </div>
+          {isAdmin && (
+            <div>
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">Outbound webhooks</h4>
+              <Webhooks
+                webhooks={webhooks}
+                deliveries={deliveries}
+                onSave={onSaveWebhook}
+                onRemove={onRemoveWebhook}
+                onRotateSecret={onRotateSecret}
+                onSendTest={onSendTest}
+                onRedeliver={onRedeliver}
+              />
+            </div>
+          )}
+        </>
+      )}
+      <div className="flex justify-end">
+        <button type="button" onClick={onClose} className="bg-gray-300 text-gray-800 px-6 py-3 rounded-full shadow-md hover:bg-gray-400 transition duration-300 ease-in-out">
+          Done
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default IntegrationSettings;
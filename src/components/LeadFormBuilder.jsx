@@ -0,0 +1,180 @@
+import React, { useState } from 'react';
+import { LEAD_FORM_FIELDS, createEmptyLeadForm, renderLeadFormHtml } from '../leadForms/leadForms';
+import { getVisibleStages } from '../pipeline/stages';
+
+const inputClass = 'rounded-md border-gray-300 p-2 border text-sm';
+
+const FormEditor = ({ form, stages, members, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(form);
+  const update = (key, value) => setDraft(prev => ({ ...prev, [key]: value }));
+  const selected = (key) => draft.fields.find(field => field.key === key);
+
+  const toggleField = (definition) => update('fields', selected(definition.key)
+    ? draft.fields.filter(field => field.key !== definition.key)
+    : [...draft.fields, { key: definition.key, label: definition.label, required: false }]);
+
+  const updateField = (key, changes) => update('fields', draft.fields.map(field => (field.key === key ? { ...field, ...changes } : field)));
+
+  const moveField = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= draft.fields.length) return;
+    const fields = [...draft.fields];
+    [fields[index], fields[target]] = [fields[target], fields[index]];
+    update('fields', fields);
+  };
+
+  const redirectValid = !draft.redirectUrl || /^https?:\/\/\S+$/i.test(draft.redirectUrl.trim());
+  // Every account needs a company, so a form has to ask for one of these
+  const hasIdentity = ['companyName', 'contactName', 'contactEmail'].some(key => selected(key));
+  const canSave = draft.name.trim() && draft.fields.every(field => field.label.trim()) && hasIdentity && redirectValid;
+
+  return (
+    <div className="space-y-3 p-3 bg-gray-50 rounded-lg border border-gray-200 text-sm">
+      <input type="text" value={draft.name} onChange={(e) => update('name', e.target.value)} placeholder="Form name, e.g. Website contact form" className={`${inputClass} w-full`} />
+
+      <div>
+        <p className="text-xs font-semibold text-gray-600 mb-1">Fields on the form</p>
+        <div className="space-y-1">
+          {draft.fields.map((field, index) => (
+            <div key={field.key} className="flex items-center gap-2">
+              <span className="text-xs text-gray-500 w-28">{LEAD_FORM_FIELDS.find(f => f.key === field.key)?.label}</span>
+              <input type="text" value={field.label} onChange={(e) => updateField(field.key, { label: e.target.value })} className={`${inputClass} flex-grow`} />
+              <label className="flex items-center gap-1 text-xs text-gray-700">
+                <input type="checkbox" checked={field.required} onChange={(e) => updateField(field.key, { required: e.target.checked })} />
+                Required
+              </label>
+              <button type="button" onClick={() => moveField(index, -1)} disabled={index === 0} className="text-gray-500 hover:text-gray-800 px-1">↑</button>
+              <button type="button" onClick={() => moveField(index, 1)} disabled={index === draft.fields.length - 1} className="text-gray-500 hover:text-gray-800 px-1">↓</button>
+            </div>
+          ))}
+        </div>
+        <div className="mt-2 flex flex-wrap gap-2">
+          {LEAD_FORM_FIELDS.map(definition => (
+            <label key={definition.key} className={`px-2 py-1 rounded-full border text-xs cursor-pointer ${selected(definition.key) ? 'bg-blue-100 border-blue-300 text-blue-800' : 'bg-white border-gray-300 text-gray-600'}`}>
+              <input type="checkbox" checked={!!selected(definition.key)} onChange={() => toggleField(definition)} className="hidden" />
+              {definition.label}
+            </label>
+          ))}
+        </div>
+        {!hasIdentity && <p className="text-xs text-red-600 mt-1">Ask for at least a company, name or email.</p>}
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        <label className="text-xs text-gray-600">
+          New leads go to
+          <select value={draft.stageId} onChange={(e) => update('stageId', e.target.value)} className={`${inputClass} w-full mt-1`}>
+            {getVisibleStages(stages).map(stage => <option key={stage.id} value={stage.id}>{stage.name}</option>)}
+          </select>
+        </label>
+        <label className="text-xs text-gray-600">
+          Owner
+          <select value={draft.ownerId} onChange={(e) => update('ownerId', e.target.value)} className={`${inputClass} w-full mt-1`}>
+            <option value="">Me</option>
+            {members.map(member => <option key={member.id} value={member.id}>{member.displayName}</option>)}
+          </select>
+        </label>
+        <label className="text-xs text-gray-600">
+          Lead source without UTM tags
+          <input type="text" value={draft.leadSource} onChange={(e) => update('leadSource', e.target.value)} className={`${inputClass} w-full mt-1`} />
+        </label>
+        <label className="text-xs text-gray-600">
+          Button label
+          <input type="text" value={draft.submitLabel} onChange={(e) => update('submitLabel', e.target.value)} className={`${inputClass} w-full mt-1`} />
+        </label>
+        <label className="text-xs text-gray-600 col-span-2">
+          Thank-you message
+          <input type="text" value={draft.successMessage} onChange={(e) => update('successMessage', e.target.value)} className={`${inputClass} w-full mt-1`} />
+        </label>
+        <label className="text-xs text-gray-600 col-span-2">
+          Or send visitors to this page afterwards
+          <input type="url" value={draft.redirectUrl} onChange={(e) => update('redirectUrl', e.target.value)} placeholder="https://example.com/thanks" className={`${inputClass} w-full mt-1`} />
+        </label>
+      </div>
+
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="bg-gray-300 text-gray-800 px-4 py-2 rounded-full text-sm hover:bg-gray-400">Cancel</button>
+        <button type="button" onClick={() => onSave({ ...draft, name: draft.name.trim(), redirectUrl: draft.redirectUrl.trim() })} disabled={!canSave} className="bg-blue-600 text-white px-4 py-2 rounded-full text-sm hover:bg-blue-700 disabled:opacity-50">
+          Save Form
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const EmbedCode = ({ form, formUrl }) => {
+  const snippet = renderLeadFormHtml(form, formUrl);
+  return (
+    <div className="space-y-2 p-3 bg-gray-50 rounded-lg border border-gray-200 text-xs">
+      <div className="flex items-center gap-2">
+        <span className="text-gray-600">Hosted page</span>
+        <input type="text" readOnly value={formUrl} onFocus={(e) => e.target.select()} className="flex-grow rounded-md border-gray-300 p-1 border font-mono" />
+        <button type="button" onClick={() => navigator.clipboard.writeText(formUrl)} className="text-blue-600 hover:underline">Copy</button>
+      </div>
+      <p className="text-gray-600">Or paste this into your website. Add <code>?utm_source=...</code> tags to links to the page and they become the lead source.</p>
+      <textarea readOnly value={snippet} rows="8" onFocus={(e) => e.target.select()} className="w-full rounded-md border-gray-300 p-2 border font-mono"></textarea>
+      <button type="button" onClick={() => navigator.clipboard.writeText(snippet)} className="text-blue-600 hover:underline">Copy code</button>
+    </div>
+  );
+};
+
+const LeadFormBuilder = ({ forms, stages, members, available, getFormUrl, onSave, onRemove, onClose }) => {
+  const [editing, setEditing] = useState(null);
+  const [showCodeFor, setShowCodeFor] = useState(null);
+
+  const handleSave = async (form) => {
+    if (await onSave(form)) setEditing(null);
+  };
+
+  if (!available) {
+    return <p className="text-sm text-gray-500">Web forms need the Firebase backend and the server in server/, which receives the submissions.</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">Put a form on your website and its submissions become accounts, tagged with the UTM campaign they came from. Someone who is already in the CRM gets a note on their account instead of a second account.</p>
+
+      {forms.length === 0 && !editing && <p className="text-sm text-gray-500">No web forms yet.</p>}
+      <div className="space-y-2">
+        {forms.map(form => (
+          editing?.id === form.id ? (
+            <FormEditor key={form.id} form={editing} stages={stages} members={members} onSave={handleSave} onCancel={() => setEditing(null)} />
+          ) : (
+            <div key={form.id} className="space-y-2">
+              <div className={`flex items-center gap-2 p-2 rounded-md border border-gray-200 text-sm ${form.enabled ? 'bg-white' : 'bg-gray-100 opacity-60'}`}>
+                <div className="flex-grow">
+                  <p className="font-semibold text-gray-800">{form.name}</p>
+                  <p className="text-xs text-gray-500">
+                    {form.submissionCount || 0} submission{form.submissionCount === 1 ? '' : 's'}
+                    {form.lastSubmittedAt && ` · last ${form.lastSubmittedAt.toDate().toLocaleString()}`}
+                  </p>
+                </div>
+                <button type="button" onClick={() => setShowCodeFor(showCodeFor === form.id ? null : form.id)} className="text-xs text-blue-600 hover:underline">
+                  {showCodeFor === form.id ? 'Hide code' : 'Get code'}
+                </button>
+                <button type="button" onClick={() => setEditing(form)} disabled={!!editing} className="text-xs text-blue-600 hover:underline">Edit</button>
+                <button type="button" onClick={() => onSave({ ...form, enabled: !form.enabled })} className="text-xs text-blue-600 hover:underline w-12">
+                  {form.enabled ? 'Pause' : 'Resume'}
+                </button>
+                <button type="button" onClick={() => onRemove(form)} className="text-xs text-red-600 hover:underline">Delete</button>
+              </div>
+              {showCodeFor === form.id && <EmbedCode form={form} formUrl={getFormUrl(form.id)} />}
+            </div>
+          )
+        ))}
+      </div>
+
+      {editing && !editing.id && <FormEditor key="new" form={editing} stages={stages} members={members} onSave={handleSave} onCancel={() => setEditing(null)} />}
+
+      <div className="flex justify-between">
+        <button type="button" onClick={() => setEditing(createEmptyLeadForm(stages))} disabled={!!editing} className="bg-blue-600 text-white px-4 py-2 rounded-full shadow-md hover:bg-blue-700 disabled:opacity-50">
+          + Add Form
+        </button>
+        <button type="button" onClick={onClose} className="bg-gray-300 text-gray-800 px-6 py-3 rounded-full shadow-md hover:bg-gray-400 transition duration-300 ease-in-out">
+          Done
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default LeadFormBuilder;
@@ -0,0 +1,52 @@
+import React, { useState } from 'react';
+
+// Unread notifications for the signed-in member; opening one marks it read
+const NotificationsMenu = ({ notifications, onOpen, onMarkRead }) => {
+  const [open, setOpen] = useState(false);
+
+  const handleOpen = (notification) => {
+    setOpen(false);
+    onOpen(notification);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        className="relative bg-gray-200 text-gray-700 px-4 py-2 rounded-full shadow-md hover:bg-gray-300 transition duration-300 ease-in-out"
+      >
+        Notifications
+        {notifications.length > 0 && (
+          <span className="absolute -top-1 -right-1 text-xs text-white rounded-full px-1.5 bg-blue-600">{notifications.length}</span>
+        )}
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-lg shadow-xl border border-gray-200 z-40 max-h-96 overflow-y-auto">
+          {notifications.length === 0 ? (
+            <p className="p-4 text-sm text-gray-500">You're all caught up.</p>
+          ) : (
+            <>
+              {notifications.map(notification => (
+                <div key={notification.id} className="flex items-start gap-2 p-3 border-b border-gray-100 text-sm">
+                  <button type="button" onClick={() => handleOpen(notification)} className="flex-grow text-left">
+                    <p className="font-semibold text-gray-800">{notification.title}</p>
+                    <p className="text-xs text-gray-500">
+                      {notification.body}
+                      {notification.createdAt && ` · ${notification.createdAt.toDate().toLocaleString()}`}
+                    </p>
+                  </button>
+                  <button type="button" onClick={() => onMarkRead([notification])} className="text-xs text-blue-600 hover:underline">Dismiss</button>
+                </div>
+              ))}
+              <button type="button" onClick={() => onMarkRead(notifications)} className="w-full p-2 text-xs text-blue-600 hover:underline">
+                Mark all as read
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationsMenu;
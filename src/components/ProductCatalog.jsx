@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { BILLING_TYPES, PRODUCT_CATEGORIES, formatPrice } from '../products/lineItems';
+
+const emptyProduct = () => ({ name: '', description: '', category: 'chatbot', billing: 'monthly', unit: '', unitPrice: '', defaultDiscountPercent: 0 });
+
+const ProductEditor = ({ product, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(product);
+  const update = (key, value) => setDraft(prev => ({ ...prev, [key]: value }));
+
+  return (
+    <div className="space-y-2 p-3 bg-gray-50 rounded-lg border border-gray-200 text-sm">
+      <div className="grid grid-cols-2 gap-2">
+        <input type="text" value={draft.name} onChange={(e) => update('name', e.target.value)} placeholder="Product name" className="rounded-md border-gray-300 p-2 border" />
+        <select value={draft.category} onChange={(e) => update('category', e.target.value)} className="rounded-md border-gray-300 p-2 border">
+          {PRODUCT_CATEGORIES.map(category => <option key={category.value} value={category.value}>{category.label}</option>)}
+        </select>
+      </div>
+      <input type="text" value={draft.description} onChange={(e) => update('description', e.target.value)} placeholder="Description (optional)" className="w-full rounded-md border-gray-300 p-2 border" />
+      <div className="grid grid-cols-4 gap-2">
+        <label className="text-xs text-gray-600">
+          Billing
+          <select value={draft.billing} onChange={(e) => update('billing', e.target.value)} className="mt-1 w-full rounded-md border-gray-300 p-2 border text-sm">
+            {BILLING_TYPES.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
+          </select>
+        </label>
+        <label className="text-xs text-gray-600">
+          Unit price ($)
+          <input type="number" min="0" step="0.01" value={draft.unitPrice} onChange={(e) => update('unitPrice', e.target.value)} className="mt-1 w-full rounded-md border-gray-300 p-2 border text-sm" />
+        </label>
+        <label className="text-xs text-gray-600">
+          Unit
+          <input type="text" value={draft.unit} onChange={(e) => update('unit', e.target.value)} placeholder="hour, bot, seat" className="mt-1 w-full rounded-md border-gray-300 p-2 border text-sm" />
+        </label>
+        <label className="text-xs text-gray-600">
+          Default discount (%)
+          <input type="number" min="0" max="100" value={draft.defaultDiscountPercent} onChange={(e) => update('defaultDiscountPercent', e.target.value)} className="mt-1 w-full rounded-md border-gray-300 p-2 border text-sm" />
+        </label>
+      </div>
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="bg-gray-300 text-gray-800 px-4 py-2 rounded-full text-sm hover:bg-gray-400">Cancel</button>
+        <button
+          type="button"
+          onClick={() => onSave(draft)}
+          disabled={!draft.name.trim() || draft.unitPrice === ''}
+          className="bg-blue-600 text-white px-4 py-2 rounded-full text-sm hover:bg-blue-700 disabled:opacity-50"
+        >
+          Save Product
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const ProductCatalog = ({ products, canManage, onSave, onSetArchived, onClose }) => {
+  const [editing, setEditing] = useState(null);
+  const [showArchived, setShowArchived] = useState(false);
+  const visible = products.filter(product => showArchived || !product.archived);
+
+  const handleSave = async (product) => {
+    if (await onSave(product)) setEditing(null);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          <input type="checkbox" checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} />
+          Show archived
+        </label>
+        {canManage && !editing && (
+          <button type="button" onClick={() => setEditing(emptyProduct())} className="bg-blue-600 text-white px-4 py-2 rounded-full text-sm hover:bg-blue-700">
+            + New Product
+          </button>
+        )}
+      </div>
+
+      {editing && <ProductEditor key={editing.id || 'new'} product={editing} onSave={handleSave} onCancel={() => setEditing(null)} />}
+
+      {visible.length === 0 ? (
+        <p className="text-sm text-gray-600">
+          No products yet.{canManage ? ' Add the services you sell so deals can be priced from line items.' : ' Ask a manager to add the services you sell.'}
+        </p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 border-b">
+              <th className="p-2">Product</th>
+              <th className="p-2">Category</th>
+              <th className="p-2 text-right">Price</th>
+              <th className="p-2 text-right">Default discount</th>
+              {canManage && <th className="p-2"></th>}
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map(product => (
+              <tr key={product.id} className={`border-b ${product.archived ? 'text-gray-400' : 'text-gray-800'}`}>
+                <td className="p-2">
+                  <p className="font-semibold">{product.name}{product.archived && ' (archived)'}</p>
+                  {product.description && <p className="text-xs text-gray-500">{product.description}</p>}
+                </td>
+                <td className="p-2">{PRODUCT_CATEGORIES.find(category => category.value === product.category)?.label || 'Other'}</td>
+                <td className="p-2 text-right">{formatPrice(product.unitPrice, product.billing)}{product.unit && ` per ${product.unit}`}</td>
+                <td className="p-2 text-right">{product.defaultDiscountPercent ? `${product.defaultDiscountPercent}%` : '—'}</td>
+                {canManage && (
+                  <td className="p-2 text-right text-xs whitespace-nowrap">
+                    <button type="button" onClick={() => setEditing(product)} className="text-blue-600 hover:underline mr-2">Edit</button>
+                    <button type="button" onClick={() => onSetArchived(product.id, !product.archived)} className="text-gray-600 hover:underline">
+                      {product.archived ? 'Restore' : 'Archive'}
+                    </button>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="flex justify-end">
+        <button type="button" onClick={onClose} className="bg-gray-300 text-gray-800 px-6 py-3 rounded-full shadow-md hover:bg-gray-400 transition duration-300 ease-in-out">
+          Done
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ProductCatalog;
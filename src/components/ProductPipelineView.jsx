@@ -0,0 +1,63 @@
+import React, { useState } from 'react';
+import { PRODUCT_CATEGORIES, getPipelineByProduct } from '../products/lineItems';
+
+const formatMoney = (amount) => `$${Math.round(amount).toLocaleString()}`;
+
+const ProductPipelineView = ({ accounts, stages, products }) => {
+  const [weighted, setWeighted] = useState(false);
+  const rows = getPipelineByProduct(accounts, stages, products);
+  // Bars compare first-year bookings so one-time and recurring products sit on one scale
+  const bookings = (row) => (weighted ? row.weightedValue + row.weightedMonthlyValue * 12 : row.value + row.monthlyValue * 12);
+  const maxBookings = Math.max(0, ...rows.map(bookings));
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-sm">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-bold text-gray-800">Pipeline by Product</h3>
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          <input type="checkbox" checked={weighted} onChange={(e) => setWeighted(e.target.checked)} />
+          Weight by stage probability
+        </label>
+      </div>
+      {rows.length === 0 ? (
+        <p className="text-sm text-gray-500">No open deals.</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 border-b">
+              <th className="p-2">Product</th>
+              <th className="p-2 text-right">Deals</th>
+              <th className="p-2 text-right">One-time</th>
+              <th className="p-2 text-right">Monthly</th>
+              <th className="p-2 w-1/3">First-year bookings</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.key} className="border-b">
+                <td className="p-2">
+                  <span className={row.key === 'none' ? 'text-gray-500 italic' : 'text-gray-800 font-semibold'}>{row.name}</span>
+                  {row.category && <span className="ml-2 text-xs text-gray-500">{PRODUCT_CATEGORIES.find(category => category.value === row.category)?.label}</span>}
+                </td>
+                <td className="p-2 text-right">{row.dealCount}</td>
+                <td className="p-2 text-right">{formatMoney(weighted ? row.weightedValue : row.value)}</td>
+                <td className="p-2 text-right">{formatMoney(weighted ? row.weightedMonthlyValue : row.monthlyValue)}/mo</td>
+                <td className="p-2">
+                  <div className="flex items-center gap-2">
+                    <div className="flex-grow h-3 bg-gray-100 rounded">
+                      <div className="h-3 bg-blue-500 rounded" style={{ width: `${maxBookings > 0 ? (bookings(row) / maxBookings) * 100 : 0}%` }}></div>
+                    </div>
+                    <span className="text-xs text-gray-700 w-20 text-right">{formatMoney(bookings(row))}</span>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <p className="text-xs text-gray-500 mt-2">Open deals only. A deal with several products counts once under each of them.</p>
+    </div>
+  );
+};
+
+export default ProductPipelineView;
@@ -0,0 +1,169 @@
+import React, { useEffect, useState } from 'react';
+import { renderMarkdown } from '../ai/markdown';
+import { buildProposalMarkdown, getProposalTitle, printProposalAsPdf } from '../proposals/proposalDocument';
+
+const BLANK_SECTIONS = { summary: '', scope: '', timeline: '', pricingNotes: '' };
+
+const formatDelivery = (proposal) => {
+  if (!proposal.deliveredAt) return 'Draft';
+  return `${proposal.deliveredVia === 'email' ? 'Emailed' : 'Exported'} ${proposal.deliveredAt.toDate().toLocaleDateString()}`;
+};
+
+const ProposalBuilder = ({ account, proposalsRepo, sender, recipient, canEdit, loadingAI, proposalStage, onAIDraft, onSaveVersion, onDeliver, onError }) => {
+  const [versions, setVersions] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [showPreview, setShowPreview] = useState(false);
+  const [moveStage, setMoveStage] = useState(true);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    const unsubscribe = proposalsRepo.subscribe(account.id, setVersions, () => onError("Failed to load proposals."));
+    return () => unsubscribe();
+  }, [proposalsRepo, account.id, onError]);
+
+  const selected = versions.find(proposal => proposal.id === selectedId) || (draft ? null : versions[0]);
+
+  const startDraft = (sections, source) => {
+    setDraft({ markdown: buildProposalMarkdown({ account, sections, senderName: sender?.displayName }), sections, source });
+    setShowPreview(false);
+  };
+
+  const handleAIDraft = async () => {
+    const sections = await onAIDraft();
+    if (sections) startDraft(sections, 'ai');
+  };
+
+  const handleSave = async () => {
+    setBusy(true);
+    const saved = await onSaveVersion(draft);
+    setBusy(false);
+    if (saved) {
+      setDraft(null);
+      setSelectedId(saved.id);
+    }
+  };
+
+  // Only saved versions go out, so what the client received can always be looked up
+  const handleExport = async (proposal) => {
+    printProposalAsPdf(getProposalTitle(account, proposal.version), proposal.markdown);
+    await onDeliver(proposal, { via: 'pdf', moveStage });
+  };
+
+  const handleSend = async (proposal) => {
+    setBusy(true);
+    const greeting = account.contactName ? `Hi ${account.contactName.split(' ')[0]},` : 'Hello,';
+    const email = {
+      subject: `Proposal for ${account.companyName}`,
+      body: `${greeting}\n\nThank you for your time. Our proposal is below; I'm happy to walk you through it.\n\n---\n\n${proposal.markdown}\n\n---\n\nBest regards,\n${sender?.displayName || ''}`.trim(),
+    };
+    await onDeliver(proposal, { via: 'email', email, moveStage });
+    setBusy(false);
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between">
+        <label className="block text-sm font-medium text-gray-700">Proposals</label>
+        {canEdit && !draft && selected && (
+          <button type="button" onClick={() => { setDraft({ markdown: selected.markdown, sections: selected.sections, source: 'revision' }); setShowPreview(false); }} className="text-xs text-blue-600 hover:underline">
+            Edit as new version
+          </button>
+        )}
+      </div>
+
+      {canEdit && !draft && (
+        <div className="mt-2 flex gap-2">
+          <button
+            type="button"
+            onClick={handleAIDraft}
+            disabled={loadingAI}
+            className="flex-grow flex items-center justify-center bg-amber-600 text-white px-4 py-2 rounded-full shadow-md hover:bg-amber-700 transition duration-300 ease-in-out disabled:opacity-50"
+          >
+            ✨ AI Draft Proposal
+          </button>
+          <button type="button" onClick={() => startDraft(BLANK_SECTIONS, 'manual')} className="px-4 py-2 rounded-full bg-gray-200 text-gray-700 text-sm hover:bg-gray-300">
+            Start blank
+          </button>
+        </div>
+      )}
+
+      {draft && (
+        <div className="mt-3 p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-2">
+          <div className="flex items-center justify-between">
+            <h4 className="text-sm font-semibold">New version (v{(versions[0]?.version || 0) + 1})</h4>
+            <button type="button" onClick={() => setShowPreview(prev => !prev)} className="text-xs text-blue-600 hover:underline">
+              {showPreview ? 'Edit Markdown' : 'Preview'}
+            </button>
+          </div>
+          {showPreview ? (
+            <div className="prose prose-sm max-w-none bg-white p-3 rounded border border-gray-200" dangerouslySetInnerHTML={{ __html: renderMarkdown(draft.markdown) }}></div>
+          ) : (
+            <textarea
+              value={draft.markdown}
+              onChange={(e) => setDraft(prev => ({ ...prev, markdown: e.target.value }))}
+              className="w-full rounded-md border-gray-300 p-2 border text-xs font-mono text-gray-800"
+              rows="16"
+            ></textarea>
+          )}
+          <p className="text-xs text-gray-500">The pricing table is built from the deal's line items, not by the AI. Draft again after changing them.</p>
+          <div className="flex justify-end gap-2">
+            <button type="button" onClick={() => setDraft(null)} className="bg-gray-300 text-gray-800 px-4 py-2 rounded-full text-sm hover:bg-gray-400">Discard</button>
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={busy || !draft.markdown.trim()}
+              className="bg-blue-600 text-white px-4 py-2 rounded-full text-sm hover:bg-blue-700 disabled:opacity-50"
+            >
+              Save Version
+            </button>
+          </div>
+        </div>
+      )}
+
+      {!draft && selected && (
+        <div className="mt-3 p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-2">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <select value={selected.id} onChange={(e) => setSelectedId(e.target.value)} className="rounded-md border-gray-300 p-1 border text-xs">
+              {versions.map(proposal => (
+                <option key={proposal.id} value={proposal.id}>
+                  v{proposal.version} · {proposal.createdAt.toDate().toLocaleDateString()} · {formatDelivery(proposal)}
+                </option>
+              ))}
+            </select>
+            <span className="text-xs text-gray-500">By {selected.createdByName || 'Unknown'}{selected.source === 'ai' && ' · AI draft'}</span>
+          </div>
+          <div className="prose prose-sm max-w-none bg-white p-3 rounded border border-gray-200 max-h-80 overflow-y-auto" dangerouslySetInnerHTML={{ __html: renderMarkdown(selected.markdown) }}></div>
+          {canEdit && (
+            <div className="flex flex-wrap items-center gap-3">
+              <button type="button" onClick={() => handleExport(selected)} className="px-3 py-1 text-xs rounded-full bg-gray-200 text-gray-700 hover:bg-gray-300">
+                Export PDF
+              </button>
+              <button
+                type="button"
+                onClick={() => handleSend(selected)}
+                disabled={!recipient || busy}
+                title={recipient ? `Send to ${recipient}` : 'Add a contact email to send from the CRM'}
+                className="px-3 py-1 text-xs rounded-full bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+              >
+                {busy ? 'Sending...' : 'Send by Email'}
+              </button>
+              {proposalStage && (
+                <label className="flex items-center gap-1 text-xs text-gray-600">
+                  <input type="checkbox" checked={moveStage} onChange={(e) => setMoveStage(e.target.checked)} />
+                  Move deal to {proposalStage}
+                </label>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {!draft && versions.length === 0 && (
+        <p className="mt-2 text-xs text-gray-500">No proposals yet. Draft one from this deal's notes and line items.</p>
+      )}
+    </div>
+  );
+};
+
+export default ProposalBuilder;
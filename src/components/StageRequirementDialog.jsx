@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import { isEmptyValue } from '../customFields/customFields';
+import { CustomFieldInput } from './CustomFieldInputs';
+
+const inputClass = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 p-2 border';
+
+const FieldInput = ({ field, value, onChange }) => {
+  if (field.type === 'custom') return <CustomFieldInput field={field.field} value={value} onChange={onChange} />;
+  switch (field.type) {
+    case 'number':
+      return <input type="number" value={value ?? ''} onChange={(e) => onChange(e.target.value)} className={inputClass} />;
+    case 'date':
+      return <input type="date" value={value || ''} onChange={(e) => onChange(e.target.value)} className={inputClass} />;
+    case 'email':
+      return <input type="email" value={value || ''} onChange={(e) => onChange(e.target.value)} className={inputClass} />;
+    case 'choice':
+      return (
+        <select value={value || ''} onChange={(e) => onChange(e.target.value)} className={inputClass}>
+          <option value="">Choose...</option>
+          {field.options.map(option => <option key={option} value={option}>{option}</option>)}
+        </select>
+      );
+    case 'tags':
+      return <input type="text" value={value || ''} onChange={(e) => onChange(e.target.value)} placeholder="Comma-separated" className={inputClass} />;
+    default:
+      return field.key === 'winLossDetails'
+        ? <textarea value={value || ''} onChange={(e) => onChange(e.target.value)} rows="3" className={inputClass}></textarea>
+        : <input type="text" value={value || ''} onChange={(e) => onChange(e.target.value)} className={inputClass} />;
+  }
+};
+
+// Asks for the fields an automation rule requires before deals can enter a stage.
+// The same values are applied to every deal being moved.
+const StageRequirementDialog = ({ pending, onSubmit, onCancel }) => {
+  const [values, setValues] = useState({});
+  const [saving, setSaving] = useState(false);
+  const { accounts, toStage, fields } = pending;
+  const complete = fields.every(field => !isEmptyValue(typeof values[field.key] === 'string' ? values[field.key].trim() : values[field.key]));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    await onSubmit(values);
+    setSaving(false);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-xl w-full max-w-md p-6 space-y-4">
+        <div>
+          <h3 className="text-xl font-bold text-gray-800">Move to {toStage}</h3>
+          <p className="text-sm text-gray-600 mt-1">
+            {accounts.length === 1 ? accounts[0].companyName : `${accounts.length} deals`} need{accounts.length === 1 ? 's' : ''} {fields.length === 1 ? 'this field' : 'these fields'} before entering {toStage}.
+          </p>
+        </div>
+        {fields.map(field => (
+          <div key={field.key}>
+            <label className="block text-sm font-medium text-gray-700">{field.label}</label>
+            <FieldInput field={field} value={values[field.key]} onChange={(value) => setValues(prev => ({ ...prev, [field.key]: value }))} />
+          </div>
+        ))}
+        <div className="flex justify-end gap-2">
+          <button type="button" onClick={onCancel} className="bg-gray-300 text-gray-800 px-4 py-2 rounded-full text-sm hover:bg-gray-400">Cancel</button>
+          <button type="submit" disabled={!complete || saving} className="bg-blue-600 text-white px-4 py-2 rounded-full text-sm hover:bg-blue-700 disabled:opacity-50">
+            {saving ? 'Moving...' : `Move to ${toStage}`}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default StageRequirementDialog;
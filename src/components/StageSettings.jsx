@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { STAGE_CATEGORIES, STAGE_COLORS, getStageProbability } from '../pipeline/stages';
+
+const StageSettings = ({ stages, onCreate, onUpdate, onRename, onReorder, onClose }) => {
+  const [draftNames, setDraftNames] = useState({});
+  const [draftProbabilities, setDraftProbabilities] = useState({});
+  const [newStageName, setNewStageName] = useState('');
+  const [settingsError, setSettingsError] = useState(null);
+
+  const isNameTaken = (name, exceptId) => stages.some(stage => stage.id !== exceptId && stage.name.toLowerCase() === name.toLowerCase());
+
+  const handleRename = async (stage) => {
+    const newName = (draftNames[stage.id] ?? stage.name).trim();
+    setDraftNames(prev => ({ ...prev, [stage.id]: undefined }));
+    if (!newName || newName === stage.name) return;
+    if (isNameTaken(newName, stage.id)) {
+      setSettingsError(`A stage named "${newName}" already exists.`);
+      return;
+    }
+    setSettingsError(null);
+    await onRename(stage, newName);
+  };
+
+  const handleProbability = async (stage) => {
+    const draft = draftProbabilities[stage.id];
+    setDraftProbabilities(prev => ({ ...prev, [stage.id]: undefined }));
+    if (draft === undefined || draft === '') return;
+    const probability = Math.min(100, Math.max(0, Math.round(Number(draft))));
+    if (probability !== stage.probability) await onUpdate(stage.id, { probability });
+  };
+
+  const handleMove = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= stages.length) return;
+    const orderedIds = stages.map(stage => stage.id);
+    [orderedIds[index], orderedIds[target]] = [orderedIds[target], orderedIds[index]];
+    onReorder(orderedIds);
+  };
+
+  const handleAddStage = async (e) => {
+    e.preventDefault();
+    const name = newStageName.trim();
+    if (!name) return;
+    if (isNameTaken(name)) {
+      setSettingsError(`A stage named "${name}" already exists.`);
+      return;
+    }
+    setSettingsError(null);
+    await onCreate({ name, color: STAGE_COLORS[stages.length % STAGE_COLORS.length], category: 'open', probability: 20, order: stages.length });
+    setNewStageName('');
+  };
+
+  return (
+    <div className="space-y-4">
+      {settingsError && (
+        <div className="bg-red-100 text-red-700 text-sm p-3 rounded-lg">{settingsError}</div>
+      )}
+      <div className="space-y-2">
+        {stages.map((stage, index) => (
+          <div key={stage.id} className={`flex items-center space-x-2 p-2 rounded-md border border-gray-200 ${stage.archived ? 'bg-gray-100 opacity-60' : 'bg-white'}`}>
+            <span className={`h-4 w-4 rounded-full flex-none ${stage.color}`}></span>
+            <input
+              type="text"
+              value={draftNames[stage.id] ?? stage.name}
+              onChange={(e) => setDraftNames(prev => ({ ...prev, [stage.id]: e.target.value }))}
+              onBlur={() => handleRename(stage)}
+              className="flex-grow rounded-md border-gray-300 shadow-sm p-1 border text-sm"
+            />
+            <select
+              value={stage.color}
+              onChange={(e) => onUpdate(stage.id, { color: e.target.value })}
+              className="rounded-md border-gray-300 p-1 border text-sm"
+            >
+              {STAGE_COLORS.map(color => (
+                <option key={color} value={color}>{color.replace('bg-', '').replace('-500', '')}</option>
+              ))}
+            </select>
+            <select
+              value={stage.category}
+              onChange={(e) => onUpdate(stage.id, { category: e.target.value })}
+              className="rounded-md border-gray-300 p-1 border text-sm"
+            >
+              {STAGE_CATEGORIES.map(category => (
+                <option key={category.value} value={category.value}>{category.label}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="0"
+              max="100"
+              value={draftProbabilities[stage.id] ?? getStageProbability(stages, stage.name)}
+              onChange={(e) => setDraftProbabilities(prev => ({ ...prev, [stage.id]: e.target.value }))}
+              onBlur={() => handleProbability(stage)}
+              title="Win probability used for the weighted forecast"
+              className="w-16 rounded-md border-gray-300 p-1 border text-sm"
+            />
+            <span className="text-xs text-gray-500">%</span>
+            <button type="button" onClick={() => handleMove(index, -1)} className="text-gray-500 hover:text-gray-800 px-1" disabled={index === 0}>↑</button>
+            <button type="button" onClick={() => handleMove(index, 1)} className="text-gray-500 hover:text-gray-800 px-1" disabled={index === stages.length - 1}>↓</button>
+            <button
+              type="button"
+              onClick={() => onUpdate(stage.id, { archived: !stage.archived })}
+              className="text-xs text-blue-600 hover:underline w-14"
+            >
+              {stage.archived ? 'Restore' : 'Archive'}
+            </button>
+          </div>
+        ))}
+      </div>
+      <form onSubmit={handleAddStage} className="flex items-center space-x-2">
+        <input
+          type="text"
+          value={newStageName}
+          onChange={(e) => setNewStageName(e.target.value)}
+          placeholder="New stage name"
+          className="flex-grow rounded-md border-gray-300 shadow-sm p-2 border"
+        />
+        <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded-full shadow-md hover:bg-blue-700 transition duration-300 ease-in-out">
+          + Add Stage
+        </button>
+      </form>
+      <div className="flex justify-end">
+        <button
+          type="button"
+          onClick={onClose}
+          className="bg-gray-300 text-gray-800 px-6 py-3 rounded-full shadow-md hover:bg-gray-400 transition duration-300 ease-in-out"
+        >
+          Done
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default StageSettings;
@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { bucketTasks } from '../tasks/taskTypes';
+import { notificationsSupported } from '../tasks/useTaskReminders';
+import TaskItem from './TaskItem';
+
+const BUCKETS = [
+  { key: 'overdue', label: 'Overdue' },
+  { key: 'today', label: 'Today' },
+  { key: 'thisWeek', label: 'This Week' },
+];
+
+const TaskInbox = ({ tasks, onToggle, onOpenAccount, onClose }) => {
+  const [activeBucket, setActiveBucket] = useState('today');
+  const [permission, setPermission] = useState(notificationsSupported() ? Notification.permission : 'unsupported');
+  const buckets = bucketTasks(tasks);
+
+  const handleEnableNotifications = async () => {
+    setPermission(await Notification.requestPermission());
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex space-x-2">
+        {BUCKETS.map(bucket => (
+          <button
+            key={bucket.key}
+            type="button"
+            onClick={() => setActiveBucket(bucket.key)}
+            className={`px-4 py-2 rounded-full text-sm ${activeBucket === bucket.key ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+          >
+            {bucket.label} ({buckets[bucket.key].length})
+          </button>
+        ))}
+      </div>
+      <div className="space-y-2 max-h-96 overflow-y-auto">
+        {buckets[activeBucket].length === 0 && <p className="text-sm text-gray-400">Nothing here.</p>}
+        {buckets[activeBucket].map(task => (
+          <TaskItem key={task.id} task={task} showAccount onToggle={onToggle} onOpenAccount={onOpenAccount} />
+        ))}
+      </div>
+      <div className="flex items-center justify-between">
+        {permission === 'default' && (
+          <button type="button" onClick={handleEnableNotifications} className="text-sm text-blue-600 hover:underline">
+            Enable due-task notifications
+          </button>
+        )}
+        {permission === 'denied' && <p className="text-xs text-gray-500">Notifications are blocked in this browser.</p>}
+        {(permission === 'granted' || permission === 'unsupported') && <span></span>}
+        <button
+          type="button"
+          onClick={onClose}
+          className="bg-gray-300 text-gray-800 px-6 py-3 rounded-full shadow-md hover:bg-gray-400 transition duration-300 ease-in-out"
+        >
+          Done
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TaskInbox;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { getTaskPriority, getTaskType } from '../tasks/taskTypes';
+
+const TaskItem = ({ task, showAccount, onToggle, onDelete, onOpenAccount }) => {
+  const overdue = !task.completed && task.dueDate && task.dueDate.toMillis() < Date.now();
+  const priority = getTaskPriority(task.priority);
+
+  return (
+    <div className={`flex items-start p-2 rounded-md border border-gray-200 group ${task.completed ? 'bg-gray-50 opacity-60' : 'bg-white'}`}>
+      <input
+        type="checkbox"
+        checked={task.completed}
+        onChange={() => onToggle(task)}
+        className="mt-1 mr-2"
+      />
+      <div className="flex-grow">
+        <p className={`text-sm text-gray-900 ${task.completed ? 'line-through' : ''}`}>
+          {getTaskType(task.type).icon} {task.title}
+        </p>
+        <p className="text-xs text-gray-500 mt-1">
+          {showAccount && (
+            <button type="button" onClick={() => onOpenAccount(task)} className="text-blue-600 hover:underline mr-1">{task.companyName}</button>
+          )}
+          {task.dueDate && (
+            <span className={overdue ? 'text-red-600 font-semibold' : ''}>Due {task.dueDate.toDate().toLocaleString()}</span>
+          )}
+          {task.assigneeName && ` · ${task.assigneeName}`}
+        </p>
+        {task.draft && (
+          <details className="mt-1 text-xs text-gray-600">
+            <summary className="cursor-pointer text-blue-600">Drafted email</summary>
+            <p className="mt-1 font-semibold">{task.draft.subject}</p>
+            <p className="whitespace-pre-wrap">{task.draft.body}</p>
+          </details>
+        )}
+      </div>
+      <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${priority.className}`}>{priority.label}</span>
+      {onDelete && (
+        <button type="button" onClick={() => onDelete(task)} className="ml-2 text-xs text-red-600 hover:underline hidden group-hover:block">
+          Delete
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TaskItem;
@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import { ROLES, canManageMembers } from '../workspace/roles';
+
+const TeamSettings = ({ user, role, members, invitations, onInvite, onCancelInvite, onChangeRole, onRemoveMember, onCreateWorkspace, onClose }) => {
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('rep');
+  const [newWorkspaceName, setNewWorkspaceName] = useState('');
+  const isAdmin = canManageMembers(role);
+  const adminCount = members.filter(member => member.role === 'admin').length;
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!inviteEmail.trim()) return;
+    await onInvite(inviteEmail, inviteRole);
+    setInviteEmail('');
+  };
+
+  const handleCreateWorkspace = async (e) => {
+    e.preventDefault();
+    if (!newWorkspaceName.trim()) return;
+    await onCreateWorkspace(newWorkspaceName.trim());
+    setNewWorkspaceName('');
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h4 className="text-sm font-semibold text-gray-700 mb-2">Members</h4>
+        <div className="space-y-2">
+          {members.map(member => (
+            <div key={member.id} className="flex items-center justify-between p-2 rounded-md border border-gray-200">
+              <div>
+                <p className="text-sm font-medium text-gray-900">{member.displayName}{member.id === user.uid ? ' (you)' : ''}</p>
+                <p className="text-xs text-gray-500">{member.email}</p>
+              </div>
+              <div className="flex items-center space-x-2">
+                {/* The last admin cannot be demoted or removed, or nobody could manage the team */}
+                {isAdmin && !(member.role === 'admin' && adminCount === 1) ? (
+                  <>
+                    <select
+                      value={member.role}
+                      onChange={(e) => onChangeRole(member.id, e.target.value)}
+                      className="rounded-md border-gray-300 p-1 border text-sm"
+                    >
+                      {ROLES.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+                    </select>
+                    <button type="button" onClick={() => onRemoveMember(member.id)} className="text-xs text-red-600 hover:underline">
+                      Remove
+                    </button>
+                  </>
+                ) : (
+                  <span className="text-xs font-semibold text-gray-600">{ROLES.find(r => r.value === member.role)?.label}</span>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {isAdmin && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-700 mb-2">Invite a teammate</h4>
+          <form onSubmit={handleInvite} className="flex items-center space-x-2">
+            <input
+              type="email"
+              value={inviteEmail}
+              onChange={(e) => setInviteEmail(e.target.value)}
+              placeholder="teammate@company.com"
+              className="flex-grow rounded-md border-gray-300 shadow-sm p-2 border"
+              required
+            />
+            <select value={inviteRole} onChange={(e) => setInviteRole(e.target.value)} className="rounded-md border-gray-300 p-2 border">
+              {ROLES.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+            </select>
+            <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded-full shadow-md hover:bg-blue-700 transition duration-300 ease-in-out">
+              Invite
+            </button>
+          </form>
+          <p className="text-xs text-gray-500 mt-1">They join automatically the next time they sign up or log in with this email.</p>
+          {invitations.length > 0 && (
+            <div className="mt-2 space-y-1">
+              {invitations.map(invitation => (
+                <div key={invitation.id} className="flex items-center justify-between text-sm text-gray-600 bg-gray-50 p-2 rounded-md">
+                  <span>{invitation.email} · {ROLES.find(r => r.value === invitation.role)?.label} · pending</span>
+                  <button type="button" onClick={() => onCancelInvite(invitation.id)} className="text-xs text-red-600 hover:underline">
+                    Cancel
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div>
+        <h4 className="text-sm font-semibold text-gray-700 mb-2">New workspace</h4>
+        <form onSubmit={handleCreateWorkspace} className="flex items-center space-x-2">
+          <input
+            type="text"
+            value={newWorkspaceName}
+            onChange={(e) => setNewWorkspaceName(e.target.value)}
+            placeholder="Workspace name"
+            className="flex-grow rounded-md border-gray-300 shadow-sm p-2 border"
+          />
+          <button type="submit" className="bg-gray-200 text-gray-700 px-4 py-2 rounded-full shadow-md hover:bg-gray-300 transition duration-300 ease-in-out">
+            Create
+          </button>
+        </form>
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          type="button"
+          onClick={onClose}
+          className="bg-gray-300 text-gray-800 px-6 py-3 rounded-full shadow-md hover:bg-gray-400 transition duration-300 ease-in-out"
+        >
+          Done
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TeamSettings;
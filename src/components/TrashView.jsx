@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { getPurgeDate } from '../audit/trash';
+
+const TrashView = ({ accounts, retentionDays, canManage, canRestore, onRestore, onPurge, onSaveRetention, onClose }) => {
+  const [draftDays, setDraftDays] = useState(String(retentionDays));
+  const [confirmPurgeId, setConfirmPurgeId] = useState(null);
+  const sorted = [...accounts].sort((a, b) => b.deletedAt.toMillis() - a.deletedAt.toMillis());
+
+  const handleSaveRetention = () => {
+    const days = Math.max(1, Math.min(365, Math.round(Number(draftDays)) || retentionDays));
+    setDraftDays(String(days));
+    if (days !== retentionDays) onSaveRetention(days);
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Deleted accounts keep their notes and history here for {retentionDays} days and can be restored until then.
+      </p>
+
+      {sorted.length === 0 ? (
+        <p className="text-sm text-gray-500">The trash is empty.</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 border-b">
+              <th className="p-2">Account</th>
+              <th className="p-2">Deleted</th>
+              <th className="p-2">Permanently deleted on</th>
+              <th className="p-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {sorted.map(account => (
+              <tr key={account.id} className="border-b">
+                <td className="p-2">
+                  <p className="font-semibold text-gray-800">{account.companyName}</p>
+                  <p className="text-xs text-gray-500">{account.stage}{account.ownerName && ` · ${account.ownerName}`}</p>
+                </td>
+                <td className="p-2 text-xs text-gray-600">
+                  {account.deletedAt.toDate().toLocaleDateString()}
+                  {account.deletedByName && <span className="block">by {account.deletedByName}</span>}
+                </td>
+                <td className="p-2 text-xs text-gray-600">{getPurgeDate(account, retentionDays).toLocaleDateString()}</td>
+                <td className="p-2 text-right text-xs whitespace-nowrap">
+                  {canRestore(account) && (
+                    <button type="button" onClick={() => onRestore(account.id)} className="text-blue-600 hover:underline mr-2">Restore</button>
+                  )}
+                  {canManage && (confirmPurgeId === account.id ? (
+                    <>
+                      <button type="button" onClick={() => { onPurge(account.id); setConfirmPurgeId(null); }} className="text-red-600 font-semibold hover:underline mr-2">Delete forever</button>
+                      <button type="button" onClick={() => setConfirmPurgeId(null)} className="text-gray-500 hover:underline">Cancel</button>
+                    </>
+                  ) : (
+                    <button type="button" onClick={() => setConfirmPurgeId(account.id)} className="text-red-600 hover:underline">Delete now</button>
+                  ))}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="flex items-end justify-between gap-4 pt-4 border-t border-gray-200">
+        {canManage ? (
+          <label className="text-xs text-gray-600">
+            Keep deleted accounts for
+            <span className="flex items-center gap-1 mt-1">
+              <input type="number" min="1" max="365" value={draftDays} onChange={(e) => setDraftDays(e.target.value)} onBlur={handleSaveRetention} className="w-20 rounded-md border-gray-300 p-1 border text-sm" />
+              days
+            </span>
+          </label>
+        ) : <span />}
+        <button type="button" onClick={onClose} className="bg-gray-300 text-gray-800 px-6 py-3 rounded-full shadow-md hover:bg-gray-400 transition duration-300 ease-in-out">
+          Done
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TrashView;
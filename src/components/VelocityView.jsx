@@ -0,0 +1,85 @@
+import React, { useState, useEffect } from 'react';
+import { getAverageDaysInStage, getStageConversion, getStuckDeals } from '../pipeline/velocity';
+
+const STUCK_THRESHOLD_KEY = 'crm.stuckThresholdDays';
+
+const formatDays = (days) => (days === null || days === undefined ? '—' : `${days.toFixed(1)}d`);
+
+const VelocityView = ({ history, accounts, stages, onSelectAccount }) => {
+  const [thresholdDays, setThresholdDays] = useState(() => Number(localStorage.getItem(STUCK_THRESHOLD_KEY)) || 14);
+
+  useEffect(() => {
+    localStorage.setItem(STUCK_THRESHOLD_KEY, String(thresholdDays));
+  }, [thresholdDays]);
+
+  const accountIds = new Set(accounts.map(account => account.id));
+  const scopedHistory = history.filter(entry => accountIds.has(entry.accountId));
+  const averageDays = getAverageDaysInStage(scopedHistory);
+  const conversion = getStageConversion(scopedHistory, stages);
+  const stuckDeals = getStuckDeals(accounts, stages, thresholdDays);
+  const openStages = stages.filter(stage => stage.category === 'open');
+  const maxDays = Math.max(0, ...openStages.map(stage => averageDays[stage.name] || 0));
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-sm">
+      <h3 className="text-lg font-bold text-gray-800 mb-4">Pipeline Velocity</h3>
+      <div className="flex justify-between items-end h-32 w-full">
+        {openStages.map(stage => (
+          <div key={stage.name} className="flex flex-col items-center flex-grow mx-1 h-full justify-end">
+            <div
+              className={`w-full rounded-t-lg transition-all duration-500 ${stage.color}`}
+              style={{ height: `${maxDays > 0 ? ((averageDays[stage.name] || 0) / maxDays) * 100 : 0}%` }}
+            ></div>
+            <div className="mt-2 text-xs text-gray-600 text-center">{stage.name}</div>
+            <div className="text-sm font-semibold text-gray-800 mt-1">{formatDays(averageDays[stage.name])}</div>
+          </div>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500 mt-2">Average days spent in each stage before moving on.</p>
+
+      <h4 className="text-sm font-semibold text-gray-700 mt-6 mb-2">Stage Conversion</h4>
+      <div className="space-y-1">
+        {conversion.map(step => (
+          <div key={step.from} className="flex items-center text-sm">
+            <span className="w-1/2 text-gray-600 truncate">{step.from} → {step.to}</span>
+            <div className="flex-grow bg-gray-200 rounded-full h-2 mx-2">
+              <div className="bg-blue-500 h-2 rounded-full" style={{ width: `${(step.rate || 0) * 100}%` }}></div>
+            </div>
+            <span className="w-16 text-right font-semibold text-gray-800">{step.rate === null ? '—' : `${Math.round(step.rate * 100)}%`}</span>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-between mt-6 mb-2">
+        <h4 className="text-sm font-semibold text-gray-700">Stuck Deals ({stuckDeals.length})</h4>
+        <label className="text-xs text-gray-600">
+          Stuck after
+          <input
+            type="number"
+            min="1"
+            value={thresholdDays}
+            onChange={(e) => setThresholdDays(Math.max(1, Number(e.target.value) || 1))}
+            className="w-14 mx-1 rounded-md border-gray-300 p-1 border text-xs"
+          />
+          days
+        </label>
+      </div>
+      <div className="max-h-40 overflow-y-auto space-y-1">
+        {stuckDeals.length === 0 && <p className="text-sm text-gray-400">No deals past the threshold.</p>}
+        {stuckDeals.map(({ account, days }) => (
+          <button
+            key={account.id}
+            type="button"
+            onClick={() => onSelectAccount(account)}
+            className="w-full flex justify-between text-sm p-2 rounded-md bg-red-50 hover:bg-red-100 text-left"
+          >
+            <span className="font-medium text-gray-900">{account.companyName}</span>
+            <span className="text-red-700">{account.stage} · {Math.floor(days)} days</span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default VelocityView;
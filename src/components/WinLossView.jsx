@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { getCompetitorBreakdown, getReasonBreakdown, getWinLossDimensions, getWinLossTotals, getWinRateBy } from '../pipeline/winLoss';
+
+const formatMoney = (amount) => `$${Math.round(amount).toLocaleString()}`;
+
+const WinRateBar = ({ rate }) => (
+  <div className="flex items-center gap-2">
+    <div className="flex-grow h-2 bg-red-100 rounded-full overflow-hidden">
+      <div className="h-2 bg-green-500" style={{ width: `${rate ?? 0}%` }}></div>
+    </div>
+    <span className="w-10 text-right">{rate === null ? '—' : `${rate}%`}</span>
+  </div>
+);
+
+const CountTable = ({ title, rows, wonLabel, lostLabel }) => (
+  <div>
+    <h4 className="text-sm font-semibold text-gray-700 mb-2">{title}</h4>
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="text-left text-xs text-gray-500 border-b">
+          <th className="p-2"></th>
+          <th className="p-2 text-right">{wonLabel}</th>
+          <th className="p-2 text-right">{lostLabel}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => (
+          <tr key={row.key} className="border-b">
+            <td className={`p-2 ${row.key === 'none' ? 'text-gray-500 italic' : 'text-gray-800'}`}>{row.name}</td>
+            <td className="p-2 text-right">{row.won}</td>
+            <td className="p-2 text-right">{row.lost}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+const WinLossView = ({ accounts, stages, customFields, onFindThemes }) => {
+  const dimensions = getWinLossDimensions(customFields);
+  const [dimensionKey, setDimensionKey] = useState(dimensions[0].key);
+  const [themes, setThemes] = useState(null);
+  const [findingThemes, setFindingThemes] = useState(false);
+  const dimension = dimensions.find(option => option.key === dimensionKey) || dimensions[0];
+  const totals = getWinLossTotals(accounts, stages);
+  const rows = getWinRateBy(accounts, stages, dimension);
+  const competitors = getCompetitorBreakdown(accounts, stages);
+
+  const handleFindThemes = async () => {
+    setFindingThemes(true);
+    const result = await onFindThemes();
+    if (result) setThemes(result);
+    setFindingThemes(false);
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-sm space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-bold text-gray-800">Win / Loss</h3>
+          <p className="text-sm text-gray-500">
+            {totals.won} won · {totals.lost} lost{totals.winRate !== null && ` · ${totals.winRate}% win rate`}
+          </p>
+        </div>
+        <select value={dimension.key} onChange={(e) => setDimensionKey(e.target.value)} className="rounded-md border-gray-300 p-2 border text-sm">
+          {dimensions.map(option => <option key={option.key} value={option.key}>{option.label}</option>)}
+        </select>
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="text-sm text-gray-500">No closed deals yet.</p>
+      ) : (
+        <>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 border-b">
+                <th className="p-2">{dimension.label}</th>
+                <th className="p-2 text-right">Won</th>
+                <th className="p-2 text-right">Lost</th>
+                <th className="p-2 w-1/3">Win rate</th>
+                <th className="p-2 text-right">Won bookings</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.key} className="border-b">
+                  <td className={`p-2 ${row.key === 'none' ? 'text-gray-500 italic' : 'text-gray-800 font-semibold'}`}>{row.name}</td>
+                  <td className="p-2 text-right">{row.won}</td>
+                  <td className="p-2 text-right">{row.lost}</td>
+                  <td className="p-2"><WinRateBar rate={row.winRate} /></td>
+                  <td className="p-2 text-right">{formatMoney(row.wonValue)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <CountTable title="Reasons" rows={getReasonBreakdown(accounts, stages)} wonLabel="Won" lostLabel="Lost" />
+            {competitors.length > 0 && <CountTable title="Competitors" rows={competitors} wonLabel="Beaten" lostLabel="Lost to" />}
+          </div>
+        </>
+      )}
+
+      {totals.lost > 0 && (
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <h4 className="text-sm font-semibold text-gray-700">Why we lose</h4>
+            <button type="button" onClick={handleFindThemes} disabled={findingThemes} className="bg-teal-600 text-white px-4 py-2 rounded-full text-sm hover:bg-teal-700 disabled:opacity-50">
+              {findingThemes ? 'Reading lost deals...' : (themes ? 'Find themes again' : 'Find themes with AI')}
+            </button>
+          </div>
+          {!themes ? (
+            <p className="text-xs text-gray-500">Groups the reasons and final notes of recently lost deals into recurring themes, with a suggested change to the pitch for each.</p>
+          ) : themes.length === 0 ? (
+            <p className="text-sm text-gray-500">No recurring themes found.</p>
+          ) : (
+            <div className="space-y-3">
+              {themes.map((theme, index) => (
+                <div key={`${theme.title}-${index}`} className="p-3 rounded-lg border border-gray-200">
+                  <p className="font-semibold text-gray-800">
+                    {theme.title} <span className="text-xs font-normal text-gray-500">{theme.deals.length} deal{theme.deals.length === 1 ? '' : 's'}</span>
+                  </p>
+                  <p className="text-sm text-gray-700 mt-1">{theme.summary}</p>
+                  <p className="text-sm text-teal-800 mt-1">{theme.suggestion}</p>
+                  <p className="text-xs text-gray-500 mt-1">{theme.deals.join(', ')}</p>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WinLossView;
@@ -0,0 +1,46 @@
+export const CONTACT_ROLES = [
+  { value: 'champion', label: 'Champion' },
+  { value: 'economic_buyer', label: 'Economic Buyer' },
+  { value: 'decision_maker', label: 'Decision Maker' },
+  { value: 'technical', label: 'IT / Technical' },
+  { value: 'influencer', label: 'Influencer' },
+  { value: 'end_user', label: 'End User' },
+  { value: 'other', label: 'Other' },
+];
+
+export const getContactRoleLabel = (value) => CONTACT_ROLES.find(role => role.value === value)?.label || 'Other';
+
+// A deal keeps its stakeholders as [{ contactId, role, isPrimary }] plus a flat
+// `contactIds` list so deals can be queried by contact.
+export const toStakeholderFields = (contactRoles) => ({
+  contactRoles,
+  contactIds: contactRoles.map(link => link.contactId),
+});
+
+export const linkContact = (contactRoles = [], contactId, role = 'other') => {
+  if (contactRoles.some(link => link.contactId === contactId)) return contactRoles;
+  return [...contactRoles, { contactId, role, isPrimary: contactRoles.length === 0 }];
+};
+
+export const unlinkContact = (contactRoles = [], contactId) => {
+  const remaining = contactRoles.filter(link => link.contactId !== contactId);
+  if (remaining.length > 0 && !remaining.some(link => link.isPrimary)) remaining[0] = { ...remaining[0], isPrimary: true };
+  return remaining;
+};
+
+export const setContactRole = (contactRoles = [], contactId, role) => (
+  contactRoles.map(link => (link.contactId === contactId ? { ...link, role } : link))
+);
+
+export const setPrimaryContact = (contactRoles = [], contactId) => (
+  contactRoles.map(link => ({ ...link, isPrimary: link.contactId === contactId }))
+);
+
+// The flat contact fields on a deal mirror its primary stakeholder so cards,
+// exports and AI prompts keep working unchanged
+export const primaryContactFields = (contact) => ({
+  contactName: contact?.name || '',
+  contactTitle: contact?.title || '',
+  contactEmail: contact?.email || '',
+  contactPhone: contact?.phone || '',
+});
@@ -0,0 +1,31 @@
+import { linkContact, toStakeholderFields } from './stakeholders';
+
+// Makes sure a deal points at a company record and that its flat primary-contact
+// fields exist as a real contact. Returns the account fields that need patching.
+export const syncDealContacts = async (contactsRepo, account) => {
+  const changes = {};
+  if (!account.companyName) return changes;
+
+  const companyId = account.companyId || await contactsRepo.findOrCreateCompany(account.companyName, {
+    website: account.website || '',
+    industry: account.industry || '',
+    companySize: account.companySize || '',
+  });
+  if (companyId !== account.companyId) changes.companyId = companyId;
+
+  const contactDetails = {
+    name: account.contactName || account.contactEmail || '',
+    title: account.contactTitle || '',
+    email: account.contactEmail || '',
+    phone: account.contactPhone || '',
+  };
+  const primary = (account.contactRoles || []).find(link => link.isPrimary);
+  if (primary) {
+    // The form edits the primary contact through the flat fields, so push those edits back
+    if (contactDetails.name) await contactsRepo.updateContact(primary.contactId, contactDetails);
+  } else if (contactDetails.name) {
+    const contactId = await contactsRepo.findOrCreateContact(companyId, contactDetails);
+    Object.assign(changes, toStakeholderFields(linkContact(account.contactRoles || [], contactId, 'champion')));
+  }
+  return changes;
+};
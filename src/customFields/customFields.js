@@ -0,0 +1,151 @@
+export const CUSTOM_FIELD_TYPES = [
+  { value: 'text', label: 'Text' },
+  { value: 'number', label: 'Number' },
+  { value: 'date', label: 'Date' },
+  { value: 'select', label: 'Single select' },
+  { value: 'multiselect', label: 'Multi-select' },
+  { value: 'checkbox', label: 'Checkbox' },
+  { value: 'url', label: 'URL' },
+];
+
+export const OPTION_TYPES = ['select', 'multiselect'];
+
+// Fields a report can group deals by; free-form values would give one row per deal
+export const GROUPABLE_TYPES = ['select', 'multiselect', 'checkbox'];
+
+export const getActiveFields = (fields) => fields.filter(field => !field.archived);
+
+// An empty stage list means the field shows in every stage. Stages are matched by id so
+// renaming a stage keeps its fields.
+export const isFieldVisible = (field, stages, stageName) => {
+  if (!field.stageIds || field.stageIds.length === 0) return true;
+  const stage = stages.find(s => s.name === stageName);
+  return !!stage && field.stageIds.includes(stage.id);
+};
+
+export const getVisibleFields = (fields, stages, stageName) => getActiveFields(fields).filter(field => isFieldVisible(field, stages, stageName));
+
+export const isEmptyValue = (value) => value === undefined || value === null || value === '' || value === false || (Array.isArray(value) && value.length === 0);
+
+const URL_PATTERN = /^https?:\/\/[^\s.]+\.[^\s]+$/i;
+
+// Accepts "acme.com" as well as full URLs so reps don't have to type the scheme
+export const toUrl = (text) => (/^https?:\/\//i.test(text) ? text : `https://${text}`);
+
+// Form inputs hold strings; this turns them into the stored value for the field's type
+export const normalizeCustomValue = (field, value) => {
+  if (isEmptyValue(value)) return field.type === 'checkbox' ? false : null;
+  switch (field.type) {
+    case 'number': {
+      const number = Number(value);
+      return Number.isFinite(number) ? number : null;
+    }
+    case 'checkbox':
+      return value === true;
+    case 'multiselect':
+      return (Array.isArray(value) ? value : [value]).filter(option => (field.options || []).includes(option));
+    case 'url':
+      return toUrl(String(value).trim());
+    default:
+      return String(value).trim();
+  }
+};
+
+export const normalizeCustomValues = (fields, values = {}) => {
+  const normalized = { ...values };
+  fields.forEach(field => {
+    if (field.id in normalized) normalized[field.id] = normalizeCustomValue(field, normalized[field.id]);
+  });
+  return normalized;
+};
+
+// Required only applies in the stages where the field is shown
+export const validateCustomValues = (fields, values = {}, stages, stageName) => {
+  const errors = [];
+  getVisibleFields(fields, stages, stageName).forEach(field => {
+    const value = values[field.id];
+    if (field.required && isEmptyValue(value)) errors.push(`${field.label} is required`);
+    else if (field.type === 'url' && !isEmptyValue(value) && !URL_PATTERN.test(toUrl(String(value).trim()))) errors.push(`${field.label} is not a valid URL`);
+  });
+  return errors;
+};
+
+export const formatCustomValue = (field, value) => {
+  if (field.type === 'checkbox') return value === true ? 'Yes' : value === false ? 'No' : '';
+  if (isEmptyValue(value)) return '';
+  if (field.type === 'multiselect') return value.join('; ');
+  if (field.type === 'number') return Number(value).toLocaleString();
+  if (field.type === 'date') return new Date(`${value}T00:00:00`).toLocaleDateString();
+  return String(value);
+};
+
+const findOption = (field, text) => (field.options || []).find(option => option.toLowerCase() === text.toLowerCase());
+
+// Import coercion, mirroring the built-in account fields: returns { value } or { error }
+export const coerceCustomValue = (field, raw) => {
+  if (field.type === 'multiselect' && Array.isArray(raw)) raw = raw.join(';');
+  const text = raw === null || raw === undefined ? '' : String(raw).trim();
+  if (field.type === 'checkbox') {
+    if (raw === true || raw === false) return { value: raw };
+    if (text === '') return { value: '' };
+    if (['yes', 'y', 'true', '1', 'x'].includes(text.toLowerCase())) return { value: true };
+    if (['no', 'n', 'false', '0'].includes(text.toLowerCase())) return { value: false };
+    return { error: `${field.label} "${text}" is not yes or no` };
+  }
+  if (text === '') return { value: '' };
+  switch (field.type) {
+    case 'number': {
+      const number = Number(text.replace(/[$€£,\s]/g, ''));
+      return Number.isFinite(number) ? { value: number } : { error: `${field.label} "${text}" is not a number` };
+    }
+    case 'date': {
+      const date = new Date(text);
+      return Number.isNaN(date.getTime()) ? { error: `${field.label} "${text}" is not a date` } : { value: date.toISOString().split('T')[0] };
+    }
+    case 'select': {
+      const option = findOption(field, text);
+      return option ? { value: option } : { error: `${field.label} "${text}" is not one of its options` };
+    }
+    case 'multiselect': {
+      const parts = (text.includes(';') ? text.split(';') : text.split(',')).map(part => part.trim()).filter(Boolean);
+      const options = parts.map(part => findOption(field, part));
+      const unknown = parts.filter((part, index) => !options[index]);
+      return unknown.length > 0 ? { error: `${field.label} has unknown options: ${unknown.join(', ')}` } : { value: options };
+    }
+    case 'url':
+      return URL_PATTERN.test(toUrl(text)) ? { value: toUrl(text) } : { error: `${field.label} "${text}" is not a URL` };
+    default:
+      return { value: text };
+  }
+};
+
+export const getCustomSearchText = (account, fields) => getActiveFields(fields)
+  .map(field => formatCustomValue(field, account.customFields?.[field.id]))
+  .join('\n');
+
+// Filter values are strings for option and text fields and [min, max] / [from, to] for
+// numbers and dates, so saved views can store them as they are
+export const isCustomFilterSet = (value) => (Array.isArray(value) ? value.some(bound => bound !== '') : value !== '' && value !== undefined);
+
+export const matchesCustomFilter = (field, value, filter) => {
+  switch (field.type) {
+    case 'select':
+      return value === filter;
+    case 'multiselect':
+      return Array.isArray(value) && value.includes(filter);
+    case 'checkbox':
+      return (value === true) === (filter === 'yes');
+    case 'number': {
+      const [min, max] = filter;
+      if (typeof value !== 'number') return false;
+      return (min === '' || value >= Number(min)) && (max === '' || value <= Number(max));
+    }
+    case 'date': {
+      const [from, to] = filter;
+      if (!value) return false;
+      return (from === '' || value >= from) && (to === '' || value <= to);
+    }
+    default:
+      return String(value || '').toLowerCase().includes(filter.toLowerCase());
+  }
+};
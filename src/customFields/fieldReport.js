@@ -0,0 +1,49 @@
+import { getStageCategory, getStageProbability } from '../pipeline/stages';
+import { GROUPABLE_TYPES, formatCustomValue, getActiveFields } from './customFields';
+
+const BUILT_IN_GROUPS = [
+  { key: 'industry', label: 'Industry' },
+  { key: 'leadSource', label: 'Lead Source' },
+  { key: 'companySize', label: 'Company Size' },
+].map(group => ({ ...group, getValues: (account) => [(account[group.key] || '').trim()].filter(Boolean) }));
+
+const toCustomValues = (field, value) => {
+  if (field.type === 'multiselect') return Array.isArray(value) ? value : [];
+  if (field.type === 'checkbox') return [formatCustomValue(field, value === true)];
+  return value ? [value] : [];
+};
+
+// Each option returns the values a deal is grouped under; a multi-select deal counts under each of its options
+export const getGroupByOptions = (customFields) => [
+  ...BUILT_IN_GROUPS,
+  ...getActiveFields(customFields).filter(field => GROUPABLE_TYPES.includes(field.type)).map(field => ({
+    key: `custom.${field.id}`,
+    label: field.label,
+    getValues: (account) => toCustomValues(field, account.customFields?.[field.id]),
+  })),
+];
+
+const bookings = (account) => (account.value || 0) + (account.monthlyValue || 0) * 12;
+
+export const getPipelineByField = (accounts, stages, groupBy) => {
+  const rows = {};
+  accounts.forEach(account => {
+    const values = groupBy.getValues(account);
+    const category = getStageCategory(stages, account.stage);
+    if (category === 'pre') return;
+    (values.length > 0 ? values : [null]).forEach(value => {
+      const key = value ?? 'none';
+      const row = rows[key] || (rows[key] = { key, name: value ?? 'Not set', openCount: 0, openValue: 0, weightedValue: 0, won: 0, lost: 0 });
+      if (category === 'won') row.won += 1;
+      else if (category === 'lost') row.lost += 1;
+      else {
+        row.openCount += 1;
+        row.openValue += bookings(account);
+        row.weightedValue += bookings(account) * getStageProbability(stages, account.stage) / 100;
+      }
+    });
+  });
+  return Object.values(rows)
+    .map(row => ({ ...row, winRate: row.won + row.lost > 0 ? Math.round((row.won / (row.won + row.lost)) * 100) : null }))
+    .sort((a, b) => (a.key === 'none') - (b.key === 'none') || b.openValue - a.openValue || (b.won + b.lost) - (a.won + a.lost));
+};
@@ -0,0 +1,214 @@
+import { Timestamp } from 'firebase/firestore';
+import { assertPermission, canEditAccount, canManageStages, canReassignAccounts } from '../workspace/roles';
+import { toLineItemFields } from '../products/lineItems';
+import { normalizeTags } from '../pipeline/tags';
+import { diffAccount } from '../audit/auditLog';
+import { getDuplicateKeys } from '../importExport/accountFields';
+import { createAuditLogRepository } from './auditLogRepository';
+import { createScoreHistoryRepository } from './scoreHistoryRepository';
+import { createStageHistoryRepository } from './stageHistoryRepository';
+
+const toTimestamp = (value) => (value ? Timestamp.fromDate(new Date(value)) : null);
+
+// Everything stored under an account document, removed with it when the trash is emptied
+const ACCOUNT_SUBCOLLECTIONS = ['activities', 'scoreHistory', 'proposals', 'auditLog'];
+
+// Normalizes string inputs into the shape stored on an account document. Only the
+// keys present are touched, so partial updates (e.g. from an import) leave the rest alone.
+// Line items, when a deal has any, decide its value and monthly value.
+const normalizeAccount = (account) => {
+  const normalized = { ...account, ...getDuplicateKeys(account) };
+  ['value', 'monthlyValue'].forEach(key => {
+    if (key in account) normalized[key] = Number(account[key]) || 0;
+  });
+  ['expectedCloseDate', 'nextFollowUpDate'].forEach(key => {
+    if (key in account) normalized[key] = toTimestamp(account[key]);
+  });
+  if ('tags' in account) normalized.tags = normalizeTags(account.tags);
+  if ('lineItems' in account) Object.assign(normalized, toLineItemFields(account.lineItems));
+  return normalized;
+};
+
+// `access` is the signed-in member ({ uid, displayName, role }); every write is
+// checked against the workspace role rules before it reaches the backend.
+// `beforeStageChange(account, toStage)` may throw to block a move; `onChange({ before, after, source })`
+// hears about every write once it is saved. Automation rules hook in through both.
+export const createAccountsRepository = (backend, basePath, access, { beforeStageChange, onChange } = {}) => {
+  const path = `${basePath}/accounts`;
+  const stageHistory = createStageHistoryRepository(backend, basePath, access);
+  const scoreHistory = createScoreHistoryRepository(backend, basePath, access);
+  const auditLog = createAuditLogRepository(backend, basePath, access);
+
+  const recordChanges = async (existing, changes, source) => {
+    const diff = diffAccount(existing, changes);
+    if (diff.length > 0) await auditLog.record(existing.id, { action: 'update', changes: diff, source });
+  };
+
+  const assertCanEdit = async (accountId) => {
+    const existing = await backend.get(path, accountId);
+    assertPermission(canEditAccount(access, existing), "You can only change accounts you own.");
+    return existing;
+  };
+
+  const checkStageChange = (account, toStage) => {
+    if (beforeStageChange) beforeStageChange(account, toStage);
+  };
+
+  const notifyChange = async (before, accountId, source) => {
+    if (!onChange) return;
+    const after = await backend.get(path, accountId);
+    if (after) await onChange({ before, after, source });
+  };
+
+  const assertCanAssign = (existing, changes) => {
+    if (changes.ownerId !== undefined && changes.ownerId !== existing?.ownerId) {
+      assertPermission(canReassignAccounts(access.role), "Only managers and admins can reassign accounts.");
+    }
+  };
+
+  // Every stage transition goes through here, whatever screen it started from
+  const changeStage = async (existing, toStage, source, otherChanges = {}) => {
+    const changedAt = Timestamp.now();
+    await backend.update(path, existing.id, { ...otherChanges, stage: toStage, stageEnteredAt: changedAt });
+    await stageHistory.record({
+      accountId: existing.id,
+      companyName: otherChanges.companyName || existing.companyName,
+      fromStage: existing.stage,
+      toStage,
+      source,
+      changedAt,
+    });
+  };
+
+  // A manual override keeps winning over recalculated scores until it is cleared
+  const withScore = (existing, changes) => {
+    if (!changes.scoreDetails) return changes;
+    const scoreDetails = { ...changes.scoreDetails, computedAt: Timestamp.now() };
+    return { ...changes, scoreDetails, dealScore: existing?.scoreOverride ? existing.scoreOverride.score : scoreDetails.score };
+  };
+
+  return {
+    // Trashed accounts come back as the second argument so the board never sees them
+    subscribe: (onChange, onError) => backend.subscribe(path, (accounts) => {
+      onChange(accounts.filter(account => !account.deletedAt), accounts.filter(account => account.deletedAt));
+    }, onError),
+
+    list: () => backend.list(path),
+
+    get: (accountId) => backend.get(path, accountId),
+
+    create: async (account, stageName, { source = 'form' } = {}) => {
+      const ownerId = canReassignAccounts(access.role) && account.ownerId ? account.ownerId : access.uid;
+      const createdAt = Timestamp.now();
+      const fields = withScore(null, normalizeAccount(account));
+      checkStageChange(fields, stageName);
+      const accountId = await backend.add(path, {
+        value: 0,
+        monthlyValue: 0,
+        expectedCloseDate: null,
+        nextFollowUpDate: null,
+        dealScore: 50,
+        ...fields,
+        ownerId,
+        ownerName: ownerId === access.uid ? access.displayName : account.ownerName,
+        stage: stageName,
+        stageEnteredAt: createdAt,
+        createdAt,
+      });
+      await stageHistory.record({ accountId, companyName: account.companyName, fromStage: null, toStage: stageName, source, changedAt: createdAt });
+      await auditLog.record(accountId, { action: 'create', source });
+      if (fields.scoreDetails) await scoreHistory.record(accountId, fields.scoreDetails);
+      await notifyChange(null, accountId, source);
+      return accountId;
+    },
+
+    update: async (accountId, account, { source = 'form' } = {}) => {
+      const existing = await assertCanEdit(accountId);
+      assertCanAssign(existing, account);
+      const changes = withScore(existing, normalizeAccount(account));
+      if (changes.stage && changes.stage !== existing.stage) {
+        checkStageChange({ ...existing, ...changes }, changes.stage);
+        await changeStage(existing, changes.stage, source, changes);
+      } else {
+        await backend.update(path, accountId, changes);
+      }
+      await recordChanges(existing, changes, source);
+      if (changes.scoreDetails) await scoreHistory.record(accountId, changes.scoreDetails);
+      await notifyChange(existing, accountId, source);
+    },
+
+    overrideScore: async (accountId, { score, reason }) => {
+      const existing = await assertCanEdit(accountId);
+      if (!reason || !reason.trim()) throw new Error("A reason is required to override a score.");
+      const scoreOverride = { score, reason: reason.trim(), setBy: access.uid, setByName: access.displayName, setAt: Timestamp.now() };
+      await backend.update(path, accountId, { scoreOverride, dealScore: score });
+      await scoreHistory.record(accountId, { score, method: 'override', reason: scoreOverride.reason });
+      await notifyChange(existing, accountId, 'override');
+    },
+
+    clearScoreOverride: async (accountId) => {
+      const existing = await assertCanEdit(accountId);
+      const score = existing.scoreDetails?.score ?? existing.dealScore;
+      await backend.update(path, accountId, { scoreOverride: null, dealScore: score });
+      await scoreHistory.record(accountId, { score, method: 'override_cleared', rationale: existing.scoreDetails?.rationale || '' });
+      await notifyChange(existing, accountId, 'override');
+    },
+
+    patch: async (accountId, changes, { source = 'form' } = {}) => {
+      const existing = await assertCanEdit(accountId);
+      assertCanAssign(existing, changes);
+      await backend.update(path, accountId, { ...changes, ...getDuplicateKeys(changes) });
+      await recordChanges(existing, changes, source);
+      await notifyChange(existing, accountId, source);
+    },
+
+    // Deleting only moves the account to the trash; it can be restored until it is purged
+    remove: async (accountId, { source = 'form' } = {}) => {
+      const existing = await assertCanEdit(accountId);
+      await backend.update(path, accountId, { deletedAt: Timestamp.now(), deletedBy: access.uid, deletedByName: access.displayName });
+      await auditLog.record(accountId, { action: 'delete', source });
+      await notifyChange(existing, accountId, source);
+    },
+
+    restore: async (accountId, { source = 'form' } = {}) => {
+      const existing = await assertCanEdit(accountId);
+      await backend.update(path, accountId, { deletedAt: null, deletedBy: null, deletedByName: null });
+      await auditLog.record(accountId, { action: 'restore', source });
+      await notifyChange(existing, accountId, source);
+    },
+
+    // Permanent: removes the account, its notes and history, and its tasks and meetings
+    purge: async (accountId) => {
+      assertPermission(canManageStages(access.role), "Only managers and admins can permanently delete accounts.");
+      const existing = await backend.get(path, accountId);
+      assertPermission(!!existing?.deletedAt, "Only accounts in the trash can be permanently deleted.");
+      for (const name of ACCOUNT_SUBCOLLECTIONS) {
+        const entries = await backend.list(`${path}/${accountId}/${name}`);
+        await Promise.all(entries.map(entry => backend.remove(`${path}/${accountId}/${name}`, entry.id)));
+      }
+      for (const name of ['tasks', 'meetings']) {
+        const linked = await backend.list(`${basePath}/${name}`, { filters: [['accountId', '==', accountId]] });
+        await Promise.all(linked.map(item => backend.remove(`${basePath}/${name}`, item.id)));
+      }
+      await backend.remove(path, accountId);
+    },
+
+    moveStage: async (accountId, stageName, { source = 'drag' } = {}) => {
+      const existing = await assertCanEdit(accountId);
+      if (existing.stage === stageName) return;
+      checkStageChange(existing, stageName);
+      await changeStage(existing, stageName, source);
+      await auditLog.record(accountId, { action: 'update', changes: [{ field: 'stage', from: existing.stage, to: stageName }], source });
+      await notifyChange(existing, accountId, source);
+    },
+
+    // Moves every account from a renamed stage so none are left orphaned
+    migrateStage: async (fromStageName, toStageName) => {
+      assertPermission(canManageStages(access.role), "Only managers and admins can change pipeline stages.");
+      const affected = await backend.list(path, { filters: [['stage', '==', fromStageName]] });
+      await Promise.all(affected.map(account => backend.update(path, account.id, { stage: toStageName })));
+      await stageHistory.renameStage(fromStageName, toStageName);
+      return affected.length;
+    },
+  };
+};
@@ -0,0 +1,88 @@
+import { Timestamp } from 'firebase/firestore';
+import { assertPermission, canEditAccount, canReassignAccounts } from '../workspace/roles';
+
+export const ACTIVITY_PAGE_SIZE = 20;
+
+// Activities live in a subcollection per account so concurrent writers never
+// overwrite each other and the account document stays small.
+export const createActivitiesRepository = (backend, basePath, access) => {
+  const accountsPath = `${basePath}/accounts`;
+  const pathFor = (accountId) => `${accountsPath}/${accountId}/activities`;
+
+  const assertCanWrite = async (accountId) => {
+    const account = await backend.get(accountsPath, accountId);
+    assertPermission(canEditAccount(access, account), "You can only log activity on accounts you own.");
+  };
+
+  const assertCanChange = async (accountId, activityId) => {
+    const activity = await backend.get(pathFor(accountId), activityId);
+    assertPermission(
+      !!activity && (activity.authorId === access.uid || canReassignAccounts(access.role)),
+      "You can only change activity you logged."
+    );
+  };
+
+  return {
+    // `pageCount` grows as the user loads older entries; the listener stays live for all loaded pages
+    subscribe: (accountId, onChange, onError, { type, pageCount = 1 } = {}) => backend.subscribe(pathFor(accountId), onChange, onError, {
+      filters: type ? [['type', '==', type]] : [],
+      sortBy: 'createdAt',
+      direction: 'desc',
+      pageSize: pageCount * ACTIVITY_PAGE_SIZE,
+    }),
+
+    listRecent: (accountId, { type, pageSize = ACTIVITY_PAGE_SIZE } = {}) => backend.list(pathFor(accountId), {
+      filters: type ? [['type', '==', type]] : [],
+      sortBy: 'createdAt',
+      direction: 'desc',
+      pageSize,
+    }),
+
+    listAll: (accountId) => backend.list(pathFor(accountId), { sortBy: 'createdAt', direction: 'desc' }),
+
+    // `occurredAt` back-dates imported history; everything else is stamped now
+    add: async (accountId, { type = 'note', text, sentiment = 'Neutral', metadata = {}, occurredAt }) => {
+      await assertCanWrite(accountId);
+      const createdAt = occurredAt ? Timestamp.fromDate(new Date(occurredAt)) : Timestamp.now();
+      const activityId = await backend.add(pathFor(accountId), {
+        type,
+        text,
+        sentiment,
+        metadata,
+        authorId: access.uid,
+        authorName: access.displayName,
+        createdAt,
+      });
+      await backend.update(accountsPath, accountId, { lastActivityAt: createdAt });
+      return activityId;
+    },
+
+    update: async (accountId, activityId, changes) => {
+      await assertCanChange(accountId, activityId);
+      await backend.update(pathFor(accountId), activityId, { ...changes, updatedAt: Timestamp.now() });
+    },
+
+    remove: async (accountId, activityId) => {
+      await assertCanChange(accountId, activityId);
+      await backend.remove(pathFor(accountId), activityId);
+    },
+
+    // Moves the old `notes` array off the account document. Fixed ids keep it idempotent
+    // if two tabs open the same account before the array is cleared.
+    importLegacyNotes: async (account) => {
+      if (!account.notes || account.notes.length === 0) return 0;
+      await assertCanWrite(account.id);
+      await Promise.all(account.notes.map((note, index) => backend.set(pathFor(account.id), `legacy-${index}`, {
+        type: 'note',
+        text: note.text,
+        sentiment: note.sentiment || 'Neutral',
+        metadata: {},
+        authorId: account.ownerId || access.uid,
+        authorName: account.ownerName || access.displayName,
+        createdAt: Timestamp.fromDate(new Date(note.timestamp)),
+      })));
+      await backend.update(accountsPath, account.id, { notes: [] });
+      return account.notes.length;
+    },
+  };
+};
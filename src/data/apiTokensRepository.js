@@ -0,0 +1,46 @@
+import { Timestamp } from 'firebase/firestore';
+import { assertPermission, canManageMembers } from '../workspace/roles';
+
+export const API_TOKEN_PREFIX = 'crm_';
+
+const toHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+const generateToken = () => `${API_TOKEN_PREFIX}${toHex(crypto.getRandomValues(new Uint8Array(24)))}`;
+
+export const hashApiToken = async (token) => toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token))));
+
+// Only a hash of each token is stored, as the document id the server looks it up by, so a
+// token is shown once when it is created. 'user' tokens act as their owner with the owner's
+// role; 'workspace' tokens are made by admins for integrations and act as a manager.
+export const createApiTokensRepository = (backend, appId, access) => {
+  const path = `artifacts/${appId}/apiTokens`;
+
+  return {
+    // Admins see every token in the workspace so they can revoke them
+    subscribe: (workspaceId, onChange, onError) => backend.subscribe(path, onChange, onError, {
+      filters: canManageMembers(access.role)
+        ? [['workspaceId', '==', workspaceId]]
+        : [['workspaceId', '==', workspaceId], ['uid', '==', access.uid]],
+    }),
+
+    create: async (workspaceId, { name, scope = 'user' }) => {
+      if (scope === 'workspace') {
+        assertPermission(canManageMembers(access.role), "Only admins can create workspace API tokens.");
+      }
+      const token = generateToken();
+      await backend.set(path, await hashApiToken(token), {
+        workspaceId,
+        uid: access.uid,
+        ownerName: access.displayName,
+        name,
+        scope,
+        prefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+        lastUsedAt: null,
+        createdAt: Timestamp.now(),
+      });
+      return token;
+    },
+
+    revoke: (tokenId) => backend.remove(path, tokenId),
+  };
+};
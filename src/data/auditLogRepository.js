@@ -0,0 +1,19 @@
+import { Timestamp } from 'firebase/firestore';
+
+// Append-only change log per account: who changed which fields, from what, to what
+export const createAuditLogRepository = (backend, basePath, access) => {
+  const pathFor = (accountId) => `${basePath}/accounts/${accountId}/auditLog`;
+
+  return {
+    subscribe: (accountId, onChange, onError) => backend.subscribe(pathFor(accountId), onChange, onError, { sortBy: 'createdAt', direction: 'desc' }),
+
+    record: (accountId, { action, changes = [], source = 'form' }) => backend.add(pathFor(accountId), {
+      action,
+      changes,
+      source,
+      changedBy: access.uid,
+      changedByName: access.displayName,
+      createdAt: Timestamp.now(),
+    }),
+  };
+};
@@ -0,0 +1,47 @@
+import { Timestamp } from 'firebase/firestore';
+import { upgradeRuleFields } from '../automation/rules';
+import { assertPermission, canManageStages } from '../workspace/roles';
+
+// Rules apply to the whole workspace, so only managers and admins write them. Every member
+// records runs, which keep timer-based triggers from firing twice for the same event.
+export const createAutomationRulesRepository = (backend, basePath, access) => {
+  const path = `${basePath}/automationRules`;
+  const runsPath = `${basePath}/automationRuns`;
+
+  const assertCanManage = () => {
+    assertPermission(canManageStages(access.role), "Only managers and admins can change automation rules.");
+  };
+
+  return {
+    subscribe: (onChange, onError) => backend.subscribe(path, (rules) => onChange(rules.map(upgradeRuleFields)), onError, { sortBy: 'createdAt' }),
+
+    create: async (rule) => {
+      assertCanManage();
+      return backend.add(path, { enabled: true, ...rule, createdBy: access.uid, createdAt: Timestamp.now() });
+    },
+
+    update: async (ruleId, changes) => {
+      assertCanManage();
+      await backend.update(path, ruleId, { ...changes, updatedAt: Timestamp.now() });
+    },
+
+    remove: async (ruleId) => {
+      assertCanManage();
+      await backend.remove(path, ruleId);
+    },
+
+    // Returns false when the run was already recorded, by this user or anyone else.
+    // Runs are create-only, so when two clients race past the read the loser's write is
+    // refused; that also means the run was claimed.
+    claimRun: async (runId, { ruleId, accountId }) => {
+      if (await backend.get(runsPath, runId)) return false;
+      try {
+        await backend.set(runsPath, runId, { ruleId, accountId, ranBy: access.uid, ranAt: Timestamp.now() });
+      } catch (err) {
+        if (err.code === 'permission-denied' || err.code === 'already-exists') return false;
+        throw err;
+      }
+      return true;
+    },
+  };
+};
@@ -0,0 +1,23 @@
+import { Timestamp } from 'firebase/firestore';
+
+const generateToken = () => Array.from(crypto.getRandomValues(new Uint8Array(24)), byte => byte.toString(16).padStart(2, '0')).join('');
+
+// A feed token is the only credential a calendar app sends, so it is random, per user and
+// per workspace, and revoking it deletes the document the server looks it up by.
+export const createCalendarFeedsRepository = (backend, appId, access) => {
+  const path = `artifacts/${appId}/calendarFeeds`;
+
+  return {
+    subscribeMine: (workspaceId, onChange, onError) => backend.subscribe(path, onChange, onError, {
+      filters: [['uid', '==', access.uid], ['workspaceId', '==', workspaceId]],
+    }),
+
+    create: async (workspaceId) => {
+      const token = generateToken();
+      await backend.set(path, token, { uid: access.uid, workspaceId, createdAt: Timestamp.now() });
+      return token;
+    },
+
+    revoke: (token) => backend.remove(path, token),
+  };
+};
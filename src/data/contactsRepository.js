@@ -0,0 +1,62 @@
+import { Timestamp } from 'firebase/firestore';
+import { assertPermission, canReassignAccounts } from '../workspace/roles';
+
+const normalizeName = (name) => (name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Companies and contacts are shared across the workspace; deals link to them
+export const createContactsRepository = (backend, basePath, access) => {
+  const companiesPath = `${basePath}/companies`;
+  const contactsPath = `${basePath}/contacts`;
+
+  const stamp = () => ({ createdBy: access.uid, createdAt: Timestamp.now() });
+
+  return {
+    subscribeCompanies: (onChange, onError) => backend.subscribe(companiesPath, onChange, onError, { sortBy: 'name' }),
+
+    subscribeContacts: (onChange, onError) => backend.subscribe(contactsPath, onChange, onError, { sortBy: 'name' }),
+
+    getContact: (contactId) => backend.get(contactsPath, contactId),
+
+    listContactsForCompany: (companyId) => backend.list(contactsPath, { filters: [['companyId', '==', companyId]] }),
+
+    createCompany: (company) => backend.add(companiesPath, { website: '', industry: '', companySize: '', ...company, ...stamp() }),
+
+    updateCompany: (companyId, changes) => backend.update(companiesPath, companyId, changes),
+
+    // Matches on the name ignoring case and punctuation, so "Acme, Inc." and "ACME Inc" are one company
+    findOrCreateCompany: async (name, details = {}) => {
+      const companies = await backend.list(companiesPath);
+      const existing = companies.find(company => normalizeName(company.name) === normalizeName(name));
+      if (existing) return existing.id;
+      return backend.add(companiesPath, { website: '', industry: '', companySize: '', ...details, name: name.trim(), ...stamp() });
+    },
+
+    createContact: (contact) => backend.add(contactsPath, {
+      title: '',
+      phone: '',
+      ...contact,
+      email: (contact.email || '').toLowerCase(),
+      ...stamp(),
+    }),
+
+    // Reuses a contact with the same email (or name, when there is no email) at the company
+    findOrCreateContact: async (companyId, contact) => {
+      const candidates = await backend.list(contactsPath, { filters: [['companyId', '==', companyId]] });
+      const email = (contact.email || '').toLowerCase();
+      const existing = candidates.find(c => (email ? c.email === email : normalizeName(c.name) === normalizeName(contact.name)));
+      if (existing) return existing.id;
+      return backend.add(contactsPath, { title: '', phone: '', ...contact, email, companyId, ...stamp() });
+    },
+
+    updateContact: (contactId, changes) => backend.update(contactsPath, contactId, changes),
+
+    removeContact: async (contactId) => {
+      const contact = await backend.get(contactsPath, contactId);
+      assertPermission(
+        !!contact && (contact.createdBy === access.uid || canReassignAccounts(access.role)),
+        "Only managers and admins can delete contacts someone else added."
+      );
+      await backend.remove(contactsPath, contactId);
+    },
+  };
+};
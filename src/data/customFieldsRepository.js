@@ -0,0 +1,30 @@
+import { assertPermission, canManageStages } from '../workspace/roles';
+
+// Field definitions only; each deal keeps its values in `customFields`, keyed by field id,
+// so renaming a field or its label never touches the deals
+export const createCustomFieldsRepository = (backend, basePath, access) => {
+  const path = `${basePath}/customFields`;
+
+  const assertCanManage = () => {
+    assertPermission(canManageStages(access.role), "Only managers and admins can change custom fields.");
+  };
+
+  return {
+    subscribe: (onChange, onError) => backend.subscribe(path, onChange, onError, { sortBy: 'order' }),
+
+    create: async (field) => {
+      assertCanManage();
+      return backend.add(path, { archived: false, ...field });
+    },
+
+    update: async (fieldId, changes) => {
+      assertCanManage();
+      return backend.update(path, fieldId, changes);
+    },
+
+    reorder: async (orderedIds) => {
+      assertCanManage();
+      return Promise.all(orderedIds.map((fieldId, index) => backend.update(path, fieldId, { order: index })));
+    },
+  };
+};
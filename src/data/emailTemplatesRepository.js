@@ -0,0 +1,38 @@
+import { Timestamp } from 'firebase/firestore';
+import { assertPermission, canReassignAccounts } from '../workspace/roles';
+
+// Templates are shared across the workspace; only their author or a manager can change them
+export const createEmailTemplatesRepository = (backend, basePath, access) => {
+  const path = `${basePath}/emailTemplates`;
+
+  const assertCanChange = async (templateId) => {
+    const template = await backend.get(path, templateId);
+    assertPermission(
+      !!template && (template.createdBy === access.uid || canReassignAccounts(access.role)),
+      "Only managers and admins can change templates someone else wrote."
+    );
+  };
+
+  return {
+    subscribe: (onChange, onError) => backend.subscribe(path, onChange, onError, { sortBy: 'name' }),
+
+    create: ({ name, subject, body }) => backend.add(path, {
+      name: name.trim(),
+      subject,
+      body,
+      createdBy: access.uid,
+      createdByName: access.displayName,
+      createdAt: Timestamp.now(),
+    }),
+
+    update: async (templateId, { name, subject, body }) => {
+      await assertCanChange(templateId);
+      await backend.update(path, templateId, { name: name.trim(), subject, body, updatedAt: Timestamp.now() });
+    },
+
+    remove: async (templateId) => {
+      await assertCanChange(templateId);
+      await backend.remove(path, templateId);
+    },
+  };
+};
@@ -0,0 +1,48 @@
+import { collection, onSnapshot, doc, getDoc, getDocs, setDoc, updateDoc, deleteDoc, addDoc, query, orderBy, limit, startAfter, where } from 'firebase/firestore';
+
+// Builds Firestore query constraints from the backend-neutral options object
+const buildConstraints = ({ filters = [], sortBy, direction = 'asc', pageSize, after } = {}) => {
+  const constraints = filters.map(([field, op, value]) => where(field, op, value));
+  if (sortBy) constraints.push(orderBy(sortBy, direction));
+  if (sortBy && after !== undefined && after !== null) constraints.push(startAfter(after));
+  if (pageSize) constraints.push(limit(pageSize));
+  return constraints;
+};
+
+export const createFirestoreBackend = (db) => ({
+  kind: 'firestore',
+
+  subscribe: (path, onChange, onError, options) => {
+    const q = query(collection(db, path), ...buildConstraints(options));
+    return onSnapshot(q, (snapshot) => {
+      onChange(snapshot.docs.map(d => ({ ...d.data(), id: d.id })));
+    }, onError);
+  },
+
+  list: async (path, options) => {
+    const snapshot = await getDocs(query(collection(db, path), ...buildConstraints(options)));
+    return snapshot.docs.map(d => ({ ...d.data(), id: d.id }));
+  },
+
+  get: async (path, id) => {
+    const snapshot = await getDoc(doc(db, path, id));
+    return snapshot.exists() ? { ...snapshot.data(), id: snapshot.id } : null;
+  },
+
+  add: async (path, data) => {
+    const docRef = await addDoc(collection(db, path), data);
+    return docRef.id;
+  },
+
+  set: async (path, id, data, { merge = false } = {}) => {
+    await setDoc(doc(db, path, id), data, { merge });
+  },
+
+  update: async (path, id, changes) => {
+    await updateDoc(doc(db, path, id), changes);
+  },
+
+  remove: async (path, id) => {
+    await deleteDoc(doc(db, path, id));
+  },
+});
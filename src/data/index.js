@@ -0,0 +1,36 @@
+import { createFirestoreBackend } from './firestoreBackend';
+import { createLocalBackend } from './localBackend';
+
+export { createAccountsRepository } from './accountsRepository';
+export { createActivitiesRepository, ACTIVITY_PAGE_SIZE } from './activitiesRepository';
+export { createApiTokensRepository, hashApiToken, API_TOKEN_PREFIX } from './apiTokensRepository';
+export { createAuditLogRepository } from './auditLogRepository';
+export { createAutomationRulesRepository } from './automationRulesRepository';
+export { createCalendarFeedsRepository } from './calendarFeedsRepository';
+export { createContactsRepository } from './contactsRepository';
+export { createCustomFieldsRepository } from './customFieldsRepository';
+export { createEmailTemplatesRepository } from './emailTemplatesRepository';
+export { createLeadFormsRepository } from './leadFormsRepository';
+export { createMeetingsRepository } from './meetingsRepository';
+export { createNotificationsRepository } from './notificationsRepository';
+export { createProductsRepository } from './productsRepository';
+export { createProposalsRepository } from './proposalsRepository';
+export { createQuotasRepository } from './quotasRepository';
+export { createSavedViewsRepository } from './savedViewsRepository';
+export { createScoreHistoryRepository } from './scoreHistoryRepository';
+export { createSequencesRepository } from './sequencesRepository';
+export { createSettingsRepository } from './settingsRepository';
+export { createStagesRepository } from './stagesRepository';
+export { createStageHistoryRepository } from './stageHistoryRepository';
+export { createTasksRepository } from './tasksRepository';
+export { createWebhooksRepository, DELIVERY_PAGE_SIZE } from './webhooksRepository';
+export { createWorkspacesRepository } from './workspacesRepository';
+
+// REACT_APP_DATA_BACKEND=local runs the CRM without a Firebase project
+export const isLocalMode = (env) => env.REACT_APP_DATA_BACKEND === 'local';
+
+export const LOCAL_USER = { uid: 'local-user', email: 'local@offline', displayName: 'Local User' };
+
+export const createBackend = (env, db) => (
+  isLocalMode(env) ? createLocalBackend({ persist: env.REACT_APP_LOCAL_PERSIST !== 'false' }) : createFirestoreBackend(db)
+);
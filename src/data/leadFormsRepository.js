@@ -0,0 +1,44 @@
+import { Timestamp } from 'firebase/firestore';
+import { assertPermission, canManageStages } from '../workspace/roles';
+
+const generateId = () => Array.from(crypto.getRandomValues(new Uint8Array(12)), byte => byte.toString(16).padStart(2, '0')).join('');
+
+// Web forms sit outside the workspace, like calendar feeds, because the server's public
+// endpoint only has the form id from the page to look them up by.
+export const createLeadFormsRepository = (backend, appId, access) => {
+  const path = `artifacts/${appId}/leadForms`;
+
+  const assertCanManage = () => {
+    assertPermission(canManageStages(access.role), "Only managers and admins can change web forms.");
+  };
+
+  return {
+    subscribe: (workspaceId, onChange, onError) => backend.subscribe(path, onChange, onError, {
+      filters: [['workspaceId', '==', workspaceId]],
+    }),
+
+    create: async (workspaceId, form) => {
+      assertCanManage();
+      const formId = generateId();
+      await backend.set(path, formId, {
+        ...form,
+        workspaceId,
+        submissionCount: 0,
+        lastSubmittedAt: null,
+        createdBy: access.uid,
+        createdAt: Timestamp.now(),
+      });
+      return formId;
+    },
+
+    update: async (formId, changes) => {
+      assertCanManage();
+      await backend.update(path, formId, { ...changes, updatedAt: Timestamp.now() });
+    },
+
+    remove: async (formId) => {
+      assertCanManage();
+      await backend.remove(path, formId);
+    },
+  };
+};
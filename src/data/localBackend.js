@@ -0,0 +1,195 @@
+import { Timestamp } from 'firebase/firestore';
+
+const DB_NAME = 'crm-local';
+const STORE_NAME = 'docs';
+
+const generateId = () => (
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID().replace(/-/g, '').slice(0, 20)
+    : Math.random().toString(36).slice(2) + Date.now().toString(36)
+);
+
+// Timestamps are stored as plain markers so the records survive structured cloning
+const serialize = (value) => {
+  if (value instanceof Timestamp) return { __timestamp: value.toMillis() };
+  if (Array.isArray(value)) return value.map(serialize);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, serialize(v)]));
+  }
+  return value;
+};
+
+const deserialize = (value) => {
+  if (value && typeof value === 'object' && '__timestamp' in value) return Timestamp.fromMillis(value.__timestamp);
+  if (Array.isArray(value)) return value.map(deserialize);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, deserialize(v)]));
+  }
+  return value;
+};
+
+const comparable = (value) => (value instanceof Timestamp ? value.toMillis() : value);
+
+const matches = (docData, [field, op, expected]) => {
+  const actual = comparable(docData[field]);
+  const target = Array.isArray(expected) ? expected.map(comparable) : comparable(expected);
+  switch (op) {
+    case '==': return actual === target;
+    case '!=': return actual !== target;
+    case '<': return actual < target;
+    case '<=': return actual <= target;
+    case '>': return actual > target;
+    case '>=': return actual >= target;
+    case 'in': return target.includes(actual);
+    case 'array-contains': return Array.isArray(docData[field]) && docData[field].includes(expected);
+    default: throw new Error(`Unsupported filter operator: ${op}`);
+  }
+};
+
+const applyOptions = (docs, { filters = [], sortBy, direction = 'asc', pageSize, after } = {}) => {
+  let result = docs.filter(d => filters.every(f => matches(d, f)));
+  if (sortBy) {
+    const sign = direction === 'desc' ? -1 : 1;
+    result = result.sort((a, b) => {
+      const valueA = comparable(a[sortBy]);
+      const valueB = comparable(b[sortBy]);
+      if (valueA === valueB) return 0;
+      if (valueA === undefined || valueA === null) return 1;
+      if (valueB === undefined || valueB === null) return -1;
+      return valueA < valueB ? -sign : sign;
+    });
+    if (after !== undefined && after !== null) {
+      const cursor = comparable(after);
+      result = result.filter(d => (direction === 'desc' ? comparable(d[sortBy]) < cursor : comparable(d[sortBy]) > cursor));
+    }
+  }
+  return pageSize ? result.slice(0, pageSize) : result;
+};
+
+const openDatabase = () => new Promise((resolve) => {
+  if (typeof indexedDB === 'undefined') {
+    resolve(null);
+    return;
+  }
+  const request = indexedDB.open(DB_NAME, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => {
+    console.warn("IndexedDB unavailable, falling back to in-memory storage.");
+    resolve(null);
+  };
+});
+
+// Offline stand-in for Firestore. Documents live in memory and, when `persist` is
+// set and the browser supports it, are written through to IndexedDB.
+export const createLocalBackend = ({ persist = true } = {}) => {
+  const collections = new Map();
+  const listeners = new Set();
+  let database = null;
+
+  const getCollection = (path) => {
+    if (!collections.has(path)) collections.set(path, new Map());
+    return collections.get(path);
+  };
+
+  const ready = (async () => {
+    if (!persist) return;
+    database = await openDatabase();
+    if (!database) return;
+    await new Promise((resolve, reject) => {
+      const request = database.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        const key = cursor.key;
+        const separator = key.lastIndexOf('/');
+        getCollection(key.slice(0, separator)).set(key.slice(separator + 1), deserialize(cursor.value));
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  })();
+
+  const writeThrough = (path, id, data) => new Promise((resolve, reject) => {
+    if (!database) {
+      resolve();
+      return;
+    }
+    const store = database.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+    const request = data === null ? store.delete(`${path}/${id}`) : store.put(serialize(data), `${path}/${id}`);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+
+  const snapshot = (path, options) => applyOptions(
+    Array.from(getCollection(path).entries()).map(([id, data]) => ({ ...data, id })),
+    options
+  );
+
+  const notify = (path) => {
+    listeners.forEach(listener => {
+      if (listener.path === path) listener.onChange(snapshot(path, listener.options));
+    });
+  };
+
+  const write = async (path, id, data) => {
+    await ready;
+    if (data === null) {
+      getCollection(path).delete(id);
+    } else {
+      getCollection(path).set(id, data);
+    }
+    await writeThrough(path, id, data);
+    notify(path);
+  };
+
+  return {
+    kind: 'local',
+
+    subscribe: (path, onChange, onError, options) => {
+      const listener = { path, onChange, options };
+      listeners.add(listener);
+      ready.then(() => {
+        if (listeners.has(listener)) onChange(snapshot(path, options));
+      }, (err) => onError && onError(err));
+      return () => listeners.delete(listener);
+    },
+
+    list: async (path, options) => {
+      await ready;
+      return snapshot(path, options);
+    },
+
+    get: async (path, id) => {
+      await ready;
+      const data = getCollection(path).get(id);
+      return data ? { ...data, id } : null;
+    },
+
+    add: async (path, data) => {
+      const id = generateId();
+      await write(path, id, { ...data });
+      return id;
+    },
+
+    set: async (path, id, data, { merge = false } = {}) => {
+      await ready;
+      const existing = merge ? getCollection(path).get(id) : null;
+      await write(path, id, { ...(existing || {}), ...data });
+    },
+
+    update: async (path, id, changes) => {
+      await ready;
+      const existing = getCollection(path).get(id);
+      if (!existing) throw new Error(`No document to update: ${path}/${id}`);
+      await write(path, id, { ...existing, ...changes });
+    },
+
+    remove: async (path, id) => {
+      await write(path, id, null);
+    },
+  };
+};
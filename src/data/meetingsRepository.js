@@ -0,0 +1,105 @@
+import { Timestamp } from 'firebase/firestore';
+import { assertPermission, canEditAccount, canReassignAccounts } from '../workspace/roles';
+
+const toTimestamp = (value) => (value ? Timestamp.fromDate(new Date(value)) : null);
+
+const normalizeMeeting = (meeting) => {
+  const normalized = { ...meeting };
+  ['start', 'end'].forEach(key => {
+    if (key in meeting) normalized[key] = toTimestamp(meeting[key]);
+  });
+  return normalized;
+};
+
+// Meetings are workspace-wide like tasks so the calendar needs one query. Imported
+// meetings keep their calendar UID so importing the same file again updates them.
+export const createMeetingsRepository = (backend, basePath, access) => {
+  const path = `${basePath}/meetings`;
+  const accountsPath = `${basePath}/accounts`;
+
+  const assertCanChange = async (meetingId) => {
+    const meeting = await backend.get(path, meetingId);
+    assertPermission(
+      !!meeting && (meeting.ownerId === access.uid || canReassignAccounts(access.role)),
+      "You can only change meetings you own."
+    );
+    return meeting;
+  };
+
+  const create = async (account, { title, start, end = null, allDay = false, location = '', attendees = [], description = '', externalUid = null, source = 'manual' }) => {
+    const existing = await backend.get(accountsPath, account.id);
+    assertPermission(canEditAccount(access, existing), "You can only add meetings to accounts you own.");
+    return backend.add(path, normalizeMeeting({
+      accountId: account.id,
+      companyName: account.companyName,
+      title,
+      start,
+      end,
+      allDay,
+      location,
+      attendees,
+      description,
+      agenda: '',
+      externalUid,
+      source,
+      ownerId: access.uid,
+      ownerName: access.displayName,
+      createdAt: Timestamp.now(),
+    }));
+  };
+
+  return {
+    subscribe: (onChange, onError) => backend.subscribe(path, onChange, onError, { sortBy: 'start' }),
+
+    create,
+
+    update: async (meetingId, changes) => {
+      await assertCanChange(meetingId);
+      await backend.update(path, meetingId, normalizeMeeting(changes));
+    },
+
+    reschedule: async (meetingId, { start, end }) => {
+      await assertCanChange(meetingId);
+      await backend.update(path, meetingId, normalizeMeeting({ start, end }));
+    },
+
+    // Agendas are stored as markdown and rendered where the meeting is shown
+    attachAgenda: async (meetingId, agenda) => {
+      await assertCanChange(meetingId);
+      await backend.update(path, meetingId, { agenda, agendaUpdatedAt: Timestamp.now() });
+    },
+
+    remove: async (meetingId) => {
+      await assertCanChange(meetingId);
+      await backend.remove(path, meetingId);
+    },
+
+    // `matches` are [{ account, event }] from a parsed .ics file. Re-imports refresh the
+    // time, title and attendees but keep any agenda already attached.
+    importEvents: async (matches) => {
+      let created = 0;
+      let updated = 0;
+      for (const { account, event } of matches) {
+        const fields = {
+          title: event.title || 'Meeting',
+          start: event.start,
+          end: event.end,
+          allDay: event.allDay,
+          location: event.location,
+          attendees: event.attendees,
+          description: event.description,
+        };
+        const sameEvent = event.uid ? await backend.list(path, { filters: [['externalUid', '==', event.uid]] }) : [];
+        const existing = sameEvent.find(meeting => meeting.ownerId === access.uid);
+        if (existing) {
+          await backend.update(path, existing.id, normalizeMeeting({ ...fields, accountId: account.id, companyName: account.companyName }));
+          updated += 1;
+        } else {
+          await create(account, { ...fields, externalUid: event.uid || null, source: 'ics' });
+          created += 1;
+        }
+      }
+      return { created, updated };
+    },
+  };
+};
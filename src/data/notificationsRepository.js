@@ -0,0 +1,28 @@
+import { Timestamp } from 'firebase/firestore';
+
+// In-app notifications, e.g. from automation rules. Each member only reads their own.
+export const createNotificationsRepository = (backend, basePath, access) => {
+  const path = `${basePath}/notifications`;
+
+  return {
+    subscribeUnread: (onChange, onError) => backend.subscribe(path, onChange, onError, {
+      filters: [['recipientId', '==', access.uid], ['read', '==', false]],
+      sortBy: 'createdAt',
+      direction: 'desc',
+    }),
+
+    create: ({ recipientId, title, body = '', accountId = null, source = 'automation' }) => backend.add(path, {
+      recipientId,
+      title,
+      body,
+      accountId,
+      source,
+      read: false,
+      createdBy: access.uid,
+      createdByName: access.displayName,
+      createdAt: Timestamp.now(),
+    }),
+
+    markRead: (notificationId) => backend.update(path, notificationId, { read: true, readAt: Timestamp.now() }),
+  };
+};
@@ -0,0 +1,40 @@
+import { Timestamp } from 'firebase/firestore';
+import { assertPermission, canManageStages } from '../workspace/roles';
+import { getBillingType } from '../products/lineItems';
+
+const normalizeProduct = (product) => ({
+  name: (product.name || '').trim(),
+  description: product.description || '',
+  category: product.category || 'other',
+  billing: getBillingType(product.billing).value,
+  unit: product.unit || '',
+  unitPrice: Math.max(0, Number(product.unitPrice) || 0),
+  defaultDiscountPercent: Math.min(100, Math.max(0, Number(product.defaultDiscountPercent) || 0)),
+});
+
+// The price list is shared by the workspace and only managers and admins change it.
+// Products are archived rather than deleted so old deals keep pointing at them.
+export const createProductsRepository = (backend, basePath, access) => {
+  const path = `${basePath}/products`;
+
+  const assertCanManage = () => assertPermission(canManageStages(access.role), "Only managers and admins can change the product catalog.");
+
+  return {
+    subscribe: (onChange, onError) => backend.subscribe(path, onChange, onError, { sortBy: 'name' }),
+
+    create: async (product) => {
+      assertCanManage();
+      return backend.add(path, { ...normalizeProduct(product), archived: false, createdBy: access.uid, createdAt: Timestamp.now() });
+    },
+
+    update: async (productId, product) => {
+      assertCanManage();
+      return backend.update(path, productId, { ...normalizeProduct(product), updatedAt: Timestamp.now() });
+    },
+
+    setArchived: async (productId, archived) => {
+      assertCanManage();
+      return backend.update(path, productId, { archived });
+    },
+  };
+};
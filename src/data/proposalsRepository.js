@@ -0,0 +1,43 @@
+import { Timestamp } from 'firebase/firestore';
+import { assertPermission, canEditAccount } from '../workspace/roles';
+
+// Every saved proposal is kept as a numbered version so the one a client received can be found later
+export const createProposalsRepository = (backend, basePath, access) => {
+  const accountsPath = `${basePath}/accounts`;
+  const pathFor = (accountId) => `${accountsPath}/${accountId}/proposals`;
+
+  const assertCanEdit = async (accountId) => {
+    const account = await backend.get(accountsPath, accountId);
+    assertPermission(canEditAccount(access, account), "You can only write proposals for accounts you own.");
+  };
+
+  return {
+    subscribe: (accountId, onChange, onError) => backend.subscribe(pathFor(accountId), onChange, onError, { sortBy: 'version', direction: 'desc' }),
+
+    saveVersion: async (accountId, { markdown, sections, source = 'manual' }) => {
+      await assertCanEdit(accountId);
+      const existing = await backend.list(pathFor(accountId));
+      const version = existing.reduce((max, proposal) => Math.max(max, proposal.version || 0), 0) + 1;
+      const proposal = {
+        version,
+        markdown,
+        sections: sections || null,
+        source,
+        deliveredAt: null,
+        deliveredVia: null,
+        createdBy: access.uid,
+        createdByName: access.displayName,
+        createdAt: Timestamp.now(),
+      };
+      const id = await backend.add(pathFor(accountId), proposal);
+      return { id, ...proposal };
+    },
+
+    // 'email' or 'pdf'; the first delivery is kept so follow-ups count from when the client got it
+    markDelivered: async (accountId, proposal, via) => {
+      await assertCanEdit(accountId);
+      if (proposal.deliveredAt) return;
+      await backend.update(pathFor(accountId), proposal.id, { deliveredAt: Timestamp.now(), deliveredVia: via });
+    },
+  };
+};
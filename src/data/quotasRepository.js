@@ -0,0 +1,21 @@
+import { Timestamp } from 'firebase/firestore';
+import { assertPermission, canReassignAccounts } from '../workspace/roles';
+
+// One document per member, keyed by uid, holding their monthly and quarterly quota
+export const createQuotasRepository = (backend, basePath, access) => {
+  const path = `${basePath}/quotas`;
+
+  return {
+    subscribe: (onChange, onError) => backend.subscribe(path, onChange, onError),
+
+    setQuota: (userId, { monthly, quarterly }) => {
+      assertPermission(userId === access.uid || canReassignAccounts(access.role), "Only managers and admins can set someone else's quota.");
+      return backend.set(path, userId, {
+        monthly: Number(monthly) || 0,
+        quarterly: Number(quarterly) || 0,
+        updatedBy: access.uid,
+        updatedAt: Timestamp.now(),
+      }, { merge: true });
+    },
+  };
+};
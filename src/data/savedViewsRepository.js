@@ -0,0 +1,25 @@
+import { Timestamp } from 'firebase/firestore';
+
+// Named board filters; each view belongs to the user who saved it
+export const createSavedViewsRepository = (backend, basePath, access) => {
+  const path = `${basePath}/savedViews`;
+
+  return {
+    subscribe: (onChange, onError) => backend.subscribe(path, onChange, onError, {
+      filters: [['ownerId', '==', access.uid]],
+      sortBy: 'name',
+    }),
+
+    create: (name, { filters, sortBy }) => backend.add(path, {
+      name: name.trim(),
+      filters,
+      sortBy,
+      ownerId: access.uid,
+      createdAt: Timestamp.now(),
+    }),
+
+    update: (viewId, { filters, sortBy }) => backend.update(path, viewId, { filters, sortBy }),
+
+    remove: (viewId) => backend.remove(path, viewId),
+  };
+};
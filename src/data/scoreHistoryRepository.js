@@ -0,0 +1,21 @@
+import { Timestamp } from 'firebase/firestore';
+
+// Every score an account has had, so a number on a card can always be traced back
+export const createScoreHistoryRepository = (backend, basePath, access) => {
+  const pathFor = (accountId) => `${basePath}/accounts/${accountId}/scoreHistory`;
+
+  return {
+    subscribe: (accountId, onChange, onError) => backend.subscribe(pathFor(accountId), onChange, onError, { sortBy: 'createdAt' }),
+
+    record: (accountId, { score, method, factors = [], rationale = '', reason = '' }) => backend.add(pathFor(accountId), {
+      score,
+      method,
+      factors,
+      rationale,
+      reason,
+      changedBy: access.uid,
+      changedByName: access.displayName,
+      createdAt: Timestamp.now(),
+    }),
+  };
+};
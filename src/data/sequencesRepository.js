@@ -0,0 +1,143 @@
+import { Timestamp } from 'firebase/firestore';
+import { assertPermission, canEditAccount, canReassignAccounts } from '../workspace/roles';
+import { getStepDueDate, isSequenceFinished } from '../email/sequences';
+
+// Sequences are shared step lists; enrollments are one account working through one
+// sequence, kept workspace-wide so each user's runner needs a single query.
+export const createSequencesRepository = (backend, basePath, access) => {
+  const sequencesPath = `${basePath}/sequences`;
+  const enrollmentsPath = `${basePath}/sequenceEnrollments`;
+  const stepRunsPath = `${basePath}/sequenceStepRuns`;
+  const accountsPath = `${basePath}/accounts`;
+
+  const assertCanChangeSequence = async (sequenceId) => {
+    const sequence = await backend.get(sequencesPath, sequenceId);
+    assertPermission(
+      !!sequence && (sequence.createdBy === access.uid || canReassignAccounts(access.role)),
+      "Only managers and admins can change sequences someone else built."
+    );
+  };
+
+  const assertCanChangeEnrollment = async (enrollmentId) => {
+    const enrollment = await backend.get(enrollmentsPath, enrollmentId);
+    assertPermission(
+      !!enrollment && (enrollment.ownerId === access.uid || canReassignAccounts(access.role)),
+      "You can only change sequences you enrolled."
+    );
+    return enrollment;
+  };
+
+  // Writes the whole step list at once and completes the enrollment when nothing is left to do
+  const writeSteps = (enrollmentId, steps) => backend.update(enrollmentsPath, enrollmentId, {
+    steps,
+    ...(isSequenceFinished(steps) ? { status: 'completed', completedAt: Timestamp.now() } : {}),
+  });
+
+  const normalizeSteps = (steps) => steps
+    .map(step => ({ day: Math.max(0, Number(step.day) || 0), action: step.action, templateId: step.templateId || '', title: step.title || '' }))
+    .sort((a, b) => a.day - b.day);
+
+  return {
+    subscribeSequences: (onChange, onError) => backend.subscribe(sequencesPath, onChange, onError, { sortBy: 'name' }),
+
+    createSequence: ({ name, steps }) => backend.add(sequencesPath, {
+      name: name.trim(),
+      steps: normalizeSteps(steps),
+      createdBy: access.uid,
+      createdByName: access.displayName,
+      createdAt: Timestamp.now(),
+    }),
+
+    updateSequence: async (sequenceId, { name, steps }) => {
+      await assertCanChangeSequence(sequenceId);
+      await backend.update(sequencesPath, sequenceId, { name: name.trim(), steps: normalizeSteps(steps), updatedAt: Timestamp.now() });
+    },
+
+    // Running enrollments keep their own copy of the steps, so removing a sequence does not stop them
+    removeSequence: async (sequenceId) => {
+      await assertCanChangeSequence(sequenceId);
+      await backend.remove(sequencesPath, sequenceId);
+    },
+
+    subscribeActiveEnrollments: (onChange, onError) => backend.subscribe(enrollmentsPath, onChange, onError, {
+      filters: [['ownerId', '==', access.uid], ['status', '==', 'active']],
+    }),
+
+    subscribeEnrollmentsForAccount: (accountId, onChange, onError) => backend.subscribe(enrollmentsPath, onChange, onError, {
+      filters: [['accountId', '==', accountId]],
+      sortBy: 'enrolledAt',
+      direction: 'desc',
+    }),
+
+    enroll: async (accountId, sequence) => {
+      const account = await backend.get(accountsPath, accountId);
+      assertPermission(canEditAccount(access, account), "You can only enroll accounts you own.");
+      const enrollments = await backend.list(enrollmentsPath, { filters: [['accountId', '==', accountId]] });
+      if (enrollments.some(e => e.sequenceId === sequence.id && e.status === 'active')) {
+        throw new Error(`${account.companyName} is already enrolled in ${sequence.name}.`);
+      }
+      const enrolledAt = Timestamp.now();
+      return backend.add(enrollmentsPath, {
+        accountId,
+        companyName: account.companyName,
+        sequenceId: sequence.id,
+        sequenceName: sequence.name,
+        stage: account.stage,
+        steps: sequence.steps.map(step => ({
+          ...step,
+          dueAt: Timestamp.fromDate(getStepDueDate(enrolledAt.toDate(), step.day)),
+          status: 'pending',
+          subject: '',
+          body: '',
+          taskId: null,
+          sentAt: null,
+        })),
+        status: 'active',
+        stopReason: '',
+        ownerId: access.uid,
+        ownerName: access.displayName,
+        enrolledAt,
+      });
+    },
+
+    updateSteps: async (enrollmentId, steps) => {
+      await assertCanChangeEnrollment(enrollmentId);
+      await writeSteps(enrollmentId, steps);
+    },
+
+    // Returns false when another tab or device already ran this step. Like automation runs,
+    // claims are create-only, so of two clients racing past the read only one write succeeds.
+    claimStep: async (enrollmentId, index) => {
+      const runId = `${enrollmentId}_${index}`;
+      if (await backend.get(stepRunsPath, runId)) return false;
+      try {
+        await backend.set(stepRunsPath, runId, { enrollmentId, step: index, ranBy: access.uid, ranAt: Timestamp.now() });
+      } catch (err) {
+        if (err.code === 'permission-denied' || err.code === 'already-exists') return false;
+        throw err;
+      }
+      return true;
+    },
+
+    markStep: async (enrollment, index, status, changes = {}) => {
+      await assertCanChangeEnrollment(enrollment.id);
+      await writeSteps(enrollment.id, enrollment.steps.map((step, i) => (
+        i === index ? { ...step, ...changes, status, sentAt: status === 'sent' ? Timestamp.now() : step.sentAt } : step
+      )));
+    },
+
+    stop: async (enrollmentId, reason) => {
+      await assertCanChangeEnrollment(enrollmentId);
+      await backend.update(enrollmentsPath, enrollmentId, { status: 'stopped', stopReason: reason, stoppedAt: Timestamp.now() });
+    },
+
+    stopForAccount: async (accountId, reason) => {
+      const enrollments = await backend.list(enrollmentsPath, { filters: [['accountId', '==', accountId], ['status', '==', 'active']] });
+      await Promise.all(enrollments.map(enrollment => backend.update(enrollmentsPath, enrollment.id, {
+        status: 'stopped',
+        stopReason: reason,
+        stoppedAt: Timestamp.now(),
+      })));
+    },
+  };
+};
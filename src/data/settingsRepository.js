@@ -0,0 +1,18 @@
+import { Timestamp } from 'firebase/firestore';
+import { assertPermission, canManageStages } from '../workspace/roles';
+
+// Workspace-wide settings, one document per area (e.g. 'email'); managers and admins change them
+export const createSettingsRepository = (backend, basePath, access) => {
+  const path = `${basePath}/settings`;
+
+  return {
+    subscribe: (key, onChange, onError) => backend.subscribe(path, (documents) => {
+      onChange(documents.find(document => document.id === key) || null);
+    }, onError),
+
+    save: async (key, values) => {
+      assertPermission(canManageStages(access.role), "Only managers and admins can change workspace settings.");
+      await backend.set(path, key, { ...values, updatedBy: access.uid, updatedAt: Timestamp.now() }, { merge: true });
+    },
+  };
+};
@@ -0,0 +1,35 @@
+import { Timestamp } from 'firebase/firestore';
+
+// One workspace-wide log of stage transitions, so velocity reports need a single query
+export const createStageHistoryRepository = (backend, basePath, access) => {
+  const path = `${basePath}/stageHistory`;
+
+  return {
+    subscribe: (onChange, onError) => backend.subscribe(path, onChange, onError, { sortBy: 'changedAt' }),
+
+    listForAccount: (accountId) => backend.list(path, { filters: [['accountId', '==', accountId]] }),
+
+    record: ({ accountId, companyName, fromStage, toStage, source, changedAt = Timestamp.now() }) => backend.add(path, {
+      accountId,
+      companyName: companyName || '',
+      fromStage: fromStage || null,
+      toStage,
+      source,
+      changedBy: access.uid,
+      changedByName: access.displayName,
+      changedAt,
+    }),
+
+    // Keeps velocity reports continuous across a stage rename
+    renameStage: async (fromStageName, toStageName) => {
+      const [leaving, entering] = await Promise.all([
+        backend.list(path, { filters: [['fromStage', '==', fromStageName]] }),
+        backend.list(path, { filters: [['toStage', '==', fromStageName]] }),
+      ]);
+      await Promise.all([
+        ...leaving.map(entry => backend.update(path, entry.id, { fromStage: toStageName })),
+        ...entering.map(entry => backend.update(path, entry.id, { toStage: toStageName })),
+      ]);
+    },
+  };
+};
@@ -0,0 +1,32 @@
+import { DEFAULT_STAGES } from '../pipeline/stages';
+import { assertPermission, canManageStages } from '../workspace/roles';
+
+export const createStagesRepository = (backend, basePath, access) => {
+  const path = `${basePath}/stages`;
+
+  const assertCanManage = () => {
+    assertPermission(canManageStages(access.role), "Only managers and admins can change pipeline stages.");
+  };
+
+  return {
+    subscribe: (onChange, onError) => backend.subscribe(path, onChange, onError, { sortBy: 'order' }),
+
+    // Uses fixed ids so seeding twice (e.g. from two tabs) cannot duplicate stages
+    seedDefaults: () => Promise.all(DEFAULT_STAGES.map(({ id, ...stage }) => backend.set(path, id, stage))),
+
+    create: (stage) => {
+      assertCanManage();
+      return backend.add(path, { archived: false, ...stage });
+    },
+
+    update: (stageId, changes) => {
+      assertCanManage();
+      return backend.update(path, stageId, changes);
+    },
+
+    reorder: (orderedIds) => {
+      assertCanManage();
+      return Promise.all(orderedIds.map((stageId, index) => backend.update(path, stageId, { order: index })));
+    },
+  };
+};
@@ -0,0 +1,62 @@
+import { Timestamp } from 'firebase/firestore';
+import { assertPermission, canEditAccount, canReassignAccounts } from '../workspace/roles';
+
+// Tasks are workspace-wide rather than per account so the inbox needs one query
+export const createTasksRepository = (backend, basePath, access) => {
+  const path = `${basePath}/tasks`;
+  const accountsPath = `${basePath}/accounts`;
+
+  const assertCanChange = async (taskId) => {
+    const task = await backend.get(path, taskId);
+    assertPermission(
+      !!task && (task.assigneeId === access.uid || task.createdBy === access.uid || canReassignAccounts(access.role)),
+      "You can only change tasks assigned to or created by you."
+    );
+    return task;
+  };
+
+  return {
+    subscribeOpen: (onChange, onError) => backend.subscribe(path, onChange, onError, { filters: [['completed', '==', false]] }),
+
+    subscribeForAccount: (accountId, onChange, onError) => backend.subscribe(path, onChange, onError, {
+      filters: [['accountId', '==', accountId]],
+    }),
+
+    create: async (account, { title, type = 'todo', priority = 'medium', dueDate, assigneeId, assigneeName, source = 'manual', draft = null }) => {
+      const existing = await backend.get(accountsPath, account.id);
+      assertPermission(canEditAccount(access, existing), "You can only add tasks to accounts you own.");
+      return backend.add(path, {
+        accountId: account.id,
+        companyName: account.companyName,
+        title,
+        type,
+        priority,
+        dueDate: dueDate ? Timestamp.fromDate(new Date(dueDate)) : null,
+        assigneeId: assigneeId || access.uid,
+        assigneeName: assigneeName || access.displayName,
+        completed: false,
+        completedAt: null,
+        source,
+        // An email an automation rule wrote for the assignee to review and send
+        draft,
+        createdBy: access.uid,
+        createdAt: Timestamp.now(),
+      });
+    },
+
+    update: async (taskId, changes) => {
+      await assertCanChange(taskId);
+      await backend.update(path, taskId, changes);
+    },
+
+    setCompleted: async (taskId, completed) => {
+      await assertCanChange(taskId);
+      await backend.update(path, taskId, { completed, completedAt: completed ? Timestamp.now() : null });
+    },
+
+    remove: async (taskId) => {
+      await assertCanChange(taskId);
+      await backend.remove(path, taskId);
+    },
+  };
+};
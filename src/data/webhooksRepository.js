@@ -0,0 +1,73 @@
+import { Timestamp } from 'firebase/firestore';
+import { assertPermission, canManageMembers } from '../workspace/roles';
+
+export const DELIVERY_PAGE_SIZE = 50;
+
+const generateSecret = () => `whsec_${Array.from(crypto.getRandomValues(new Uint8Array(24)), byte => byte.toString(16).padStart(2, '0')).join('')}`;
+
+// Outbound webhook subscriptions hold the signing secret, so only admins read or write
+// them. The server sends the events and writes the delivery log. Whether any subscription
+// is enabled is copied to the members-readable 'webhooks' settings, so members' sessions
+// only report account changes when something listens for them.
+export const createWebhooksRepository = (backend, basePath, access) => {
+  const path = `${basePath}/webhooks`;
+  const deliveriesPath = `${basePath}/webhookDeliveries`;
+
+  const assertCanManage = () => {
+    assertPermission(canManageMembers(access.role), "Only admins can change webhooks.");
+  };
+
+  const syncActive = async () => {
+    const enabled = await backend.list(path, { filters: [['enabled', '==', true]] });
+    await backend.set(`${basePath}/settings`, 'webhooks', { active: enabled.length > 0, updatedBy: access.uid, updatedAt: Timestamp.now() }, { merge: true });
+  };
+
+  return {
+    subscribe: (onChange, onError) => backend.subscribe(path, onChange, onError, { sortBy: 'createdAt' }),
+
+    subscribeDeliveries: (onChange, onError) => backend.subscribe(deliveriesPath, onChange, onError, {
+      sortBy: 'createdAt',
+      direction: 'desc',
+      pageSize: DELIVERY_PAGE_SIZE,
+    }),
+
+    create: async ({ url, events, description = '' }) => {
+      assertCanManage();
+      const webhookId = await backend.add(path, {
+        url,
+        events,
+        description,
+        enabled: true,
+        secret: generateSecret(),
+        createdBy: access.uid,
+        createdAt: Timestamp.now(),
+      });
+      await syncActive();
+      return webhookId;
+    },
+
+    update: async (webhookId, changes) => {
+      assertCanManage();
+      await backend.update(path, webhookId, { ...changes, updatedAt: Timestamp.now() });
+      if ('enabled' in changes) await syncActive();
+    },
+
+    // For workspaces whose webhooks were set up before the flag existed
+    syncActive: async () => {
+      assertCanManage();
+      await syncActive();
+    },
+
+    // The old secret stops working at once; receivers need the new one before the next event
+    rotateSecret: async (webhookId) => {
+      assertCanManage();
+      await backend.update(path, webhookId, { secret: generateSecret(), updatedAt: Timestamp.now() });
+    },
+
+    remove: async (webhookId) => {
+      assertCanManage();
+      await backend.remove(path, webhookId);
+      await syncActive();
+    },
+  };
+};
@@ -0,0 +1,95 @@
+import { Timestamp } from 'firebase/firestore';
+
+// Workspaces hold the shared pipeline. Each user also keeps a membership index
+// under their own profile so they can find their workspaces without a collection-group query.
+export const createWorkspacesRepository = (backend, appId) => {
+  const root = `artifacts/${appId}`;
+  const membershipsPath = (uid) => `${root}/users/${uid}/memberships`;
+  const membersPath = (workspaceId) => `${root}/workspaces/${workspaceId}/members`;
+  const invitationsPath = `${root}/invitations`;
+
+  const addMember = async (workspaceId, workspaceName, user, role) => {
+    await backend.set(membersPath(workspaceId), user.uid, {
+      uid: user.uid,
+      email: user.email,
+      displayName: user.displayName || user.email,
+      role,
+      joinedAt: Timestamp.now(),
+    });
+    await backend.set(membershipsPath(user.uid), workspaceId, { workspaceId, workspaceName, role });
+  };
+
+  return {
+    workspacePath: (workspaceId) => `${root}/workspaces/${workspaceId}`,
+
+    subscribeMemberships: (uid, onChange, onError) => backend.subscribe(membershipsPath(uid), onChange, onError),
+
+    listMemberships: (uid) => backend.list(membershipsPath(uid)),
+
+    createWorkspace: async (user, name) => {
+      const workspaceId = await backend.add(`${root}/workspaces`, { name, createdBy: user.uid, createdAt: Timestamp.now() });
+      await addMember(workspaceId, name, user, 'admin');
+      return workspaceId;
+    },
+
+    subscribeMembers: (workspaceId, onChange, onError) => backend.subscribe(membersPath(workspaceId), onChange, onError),
+
+    subscribeInvitations: (workspaceId, onChange, onError) => (
+      backend.subscribe(invitationsPath, onChange, onError, { filters: [['workspaceId', '==', workspaceId]] })
+    ),
+
+    inviteMember: (workspace, email, role, invitedBy) => {
+      const normalizedEmail = email.trim().toLowerCase();
+      return backend.set(invitationsPath, `${workspace.workspaceId}_${normalizedEmail}`, {
+        email: normalizedEmail,
+        workspaceId: workspace.workspaceId,
+        workspaceName: workspace.workspaceName,
+        role,
+        invitedBy,
+        createdAt: Timestamp.now(),
+      });
+    },
+
+    cancelInvitation: (invitationId) => backend.remove(invitationsPath, invitationId),
+
+    // Joins every workspace the user was invited to before they signed up or logged in.
+    // Only a verified address can take an invited seat; the security rules check it too.
+    acceptInvitations: async (user) => {
+      if (!user.email || user.emailVerified === false) return 0;
+      const invitations = await backend.list(invitationsPath, { filters: [['email', '==', user.email.toLowerCase()]] });
+      for (const invitation of invitations) {
+        await addMember(invitation.workspaceId, invitation.workspaceName, user, invitation.role);
+        await backend.remove(invitationsPath, invitation.id);
+      }
+      return invitations.length;
+    },
+
+    updateMemberRole: async (workspaceId, uid, role) => {
+      await backend.update(membersPath(workspaceId), uid, { role });
+      await backend.update(membershipsPath(uid), workspaceId, { role });
+    },
+
+    removeMember: async (workspaceId, uid) => {
+      await backend.remove(membersPath(workspaceId), uid);
+      await backend.remove(membershipsPath(uid), workspaceId);
+    },
+
+    // Copies a user's pre-workspace accounts and stages into their first workspace.
+    // The personal copies are left in place so nothing is lost if the copy is interrupted.
+    importPersonalData: async (user, workspaceId) => {
+      const personalPath = `${root}/users/${user.uid}`;
+      const targetPath = `${root}/workspaces/${workspaceId}`;
+      const [accounts, stages] = await Promise.all([
+        backend.list(`${personalPath}/accounts`),
+        backend.list(`${personalPath}/stages`),
+      ]);
+      await Promise.all(stages.map(({ id, ...stage }) => backend.set(`${targetPath}/stages`, id, stage)));
+      await Promise.all(accounts.map(({ id, ...account }) => backend.set(`${targetPath}/accounts`, id, {
+        ...account,
+        ownerId: account.ownerId || user.uid,
+        ownerName: account.ownerName || user.displayName || user.email,
+      })));
+      return accounts.length;
+    },
+  };
+};
@@ -0,0 +1,28 @@
+export const FOLLOW_UP_RULES = [
+  { value: 'off', label: "Leave the follow-up date alone" },
+  { value: 'if_empty', label: 'Set it when no follow-up is scheduled' },
+  { value: 'always', label: 'Always move it' },
+];
+
+export const DEFAULT_EMAIL_SETTINGS = { followUpRule: 'if_empty', followUpDays: 3 };
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const toDateInputValue = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// The follow-up date to set after an email goes out, or null to leave it alone.
+// Dates that land on a weekend move to the Monday after.
+export const getFollowUpAfterSend = (account, settings, sentAt = new Date()) => {
+  const { followUpRule, followUpDays } = { ...DEFAULT_EMAIL_SETTINGS, ...settings };
+  if (followUpRule === 'off') return null;
+  const current = account.nextFollowUpDate?.toDate();
+  if (followUpRule === 'if_empty' && current && current >= startOfDay(sentAt)) return null;
+  const date = startOfDay(sentAt);
+  date.setDate(date.getDate() + Number(followUpDays || 0));
+  if (date.getDay() === 6) date.setDate(date.getDate() + 2);
+  if (date.getDay() === 0) date.setDate(date.getDate() + 1);
+  return toDateInputValue(date);
+};
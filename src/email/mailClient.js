@@ -0,0 +1,23 @@
+// Mail goes out through the server in server/, which holds the SMTP or mail API credentials
+export const getMailConfig = (env) => ({
+  baseUrl: (env.REACT_APP_API_URL || '/api').replace(/\/$/, ''),
+});
+
+export const createMailClient = ({ baseUrl }, { getIdToken, fetchImpl = (...args) => fetch(...args) } = {}) => ({
+  send: async ({ to, subject, body }) => {
+    const token = getIdToken ? await getIdToken() : null;
+    let response;
+    try {
+      response = await fetchImpl(`${baseUrl}/email/send`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+        body: JSON.stringify({ to, subject, body }),
+      });
+    } catch (err) {
+      throw new Error("Could not reach the mail server.");
+    }
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `The mail server responded with ${response.status}.`);
+    return data;
+  },
+});
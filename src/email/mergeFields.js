@@ -0,0 +1,65 @@
+// Placeholders a template can use, written as {{key}}
+export const MERGE_FIELDS = [
+  { key: 'contactName', label: 'Contact name' },
+  { key: 'firstName', label: 'Contact first name' },
+  { key: 'contactTitle', label: 'Contact title' },
+  { key: 'contactEmail', label: 'Contact email' },
+  { key: 'companyName', label: 'Company name' },
+  { key: 'servicesNeeded', label: 'Services needed' },
+  { key: 'industry', label: 'Industry' },
+  { key: 'website', label: 'Website' },
+  { key: 'senderName', label: 'Your name' },
+];
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+// A linked contact wins over the flat contact fields on the account
+export const buildMergeContext = ({ account, contact = null, sender = null }) => {
+  const contactName = contact?.name || account.contactName || '';
+  return {
+    contactName,
+    firstName: contactName.split(' ')[0] || '',
+    contactTitle: contact?.title || account.contactTitle || '',
+    contactEmail: contact?.email || account.contactEmail || '',
+    companyName: account.companyName || '',
+    servicesNeeded: account.servicesNeeded || '',
+    industry: account.industry || '',
+    website: account.website || '',
+    senderName: sender?.displayName || '',
+  };
+};
+
+// Unknown or empty placeholders render as nothing rather than leaking braces into an email
+export const renderTemplate = (text, context) => (text || '').replace(PLACEHOLDER, (match, key) => context[key] ?? '');
+
+export const findMissingFields = (texts, context) => {
+  const keys = new Set();
+  texts.forEach(text => {
+    for (const [, key] of (text || '').matchAll(PLACEHOLDER)) {
+      if (!context[key]) keys.add(key);
+    }
+  });
+  return Array.from(keys);
+};
+
+export const renderEmail = (template, context) => ({
+  subject: renderTemplate(template.subject, context),
+  body: renderTemplate(template.body, context),
+});
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Turns a finished email back into a template by swapping this account's values for
+// their placeholders, longest first so a full name wins over the first name inside it
+export const toTemplateText = (text, context) => Object.entries(context)
+  .filter(([, value]) => value && value.length >= 3)
+  .sort((a, b) => b[1].length - a[1].length)
+  .reduce((result, [key, value]) => result.replace(new RegExp(`(?<!\\w)${escapeRegExp(value)}(?!\\w)`, 'g'), `{{${key}}}`), text);
+
+// AI drafts come back as one block of text starting with a "Subject:" line
+export const parseDraft = (text) => {
+  const match = text.match(/^\s*\**subject:?\**\s*(.+)\n+/i);
+  return match ? { subject: match[1].trim(), body: text.slice(match[0].length).trim() } : { subject: '', body: text.trim() };
+};
+
+export const formatEmail = ({ subject, body }) => (subject ? `Subject: ${subject}\n\n${body}` : body);
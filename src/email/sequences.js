@@ -0,0 +1,37 @@
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+export const STEP_ACTIONS = [
+  { value: 'email', label: 'Prepare email draft' },
+  { value: 'task', label: 'Create task' },
+];
+
+// pending → ready (draft waiting to be sent) → sent; task steps go straight to done
+export const STEP_STATUSES = {
+  pending: { label: 'Scheduled', className: 'bg-gray-200 text-gray-700' },
+  ready: { label: 'Ready to send', className: 'bg-blue-200 text-blue-800' },
+  sent: { label: 'Sent', className: 'bg-green-200 text-green-800' },
+  done: { label: 'Task created', className: 'bg-green-200 text-green-800' },
+  skipped: { label: 'Skipped', className: 'bg-gray-200 text-gray-500' },
+};
+
+const FINISHED_STATUSES = ['sent', 'done', 'skipped'];
+
+export const getStepDueDate = (enrolledAt, day) => new Date(enrolledAt.getTime() + day * DAY_MS);
+
+export const newSequenceStep = (previous) => ({ day: previous ? previous.day + 3 : 0, action: 'email', templateId: '', title: '' });
+
+export const describeStep = (step, templates) => (
+  step.action === 'email'
+    ? templates.find(template => template.id === step.templateId)?.name || 'Missing template'
+    : step.title || 'Untitled task'
+);
+
+export const getDueStepIndexes = (enrollment, now = Date.now()) => enrollment.steps
+  .map((step, index) => ({ step, index }))
+  .filter(({ step }) => step.status === 'pending' && step.dueAt && step.dueAt.toMillis() <= now)
+  .map(({ index }) => index);
+
+export const isSequenceFinished = (steps) => steps.every(step => FINISHED_STATUSES.includes(step.status));
+
+// A sequence only makes sense for the stage the deal was in when it was enrolled
+export const getStopReason = (enrollment, account) => (account.stage !== enrollment.stage ? `Deal moved to ${account.stage}` : null);
@@ -0,0 +1,48 @@
+// Offered when a workspace has no templates yet, so sequences work out of the box
+export const STARTER_TEMPLATES = [
+  {
+    key: 'intro',
+    name: 'Intro',
+    subject: '{{servicesNeeded}} for {{companyName}}',
+    body: `Hi {{firstName}},
+
+Thanks for your interest in {{servicesNeeded}}. I work with teams like {{companyName}} to get this up and running quickly, and I'd love to learn more about what you have in mind.
+
+Would you have 20 minutes this week for a short call?
+
+{{senderName}}`,
+  },
+  {
+    key: 'followUp',
+    name: 'Follow-up',
+    subject: 'Re: {{servicesNeeded}} for {{companyName}}',
+    body: `Hi {{firstName}},
+
+Just following up on my last note. If {{servicesNeeded}} is still on your list, I can share a couple of examples from similar {{industry}} teams.
+
+Is there a good time to connect?
+
+{{senderName}}`,
+  },
+  {
+    key: 'breakup',
+    name: 'Breakup',
+    subject: 'Should I close your file?',
+    body: `Hi {{firstName}},
+
+I haven't heard back, so I'll assume the timing isn't right for {{companyName}}. I'll close this out for now.
+
+If things change, just reply to this email and I'll pick it back up.
+
+{{senderName}}`,
+  },
+];
+
+export const STARTER_SEQUENCE = {
+  name: 'New lead follow-up',
+  steps: [
+    { day: 0, action: 'email', templateKey: 'intro' },
+    { day: 3, action: 'email', templateKey: 'followUp' },
+    { day: 7, action: 'email', templateKey: 'breakup' },
+  ],
+};
@@ -0,0 +1,72 @@
+import { useEffect, useRef } from 'react';
+import { buildMergeContext, renderEmail, renderTemplate } from './mergeFields';
+import { getDueStepIndexes, getStopReason } from './sequences';
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// Drafts that were never sent should not linger in anyone's task inbox
+export const stopEnrollment = async (sequencesRepo, tasksRepo, enrollment, reason) => {
+  await sequencesRepo.stop(enrollment.id, reason);
+  await Promise.all(enrollment.steps
+    .filter(step => step.status === 'ready' && step.taskId)
+    .map(step => tasksRepo.remove(step.taskId).catch(() => null)));
+};
+
+// Works through the signed-in user's active enrollments while the CRM is open: due steps
+// become email drafts or tasks, and a deal that changes stage stops its sequence.
+export const useSequenceRunner = ({ sequencesRepo, tasksRepo, enrollments, accounts, templates, sender, onError }) => {
+  const running = useRef(false);
+
+  useEffect(() => {
+    if (!sequencesRepo || !tasksRepo) return;
+
+    const runStep = async (account, step, template) => {
+      const context = buildMergeContext({ account, sender });
+      if (step.action === 'task') {
+        const taskId = await tasksRepo.create(account, { title: renderTemplate(step.title, context), type: 'todo', dueDate: new Date(), source: 'sequence' });
+        return { ...step, status: 'done', taskId };
+      }
+      const email = renderEmail(template, context);
+      const taskId = await tasksRepo.create(account, { title: `Send "${email.subject}"`, type: 'email', dueDate: new Date(), source: 'sequence' });
+      return { ...step, ...email, status: 'ready', taskId };
+    };
+
+    const runDueSteps = async () => {
+      if (running.current) return;
+      running.current = true;
+      try {
+        for (const enrollment of enrollments) {
+          const account = accounts.find(acc => acc.id === enrollment.accountId);
+          if (!account) continue;
+          const stopReason = getStopReason(enrollment, account);
+          if (stopReason) {
+            await stopEnrollment(sequencesRepo, tasksRepo, enrollment, stopReason);
+            continue;
+          }
+          const due = getDueStepIndexes(enrollment);
+          if (due.length === 0) continue;
+          const steps = [...enrollment.steps];
+          for (const index of due) {
+            // Leave an email step waiting rather than skip it if its template is missing or still loading
+            const template = templates.find(t => t.id === steps[index].templateId);
+            if (steps[index].action !== 'task' && !template) continue;
+            // Every open tab and device runs the owner's sequences; only the one that claims a step acts on it
+            if (!(await sequencesRepo.claimStep(enrollment.id, index))) continue;
+            steps[index] = await runStep(account, steps[index], template);
+          }
+          if (due.some(index => steps[index] !== enrollment.steps[index])) {
+            await sequencesRepo.updateSteps(enrollment.id, steps);
+          }
+        }
+      } catch (err) {
+        onError("Failed to run follow-up sequences.");
+      } finally {
+        running.current = false;
+      }
+    };
+
+    runDueSteps();
+    const interval = setInterval(runDueSteps, CHECK_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [sequencesRepo, tasksRepo, enrollments, accounts, templates, sender, onError]);
+};
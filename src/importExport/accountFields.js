@@ -0,0 +1,127 @@
+import { coerceCustomValue, getActiveFields } from '../customFields/customFields';
+import { normalizeTags } from '../pipeline/tags';
+import { WIN_LOSS_REASONS } from '../pipeline/winLoss';
+
+// The account fields an import can fill, with the header spellings other tools commonly use
+export const ACCOUNT_FIELDS = [
+  { key: 'companyName', label: 'Company Name', type: 'string', required: true, aliases: ['company', 'account', 'account name', 'organization', 'organisation'] },
+  { key: 'servicesNeeded', label: 'Services Needed', type: 'string', aliases: ['services', 'product', 'products', 'interest'] },
+  { key: 'value', label: 'Deal Value', type: 'number', aliases: ['amount', 'deal value', 'deal amount', 'setup fee'] },
+  { key: 'monthlyValue', label: 'Monthly Value', type: 'number', aliases: ['mrr', 'monthly', 'monthly amount', 'recurring'] },
+  { key: 'stage', label: 'Stage', type: 'stage', aliases: ['deal stage', 'pipeline stage', 'status'] },
+  { key: 'expectedCloseDate', label: 'Expected Close Date', type: 'date', aliases: ['close date', 'closing date', 'expected close'] },
+  { key: 'nextFollowUpDate', label: 'Next Follow-up Date', type: 'date', aliases: ['follow up', 'follow-up', 'next follow up', 'next step date'] },
+  { key: 'contactName', label: 'Contact Name', type: 'string', aliases: ['contact', 'name', 'full name', 'primary contact'] },
+  { key: 'contactTitle', label: 'Contact Title', type: 'string', aliases: ['title', 'job title', 'position'] },
+  { key: 'contactEmail', label: 'Contact Email', type: 'email', aliases: ['email', 'e-mail', 'email address'] },
+  { key: 'contactPhone', label: 'Contact Phone', type: 'string', aliases: ['phone', 'phone number', 'mobile', 'telephone'] },
+  { key: 'industry', label: 'Industry', type: 'string', aliases: ['sector', 'vertical'] },
+  { key: 'website', label: 'Website', type: 'string', aliases: ['url', 'domain', 'web'] },
+  { key: 'companySize', label: 'Company Size', type: 'string', aliases: ['size', 'employees', 'headcount'] },
+  { key: 'leadSource', label: 'Lead Source', type: 'string', aliases: ['source', 'lead origin', 'channel'] },
+  { key: 'winLossReason', label: 'Win/Loss Reason', type: 'choice', options: WIN_LOSS_REASONS, aliases: ['win reason', 'reason won', 'reason category', 'close reason'] },
+  { key: 'winLossDetails', label: 'Win/Loss Details', type: 'string', aliases: ['lostreason', 'lost reason', 'loss reason', 'reason lost', 'win/loss notes', 'win loss details'] },
+  { key: 'competitor', label: 'Competitor', type: 'string', aliases: ['competitor lost to', 'lost to', 'competition'] },
+  { key: 'tags', label: 'Tags', type: 'tags', aliases: ['tag', 'labels'] },
+  { key: 'notes', label: 'Notes', type: 'notes', aliases: ['note', 'comments', 'description', 'activity'] },
+];
+
+// Fields stored under an older key. Saved rules still using the old key are read with the new one;
+// stored account values are moved across by `npm run migrate-renamed-fields` in server/.
+export const RENAMED_FIELDS = { lostReason: 'winLossDetails' };
+
+export const currentFieldKey = (key) => RENAMED_FIELDS[key] || key;
+
+export const COMPANY_SIZES = ['1-10', '11-50', '51-200', '201-500', '501-1000', '1000+'];
+
+// Custom fields import under their label, which is also the column name exports use
+export const getImportFields = (customFields = []) => [
+  ...ACCOUNT_FIELDS,
+  ...getActiveFields(customFields).map(field => ({ key: `custom.${field.id}`, label: field.label, type: 'custom', field, aliases: [] })),
+];
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[_\-.]+/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Guesses a field for each column by key, label or alias; unknown columns map to ''
+export const autoMapColumns = (headers, fields = ACCOUNT_FIELDS) => {
+  const used = new Set();
+  return Object.fromEntries(headers.map(header => {
+    const normalized = normalizeHeader(header);
+    const field = fields.find(f => !used.has(f.key) && (
+      normalizeHeader(f.key) === normalized
+      || f.key.toLowerCase() === normalized.replace(/ /g, '')
+      || normalizeHeader(f.label) === normalized
+      || f.aliases.includes(normalized)
+    ));
+    if (field) used.add(field.key);
+    return [header, field ? field.key : ''];
+  }));
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const coerceValue = (field, raw, stages) => {
+  if (field.type === 'notes') {
+    if (Array.isArray(raw)) return { value: raw.map(note => (typeof note === 'string' ? { text: note } : note)).filter(note => note.text) };
+    const text = raw === null || raw === undefined ? '' : String(raw).trim();
+    return { value: text ? [{ text }] : [] };
+  }
+  const text = raw === null || raw === undefined ? '' : String(raw).trim();
+  if (text === '') return { value: '' };
+  switch (field.type) {
+    case 'number': {
+      const number = Number(text.replace(/[$€£,\s]/g, ''));
+      return Number.isFinite(number) ? { value: number } : { error: `${field.label} "${text}" is not a number` };
+    }
+    case 'date': {
+      const date = new Date(text);
+      return Number.isNaN(date.getTime()) ? { error: `${field.label} "${text}" is not a date` } : { value: date.toISOString().split('T')[0] };
+    }
+    case 'email':
+      return EMAIL_PATTERN.test(text) ? { value: text.toLowerCase() } : { error: `${field.label} "${text}" is not an email address` };
+    case 'tags':
+      return { value: normalizeTags(Array.isArray(raw) ? raw : text) };
+    case 'choice': {
+      const option = field.options.find(o => o.toLowerCase() === text.toLowerCase());
+      return option ? { value: option } : { error: `${field.label} "${text}" is not one of ${field.options.join(', ')}` };
+    }
+    case 'stage': {
+      const stage = stages.find(s => s.name.toLowerCase() === text.toLowerCase());
+      return stage ? { value: stage.name } : { error: `Stage "${text}" does not exist` };
+    }
+    default:
+      return { value: text };
+  }
+};
+
+// Turns one source record into account fields plus any validation errors
+export const coerceRecord = (record, mapping, stages, fields = ACCOUNT_FIELDS) => {
+  const account = {};
+  const errors = [];
+  Object.entries(mapping).forEach(([column, fieldKey]) => {
+    if (!fieldKey) return;
+    const field = fields.find(f => f.key === fieldKey);
+    if (!field) return;
+    const { value, error } = field.type === 'custom' ? coerceCustomValue(field.field, record[column]) : coerceValue(field, record[column], stages);
+    if (error) errors.push(error);
+    else if (field.type === 'custom') account.customFields = { ...account.customFields, [field.field.id]: value };
+    else account[fieldKey] = value;
+  });
+  ACCOUNT_FIELDS.filter(f => f.required && !account[f.key]).forEach(f => errors.push(`${f.label} is required`));
+  return { account, errors };
+};
+
+const normalizeName = (name) => (name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Stored on accounts so the public web form can look up duplicates with equality queries.
+// Only the keys for the fields present are returned, like a partial update.
+export const getDuplicateKeys = (account) => ({
+  ...('companyName' in account ? { companyNameKey: normalizeName(account.companyName) || null } : {}),
+  ...('contactEmail' in account ? { contactEmailKey: (account.contactEmail || '').trim().toLowerCase() || null } : {}),
+});
+
+// Matches on company name (ignoring case and punctuation) or contact email
+export const findDuplicate = (account, existingAccounts) => existingAccounts.find(existing => (
+  (account.companyName && normalizeName(existing.companyName) === normalizeName(account.companyName))
+  || (account.contactEmail && existing.contactEmail && existing.contactEmail.toLowerCase() === account.contactEmail.toLowerCase())
+));
@@ -0,0 +1,57 @@
+// Minimal RFC 4180 reader/writer: quoted fields, escaped quotes and newlines inside quotes
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter(r => r.some(cell => cell.trim() !== ''));
+  if (nonEmpty.length === 0) return { headers: [], records: [] };
+  const [headers, ...dataRows] = nonEmpty;
+  return {
+    headers: headers.map(h => h.trim()),
+    records: dataRows.map(cells => Object.fromEntries(headers.map((header, index) => [header.trim(), cells[index] ?? '']))),
+  };
+};
+
+const escapeCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (columns, rows) => [
+  columns.map(column => escapeCell(column.label)).join(','),
+  ...rows.map(row => columns.map(column => escapeCell(row[column.key])).join(',')),
+].join('\r\n');
@@ -0,0 +1,68 @@
+import { ACCOUNT_FIELDS } from './accountFields';
+import { toCsv } from './csv';
+import { getBillingType } from '../products/lineItems';
+import { formatCustomValue, getActiveFields } from '../customFields/customFields';
+
+const EXTRA_COLUMNS = [
+  { key: 'ownerName', label: 'Owner' },
+  { key: 'dealScore', label: 'Deal Score' },
+  { key: 'createdAt', label: 'Created At' },
+];
+
+const serializeValue = (value) => {
+  if (value && typeof value.toDate === 'function') return value.toDate().toISOString();
+  return value ?? '';
+};
+
+// Custom fields are written under their label so the file imports back without remapping
+const toExportRecord = (account, notes, customFields) => {
+  const record = { id: account.id };
+  [...ACCOUNT_FIELDS.filter(f => f.key !== 'notes'), ...EXTRA_COLUMNS].forEach(field => {
+    record[field.key] = serializeValue(account[field.key]);
+  });
+  customFields.forEach(field => {
+    record[field.label] = account.customFields?.[field.id] ?? (field.type === 'multiselect' ? [] : '');
+  });
+  record.lineItems = (account.lineItems || []).map(({ productId, name, billing, unitPrice, quantity, discountPercent }) => ({
+    productId, name, billing, unitPrice, quantity, discountPercent,
+  }));
+  record.notes = (notes || []).map(note => ({
+    type: note.type,
+    text: note.text,
+    sentiment: note.sentiment || null,
+    author: note.authorName || null,
+    createdAt: serializeValue(note.createdAt),
+  }));
+  return record;
+};
+
+// Dates and numbers stay machine-readable in CSV; only lists and checkboxes are flattened
+const formatCsvCustomValue = (field, value) => (
+  field.type === 'multiselect' || field.type === 'checkbox' ? formatCustomValue(field, value) : value
+);
+
+// JSON keeps notes structured; CSV flattens them into one cell, newest first
+export const exportAccounts = (accounts, notesByAccount, format, customFields = []) => {
+  const fields = getActiveFields(customFields);
+  const records = accounts.map(account => toExportRecord(account, notesByAccount[account.id], fields));
+  if (format === 'json') {
+    return JSON.stringify({ exportedAt: new Date().toISOString(), accounts: records }, null, 2);
+  }
+  const columns = [
+    { key: 'id', label: 'id' },
+    ...ACCOUNT_FIELDS.filter(f => f.key !== 'notes').map(f => ({ key: f.key, label: f.key })),
+    ...EXTRA_COLUMNS.map(c => ({ key: c.key, label: c.key })),
+    ...fields.map(field => ({ key: field.label, label: field.label })),
+    { key: 'lineItems', label: 'lineItems' },
+    { key: 'notes', label: 'notes' },
+  ];
+  return toCsv(columns, records.map(record => ({
+    ...record,
+    ...Object.fromEntries(fields.map(field => [field.label, formatCsvCustomValue(field, record[field.label])])),
+    tags: (record.tags || []).join('; '),
+    lineItems: record.lineItems
+      .map(item => `${item.quantity} x ${item.name} @ ${item.unitPrice}${getBillingType(item.billing).suffix}${item.discountPercent ? ` (-${item.discountPercent}%)` : ''}`)
+      .join('; '),
+    notes: record.notes.map(note => `[${note.createdAt}] ${note.type}: ${note.text}`).join('\n\n'),
+  })));
+};
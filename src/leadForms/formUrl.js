@@ -0,0 +1,4 @@
+// Web forms are hosted and submitted through the server in server/
+export const getLeadFormUrl = (env, formId, origin) => (
+  new URL(`${(env.REACT_APP_API_URL || '/api').replace(/\/$/, '')}/forms/${formId}`, origin).href
+);
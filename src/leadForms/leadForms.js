@@ -0,0 +1,150 @@
+import { COMPANY_SIZES } from '../importExport/accountFields';
+import { getFirstStageOfCategory, getInitialStage, getVisibleStages } from '../pipeline/stages';
+
+// Account fields a web form can ask for. `message` is saved as a note on the account
+// rather than as a field.
+export const LEAD_FORM_FIELDS = [
+  { key: 'contactName', label: 'Your name', input: 'text', autocomplete: 'name' },
+  { key: 'contactEmail', label: 'Email', input: 'email', autocomplete: 'email' },
+  { key: 'contactPhone', label: 'Phone', input: 'tel', autocomplete: 'tel' },
+  { key: 'contactTitle', label: 'Job title', input: 'text', autocomplete: 'organization-title' },
+  { key: 'companyName', label: 'Company', input: 'text', autocomplete: 'organization' },
+  { key: 'website', label: 'Company website', input: 'url', autocomplete: 'url' },
+  { key: 'industry', label: 'Industry', input: 'text' },
+  { key: 'companySize', label: 'Company size', input: 'select', options: COMPANY_SIZES },
+  { key: 'servicesNeeded', label: 'What can we help with?', input: 'textarea' },
+  { key: 'message', label: 'Message', input: 'textarea' },
+];
+
+export const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+// Bots fill in every field they find; people never see this one
+export const HONEYPOT_FIELD = 'website_url';
+
+// Submissions faster than this after the form loaded are treated as bots
+export const MIN_FILL_MS = 3000;
+
+// Hidden field holding the server-signed token fetched when the form loads
+export const LOAD_TOKEN_FIELD = '_token';
+
+const MAX_LINKS = 3;
+const MAX_LENGTH = 5000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Leads land in the form's chosen stage; if that was archived, in the first open stage
+export const getLeadFormStage = (stages, stageId) => {
+  const visible = getVisibleStages(stages);
+  const name = visible.find(stage => stage.id === stageId)?.name || getFirstStageOfCategory(stages, 'open') || getInitialStage(stages);
+  return visible.find(stage => stage.name === name) || { id: stageId, name };
+};
+
+export const createEmptyLeadForm = (stages) => ({
+  name: 'Website contact form',
+  enabled: true,
+  fields: [
+    { key: 'contactName', label: 'Your name', required: true },
+    { key: 'contactEmail', label: 'Email', required: true },
+    { key: 'companyName', label: 'Company', required: false },
+    { key: 'message', label: 'Message', required: false },
+  ],
+  stageId: getLeadFormStage(stages, 'new-leads').id,
+  leadSource: 'Website',
+  ownerId: '',
+  ownerName: '',
+  submitLabel: 'Send',
+  successMessage: "Thanks! We'll be in touch shortly.",
+  redirectUrl: '',
+});
+
+// "google / cpc (spring-launch)" from the UTM tags, or the form's own source without them
+export const getLeadSource = (utm, fallback = 'Website') => {
+  if (!utm.utm_source) return fallback || 'Website';
+  const source = [utm.utm_source, utm.utm_medium].filter(Boolean).join(' / ');
+  return utm.utm_campaign ? `${source} (${utm.utm_campaign})` : source;
+};
+
+const clean = (value) => String(value ?? '').trim().slice(0, MAX_LENGTH);
+
+// loadedAt is when the server issued the submission's load token, or null when the token
+// is missing or invalid: bots that post without loading the form never get one
+export const isLikelySpam = (body, loadedAt, now = Date.now()) => {
+  if (clean(body[HONEYPOT_FIELD])) return true;
+  if (!Number.isFinite(loadedAt) || now - loadedAt < MIN_FILL_MS) return true;
+  const text = Object.values(body).map(clean).join(' ');
+  return (text.match(/https?:\/\//gi) || []).length > MAX_LINKS;
+};
+
+// Turns a posted form into account fields, the visitor's message and where they came from
+export const parseSubmission = (form, body) => {
+  const values = {};
+  const errors = [];
+  form.fields.forEach(({ key, label, required }) => {
+    const value = clean(body[key]);
+    if (required && !value) errors.push(`${label} is required`);
+    else if (key === 'contactEmail' && value && !EMAIL_PATTERN.test(value)) errors.push(`${label} must be a valid email address`);
+    if (value) values[key] = value;
+  });
+  const { message = '', ...account } = values;
+  // Accounts need a company; someone enquiring for themselves is filed under their own name
+  account.companyName = account.companyName || account.contactName || account.contactEmail || '';
+  if (errors.length === 0 && !account.companyName) errors.push("Tell us your name or company");
+  const utm = Object.fromEntries(UTM_PARAMS.map(param => [param, clean(body[param]).slice(0, 200)]).filter(([, value]) => value));
+  account.leadSource = getLeadSource(utm, form.leadSource);
+  return { account, message, utm, page: clean(body._page).slice(0, 500), errors };
+};
+
+const escapeHtml = (text) => String(text ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+
+const renderInput = (field, { key, label, required }) => {
+  const attributes = `name="${key}"${required ? ' required' : ''}${field.autocomplete ? ` autocomplete="${field.autocomplete}"` : ''}`;
+  const title = `${escapeHtml(label)}${required ? ' *' : ''}`;
+  if (field.input === 'textarea') return `<label>${title}<textarea ${attributes} rows="4"></textarea></label>`;
+  if (field.input === 'select') {
+    const options = field.options.map(option => `<option>${escapeHtml(option)}</option>`).join('');
+    return `<label>${title}<select ${attributes}><option value=""></option>${options}</select></label>`;
+  }
+  return `<label>${title}<input type="${field.input}" ${attributes}></label>`;
+};
+
+// Fetches the form's load token and fills in the page it is on and the UTM tags in that page's URL
+const FORM_SCRIPT = `<script>(function(){var f=document.currentScript.previousElementSibling;var q=new URLSearchParams(location.search);`
+  + `fetch(f.action+'/token').then(function(r){return r.json();}).then(function(d){f.elements.${LOAD_TOKEN_FIELD}.value=d.token;});`
+  + `f.elements._page.value=location.href;`
+  + `${JSON.stringify(UTM_PARAMS)}.forEach(function(k){if(q.get(k))f.elements[k].value=q.get(k);});})();</script>`;
+
+// Plain HTML that posts straight to the server, so it works on any site; only the load
+// token is fetched, from an endpoint open to every origin
+export const renderLeadFormHtml = (form, action) => {
+  const inputs = form.fields
+    .map(field => [LEAD_FORM_FIELDS.find(f => f.key === field.key), field])
+    .filter(([definition]) => definition)
+    .map(([definition, field]) => `  <p>${renderInput(definition, field)}</p>`);
+  const hidden = [LOAD_TOKEN_FIELD, '_page', ...UTM_PARAMS].map(name => `  <input type="hidden" name="${name}">`);
+  return [
+    `<form class="crm-lead-form" action="${escapeHtml(action)}" method="POST" accept-charset="UTF-8">`,
+    ...inputs,
+    `  <p style="position:absolute;left:-9999px" aria-hidden="true"><label>Leave this empty<input type="text" name="${HONEYPOT_FIELD}" tabindex="-1" autocomplete="off"></label></p>`,
+    ...hidden,
+    `  <p><button type="submit">${escapeHtml(form.submitLabel || 'Send')}</button></p>`,
+    '</form>',
+    FORM_SCRIPT,
+  ].join('\n');
+};
+
+const PAGE_STYLE = 'body{font-family:system-ui,sans-serif;max-width:32rem;margin:3rem auto;padding:0 1rem;color:#1f2937}'
+  + 'label{display:block;font-size:.9rem;font-weight:600}input,select,textarea{display:block;width:100%;margin-top:.25rem;padding:.5rem;border:1px solid #d1d5db;border-radius:.375rem;font:inherit;box-sizing:border-box}'
+  + 'button{background:#2563eb;color:#fff;border:0;border-radius:9999px;padding:.6rem 1.5rem;font:inherit;cursor:pointer}';
+
+// The hosted page, and the pages a visitor sees after posting the form
+export const renderLeadFormPage = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(title)}</title><style>${PAGE_STYLE}</style></head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${body}
+</body>
+</html>`;
+
+export const renderMessage = (text) => `<p>${escapeHtml(text)}</p>`;
+
+export const renderErrors = (errors) => `<ul>${errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul><p>Go back to the form to fix ${errors.length === 1 ? 'it' : 'them'}.</p>`;
@@ -0,0 +1,64 @@
+import { formatCustomValue, getActiveFields, isEmptyValue } from '../customFields/customFields';
+
+const formatDate = (timestamp) => (timestamp ? timestamp.toDate().toLocaleDateString() : '');
+const millis = (timestamp) => timestamp?.toMillis?.() ?? null;
+const toDateInput = (timestamp) => (timestamp ? timestamp.toDate().toISOString().split('T')[0] : '');
+
+// `edit` names the inline editor a cell opens; columns without one are read-only in the table
+export const TABLE_COLUMNS = [
+  { key: 'companyName', label: 'Company', sortValue: (account) => (account.companyName || '').toLowerCase() },
+  { key: 'stage', label: 'Stage', edit: 'stage', sortValue: (account, stages) => stages.find(stage => stage.name === account.stage)?.order ?? null },
+  { key: 'value', label: 'Deal Value', edit: 'number', align: 'right', format: (account) => `$${(account.value || 0).toLocaleString()}`, sortValue: (account) => account.value || 0 },
+  { key: 'monthlyValue', label: 'Monthly Value', align: 'right', format: (account) => (account.monthlyValue ? `$${account.monthlyValue.toLocaleString()}` : ''), sortValue: (account) => account.monthlyValue || 0 },
+  { key: 'dealScore', label: 'Score', align: 'right', sortValue: (account) => account.dealScore ?? null },
+  { key: 'expectedCloseDate', label: 'Expected Close', edit: 'date', format: (account) => formatDate(account.expectedCloseDate), sortValue: (account) => millis(account.expectedCloseDate) },
+  { key: 'nextFollowUpDate', label: 'Next Follow-up', edit: 'date', format: (account) => formatDate(account.nextFollowUpDate), sortValue: (account) => millis(account.nextFollowUpDate) },
+  { key: 'ownerId', label: 'Owner', edit: 'owner', format: (account) => account.ownerName || '', sortValue: (account) => (account.ownerName || '').toLowerCase() },
+  { key: 'contactName', label: 'Contact', sortValue: (account) => (account.contactName || '').toLowerCase() },
+  { key: 'industry', label: 'Industry', sortValue: (account) => (account.industry || '').toLowerCase() },
+  { key: 'leadSource', label: 'Lead Source', sortValue: (account) => (account.leadSource || '').toLowerCase() },
+  { key: 'companySize', label: 'Company Size', sortValue: (account) => account.companySize || '' },
+  { key: 'tags', label: 'Tags', format: (account) => (account.tags || []).join(', '), sortValue: (account) => (account.tags || []).join(', ').toLowerCase() },
+  { key: 'lastActivityAt', label: 'Last Activity', format: (account) => formatDate(account.lastActivityAt), sortValue: (account) => millis(account.lastActivityAt) },
+  { key: 'createdAt', label: 'Created', format: (account) => formatDate(account.createdAt), sortValue: (account) => millis(account.createdAt) },
+];
+
+export const DEFAULT_TABLE_COLUMNS = ['companyName', 'stage', 'value', 'dealScore', 'expectedCloseDate', 'nextFollowUpDate', 'ownerId', 'tags'];
+
+const customSortValue = (field, value) => {
+  if (isEmptyValue(value)) return null;
+  if (field.type === 'number') return Number(value);
+  if (field.type === 'checkbox') return value ? 1 : 0;
+  return formatCustomValue(field, value).toLowerCase();
+};
+
+// Custom fields can be shown as columns too, keyed like the import fields
+export const getTableColumns = (customFields = []) => [
+  ...TABLE_COLUMNS,
+  ...getActiveFields(customFields).map(field => ({
+    key: `custom.${field.id}`,
+    label: field.label,
+    format: (account) => formatCustomValue(field, account.customFields?.[field.id]),
+    sortValue: (account) => customSortValue(field, account.customFields?.[field.id]),
+  })),
+];
+
+// The value an inline editor starts from
+export const getEditValue = (column, account) => {
+  if (column.edit === 'date') return toDateInput(account[column.key]);
+  return account[column.key] ?? '';
+};
+
+// Blank cells sort last whichever way the column is sorted
+export const sortTableRows = (accounts, column, direction, stages = []) => {
+  if (!column) return accounts;
+  const sign = direction === 'desc' ? -1 : 1;
+  const values = new Map(accounts.map(account => [account.id, column.sortValue(account, stages)]));
+  return [...accounts].sort((a, b) => {
+    const left = values.get(a.id);
+    const right = values.get(b.id);
+    if (left === null || left === '') return right === null || right === '' ? 0 : 1;
+    if (right === null || right === '') return -1;
+    return sign * (typeof left === 'string' ? left.localeCompare(right) : left - right);
+  });
+};
@@ -0,0 +1,99 @@
+import { getActiveFields, getCustomSearchText, isCustomFilterSet, matchesCustomFilter } from '../customFields/customFields';
+import { hasTag } from './tags';
+
+export const EMPTY_FILTERS = {
+  query: '',
+  industry: '',
+  leadSource: '',
+  companySize: '',
+  ownerId: '',
+  tag: '',
+  minValue: '',
+  maxValue: '',
+  scoreBand: '',
+  closeFrom: '',
+  closeTo: '',
+  // Keyed by custom field id
+  custom: {},
+};
+
+// Bands match the colours on the kanban score badge
+export const SCORE_BANDS = [
+  { value: 'hot', label: 'Hot (81-100)', min: 81, max: 100 },
+  { value: 'warm', label: 'Warm (51-80)', min: 51, max: 80 },
+  { value: 'cold', label: 'Cold (0-50)', min: 0, max: 50 },
+];
+
+const FAR_FUTURE = 8640000000000000;
+const millis = (timestamp, fallback) => timestamp?.toMillis?.() ?? fallback;
+
+export const SORT_OPTIONS = [
+  { value: 'followUp', label: 'Next follow-up', compare: (a, b) => millis(a.nextFollowUpDate, FAR_FUTURE) - millis(b.nextFollowUpDate, FAR_FUTURE) },
+  { value: 'valueDesc', label: 'Highest value', compare: (a, b) => (b.value || 0) - (a.value || 0) },
+  { value: 'scoreDesc', label: 'Highest deal score', compare: (a, b) => (b.dealScore || 0) - (a.dealScore || 0) },
+  { value: 'closeDate', label: 'Expected close date', compare: (a, b) => millis(a.expectedCloseDate, FAR_FUTURE) - millis(b.expectedCloseDate, FAR_FUTURE) },
+  { value: 'lastActivity', label: 'Recent activity', compare: (a, b) => millis(b.lastActivityAt, 0) - millis(a.lastActivityAt, 0) },
+  { value: 'newest', label: 'Newest first', compare: (a, b) => millis(b.createdAt, 0) - millis(a.createdAt, 0) },
+  { value: 'name', label: 'Company name', compare: (a, b) => (a.companyName || '').localeCompare(b.companyName || '') },
+];
+
+export const DEFAULT_SORT = 'followUp';
+
+export const sortAccounts = (accounts, sortBy) => {
+  const option = SORT_OPTIONS.find(o => o.value === sortBy) || SORT_OPTIONS[0];
+  return [...accounts].sort(option.compare);
+};
+
+export const countActiveFilters = (filters) => (
+  Object.entries(filters).filter(([key, value]) => key !== 'query' && key !== 'custom' && value !== '').length
+  + Object.values(filters.custom || {}).filter(isCustomFilterSet).length
+);
+
+// Distinct non-empty values of a field, for filter dropdowns
+export const getFieldOptions = (accounts, field) => (
+  Array.from(new Set(accounts.map(acc => (acc[field] || '').trim()).filter(Boolean))).sort((a, b) => a.localeCompare(b))
+);
+
+const SEARCH_FIELDS = ['companyName', 'servicesNeeded', 'contactName', 'contactTitle', 'contactEmail', 'industry', 'website'];
+
+// Every whitespace-separated term has to appear somewhere in the deal or its notes
+const matchesQuery = (account, terms, noteIndex, customFields) => {
+  const haystack = [
+    ...SEARCH_FIELDS.map(field => account[field] || ''),
+    getCustomSearchText(account, customFields),
+    (account.tags || []).join(' '),
+    noteIndex[account.id] || '',
+  ].join('\n').toLowerCase();
+  return terms.every(term => haystack.includes(term));
+};
+
+const startOfDay = (value) => new Date(`${value}T00:00:00`).getTime();
+const endOfDay = (value) => new Date(`${value}T23:59:59.999`).getTime();
+
+export const applyFilters = (accounts, filters, noteIndex = {}, customFields = []) => {
+  const terms = filters.query.toLowerCase().split(/\s+/).filter(Boolean);
+  const band = SCORE_BANDS.find(b => b.value === filters.scoreBand);
+  // Filters on fields that were archived since a view was saved are ignored
+  const customFilters = getActiveFields(customFields)
+    .filter(field => isCustomFilterSet(filters.custom?.[field.id] ?? ''))
+    .map(field => [field, filters.custom[field.id]]);
+  return accounts.filter(account => {
+    if (terms.length > 0 && !matchesQuery(account, terms, noteIndex, customFields)) return false;
+    if (customFilters.some(([field, filter]) => !matchesCustomFilter(field, account.customFields?.[field.id], filter))) return false;
+    if (filters.industry && account.industry !== filters.industry) return false;
+    if (filters.leadSource && account.leadSource !== filters.leadSource) return false;
+    if (filters.companySize && account.companySize !== filters.companySize) return false;
+    if (filters.ownerId && account.ownerId !== filters.ownerId) return false;
+    if (filters.tag && !hasTag(account.tags, filters.tag)) return false;
+    if (filters.minValue !== '' && (account.value || 0) < Number(filters.minValue)) return false;
+    if (filters.maxValue !== '' && (account.value || 0) > Number(filters.maxValue)) return false;
+    if (band && ((account.dealScore ?? 0) < band.min || (account.dealScore ?? 0) > band.max)) return false;
+    if (filters.closeFrom || filters.closeTo) {
+      const closeDate = millis(account.expectedCloseDate, null);
+      if (closeDate === null) return false;
+      if (filters.closeFrom && closeDate < startOfDay(filters.closeFrom)) return false;
+      if (filters.closeTo && closeDate > endOfDay(filters.closeTo)) return false;
+    }
+    return true;
+  });
+};
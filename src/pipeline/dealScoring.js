@@ -0,0 +1,176 @@
+import { getStageCategory, getStageProbability } from './stages';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// The AI may move a score this far from the rule-based baseline, never further
+export const MAX_AI_ADJUSTMENT = 15;
+
+export const SCORE_FACTORS = [
+  { key: 'stage', label: 'Stage progress' },
+  { key: 'sentiment', label: 'Sentiment trend' },
+  { key: 'recency', label: 'Recency of contact' },
+  { key: 'value', label: 'Deal value' },
+  { key: 'slippage', label: 'Close-date slippage' },
+];
+
+export const SCORE_METHODS = {
+  ai: 'AI',
+  rules: 'Rules',
+  override: 'Manual override',
+  override_cleared: 'Override cleared',
+};
+
+export const getFactorLabel = (key) => SCORE_FACTORS.find(factor => factor.key === key)?.label || key;
+
+const SENTIMENT_VALUES = { Positive: 1, Neutral: 0, Negative: -1 };
+
+const toDate = (value) => {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const toDay = (value) => toDate(value)?.toISOString().split('T')[0] || null;
+
+const daysBetween = (from, to) => Math.floor((to.getTime() - from.getTime()) / DAY_MS);
+
+// Newer notes weigh more: the newest counts fully, each older one half as much as the next
+const getSentimentTrend = (notes) => {
+  const rated = notes.filter(note => note.sentiment in SENTIMENT_VALUES).slice(-5).reverse();
+  if (rated.length === 0) return null;
+  let total = 0;
+  let weights = 0;
+  rated.forEach((note, index) => {
+    const weight = 1 / 2 ** index;
+    total += SENTIMENT_VALUES[note.sentiment] * weight;
+    weights += weight;
+  });
+  return Math.round((total / weights) * 100) / 100;
+};
+
+// The plain facts a score is built from. `notes` are oldest first; `previous` is the
+// last stored score, used to carry forward how far the close date has been pushed.
+export const getScoreSignals = ({ account, notes, stages, averageBookings = null, previous = null, now = new Date() }) => {
+  const lastContact = toDate(account.lastActivityAt) || toDate(notes[notes.length - 1]?.createdAt);
+  const expectedCloseDate = toDay(account.expectedCloseDate);
+  const previousCloseDate = previous?.signals?.expectedCloseDate;
+  const pushedNow = expectedCloseDate && previousCloseDate
+    ? Math.max(0, daysBetween(new Date(previousCloseDate), new Date(expectedCloseDate)))
+    : 0;
+  return {
+    stage: account.stage,
+    stageCategory: getStageCategory(stages, account.stage),
+    stageProbability: getStageProbability(stages, account.stage),
+    sentimentTrend: getSentimentTrend(notes),
+    ratedNotes: notes.filter(note => note.sentiment in SENTIMENT_VALUES).length,
+    daysSinceContact: lastContact ? Math.max(0, daysBetween(lastContact, now)) : null,
+    bookings: (Number(account.value) || 0) + (Number(account.monthlyValue) || 0) * 12,
+    averageBookings: averageBookings ? Math.round(averageBookings) : null,
+    expectedCloseDate,
+    daysOverdue: expectedCloseDate ? Math.max(0, daysBetween(new Date(expectedCloseDate), now)) : 0,
+    daysPushed: (previous?.signals?.daysPushed || 0) + pushedNow,
+  };
+};
+
+const stageFactor = ({ stage, stageProbability }) => ({
+  impact: Math.round((stageProbability - 30) * 0.6),
+  detail: `${stage} closes ${stageProbability}% of the time`,
+});
+
+const sentimentFactor = ({ sentimentTrend, ratedNotes }) => {
+  if (sentimentTrend === null) return { impact: 0, detail: 'No sentiment logged yet' };
+  const mood = sentimentTrend > 0.25 ? 'positive' : sentimentTrend < -0.25 ? 'negative' : 'mixed';
+  return { impact: Math.round(sentimentTrend * 20), detail: `Recent notes are ${mood} (${ratedNotes} rated)` };
+};
+
+const recencyFactor = ({ daysSinceContact }) => {
+  if (daysSinceContact === null) return { impact: -15, detail: 'No contact logged' };
+  const detail = daysSinceContact === 0 ? 'Contacted today' : `Last contact ${daysSinceContact} days ago`;
+  if (daysSinceContact <= 7) return { impact: 10, detail };
+  if (daysSinceContact <= 14) return { impact: 5, detail };
+  if (daysSinceContact <= 30) return { impact: 0, detail };
+  if (daysSinceContact <= 60) return { impact: -10, detail };
+  return { impact: -15, detail };
+};
+
+const valueFactor = ({ bookings, averageBookings }) => {
+  if (!bookings) return { impact: -5, detail: 'No deal value recorded' };
+  if (!averageBookings) return { impact: 0, detail: `$${bookings.toLocaleString()} first-year value` };
+  const ratio = bookings / averageBookings;
+  if (ratio > 3) return { impact: -5, detail: `${ratio.toFixed(1)}x the average open deal` };
+  if (ratio > 1.5) return { impact: 0, detail: `${ratio.toFixed(1)}x the average open deal` };
+  return { impact: 5, detail: 'In line with the average open deal' };
+};
+
+const slippageFactor = ({ expectedCloseDate, daysOverdue, daysPushed }) => {
+  if (!expectedCloseDate) return { impact: -5, detail: 'No expected close date' };
+  const slipped = daysOverdue + daysPushed;
+  if (slipped === 0) return { impact: 5, detail: 'Close date on track' };
+  const parts = [daysOverdue > 0 && `${daysOverdue} days overdue`, daysPushed > 0 && `pushed back ${daysPushed} days`].filter(Boolean);
+  const detail = `Close date ${parts.join(', ')}`;
+  if (slipped <= 14) return { impact: -5, detail };
+  if (slipped <= 45) return { impact: -10, detail };
+  return { impact: -20, detail };
+};
+
+const FACTOR_RULES = {
+  stage: stageFactor,
+  sentiment: sentimentFactor,
+  recency: recencyFactor,
+  value: valueFactor,
+  slippage: slippageFactor,
+};
+
+const clampScore = (score) => Math.max(0, Math.min(100, Math.round(score)));
+
+const describeFactors = (factors) => {
+  const label = (factor) => getFactorLabel(factor.key).toLowerCase();
+  const helping = factors.filter(f => f.impact > 0).sort((a, b) => b.impact - a.impact).slice(0, 2);
+  const hurting = factors.filter(f => f.impact < 0).sort((a, b) => a.impact - b.impact).slice(0, 2);
+  const sentences = [];
+  if (helping.length > 0) sentences.push(`Helped by ${helping.map(label).join(' and ')}.`);
+  if (hurting.length > 0) sentences.push(`Held back by ${hurting.map(label).join(' and ')}.`);
+  return sentences.join(' ') || 'No strong signals either way.';
+};
+
+// Deterministic score: 50 plus each factor's impact. Won and lost deals are settled.
+export const scoreFromSignals = (signals) => {
+  if (signals.stageCategory === 'won' || signals.stageCategory === 'lost') {
+    const won = signals.stageCategory === 'won';
+    return {
+      score: won ? 100 : 0,
+      factors: [{ key: 'stage', impact: won ? 50 : -50, detail: `Deal is ${won ? 'won' : 'lost'}` }],
+      rationale: `The deal is closed ${won ? 'won' : 'lost'}.`,
+    };
+  }
+  const factors = SCORE_FACTORS.map(({ key }) => ({ key, ...FACTOR_RULES[key](signals) }));
+  return {
+    score: clampScore(50 + factors.reduce((sum, factor) => sum + factor.impact, 0)),
+    factors,
+    rationale: describeFactors(factors),
+  };
+};
+
+// An AI score is kept near the rule baseline and always explains the same five factors
+export const reconcileAIScore = (result, baseline) => {
+  const score = Math.max(baseline.score - MAX_AI_ADJUSTMENT, Math.min(baseline.score + MAX_AI_ADJUSTMENT, clampScore(result.score)));
+  const factors = baseline.factors.map(base => {
+    const suggested = (result.factors || []).find(factor => factor.key === base.key);
+    return suggested ? { key: base.key, impact: Math.round(suggested.impact), detail: suggested.detail || base.detail } : base;
+  });
+  return { score, factors, rationale: result.rationale || baseline.rationale };
+};
+
+// Only rescore when a factor actually moves, so saving an unchanged deal keeps its score
+export const hasScoreChanged = (previous, signals) => {
+  if (!previous?.signals) return true;
+  const impacts = (s) => scoreFromSignals(s).factors.map(factor => `${factor.key}:${factor.impact}`).join(',');
+  return impacts(previous.signals) !== impacts(signals);
+};
+
+export const getAverageBookings = (accounts, stages) => {
+  const open = accounts.filter(account => getStageCategory(stages, account.stage) === 'open');
+  if (open.length === 0) return null;
+  return open.reduce((sum, account) => sum + (account.value || 0) + (account.monthlyValue || 0) * 12, 0) / open.length;
+};
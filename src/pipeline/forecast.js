@@ -0,0 +1,118 @@
+import { getStageCategory, getStageProbability } from './stages';
+
+export const FORECAST_CATEGORIES = [
+  { value: 'commit', label: 'Commit', color: 'bg-blue-600' },
+  { value: 'best_case', label: 'Best Case', color: 'bg-blue-400' },
+  { value: 'pipeline', label: 'Pipeline', color: 'bg-blue-200' },
+  { value: 'omitted', label: 'Omitted', color: 'bg-gray-200' },
+];
+
+export const WEIGHTING_MODES = [
+  { value: 'stage', label: 'Stage probability' },
+  { value: 'score', label: 'AI deal score' },
+];
+
+// Open deals are bucketed by probability unless the rep picked a category on the deal
+const COMMIT_THRESHOLD = 70;
+const BEST_CASE_THRESHOLD = 40;
+
+export const getForecastCategoryLabel = (value) => FORECAST_CATEGORIES.find(category => category.value === value)?.label || 'Auto';
+
+export const getDealProbability = (account, stages, weighting) => {
+  const category = getStageCategory(stages, account.stage);
+  if (category === 'won') return 100;
+  if (category !== 'open') return 0;
+  return weighting === 'score' ? Math.min(100, Math.max(0, account.dealScore ?? 0)) : getStageProbability(stages, account.stage);
+};
+
+// 'won' for closed deals, null for deals that are out of the forecast entirely
+export const getForecastCategory = (account, stages, weighting) => {
+  const category = getStageCategory(stages, account.stage);
+  if (category === 'won') return 'won';
+  if (category !== 'open') return null;
+  if (account.forecastCategory) return account.forecastCategory === 'omitted' ? null : account.forecastCategory;
+  const probability = getDealProbability(account, stages, weighting);
+  if (probability >= COMMIT_THRESHOLD) return 'commit';
+  if (probability >= BEST_CASE_THRESHOLD) return 'best_case';
+  return 'pipeline';
+};
+
+export const getPeriodStart = (date, period) => (
+  period === 'quarter'
+    ? new Date(date.getFullYear(), Math.floor(date.getMonth() / 3) * 3, 1)
+    : new Date(date.getFullYear(), date.getMonth(), 1)
+);
+
+const addPeriods = (start, period, count) => new Date(start.getFullYear(), start.getMonth() + (period === 'quarter' ? 3 : 1) * count, 1);
+
+const periodKey = (start) => `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}`;
+
+export const getPeriodLabel = (start, period) => (
+  period === 'quarter'
+    ? `Q${Math.floor(start.getMonth() / 3) + 1} ${start.getFullYear()}`
+    : start.toLocaleDateString(undefined, { month: 'short', year: 'numeric' })
+);
+
+const emptyAmounts = () => ({ value: 0, mrr: 0 });
+
+const addAmounts = (target, account, factor = 1) => {
+  target.value += (account.value || 0) * factor;
+  target.mrr += (account.monthlyValue || 0) * factor;
+};
+
+// One-time value plus the first year of recurring revenue, which is what quota is measured on
+export const getBookings = (amounts) => amounts.value + amounts.mrr * 12;
+
+// Rolls deals up into `count` periods starting with the current one. Open deals whose
+// close date has already passed are pulled into the current period as slipped.
+export const buildForecast = (accounts, stages, { period = 'quarter', weighting = 'stage', count = 4, now = new Date() } = {}) => {
+  const firstStart = getPeriodStart(now, period);
+  const periods = Array.from({ length: count }, (_, index) => {
+    const start = addPeriods(firstStart, period, index);
+    return {
+      key: periodKey(start),
+      start,
+      label: getPeriodLabel(start, period),
+      won: emptyAmounts(),
+      commit: emptyAmounts(),
+      best_case: emptyAmounts(),
+      pipeline: emptyAmounts(),
+      weighted: emptyAmounts(),
+      deals: [],
+      slipped: 0,
+    };
+  });
+  const byKey = Object.fromEntries(periods.map(p => [p.key, p]));
+  const undated = { deals: [], amounts: emptyAmounts() };
+
+  accounts.forEach(account => {
+    const category = getForecastCategory(account, stages, weighting);
+    if (!category) return;
+    const closeDate = account.expectedCloseDate?.toDate();
+    if (!closeDate) {
+      if (category !== 'won') {
+        undated.deals.push(account);
+        addAmounts(undated.amounts, account);
+      }
+      return;
+    }
+    let key = periodKey(getPeriodStart(closeDate, period));
+    const isSlipped = category !== 'won' && closeDate < firstStart;
+    if (isSlipped) key = periods[0].key;
+    const bucket = byKey[key];
+    if (!bucket) return;
+    const probability = getDealProbability(account, stages, weighting);
+    addAmounts(bucket[category], account);
+    addAmounts(bucket.weighted, account, probability / 100);
+    bucket.deals.push({ account, category, probability });
+    if (isSlipped) bucket.slipped += 1;
+  });
+
+  return { periods, undated };
+};
+
+// Quotas are stored per user as { monthly, quarterly } first-year bookings
+export const getQuotaFor = (quotas, userIds, period) => {
+  const field = period === 'quarter' ? 'quarterly' : 'monthly';
+  return quotas.filter(quota => userIds.includes(quota.id)).reduce((sum, quota) => sum + (Number(quota[field]) || 0), 0);
+};
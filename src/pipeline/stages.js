@@ -0,0 +1,54 @@
+// Stage categories drive the metrics: only 'open' stages count as active pipeline,
+// 'pre' stages hold research before a deal exists, 'won'/'lost' are terminal.
+export const STAGE_CATEGORIES = [
+  { value: 'pre', label: 'Pre-pipeline' },
+  { value: 'open', label: 'Open' },
+  { value: 'won', label: 'Won' },
+  { value: 'lost', label: 'Lost' },
+];
+
+export const STAGE_COLORS = [
+  'bg-stone-500', 'bg-gray-500', 'bg-indigo-500', 'bg-blue-500', 'bg-sky-500', 'bg-teal-500',
+  'bg-purple-500', 'bg-pink-500', 'bg-yellow-500', 'bg-orange-500', 'bg-green-500', 'bg-red-500',
+];
+
+export const DEFAULT_STAGES = [
+  { id: 'business-intel', name: 'Business Intel', color: 'bg-stone-500', category: 'pre', probability: 0 },
+  { id: 'new-leads', name: 'New Leads', color: 'bg-indigo-500', category: 'open', probability: 10 },
+  { id: 'qualified-opportunities', name: 'Qualified Opportunities', color: 'bg-blue-500', category: 'open', probability: 25 },
+  { id: 'needs-analysis', name: 'Needs Analysis', color: 'bg-purple-500', category: 'open', probability: 40 },
+  { id: 'proposal-sent', name: 'Proposal Sent', color: 'bg-yellow-500', category: 'open', probability: 60 },
+  { id: 'negotiation', name: 'Negotiation', color: 'bg-orange-500', category: 'open', probability: 80 },
+  { id: 'closed-won', name: 'Closed Won', color: 'bg-green-500', category: 'won', probability: 100 },
+  { id: 'closed-lost', name: 'Closed Lost', color: 'bg-red-500', category: 'lost', probability: 0 },
+  { id: 'nurturing', name: 'Nurturing', color: 'bg-gray-500', category: 'open', probability: 5 },
+].map((stage, index) => ({ ...stage, order: index, archived: false }));
+
+export const getStageCategory = (stages, stageName) => (
+  stages.find(stage => stage.name === stageName)?.category || 'open'
+);
+
+export const isOpenStage = (stages, stageName) => getStageCategory(stages, stageName) === 'open';
+
+export const getVisibleStages = (stages) => stages.filter(stage => !stage.archived);
+
+// New accounts land in the first pre-pipeline stage, or the first stage if there is none
+export const getInitialStage = (stages) => {
+  const visible = getVisibleStages(stages);
+  return (visible.find(stage => stage.category === 'pre') || visible[0] || DEFAULT_STAGES[0]).name;
+};
+
+export const getFirstStageOfCategory = (stages, category) => (
+  getVisibleStages(stages).find(stage => stage.category === category)?.name || null
+);
+
+const CATEGORY_PROBABILITY = { pre: 0, open: 20, won: 100, lost: 0 };
+
+// Stages created before probabilities existed fall back to the default stage with
+// the same id, then to a per-category guess
+export const getStageProbability = (stages, stageName) => {
+  const stage = stages.find(s => s.name === stageName);
+  if (!stage) return CATEGORY_PROBABILITY.open;
+  if (typeof stage.probability === 'number') return stage.probability;
+  return DEFAULT_STAGES.find(s => s.id === stage.id)?.probability ?? CATEGORY_PROBABILITY[stage.category] ?? 0;
+};
@@ -0,0 +1,27 @@
+// Tags are free-form labels for slicing the pipeline ("Q3 cleanup", "partner referral").
+// Duplicates are dropped ignoring case; the first spelling wins.
+export const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags ?? '').split(/[;,]/);
+  const seen = new Set();
+  return list.map(tag => String(tag).trim()).filter(tag => {
+    const key = tag.toLowerCase();
+    if (!tag || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+export const addTag = (tags, tag) => normalizeTags([...(tags || []), tag]);
+
+export const removeTag = (tags, tag) => (tags || []).filter(existing => existing.toLowerCase() !== tag.trim().toLowerCase());
+
+export const hasTag = (tags, tag) => (tags || []).some(existing => existing.toLowerCase() === tag.toLowerCase());
+
+// Distinct tags across accounts, for filter dropdowns and suggestions
+export const getAllTags = (accounts) => {
+  const byKey = new Map();
+  accounts.forEach(account => (account.tags || []).forEach(tag => {
+    if (!byKey.has(tag.toLowerCase())) byKey.set(tag.toLowerCase(), tag);
+  }));
+  return Array.from(byKey.values()).sort((a, b) => a.localeCompare(b));
+};
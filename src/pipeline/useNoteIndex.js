@@ -0,0 +1,35 @@
+import { useEffect, useRef, useState } from 'react';
+
+const versionOf = (account) => account.lastActivityAt?.toMillis() ?? 0;
+
+// Lowercased activity text per account, for full-text search. It is only built
+// while a search is active and refetches an account when its lastActivityAt moves.
+export const useNoteIndex = (activitiesRepo, accounts, enabled, onError) => {
+  const [index, setIndex] = useState({});
+  const versions = useRef({});
+
+  useEffect(() => {
+    if (!enabled || !activitiesRepo) {
+      versions.current = {};
+      setIndex({});
+      return;
+    }
+    const stale = accounts.filter(account => versions.current[account.id] !== versionOf(account));
+    if (stale.length === 0) return;
+
+    let cancelled = false;
+    Promise.all(stale.map(async (account) => {
+      const activities = await activitiesRepo.listAll(account.id);
+      const legacyNotes = account.notes || [];
+      return [account, [...activities, ...legacyNotes].map(entry => entry.text || '').join('\n').toLowerCase()];
+    })).then(entries => {
+      if (cancelled) return;
+      entries.forEach(([account]) => { versions.current[account.id] = versionOf(account); });
+      setIndex(prev => ({ ...prev, ...Object.fromEntries(entries.map(([account, text]) => [account.id, text])) }));
+    }).catch(() => onError("Failed to search notes."));
+
+    return () => { cancelled = true; };
+  }, [activitiesRepo, accounts, enabled, onError]);
+
+  return index;
+};
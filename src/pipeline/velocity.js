@@ -0,0 +1,77 @@
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const toMillis = (timestamp) => (timestamp ? timestamp.toDate().getTime() : null);
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+// Groups the transition log by account, oldest first
+const groupByAccount = (history) => {
+  const byAccount = new Map();
+  history.forEach(entry => {
+    if (!byAccount.has(entry.accountId)) byAccount.set(entry.accountId, []);
+    byAccount.get(entry.accountId).push(entry);
+  });
+  byAccount.forEach(entries => entries.sort((a, b) => toMillis(a.changedAt) - toMillis(b.changedAt)));
+  return byAccount;
+};
+
+// Average completed days per stage: time from entering a stage until the next transition
+export const getAverageDaysInStage = (history) => {
+  const durations = {};
+  groupByAccount(history).forEach(entries => {
+    entries.forEach((entry, index) => {
+      const next = entries[index + 1];
+      if (!next) return;
+      const days = (toMillis(next.changedAt) - toMillis(entry.changedAt)) / DAY_MS;
+      (durations[entry.toStage] = durations[entry.toStage] || []).push(days);
+    });
+  });
+  return Object.fromEntries(Object.entries(durations).map(([stage, values]) => [stage, average(values)]));
+};
+
+// The forward path: open stages in pipeline order up to the first won stage. Pre-pipeline and
+// lost stages are not on it, nor are open stages after the win, like Nurturing, which deals
+// move to sideways rather than on the way to closing.
+const getFunnelStages = (stages) => {
+  const wonIndex = stages.findIndex(stage => stage.category === 'won');
+  const path = wonIndex === -1 ? stages : stages.slice(0, wonIndex + 1);
+  return path.filter(stage => stage.category === 'open' || stage.category === 'won');
+};
+
+// For each funnel stage, the share of deals that entered it and later reached a further stage
+export const getStageConversion = (history, stages) => {
+  const funnel = getFunnelStages(stages);
+  const position = Object.fromEntries(funnel.map((stage, index) => [stage.name, index]));
+  const reached = funnel.map(() => 0);
+  const advanced = funnel.map(() => 0);
+
+  groupByAccount(history).forEach(entries => {
+    const visited = new Set(entries.map(entry => position[entry.toStage]).filter(index => index !== undefined));
+    const furthest = Math.max(-1, ...visited);
+    visited.forEach(index => {
+      reached[index] += 1;
+      if (furthest > index) advanced[index] += 1;
+    });
+  });
+
+  return funnel.slice(0, -1).map((stage, index) => ({
+    from: stage.name,
+    to: funnel[index + 1].name,
+    entered: reached[index],
+    rate: reached[index] > 0 ? advanced[index] / reached[index] : null,
+  }));
+};
+
+export const getDaysInCurrentStage = (account, now = Date.now()) => {
+  const enteredAt = toMillis(account.stageEnteredAt) || toMillis(account.createdAt);
+  return enteredAt ? (now - enteredAt) / DAY_MS : null;
+};
+
+// Open deals that have sat in their current stage longer than the threshold, longest first
+export const getStuckDeals = (accounts, stages, thresholdDays, now = Date.now()) => (
+  accounts
+    .filter(account => stages.find(stage => stage.name === account.stage)?.category === 'open')
+    .map(account => ({ account, days: getDaysInCurrentStage(account, now) }))
+    .filter(({ days }) => days !== null && days > thresholdDays)
+    .sort((a, b) => b.days - a.days)
+);
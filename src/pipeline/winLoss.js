@@ -0,0 +1,102 @@
+import { getGroupByOptions } from '../customFields/fieldReport';
+import { getStageCategory } from './stages';
+
+// One list for both outcomes, so won and lost deals can be compared reason by reason
+export const WIN_LOSS_REASONS = [
+  'Price',
+  'Product fit',
+  'Features',
+  'Relationship',
+  'Service & support',
+  'Timing',
+  'Budget',
+  'Competitor',
+  'No decision',
+  'Other',
+];
+
+export const isClosedCategory = (category) => category === 'won' || category === 'lost';
+
+const NO_SERVICE = ['', 'n/a'];
+
+// Deals with line items count under each product; older deals under each service they list
+const SERVICE_GROUP = {
+  key: 'service',
+  label: 'Service',
+  getValues: (account) => (account.lineItems?.length > 0
+    ? account.lineItems.map(item => item.name)
+    : (account.servicesNeeded || '').split(',')
+  ).map(value => value.trim()).filter(value => !NO_SERVICE.includes(value.toLowerCase())),
+};
+
+export const getWinLossDimensions = (customFields) => {
+  const options = getGroupByOptions(customFields);
+  return [...options.filter(option => !option.key.startsWith('custom.')), SERVICE_GROUP, ...options.filter(option => option.key.startsWith('custom.'))];
+};
+
+const bookings = (account) => (account.value || 0) + (account.monthlyValue || 0) * 12;
+
+const getClosedDeals = (accounts, stages) => accounts
+  .map(account => ({ account, category: getStageCategory(stages, account.stage) }))
+  .filter(({ category }) => isClosedCategory(category));
+
+const toRate = (won, lost) => (won + lost > 0 ? Math.round((won / (won + lost)) * 100) : null);
+
+const byClosedCount = (a, b) => (a.key === 'none') - (b.key === 'none') || (b.won + b.lost) - (a.won + a.lost) || a.name.localeCompare(b.name);
+
+export const getWinRateBy = (accounts, stages, groupBy) => {
+  const rows = {};
+  getClosedDeals(accounts, stages).forEach(({ account, category }) => {
+    const values = groupBy.getValues(account);
+    (values.length > 0 ? values : [null]).forEach(value => {
+      const key = value ?? 'none';
+      const row = rows[key] || (rows[key] = { key, name: value ?? 'Not set', won: 0, lost: 0, wonValue: 0, lostValue: 0 });
+      row[category] += 1;
+      row[`${category}Value`] += bookings(account);
+    });
+  });
+  return Object.values(rows).map(row => ({ ...row, winRate: toRate(row.won, row.lost) })).sort(byClosedCount);
+};
+
+// Deals closed before reasons were structured show under "Not set"
+export const getReasonBreakdown = (accounts, stages) => getWinRateBy(accounts, stages, {
+  getValues: (account) => [account.winLossReason].filter(Boolean),
+});
+
+export const getCompetitorBreakdown = (accounts, stages) => getWinRateBy(accounts, stages, {
+  getValues: (account) => [(account.competitor || '').trim()].filter(Boolean),
+}).filter(row => row.key !== 'none');
+
+export const getWinLossTotals = (accounts, stages) => {
+  const closed = getClosedDeals(accounts, stages);
+  const won = closed.filter(({ category }) => category === 'won').length;
+  const lost = closed.length - won;
+  return { won, lost, winRate: toRate(won, lost) };
+};
+
+// The lost deals the theme analysis reads, most recently moved first
+export const getLostDeals = (accounts, stages, limit) => getClosedDeals(accounts, stages)
+  .filter(({ category }) => category === 'lost')
+  .map(({ account }) => account)
+  .sort((a, b) => (b.stageEnteredAt?.toMillis() || 0) - (a.stageEnteredAt?.toMillis() || 0))
+  .slice(0, limit);
+
+// The server's limits for each lost deal; longer values are cut so one long field
+// doesn't fail the whole analysis
+const LOST_DEAL_LIMITS = { companyName: 500, industry: 200, service: 2000, reason: 200, competitor: 200, details: 5000, noteText: 20000, notes: 5 };
+
+const cut = (value, limit) => (value ? String(value).slice(0, limit) : null);
+
+// What the theme analysis gets for each lost deal; `notes` are its last few activities
+export const toLostDealInput = (account, notes) => ({
+  companyName: cut(account.companyName, LOST_DEAL_LIMITS.companyName) || '',
+  industry: cut(account.industry, LOST_DEAL_LIMITS.industry),
+  service: cut(SERVICE_GROUP.getValues(account).join(', '), LOST_DEAL_LIMITS.service),
+  reason: cut(account.winLossReason, LOST_DEAL_LIMITS.reason),
+  competitor: cut(account.competitor, LOST_DEAL_LIMITS.competitor),
+  details: cut(account.winLossDetails, LOST_DEAL_LIMITS.details),
+  notes: notes
+    .filter(note => note.text)
+    .slice(-LOST_DEAL_LIMITS.notes)
+    .map(({ type, text, sentiment }) => ({ type, text: cut(text, LOST_DEAL_LIMITS.noteText), sentiment })),
+});
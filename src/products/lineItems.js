@@ -0,0 +1,91 @@
+import { getStageProbability, isOpenStage } from '../pipeline/stages';
+
+export const BILLING_TYPES = [
+  { value: 'one_time', label: 'One-time', suffix: '' },
+  { value: 'monthly', label: 'Monthly', suffix: '/mo' },
+];
+
+export const PRODUCT_CATEGORIES = [
+  { value: 'chatbot', label: 'Chatbots' },
+  { value: 'automation', label: 'Automation' },
+  { value: 'consulting', label: 'Consulting' },
+  { value: 'other', label: 'Other' },
+];
+
+export const getBillingType = (value) => BILLING_TYPES.find(type => type.value === value) || BILLING_TYPES[0];
+
+export const formatPrice = (amount, billing) => `$${Number(amount || 0).toLocaleString(undefined, { maximumFractionDigits: 2 })}${getBillingType(billing).suffix}`;
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+const clamp = (number, min, max) => Math.min(max, Math.max(min, number));
+
+// A line item copies the product's name, billing and price so later catalog changes
+// don't rewrite deals that were already quoted
+export const newLineItem = (product) => ({
+  productId: product.id,
+  name: product.name,
+  category: product.category || 'other',
+  billing: product.billing,
+  unit: product.unit || '',
+  unitPrice: product.unitPrice,
+  quantity: 1,
+  discountPercent: product.defaultDiscountPercent || 0,
+});
+
+export const normalizeLineItem = (item) => ({
+  productId: item.productId || null,
+  name: item.name || '',
+  category: item.category || 'other',
+  billing: getBillingType(item.billing).value,
+  unit: item.unit || '',
+  unitPrice: Math.max(0, Number(item.unitPrice) || 0),
+  quantity: Math.max(0, Number(item.quantity) || 0),
+  discountPercent: clamp(Number(item.discountPercent) || 0, 0, 100),
+});
+
+export const getLineTotal = (item) => roundCents(item.unitPrice * item.quantity * (1 - item.discountPercent / 100));
+
+// One-time lines add up to the deal's value and monthly lines to its monthly value
+export const getDealTotals = (lineItems) => lineItems.reduce((totals, item) => {
+  const key = item.billing === 'monthly' ? 'monthlyValue' : 'value';
+  return { ...totals, [key]: roundCents(totals[key] + getLineTotal(item)) };
+}, { value: 0, monthlyValue: 0 });
+
+// Fields written with a deal's line items. Deals without any keep their typed-in values.
+export const toLineItemFields = (lineItems) => {
+  const normalized = (lineItems || []).map(normalizeLineItem);
+  const fields = { lineItems: normalized, productIds: Array.from(new Set(normalized.map(item => item.productId).filter(Boolean))) };
+  return normalized.length > 0 ? { ...fields, ...getDealTotals(normalized) } : fields;
+};
+
+// Open pipeline per product, weighted by stage probability. Deals without line items
+// are grouped as "No products" so the totals still match the board. Products are named
+// as they are in the catalog now, not as they were when each deal was quoted.
+export const getPipelineByProduct = (accounts, stages, products = []) => {
+  const rows = {};
+  const addTo = (key, name, category, account, amounts) => {
+    const row = rows[key] || (rows[key] = { key, name, category, accountIds: new Set(), value: 0, monthlyValue: 0, weightedValue: 0, weightedMonthlyValue: 0 });
+    const probability = getStageProbability(stages, account.stage) / 100;
+    row.accountIds.add(account.id);
+    row.value += amounts.value;
+    row.monthlyValue += amounts.monthlyValue;
+    row.weightedValue += amounts.value * probability;
+    row.weightedMonthlyValue += amounts.monthlyValue * probability;
+  };
+  accounts.filter(account => isOpenStage(stages, account.stage)).forEach(account => {
+    const lineItems = account.lineItems || [];
+    if (lineItems.length === 0) {
+      addTo('none', 'No products', null, account, { value: account.value || 0, monthlyValue: account.monthlyValue || 0 });
+      return;
+    }
+    lineItems.forEach(item => {
+      const total = getLineTotal(item);
+      const product = products.find(p => p.id === item.productId);
+      addTo(item.productId || item.name, product?.name || item.name, product?.category || item.category, account, item.billing === 'monthly' ? { value: 0, monthlyValue: total } : { value: total, monthlyValue: 0 });
+    });
+  });
+  return Object.values(rows)
+    .map(({ accountIds, ...row }) => ({ ...row, dealCount: accountIds.size }))
+    .sort((a, b) => (b.value + b.monthlyValue * 12) - (a.value + a.monthlyValue * 12));
+};
@@ -0,0 +1,95 @@
+import { renderMarkdown } from '../ai/markdown';
+import { getVisibleStages, isOpenStage } from '../pipeline/stages';
+import { formatPrice, getDealTotals, getLineTotal, normalizeLineItem } from '../products/lineItems';
+
+export const PROPOSAL_SECTIONS = [
+  { key: 'summary', title: 'Summary' },
+  { key: 'scope', title: 'Scope of Work' },
+  { key: 'timeline', title: 'Timeline' },
+  { key: 'pricingNotes', title: 'Payment Terms' },
+];
+
+const escapeCell = (text) => String(text).replace(/\|/g, '\\|');
+
+// Built from the line items rather than by the model so quoted amounts always match the deal
+export const buildPricingTable = (account) => {
+  const lineItems = (account.lineItems || []).map(normalizeLineItem);
+  if (lineItems.length === 0) {
+    const rows = [];
+    if (account.value) rows.push(`| One-time fee | ${formatPrice(account.value, 'one_time')} |`);
+    if (account.monthlyValue) rows.push(`| Monthly fee | ${formatPrice(account.monthlyValue, 'monthly')} |`);
+    return rows.length > 0 ? ['| Item | Price |', '| --- | ---: |', ...rows].join('\n') : '';
+  }
+  const totals = getDealTotals(lineItems);
+  const rows = lineItems.map(item => `| ${escapeCell(item.name)} | ${item.quantity}${item.unit ? ` ${escapeCell(item.unit)}` : ''} | ${formatPrice(item.unitPrice, item.billing)} | ${item.discountPercent ? `${item.discountPercent}%` : '—'} | ${formatPrice(getLineTotal(item), item.billing)} |`);
+  const totalRows = [];
+  if (totals.value) totalRows.push(`| **One-time total** | | | | **${formatPrice(totals.value, 'one_time')}** |`);
+  if (totals.monthlyValue) totalRows.push(`| **Monthly total** | | | | **${formatPrice(totals.monthlyValue, 'monthly')}** |`);
+  return ['| Item | Quantity | Unit price | Discount | Total |', '| --- | ---: | ---: | ---: | ---: |', ...rows, ...totalRows].join('\n');
+};
+
+export const buildProposalMarkdown = ({ account, sections, senderName, date = new Date() }) => {
+  const pricing = buildPricingTable(account);
+  const body = PROPOSAL_SECTIONS.map(({ key, title }) => {
+    const content = (sections[key] || '').trim();
+    if (key === 'pricingNotes') return `## Investment\n\n${pricing ? `${pricing}\n\n` : ''}${content ? `### ${title}\n\n${content}` : ''}`.trim();
+    return content ? `## ${title}\n\n${content}` : '';
+  }).filter(Boolean);
+  const preparedFor = account.contactName ? `${account.contactName}, ${account.companyName}` : account.companyName;
+  return [
+    `# Proposal for ${account.companyName}`,
+    `Prepared for ${preparedFor}${senderName ? ` by ${senderName}` : ''} on ${date.toLocaleDateString([], { year: 'numeric', month: 'long', day: 'numeric' })}`,
+    ...body,
+  ].join('\n\n');
+};
+
+export const getProposalTitle = (account, version) => `Proposal for ${account.companyName} v${version}`;
+
+// Looked up by the default stage's id first so a renamed "Proposal Sent" stage still matches
+export const getProposalStage = (stages) => {
+  const visible = getVisibleStages(stages);
+  return visible.find(stage => stage.id === 'proposal-sent')
+    || visible.find(stage => stage.name.toLowerCase() === 'proposal sent')
+    || null;
+};
+
+// Sending a proposal only moves a deal forward, never back from Negotiation or out of a closed stage
+export const shouldMoveToProposalStage = (stages, account) => {
+  const target = getProposalStage(stages);
+  if (!target || account.stage === target.name) return false;
+  const current = stages.find(stage => stage.name === account.stage);
+  if (!current) return true;
+  if (current.category === 'pre') return true;
+  return isOpenStage(stages, account.stage) && (current.order ?? 0) < (target.order ?? 0);
+};
+
+const PRINT_STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif; color: #1f2937; line-height: 1.5; margin: 2.5cm 2cm; }
+  h1 { font-size: 24pt; margin-bottom: 0; }
+  h1 + p { color: #6b7280; margin-top: 4pt; }
+  h2 { font-size: 15pt; border-bottom: 1px solid #e5e7eb; padding-bottom: 4pt; margin-top: 24pt; }
+  table { width: 100%; border-collapse: collapse; margin: 8pt 0; font-size: 10pt; }
+  th, td { border-bottom: 1px solid #e5e7eb; padding: 6pt; }
+  th { text-align: left; background: #f9fafb; }
+  @page { margin: 0; }
+`;
+
+// There is no PDF library in the bundle: the proposal is printed from a hidden frame
+// and the browser's "Save as PDF" destination produces the file
+export const printProposalAsPdf = (title, markdown) => {
+  const frame = document.createElement('iframe');
+  frame.style.position = 'fixed';
+  frame.style.width = '0';
+  frame.style.height = '0';
+  frame.style.border = '0';
+  document.body.appendChild(frame);
+  const doc = frame.contentDocument;
+  doc.open();
+  doc.write(`<!DOCTYPE html><html><head><meta charset="utf-8"><title></title><style>${PRINT_STYLES}</style></head><body>${renderMarkdown(markdown)}</body></html>`);
+  doc.close();
+  // Browsers suggest the document title as the PDF's file name
+  doc.title = title;
+  frame.contentWindow.onafterprint = () => setTimeout(() => document.body.removeChild(frame), 0);
+  frame.contentWindow.focus();
+  frame.contentWindow.print();
+};
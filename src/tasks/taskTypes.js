@@ -0,0 +1,45 @@
+export const TASK_TYPES = [
+  { value: 'call', label: 'Call', icon: '📞' },
+  { value: 'email', label: 'Email', icon: '✉️' },
+  { value: 'meeting', label: 'Meeting', icon: '📅' },
+  { value: 'todo', label: 'To-do', icon: '✅' },
+];
+
+export const TASK_PRIORITIES = [
+  { value: 'high', label: 'High', className: 'bg-red-200 text-red-800' },
+  { value: 'medium', label: 'Medium', className: 'bg-yellow-200 text-yellow-800' },
+  { value: 'low', label: 'Low', className: 'bg-gray-200 text-gray-700' },
+];
+
+export const getTaskType = (value) => TASK_TYPES.find(type => type.value === value) || TASK_TYPES[3];
+
+export const getTaskPriority = (value) => TASK_PRIORITIES.find(priority => priority.value === value) || TASK_PRIORITIES[1];
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// Splits open tasks into the inbox buckets. "This week" is the six days after today.
+export const bucketTasks = (tasks, now = new Date()) => {
+  const todayStart = startOfDay(now).getTime();
+  const tomorrowStart = todayStart + 24 * 60 * 60 * 1000;
+  const weekEnd = todayStart + 7 * 24 * 60 * 60 * 1000;
+  const buckets = { overdue: [], today: [], thisWeek: [] };
+  tasks
+    .filter(task => !task.completed && task.dueDate)
+    .sort((a, b) => a.dueDate.toMillis() - b.dueDate.toMillis())
+    .forEach(task => {
+      const due = task.dueDate.toMillis();
+      if (due < todayStart) buckets.overdue.push(task);
+      else if (due < tomorrowStart) buckets.today.push(task);
+      else if (due < weekEnd) buckets.thisWeek.push(task);
+    });
+  return buckets;
+};
+
+// Default due time for one-click tasks: 9am tomorrow
+export const tomorrowMorning = (now = new Date()) => new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1, 9, 0);
+
+// Formats a Date for a datetime-local input in the user's timezone
+export const toDateTimeInputValue = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
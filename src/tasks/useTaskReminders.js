@@ -0,0 +1,43 @@
+import { useEffect, useRef } from 'react';
+
+const NOTIFIED_KEY = 'crm.notifiedTaskIds';
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+export const notificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+// Shows a browser notification once per task when it comes due while the CRM is open.
+// `loaded` is false until the first tasks snapshot arrives.
+export const useTaskReminders = (tasks, loaded, userId, onOpenTask) => {
+  const notified = useRef(new Set(JSON.parse(localStorage.getItem(NOTIFIED_KEY) || '[]')));
+
+  useEffect(() => {
+    if (!notificationsSupported()) return;
+
+    const checkDueTasks = () => {
+      if (Notification.permission !== 'granted') return;
+      const now = Date.now();
+      tasks
+        .filter(task => !task.completed && task.assigneeId === userId && task.dueDate && task.dueDate.toMillis() <= now)
+        .filter(task => !notified.current.has(task.id))
+        .forEach(task => {
+          const notification = new Notification(`Task due: ${task.title}`, {
+            body: `${task.companyName} · due ${task.dueDate.toDate().toLocaleString()}`,
+            tag: task.id,
+          });
+          notification.onclick = () => {
+            window.focus();
+            onOpenTask(task);
+          };
+          notified.current.add(task.id);
+        });
+      // Forget tasks that were completed or deleted so the stored list does not grow forever.
+      // Before the tasks load, every id would look deleted.
+      if (loaded) notified.current = new Set(Array.from(notified.current).filter(id => tasks.some(task => task.id === id)));
+      localStorage.setItem(NOTIFIED_KEY, JSON.stringify(Array.from(notified.current)));
+    };
+
+    checkDueTasks();
+    const interval = setInterval(checkDueTasks, CHECK_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [tasks, loaded, userId, onOpenTask]);
+};
@@ -0,0 +1,87 @@
+import { getStageCategory } from '../pipeline/stages';
+
+// Events an outbound webhook can subscribe to
+export const WEBHOOK_EVENTS = [
+  { value: 'account.created', label: 'Account created' },
+  { value: 'account.updated', label: 'Account updated' },
+  { value: 'account.deleted', label: 'Account moved to the trash' },
+  { value: 'account.restored', label: 'Account restored from the trash' },
+  { value: 'stage.changed', label: 'Stage changed' },
+  { value: 'deal.won', label: 'Deal won' },
+  { value: 'deal.lost', label: 'Deal lost' },
+];
+
+export const WEBHOOK_EVENT_TYPES = WEBHOOK_EVENTS.map(event => event.value);
+
+// The events one saved account change raises. A new account that starts in a won or
+// lost stage raises that too, so imports of closed deals reach the receiving system.
+export const getAccountEvents = ({ before, after }, stages) => {
+  if (!before) {
+    const category = getStageCategory(stages, after.stage);
+    return ['account.created', ...(category === 'won' ? ['deal.won'] : []), ...(category === 'lost' ? ['deal.lost'] : [])];
+  }
+  if (after.deletedAt && !before.deletedAt) return ['account.deleted'];
+  if (before.deletedAt && !after.deletedAt) return ['account.restored'];
+  const events = ['account.updated'];
+  if (before.stage !== after.stage) {
+    events.push('stage.changed');
+    const category = getStageCategory(stages, after.stage);
+    if (category !== getStageCategory(stages, before.stage) && ['won', 'lost'].includes(category)) events.push(`deal.${category}`);
+  }
+  return events;
+};
+
+// The events one account change log entry stands for, and the stage it left. The server builds
+// the events for changes saved in the browser from the change log, so they match what was written.
+export const getAuditEntryEvents = (entry, account, stages) => {
+  switch (entry.action) {
+    case 'create': return { types: getAccountEvents({ before: null, after: account }, stages), previousStage: null };
+    case 'delete': return { types: ['account.deleted'], previousStage: null };
+    case 'restore': return { types: ['account.restored'], previousStage: null };
+    default: {
+      const stageChange = (entry.changes || []).find(change => change.field === 'stage');
+      if (!stageChange) return { types: ['account.updated'], previousStage: null };
+      return {
+        types: getAccountEvents({ before: { stage: stageChange.from }, after: { stage: stageChange.to } }, stages),
+        previousStage: stageChange.from,
+      };
+    }
+  }
+};
+
+// Events are only sent while the account's current state still agrees with them
+export const isEventConsistent = (type, account, stages) => {
+  if (!account) return false;
+  switch (type) {
+    case 'account.deleted': return !!account.deletedAt;
+    case 'deal.won': return !account.deletedAt && getStageCategory(stages, account.stage) === 'won';
+    case 'deal.lost': return !account.deletedAt && getStageCategory(stages, account.stage) === 'lost';
+    default: return WEBHOOK_EVENT_TYPES.includes(type) && !account.deletedAt;
+  }
+};
+
+// Timestamps become ISO strings so the account reads the same in JSON everywhere
+const toJson = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (Array.isArray(value)) return value.map(toJson);
+  if (typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toJson(item)]));
+  return value;
+};
+
+// How an account looks in REST API responses and webhook payloads
+export const serializeAccount = (account) => {
+  const { deletedBy, deletedByName, companyNameKey, contactEmailKey, lostReason, ...fields } = account;
+  return toJson(fields);
+};
+
+export const buildEventPayload = ({ id, type, workspaceId, account, previousStage, createdAt = new Date() }) => ({
+  id,
+  type,
+  createdAt: createdAt.toISOString(),
+  workspaceId,
+  data: {
+    account: serializeAccount(account),
+    ...(type === 'stage.changed' || type.startsWith('deal.') ? { previousStage: previousStage || null } : {}),
+  },
+});
@@ -0,0 +1,20 @@
+export const ROLES = [
+  { value: 'admin', label: 'Admin' },
+  { value: 'manager', label: 'Manager' },
+  { value: 'rep', label: 'Sales Rep' },
+];
+
+// Admins run the workspace, managers run the pipeline, reps work their own deals
+export const canManageMembers = (role) => role === 'admin';
+
+export const canManageStages = (role) => role === 'admin' || role === 'manager';
+
+export const canReassignAccounts = (role) => role === 'admin' || role === 'manager';
+
+export const canEditAccount = (access, account) => (
+  canReassignAccounts(access.role) || (access.role === 'rep' && !!account && account.ownerId === access.uid)
+);
+
+export const assertPermission = (allowed, message) => {
+  if (!allowed) throw new Error(message);
+};